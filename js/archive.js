@@ -0,0 +1,346 @@
+// js/archive.js - Archive View of Past Seasons
+//
+// Circles that outlived their space's lifetime leave the floor for the
+// archive (see datamanager.js). This view hands the connect scene over, like
+// the timeline replay, and shows one season of archived circles and their
+// stars at a time. Seasons are meteorological (northern hemisphere): winter
+// is December to February.
+// The panel also sets how long circles last in the current space.
+
+import { updateStatus } from './scene.js';
+import {
+    getArchivedCircles, getArchivedBonds, getCircleLifetime, setCircleLifetime, onCirclesArchived
+} from './datamanager.js';
+import { beginReplayScene, clearReplayScene, showReplayCircle, showReplayBond, endReplayScene } from './connect.js';
+import { isReplayActive, stopReplay } from './replay.js';
+
+// ============================================================================
+// ARCHIVE CONFIGURATION
+// ============================================================================
+
+const ARCHIVE_CONFIG = {
+    id: 'archivePanel',
+    seasonNames: ['Winter', 'Spring', 'Summer', 'Autumn'],
+    dayMs: 24 * 60 * 60 * 1000
+};
+
+// ============================================================================
+// ARCHIVE STATE
+// ============================================================================
+
+let archiveState = {
+    isOpen: false,
+    seasonId: null,     // Season shown on the floor, 'all' for every season
+    seasons: [],        // [{ id, label, start, circles, bonds }] newest first
+    panel: null,
+    elements: {},
+    listening: false
+};
+
+// ============================================================================
+// ARCHIVE CONTROL
+// ============================================================================
+
+/**
+ * Open the archive view on the newest season.
+ * Connect mode must be active because the archive draws into its scene.
+ */
+export function openArchiveView() {
+    if (archiveState.isOpen) return true;
+
+    // Both draw into the same scene
+    if (isReplayActive()) {
+        stopReplay();
+    }
+
+    if (!beginReplayScene()) {
+        updateStatus('🍂 Start connect mode to see the archive');
+        return false;
+    }
+
+    if (!archiveState.listening) {
+        onCirclesArchived(() => refreshSeasons());
+        archiveState.listening = true;
+    }
+
+    archiveState.isOpen = true;
+    createPanel();
+    refreshSeasons();
+
+    const newest = archiveState.seasons[0];
+    if (newest) {
+        showSeason(newest.id);
+    } else {
+        updateStatus('🍂 Nothing archived yet');
+    }
+
+    console.log(`🍂 Archive opened: ${archiveState.seasons.length} seasons`);
+    return true;
+}
+
+/**
+ * Close the archive and show the floor again
+ */
+export function closeArchiveView() {
+    if (!archiveState.isOpen) return;
+
+    archiveState.isOpen = false;
+    archiveState.seasonId = null;
+
+    if (archiveState.panel) {
+        archiveState.panel.remove();
+        archiveState.panel = null;
+        archiveState.elements = {};
+    }
+
+    endReplayScene();
+    updateStatus('🍂 Back to the floor');
+}
+
+/**
+ * Open or close the archive view
+ */
+export function toggleArchiveView() {
+    if (archiveState.isOpen) {
+        closeArchiveView();
+        return false;
+    }
+    return openArchiveView();
+}
+
+export function isArchiveViewOpen() {
+    return archiveState.isOpen;
+}
+
+/**
+ * Put one season's archived circles and stars on the floor ('all' for every season)
+ */
+export function showSeason(seasonId) {
+    if (!archiveState.isOpen) return false;
+
+    const seasons = seasonId === 'all' ? archiveState.seasons : archiveState.seasons.filter(season => season.id === seasonId);
+    if (seasons.length === 0) {
+        updateStatus(`❌ No archived season: ${seasonId}`);
+        return false;
+    }
+
+    clearReplayScene();
+    seasons.forEach(season => {
+        season.circles.forEach(circle => showReplayCircle(circle, { animate: false }));
+        season.bonds.forEach(bond => showReplayBond(bond, { animate: false }));
+    });
+
+    archiveState.seasonId = seasonId;
+    updateSeasonList();
+
+    const circleCount = seasons.reduce((total, season) => total + season.circles.length, 0);
+    const label = seasonId === 'all' ? 'All seasons' : seasons[0].label;
+    updateStatus(`🍂 ${label}: ${circleCount} archived circles`);
+    return true;
+}
+
+/**
+ * Archive status for debugging
+ */
+export function getArchiveStatus() {
+    const lifetime = getCircleLifetime();
+    return {
+        isOpen: archiveState.isOpen,
+        seasonId: archiveState.seasonId,
+        lifetimeDays: lifetime ? lifetime / ARCHIVE_CONFIG.dayMs : null,
+        seasons: groupBySeason(getArchivedCircles(), getArchivedBonds())
+            .map(season => ({ id: season.id, label: season.label, circles: season.circles.length, bonds: season.bonds.length }))
+    };
+}
+
+// ============================================================================
+// SEASONS
+// ============================================================================
+
+/**
+ * Regroup the archive (after circles were archived or the lifetime changed)
+ */
+function refreshSeasons() {
+    archiveState.seasons = groupBySeason(getArchivedCircles(), getArchivedBonds());
+    updateSeasonList();
+}
+
+/**
+ * Sort archived circles into the season they were drawn in, newest season
+ * first. A bond belongs to a season when both of its circles do.
+ */
+function groupBySeason(circles, bonds) {
+    const seasons = new Map();
+    const seasonOfCircle = new Map();
+
+    circles.forEach(circle => {
+        const season = getSeason(circle.timestamp);
+        if (!seasons.has(season.id)) {
+            seasons.set(season.id, { ...season, circles: [], bonds: [] });
+        }
+        seasons.get(season.id).circles.push(circle);
+        seasonOfCircle.set(circle.id, season.id);
+    });
+
+    bonds.forEach(bond => {
+        const [first, second] = bond.circles.map(circleId => seasonOfCircle.get(circleId));
+        if (first && first === second) {
+            seasons.get(first).bonds.push(bond);
+        }
+    });
+
+    return [...seasons.values()].sort((a, b) => b.start - a.start);
+}
+
+/**
+ * The season a timestamp falls in: { id, label, start }
+ */
+function getSeason(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) {
+        return { id: 'undated', label: 'Undated', start: 0 };
+    }
+
+    const month = date.getMonth();
+    const index = Math.floor(((month + 1) % 12) / 3);
+    const name = ARCHIVE_CONFIG.seasonNames[index];
+
+    // December belongs to the winter that ends in the next year
+    if (index === 0) {
+        const endYear = month === 11 ? date.getFullYear() + 1 : date.getFullYear();
+        return {
+            id: `${endYear - 1}-winter`,
+            label: `${name} ${endYear - 1}–${String(endYear).slice(-2)}`,
+            start: new Date(endYear - 1, 11, 1).getTime()
+        };
+    }
+
+    const year = date.getFullYear();
+    return {
+        id: `${year}-${name.toLowerCase()}`,
+        label: `${name} ${year}`,
+        start: new Date(year, index * 3 - 1, 1).getTime()
+    };
+}
+
+// ============================================================================
+// ARCHIVE PANEL
+// ============================================================================
+
+/**
+ * Season list and the space's circle lifetime
+ */
+function createPanel() {
+    const panel = document.createElement('div');
+    panel.id = ARCHIVE_CONFIG.id;
+    panel.style.cssText = `
+        position: fixed;
+        top: 80px;
+        right: 20px;
+        width: min(300px, 80vw);
+        max-height: 70vh;
+        display: flex;
+        flex-direction: column;
+        background: rgba(20, 20, 30, 0.9);
+        color: white;
+        padding: 12px 16px;
+        border-radius: 10px;
+        z-index: 1000;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; margin-bottom: 8px;';
+
+    const title = document.createElement('h3');
+    title.style.cssText = 'margin: 0; flex: 1;';
+    title.textContent = '🍂 Archive';
+    header.appendChild(title);
+    header.appendChild(createButton('✕', closeArchiveView));
+    panel.appendChild(header);
+
+    // Circle lifetime for this space
+    const lifetimeRow = document.createElement('form');
+    lifetimeRow.style.cssText = 'display: flex; gap: 6px; align-items: center; margin-bottom: 8px;';
+    lifetimeRow.appendChild(document.createTextNode('Circles last'));
+
+    const lifetimeInput = document.createElement('input');
+    lifetimeInput.type = 'number';
+    lifetimeInput.min = '0';
+    lifetimeInput.step = 'any';
+    lifetimeInput.placeholder = 'forever';
+    lifetimeInput.style.cssText = 'width: 70px; padding: 2px 4px;';
+    const lifetime = getCircleLifetime();
+    lifetimeInput.value = lifetime ? String(lifetime / ARCHIVE_CONFIG.dayMs) : '';
+    lifetimeRow.appendChild(lifetimeInput);
+    lifetimeRow.appendChild(document.createTextNode('days'));
+
+    const saveButton = createButton('Save', null);
+    saveButton.type = 'submit';
+    lifetimeRow.appendChild(saveButton);
+
+    lifetimeRow.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            const days = setCircleLifetime(lifetimeInput.value);
+            refreshSeasons();
+            updateStatus(days ? `🍂 Circles in this space now last ${days} days` : '🍂 Circles in this space now last forever');
+        } catch (error) {
+            updateStatus(`❌ ${error.message}`);
+        }
+    });
+    panel.appendChild(lifetimeRow);
+
+    const list = document.createElement('div');
+    list.style.cssText = 'overflow-y: auto; flex: 1;';
+    panel.appendChild(list);
+
+    document.body.appendChild(panel);
+
+    archiveState.panel = panel;
+    archiveState.elements = { list, lifetimeInput };
+}
+
+/**
+ * One row per season, the one on the floor highlighted
+ */
+function updateSeasonList() {
+    const { list } = archiveState.elements;
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (archiveState.seasons.length === 0) {
+        list.textContent = getCircleLifetime()
+            ? 'Nothing archived yet - circles come here when they outlive the lifetime above.'
+            : 'Nothing archived yet - set a lifetime to let old circles rest here.';
+        return;
+    }
+
+    const rows = archiveState.seasons.length > 1
+        ? [{ id: 'all', label: 'All seasons', circles: archiveState.seasons.flatMap(season => season.circles), bonds: archiveState.seasons.flatMap(season => season.bonds) }, ...archiveState.seasons]
+        : archiveState.seasons;
+
+    rows.forEach(season => {
+        const row = createButton(`${season.label} · ${season.circles.length} circles · ${season.bonds.length} bonds`, () => showSeason(season.id));
+        row.style.display = 'block';
+        row.style.width = '100%';
+        row.style.textAlign = 'left';
+        row.style.marginBottom = '4px';
+        if (season.id === archiveState.seasonId) {
+            row.style.background = '#ffd54f';
+        }
+        list.appendChild(row);
+    });
+}
+
+function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = 'padding: 4px 10px; background: white; color: black; border: none; border-radius: 5px; cursor: pointer;';
+    if (onClick) {
+        button.addEventListener('click', onClick);
+    }
+    return button;
+}
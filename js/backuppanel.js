@@ -0,0 +1,301 @@
+// js/backuppanel.js - Backup Manager Panel
+//
+// Lists the stored backups with their counts and checksum status, compares a
+// backup with the current data, and restores it fully or for a single user.
+
+import { updateStatus } from './scene.js';
+import { listBackups, diffBackup, restoreBackup, createBackup } from './datamanager.js';
+
+// ============================================================================
+// PANEL CONFIGURATION
+// ============================================================================
+
+const BACKUP_PANEL_CONFIG = {
+    id: 'backupManagerPanel',
+    statusLabels: {
+        ok: ['✅', 'Checksum verified'],
+        unverified: ['⚪', 'No checksum (older backup)'],
+        corrupt: ['⚠️', 'Corrupted'],
+        locked: ['🔒', 'Encrypted']
+    }
+};
+
+// ============================================================================
+// PANEL STATE
+// ============================================================================
+
+let panelState = {
+    panel: null,
+    list: null,
+    details: null,
+    onRestore: null,
+    busy: false
+};
+
+// ============================================================================
+// PANEL CONTROL
+// ============================================================================
+
+/**
+ * Open the backup manager. `onRestore` runs after any restore so the caller
+ * can refresh stats and the scene.
+ */
+export function showBackupManager({ onRestore = null } = {}) {
+    panelState.onRestore = onRestore;
+    if (panelState.panel) {
+        refreshBackupList();
+        return;
+    }
+
+    const panel = document.createElement('div');
+    panel.id = BACKUP_PANEL_CONFIG.id;
+    panel.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        width: min(640px, 90vw);
+        max-height: 80vh;
+        display: flex;
+        flex-direction: column;
+        background: rgba(20, 20, 30, 0.95);
+        color: white;
+        padding: 20px;
+        border-radius: 10px;
+        z-index: 1100;
+        font-family: Arial, sans-serif;
+        font-size: 13px;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; gap: 8px; align-items: center; margin-bottom: 12px;';
+
+    const title = document.createElement('h3');
+    title.style.cssText = 'margin: 0; flex: 1;';
+    title.textContent = '📦 Backups';
+    header.appendChild(title);
+
+    header.appendChild(createButton('Back up now', async () => {
+        await runTask(async () => {
+            const backupId = await createBackup('manual');
+            updateStatus(backupId ? '📦 Backup created' : '❌ Could not create backup');
+        });
+    }));
+    header.appendChild(createButton('✕', hideBackupManager));
+    panel.appendChild(header);
+
+    const list = document.createElement('div');
+    list.style.cssText = 'overflow-y: auto; flex: 1; min-height: 80px;';
+    panel.appendChild(list);
+
+    const details = document.createElement('div');
+    details.style.cssText = 'margin-top: 12px; border-top: 1px solid rgba(255, 255, 255, 0.2); padding-top: 12px;';
+    details.textContent = 'Compare a backup to see what restoring it would change.';
+    panel.appendChild(details);
+
+    document.body.appendChild(panel);
+
+    panelState.panel = panel;
+    panelState.list = list;
+    panelState.details = details;
+
+    refreshBackupList();
+}
+
+export function hideBackupManager() {
+    if (!panelState.panel) return;
+
+    panelState.panel.remove();
+    panelState.panel = null;
+    panelState.list = null;
+    panelState.details = null;
+}
+
+/**
+ * Open or close the backup manager
+ */
+export function toggleBackupManager(options = {}) {
+    if (panelState.panel) {
+        hideBackupManager();
+        return false;
+    }
+    showBackupManager(options);
+    return true;
+}
+
+export function isBackupManagerVisible() {
+    return panelState.panel !== null;
+}
+
+// ============================================================================
+// BACKUP LIST
+// ============================================================================
+
+/**
+ * Reload the list of backups, newest first
+ */
+async function refreshBackupList() {
+    const list = panelState.list;
+    if (!list) return;
+
+    let backups;
+    try {
+        backups = await listBackups();
+    } catch (error) {
+        list.textContent = `❌ Could not read backups: ${error.message}`;
+        return;
+    }
+
+    list.innerHTML = '';
+    if (backups.length === 0) {
+        list.textContent = 'No backups yet - one is made automatically every few seconds while you draw.';
+        return;
+    }
+
+    backups.forEach(backup => list.appendChild(createBackupRow(backup)));
+}
+
+function createBackupRow(backup) {
+    const [icon, statusText] = BACKUP_PANEL_CONFIG.statusLabels[backup.status];
+    const usable = backup.status !== 'corrupt' && backup.status !== 'locked';
+
+    const row = document.createElement('div');
+    row.style.cssText = `
+        display: flex;
+        gap: 8px;
+        align-items: center;
+        padding: 6px 0;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        opacity: ${usable ? 1 : 0.6};
+    `;
+
+    const label = document.createElement('div');
+    label.style.flex = '1';
+
+    const when = document.createElement('div');
+    when.textContent = `${icon} ${backup.createdAt ? new Date(backup.createdAt).toLocaleString() : backup.id} · ${backup.backupType}`;
+    when.title = `${statusText}${backup.problem ? ` - ${backup.problem}` : ''}\n${backup.id}`;
+    label.appendChild(when);
+
+    const counts = document.createElement('div');
+    counts.style.opacity = '0.7';
+    counts.textContent = usable
+        ? `${backup.circleCount} circles · ${backup.userCount} users · ${backup.bondCount} bonds`
+        : `Skipped: ${backup.problem}`;
+    label.appendChild(counts);
+
+    row.appendChild(label);
+    row.appendChild(createButton('Compare', () => showBackupDiff(backup), !usable));
+    row.appendChild(createButton('Restore', () => restoreFromPanel(backup, null), !usable));
+    return row;
+}
+
+// ============================================================================
+// DIFF AND RESTORE
+// ============================================================================
+
+/**
+ * Show what restoring a backup would change, with a restore button per user
+ */
+async function showBackupDiff(backup) {
+    const details = panelState.details;
+    if (!details) return;
+
+    details.textContent = 'Comparing…';
+
+    let diff;
+    try {
+        diff = await diffBackup(backup.id);
+    } catch (error) {
+        details.textContent = `❌ ${error.message}`;
+        return;
+    }
+    if (panelState.details !== details) return;
+
+    details.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.style.margin = '0 0 8px 0';
+    summary.textContent = diff.users.length === 0
+        ? `The backup from ${new Date(backup.createdAt).toLocaleString()} matches the current circles.`
+        : `Restoring the backup from ${new Date(backup.createdAt).toLocaleString()} would bring back ${diff.added}, ` +
+            `remove ${diff.removed} and change ${diff.changed} circles (bonds: +${diff.addedBonds} −${diff.removedBonds}).`;
+    details.appendChild(summary);
+
+    diff.users.forEach(user => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; gap: 8px; align-items: center; padding: 3px 0;';
+
+        const label = document.createElement('span');
+        label.style.flex = '1';
+        label.textContent = `${user.userId}: +${user.added} −${user.removed} ~${user.changed}`;
+        row.appendChild(label);
+
+        row.appendChild(createButton(`Restore ${user.userId}`, () => restoreFromPanel(backup, user.userId)));
+        details.appendChild(row);
+    });
+}
+
+/**
+ * Confirm and restore a whole backup or one user's circles from it
+ */
+async function restoreFromPanel(backup, userId) {
+    const when = backup.createdAt ? new Date(backup.createdAt).toLocaleString() : backup.id;
+    const question = userId
+        ? `Restore ${userId}'s circles from the backup of ${when}? Their current circles are replaced.`
+        : `Restore everything from the backup of ${when}? All current circles are replaced.`;
+    if (!confirm(`${question}\nThe current data is backed up first.`)) return;
+
+    await runTask(async () => {
+        try {
+            await restoreBackup(backup.id, { userId });
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            updateStatus(`❌ Could not restore backup - ${error.message}`);
+            return;
+        }
+
+        if (panelState.details) {
+            panelState.details.textContent = userId
+                ? `Restored ${userId}'s circles from ${when}.`
+                : `Restored everything from ${when}.`;
+        }
+        if (panelState.onRestore) {
+            panelState.onRestore();
+        }
+    });
+}
+
+/**
+ * Run one backup operation at a time, then refresh the list
+ */
+async function runTask(task) {
+    if (panelState.busy) return;
+
+    panelState.busy = true;
+    try {
+        await task();
+    } finally {
+        panelState.busy = false;
+        refreshBackupList();
+    }
+}
+
+/**
+ * Panel button in the same style as the other overlays
+ */
+function createButton(label, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.disabled = disabled;
+    button.style.cssText = `
+        padding: 4px 10px;
+        background: ${disabled ? '#555' : 'white'};
+        color: ${disabled ? '#999' : 'black'};
+        border: none;
+        border-radius: 5px;
+        cursor: ${disabled ? 'not-allowed' : 'pointer'};
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+}
@@ -0,0 +1,150 @@
+// js/benchmark.js - Spatial Index Benchmark
+import { updateStatus } from './scene.js';
+import { createSpatialIndex, calculateCircleIntersection } from './spatial.js';
+
+// ============================================================================
+// BENCHMARK CONFIGURATION
+// ============================================================================
+
+const BENCHMARK_CONFIG = {
+    sizes: [1000, 10000, 50000],
+    probes: 200,        // New circles tested against each dataset
+    minRadius: 0.5,
+    maxRadius: 3,
+    fixedHalfSize: 10,  // Everyone draws inside the same ±10 floor area
+    circlesPerUnit: 0.5, // Density used for the 'scaled' layout
+    seed: 42
+};
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+
+/**
+ * Time index build, candidate lookup and intersection search on synthetic
+ * datasets, with and without the spatial index. Runs from the console
+ * (`debugApp.runBenchmark()`) or with `?benchmark` in the URL.
+ *
+ * Layouts:
+ *   fixed  - every circle inside the ±10 drawing area (today's app)
+ *   scaled - the floor grows with the dataset, so density stays constant
+ */
+export function runSpatialBenchmark(options = {}) {
+    const config = { ...BENCHMARK_CONFIG, ...options };
+    const layouts = options.layouts || ['fixed', 'scaled'];
+    const results = [];
+
+    console.log('⏱️ Spatial index benchmark starting...', config);
+
+    layouts.forEach(layout => {
+        config.sizes.forEach(size => {
+            updateStatus(`⏱️ Benchmarking ${size} circles (${layout})...`);
+            results.push(benchmarkDataset(size, layout, config));
+        });
+    });
+
+    console.table(results);
+
+    const largest = results[results.length - 1];
+    updateStatus(`⏱️ Benchmark done: ${largest.circles} circles - ${largest.speedup}x faster intersection search`);
+
+    return results;
+}
+
+/**
+ * Benchmark a single synthetic dataset
+ */
+function benchmarkDataset(size, layout, config) {
+    const random = createRandom(config.seed + size);
+    const halfSize = layout === 'fixed'
+        ? config.fixedHalfSize
+        : Math.sqrt(size / config.circlesPerUnit) / 2;
+
+    const circles = generateCircles(size, halfSize, random, config);
+    const probes = generateCircles(config.probes, halfSize, random, config);
+
+    // Index build (what initial load pays)
+    let start = performance.now();
+    const index = createSpatialIndex();
+    circles.forEach(circle => index.insert(circle));
+    const buildMs = performance.now() - start;
+
+    // Intersections through the index
+    start = performance.now();
+    let indexedHits = 0;
+    let candidates = 0;
+    probes.forEach(probe => {
+        const nearby = index.query(probe.x, probe.z, probe.radius);
+        candidates += nearby.length;
+        nearby.forEach(circle => {
+            if (calculateCircleIntersection(probe, circle).length > 0) indexedHits++;
+        });
+    });
+    const indexedMs = performance.now() - start;
+
+    // Intersections by checking every circle (the old approach)
+    start = performance.now();
+    let bruteHits = 0;
+    probes.forEach(probe => {
+        circles.forEach(circle => {
+            if (calculateCircleIntersection(probe, circle).length > 0) bruteHits++;
+        });
+    });
+    const bruteMs = performance.now() - start;
+
+    if (indexedHits !== bruteHits) {
+        console.error(`❌ Index missed intersections: ${indexedHits} vs ${bruteHits}`);
+    }
+
+    return {
+        layout,
+        circles: size,
+        buildMs: round(buildMs),
+        indexedMsPerDraw: round(indexedMs / probes.length, 3),
+        bruteMsPerDraw: round(bruteMs / probes.length, 3),
+        avgCandidates: Math.round(candidates / probes.length),
+        intersectionsPerDraw: round(indexedHits / probes.length, 1),
+        speedup: round(bruteMs / Math.max(indexedMs, 0.001), 1),
+        correct: indexedHits === bruteHits,
+        ...index.stats()
+    };
+}
+
+// ============================================================================
+// SYNTHETIC DATA
+// ============================================================================
+
+/**
+ * Random circles inside a square floor area
+ */
+function generateCircles(count, halfSize, random, config) {
+    const circles = [];
+    for (let i = 0; i < count; i++) {
+        circles.push({
+            id: `bench_${i}_${Math.floor(random() * 1e9)}`,
+            userId: `Bench${i % 50}`,
+            x: (random() * 2 - 1) * halfSize,
+            z: (random() * 2 - 1) * halfSize,
+            radius: config.minRadius + random() * (config.maxRadius - config.minRadius)
+        });
+    }
+    return circles;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so runs are comparable
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function round(value, digits = 1) {
+    return parseFloat(value.toFixed(digits));
+}
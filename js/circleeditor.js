@@ -0,0 +1,192 @@
+// js/circleeditor.js - Editor Panel for a Selected Circle
+import { validateCircleRecord } from './validation.js';
+
+// ============================================================================
+// EDITOR CONFIGURATION
+// ============================================================================
+
+const EDITOR_CONFIG = {
+    id: 'circleEditorPanel',
+    step: 0.1,      // Arrow keys and spinner step, in world units
+    decimals: 2
+};
+
+// ============================================================================
+// EDITOR STATE
+// ============================================================================
+
+let editorState = {
+    panel: null,
+    circle: null,
+    inputs: {},
+    message: null,
+    note: null,
+    callbacks: {}
+};
+
+// ============================================================================
+// CIRCLE EDITOR
+// ============================================================================
+
+/**
+ * Show the center and radius of a circle with Apply and Delete buttons.
+ * `onApply({ x, z, radius })` runs with validated values, `onDelete()` and
+ * `onClose()` when the user asks for them.
+ */
+export function showCircleEditor(circle, { onApply, onDelete, onClose } = {}) {
+    hideCircleEditor();
+
+    editorState.callbacks = { onApply, onDelete, onClose };
+
+    const panel = document.createElement('div');
+    panel.id = EDITOR_CONFIG.id;
+    panel.style.cssText = `
+        position: fixed;
+        top: 80px;
+        right: 20px;
+        width: 220px;
+        background: rgba(20, 20, 30, 0.9);
+        color: white;
+        padding: 12px 16px;
+        border-radius: 10px;
+        z-index: 1000;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+    `;
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: bold; margin-bottom: 8px;';
+    title.textContent = '🎯 Selected circle';
+    panel.appendChild(title);
+
+    const note = document.createElement('div');
+    note.style.cssText = 'margin-bottom: 6px; color: #f9ca24;';
+    panel.appendChild(note);
+
+    const inputs = {};
+    [['x', 'Center X'], ['z', 'Center Z'], ['radius', 'Radius']].forEach(([field, label]) => {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;';
+
+        const text = document.createElement('span');
+        text.textContent = label;
+        row.appendChild(text);
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = String(EDITOR_CONFIG.step);
+        input.style.cssText = 'width: 90px; padding: 2px 4px;';
+        row.appendChild(input);
+
+        inputs[field] = input;
+        panel.appendChild(row);
+    });
+
+    const message = document.createElement('div');
+    message.style.cssText = 'min-height: 14px; margin: 4px 0; color: #ff6b6b;';
+    panel.appendChild(message);
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end;';
+    buttons.appendChild(createButton('Apply', applyChanges));
+    buttons.appendChild(createButton('Delete', () => editorState.callbacks.onDelete?.()));
+    buttons.appendChild(createButton('✕', () => editorState.callbacks.onClose?.()));
+    panel.appendChild(buttons);
+
+    // Enter applies, Escape closes; keys typed here never reach the app shortcuts
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            applyChanges();
+        } else if (e.key === 'Escape') {
+            editorState.callbacks.onClose?.();
+        }
+        e.stopPropagation();
+    });
+
+    document.body.appendChild(panel);
+
+    editorState.panel = panel;
+    editorState.inputs = inputs;
+    editorState.message = message;
+    editorState.note = note;
+    updateCircleEditor(circle);
+}
+
+/**
+ * Show a circle's current values (after an edit, undo or sync)
+ */
+export function updateCircleEditor(circle) {
+    if (!editorState.panel) return;
+
+    editorState.circle = circle;
+    Object.keys(editorState.inputs).forEach(field => {
+        editorState.inputs[field].value = circle[field].toFixed(EDITOR_CONFIG.decimals);
+    });
+    editorState.message.textContent = '';
+}
+
+/**
+ * Show a remark under the title (e.g. a signature warning); '' hides it
+ */
+export function setCircleEditorNote(text) {
+    if (!editorState.panel) return;
+
+    editorState.note.textContent = text;
+}
+
+/**
+ * Remove the editor without calling onClose
+ */
+export function hideCircleEditor() {
+    if (!editorState.panel) return;
+
+    editorState.panel.remove();
+    editorState.panel = null;
+    editorState.circle = null;
+    editorState.inputs = {};
+    editorState.message = null;
+    editorState.note = null;
+    editorState.callbacks = {};
+}
+
+/**
+ * Validate the fields like an imported record and pass on what changed
+ */
+function applyChanges() {
+    const circle = editorState.circle;
+    if (!circle) return;
+
+    const values = {};
+    Object.keys(editorState.inputs).forEach(field => {
+        const text = editorState.inputs[field].value.trim();
+        values[field] = text === '' ? undefined : Number(text);
+    });
+
+    const reasons = validateCircleRecord(values, circle.userId);
+    if (reasons.length > 0) {
+        editorState.message.textContent = reasons.join('; ');
+        return;
+    }
+
+    const changes = {};
+    Object.keys(values).forEach(field => {
+        if (values[field].toFixed(EDITOR_CONFIG.decimals) !== circle[field].toFixed(EDITOR_CONFIG.decimals)) {
+            changes[field] = values[field];
+        }
+    });
+
+    if (Object.keys(changes).length === 0) {
+        editorState.message.textContent = '';
+        return;
+    }
+
+    editorState.callbacks.onApply?.(changes);
+}
+
+function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = 'padding: 4px 10px; background: white; color: black; border: none; border-radius: 5px; cursor: pointer;';
+    button.addEventListener('click', onClick);
+    return button;
+}
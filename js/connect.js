@@ -1,6 +1,23 @@
 // js/connect.js - Complete Enhanced Connect Mode with Purple Circle Visualization
 import { scene, updateStatus, screenTo3D, clearObjectsByType } from './scene.js';
-import { initDataManager, addCircleData, findCircleIntersections, setCurrentUser, getAllOtherUsersCircles } from './datamanager.js';
+import {
+    initDataManager, addCircleData, findCircleIntersections, setCurrentUser, getAllOtherUsersCircles,
+    restoreCircleData, updateCircleData, deleteCircleData, getCircleById, setCircleIntention,
+    recordBonds, restoreBondRecords, getAllBonds, getBondsForCircle, getBondType,
+    findConstellations, getDataRevision,
+    onRemoteCircleAdded, onRemoteCircleUpdated, onRemoteCircleDeleted,
+    onRemoteBondAdded, onRemoteBondDeleted, getUserColor, onProfileChanged,
+    getSignatureStatus, onSignatureStatusChanged, getCircleAge, onCirclesArchived
+} from './datamanager.js';
+import { mixColors } from './profiles.js';
+import { BOND_TYPES } from './spatial.js';
+import { SIGNATURE_STATUS } from './identity.js';
+import { recordCommand } from './history.js';
+import { showCircleEditor, updateCircleEditor, hideCircleEditor, setCircleEditorNote } from './circleeditor.js';
+import { askIntention, closeIntentionPrompt, createIntentionLabel, disposeIntentionLabel } from './intentions.js';
+import {
+    DEFAULT_SYMBOL, recognizeSymbol, getSymbol, getCircleSymbol, getSymbolOutline, listSymbols, addSymbolExample
+} from './symbols.js';
 
 // ============================================================================
 // CONNECT MODE STATE
@@ -8,6 +25,7 @@ import { initDataManager, addCircleData, findCircleIntersections, setCurrentUser
 
 let connectState = {
     isActive: false,
+    isReplaying: false, // Timeline replay or the archive view owns the scene, drawing is paused
     currentUserId: 'User1',
     
     // Drawing state
@@ -19,6 +37,20 @@ let connectState = {
     // Circle data
     userCircles: {},
     
+    // Teaching a custom symbol: the next strokes become its examples
+    teaching: null, // { name, meaning, remaining, taught }
+    
+    // Drawing with a mouse, finger or stylus on the drawing canvas
+    pointer: {
+        pointerId: null,    // Pointer pressed on the canvas, null when none is
+        down: null,         // { x, y, pressure } where it was pressed
+        handTracking: true, // Whether a hand drives the wand this session
+        config: {
+            tapTolerance: 8,                 // px a press may move and still count as a tap
+            lineWidth: { min: 1.5, max: 9 }  // Stylus strokes from the lightest to the firmest press
+        }
+    },
+    
     // 3D objects
     activeDrawingLines: [],
     completedCircles: [],
@@ -26,7 +58,63 @@ let connectState = {
     // Configuration
     smoothingBuffer: 5,
     minCirclePoints: 10,
-    circleDetectionThreshold: 0.3,
+    circleDetectionThreshold: 0.7, // Fit quality (0-1) a drawn circle needs - squares and open arcs score lower
+    ringHeight: 2,                 // Your rings float here; strokes are projected onto this plane to match
+    
+    // Existing circles: staggered one by one for small datasets, batched for large ones
+    loading: {
+        animatedLimit: 60,
+        staggerDelay: 200,
+        batchSize: 500,
+        generation: 0 // Bumped to cancel a load that is still running
+    },
+    
+    // Selecting one of the user's circles to move, resize or delete it
+    selection: {
+        circleId: null,
+        hover: null,            // { x, y, startTime, circleId } while the wand holds still
+        suppressDrawing: false, // Set after a wand selection until the finger lifts
+        config: {
+            holdDuration: 1200, // ms the wand must hover over a circle to select it
+            holdTolerance: 25,  // px the wand may drift while holding
+            hitTolerance: 0.3   // World units around a ring that still count as a hit
+        }
+    },
+    
+    // Intentions: floating above a hovered ring, and beside new stars for a while
+    intentions: {
+        hoverLabel: null,
+        hoverCircleId: null,
+        reveals: new Map(), // bondId → { labels, timer }
+        config: {
+            hoverHeight: 2.8,      // Above the rings (y = 2)
+            revealHeight: 1.8,     // Just above the stars
+            revealGap: 0.4,        // World units between a star and its labels
+            revealDuration: 8000,  // ms the intentions stay beside a new star
+            newBondWindow: 60000   // Bonds this young count as new when an intention arrives later
+        }
+    },
+    
+    // How round a newly drawn circle came out, floating over it for a moment
+    fitFeedback: {
+        label: null,
+        timer: null,
+        config: {
+            height: 2.4,
+            duration: 2500
+        }
+    },
+    
+    // Rings fade over the space's circle lifetime (see getCircleAge)
+    fading: {
+        lastUpdate: 0,
+        config: {
+            interval: 5000,      // Ages change slowly - refresh the fade every few seconds
+            baseOpacity: 0.7,
+            glowOpacity: 0.25,
+            minFade: 0.15        // Share of the opacity left just before a circle is archived
+        }
+    },
     
     // Cursor system
     cursor: {
@@ -61,10 +149,31 @@ let connectState = {
             effects: {
                 glow: true,
                 sparkle: true
+            },
+            // Each kind of bond has its own look (see BOND_TYPES)
+            types: {
+                intersection: { scale: 1.0, names: ['intersection', 'intersections'] },
+                containment: { scale: 1.3, halo: true, names: ['containment', 'containments'] },  // A star held inside a ring
+                tangency: { scale: 0.7, touching: true, names: ['tangency', 'tangencies'] }       // A small star between two touching dots
             }
         }
     },
     
+    // Constellations: regions where three or more users' circles overlap
+    constellations: {
+        markers: [],
+        revision: null, // Data revision the markers were built from
+        lastUpdate: 0,
+        config: {
+            interval: 1000,      // ms between checks for changed circles
+            height: 2.6,         // Above the rings and stars
+            radius: 0.9,
+            color: '#fff4b0',
+            rotationSpeed: 0.3,
+            lineOpacity: 0.35    // Threads down to each circle's center
+        }
+    },
+    
     // 🎨 Enhanced visualization config
     visualization: {
             showUserLabels: true,
@@ -89,16 +198,29 @@ export function initConnectMode() {
     initDataManager();
     initCursorSystem();
     initStarSystem();
+    setupSelectionEvents();
+    
+    // Render circles from other clients as soon as they arrive
+    onRemoteCircleAdded(handleRemoteCircle);
+    onRemoteCircleUpdated(handleRemoteCircleUpdated);
+    onRemoteCircleDeleted(handleRemoteCircleDeleted);
+    onRemoteBondAdded(handleRemoteBond);
+    onRemoteBondDeleted(handleRemoteBondDeleted);
+    onProfileChanged(handleProfileChanged);
+    onSignatureStatusChanged(handleSignatureChanges);
+    onCirclesArchived(handleCirclesArchived);
     
     console.log('🎨 Connect mode initialized with enhanced purple circle visualization');
 }
 
 /**
- * Start connect mode
+ * Start connect mode. Without hand tracking, circles are drawn with the
+ * mouse, a finger or a stylus only.
  */
-export function startConnectMode(userId = 'User1') {
+export function startConnectMode(userId = 'User1', { handTracking = true } = {}) {
     connectState.isActive = true;
     connectState.currentUserId = userId;
+    connectState.pointer.handTracking = handTracking;
     
     // Set current user in data manager
     setCurrentUser(userId);
@@ -125,7 +247,12 @@ export function startConnectMode(userId = 'User1') {
         }
     }, 1000);
     
-    updateStatus('🔗 Connect mode active! Point with index finger to draw circles 👉');
+    // Mouse, touch and stylus drawing work alongside the wand
+    setPointerInput(true);
+    
+    updateStatus(handTracking
+        ? '🔗 Connect mode active! Point with index finger to draw circles 👉'
+        : '🔗 Connect mode active! Draw circles with your mouse, finger or stylus ✏️');
     console.log('🔗 Connect mode started for user:', userId);
 }
 
@@ -134,6 +261,8 @@ export function startConnectMode(userId = 'User1') {
  */
 export function stopConnectMode() {
     connectState.isActive = false;
+    connectState.isReplaying = false;
+    connectState.loading.generation++; // Cancel a staggered load still in progress
     
     // Hide drawing overlay
     const overlay = document.getElementById('drawingOverlay');
@@ -144,10 +273,17 @@ export function stopConnectMode() {
     // Stop cursor tracking
     stopCursorTracking();
     
+    clearCircleSelection();
+    
     // Finish any active drawing
     if (connectState.isDrawing) {
         finishDrawing();
     }
+    setPointerInput(false);
+    closeIntentionPrompt();
+    clearIntentionLabels();
+    clearConstellations();
+    connectState.teaching = null;
     
     // Save final data
     const results = saveCirclesData();
@@ -244,7 +380,8 @@ function createFallbackCursor() {
  */
 function setupCursorEvents() {
     document.addEventListener('mousemove', (e) => {
-        if (connectState.cursor.isActive) {
+        // Without hand tracking the mouse draws, so its crosshair stays
+        if (connectState.cursor.isActive && connectState.pointer.handTracking) {
             document.body.style.cursor = 'none';
         }
     });
@@ -261,7 +398,8 @@ function setupCursorEvents() {
  */
 function startCursorTracking() {
     connectState.cursor.isActive = true;
-    document.body.style.cursor = 'none';
+    // The wand replaces the mouse cursor, unless the mouse is all there is
+    document.body.style.cursor = connectState.pointer.handTracking ? 'none' : 'crosshair';
     console.log('👆 Cursor tracking started');
 }
 
@@ -435,17 +573,20 @@ function initStarSystem() {
 
 
 /**
- * Create multiple PNG stars at intersection points
+ * Create a PNG star at every point of the given bonds.
+ * New bonds sparkle; bonds restored from storage appear quietly.
  */
-function createStarsAtIntersections(intersections) {
+function createStarsForBonds(bonds, { sparkle = true } = {}) {
     const createdStars = [];
     
-    intersections.forEach(intersection => {
-        intersection.points.forEach(point => {
+    bonds.forEach(bond => {
+        bond.points.forEach(point => {
             const star = createPNGStar(point.x, point.z, {
-                users: intersection.users,
-                circles: [intersection.circle1.id, intersection.circle2.id]
-            });
+                bondId: bond.id,
+                type: getBondType(bond),
+                users: bond.users,
+                circles: bond.circles
+            }, { sparkle });
             
             if (star) {
                 createdStars.push(star);
@@ -453,10 +594,22 @@ function createStarsAtIntersections(intersections) {
         });
     });
     
-    console.log(`⭐ Created ${createdStars.length} PNG stars at intersections`);
+    console.log(`⭐ Created ${createdStars.length} PNG stars for ${bonds.length} bonds`);
     return createdStars;
 }
 
+/**
+ * Show the stars of every stored bond (when connect mode starts)
+ */
+function restoreBondStars() {
+    clearAllStars();
+    
+    const bonds = getAllBonds();
+    if (bonds.length > 0) {
+        createStarsForBonds(bonds, { sparkle: false });
+    }
+}
+
 /**
  * Add sparkle effect when star is created
  */
@@ -544,7 +697,7 @@ function addSparkleEffect(x, z) {
 /**
  * Create PNG star using mesh for Y-axis rotation
  */
-function createPNGStar(x, z, intersectionData = {}) {
+function createPNGStar(x, z, intersectionData = {}, { sparkle = true } = {}) {
     if (typeof THREE === 'undefined') {
         console.error('THREE.js not available for star creation');
         return null;
@@ -553,9 +706,11 @@ function createPNGStar(x, z, intersectionData = {}) {
     // 🎯 USE MESH for Y-axis rotation control
     const textureLoader = new THREE.TextureLoader();
     
+    const tint = getStarTint(intersectionData.users);
+    
     const geometry = new THREE.PlaneGeometry(1, 1);
     const material = new THREE.MeshBasicMaterial({
-        color: 0xFFD700,
+        color: tint,
         transparent: true,
         opacity: 0.9,
         side: THREE.DoubleSide // Important for Y-axis rotation visibility
@@ -564,6 +719,9 @@ function createPNGStar(x, z, intersectionData = {}) {
     const starMesh = new THREE.Mesh(geometry, material);
     starMesh.position.set(x, connectState.stars.config.height, z);
     
+    const bondType = intersectionData.type || BOND_TYPES.intersection;
+    const typeStyle = connectState.stars.config.types[bondType] || connectState.stars.config.types.intersection;
+    
     // Add metadata
     starMesh.userData = {
         type: 'star',
@@ -572,8 +730,10 @@ function createPNGStar(x, z, intersectionData = {}) {
         intersectionData: intersectionData,
         animationOffset: Math.random() * Math.PI * 2,
         baseY: connectState.stars.config.height,
+        baseScale: typeStyle.scale,
         pulsePhase: Math.random() * Math.PI * 2
     };
+    addBondTypeMark(starMesh, typeStyle, tint);
     
     // Load PNG
     textureLoader.load(
@@ -581,7 +741,6 @@ function createPNGStar(x, z, intersectionData = {}) {
         (texture) => {
             console.log('✅ PNG loaded for Y-axis rotation');
             material.map = texture;
-            material.color.setHex(0xffffff);
             material.needsUpdate = true;
         },
         undefined,
@@ -592,8 +751,9 @@ function createPNGStar(x, z, intersectionData = {}) {
     
     scene.add(starMesh);
     connectState.stars.list.push(starMesh);
+    updateStarSignature(starMesh);
     
-    if (connectState.stars.config.effects.sparkle) {
+    if (sparkle && connectState.stars.config.effects.sparkle) {
         addSparkleEffect(x, z);
     }
     
@@ -601,6 +761,62 @@ function createPNGStar(x, z, intersectionData = {}) {
     return starMesh;
 }
 
+/**
+ * "2 intersections, 1 containment" for a status message
+ */
+function describeBondTypes(bonds) {
+    const counts = {};
+    bonds.forEach(bond => {
+        const type = getBondType(bond);
+        counts[type] = (counts[type] || 0) + 1;
+    });
+    return Object.entries(counts)
+        .map(([type, count]) => {
+            const style = connectState.stars.config.types[type];
+            const names = style ? style.names : [type, type];
+            return `${count} ${count === 1 ? names[0] : names[1]}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Decorate a star for its bond type: a ring around it for containment, two
+ * touching dots for tangency. The marks are children, so they tumble with it.
+ */
+function addBondTypeMark(starMesh, typeStyle, tint) {
+    if (typeStyle.halo) {
+        const halo = new THREE.Mesh(
+            new THREE.RingGeometry(0.62, 0.7, 48),
+            new THREE.MeshBasicMaterial({ color: tint, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+        );
+        halo.userData = { type: 'bondMark' };
+        starMesh.add(halo);
+    }
+    
+    if (typeStyle.touching) {
+        [-1, 1].forEach(side => {
+            const dot = new THREE.Mesh(
+                new THREE.CircleGeometry(0.16, 24),
+                new THREE.MeshBasicMaterial({ color: tint, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+            );
+            dot.position.x = side * 0.55;
+            dot.userData = { type: 'bondMark' };
+            starMesh.add(dot);
+        });
+    }
+}
+
+/**
+ * A star takes the colors of the users it joins, blended half and half.
+ * Stars without users stay golden.
+ */
+function getStarTint(users = []) {
+    if (users.length === 0) return '#ffd700';
+    if (users.length === 1) return getUserColor(users[0]);
+    
+    return mixColors(getUserColor(users[0]), getUserColor(users[1]));
+}
+
 /**
  * Update stars with Y-axis rotation
  */
@@ -625,7 +841,7 @@ function updateStars() {
         
         // Pulsing scale animation
         const pulseScale = 1 + Math.sin(time * connectState.stars.config.animation.pulseSpeed + pulsePhase) * 0.2;
-        star.scale.setScalar(pulseScale);
+        star.scale.setScalar(pulseScale * (star.userData.baseScale || 1));
         
         // Animate glow effects
         const glowChild = star.children.find(child => child.userData.type === 'glow');
@@ -640,25 +856,69 @@ function updateStars() {
  * Clear all stars
  */
 function clearAllStars() {
+    connectState.stars.list.forEach(disposeStar);
+    
+    connectState.stars.list = [];
+    console.log('⭐ All PNG stars cleared');
+}
+
+/**
+ * Remove the stars that mark intersections with a given circle
+ */
+function removeStarsForCircle(circleId) {
+    const remaining = [];
+    let removed = 0;
+    
     connectState.stars.list.forEach(star => {
-        scene.remove(star);
-        
-        // Clean up materials and textures
-        if (star.material) {
-            if (star.material.map) star.material.map.dispose();
-            star.material.dispose();
+        const circles = star.userData.intersectionData?.circles || [];
+        if (circles.includes(circleId)) {
+            disposeStar(star);
+            removed++;
+        } else {
+            remaining.push(star);
         }
-        if (star.geometry) star.geometry.dispose();
-        
-        // Clean up children (glow effects)
-        star.children.forEach(child => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
-        });
     });
     
-    connectState.stars.list = [];
-    console.log('⭐ All PNG stars cleared');
+    connectState.stars.list = remaining;
+    return removed;
+}
+
+/**
+ * Remove the stars of a single bond
+ */
+function removeStarsForBond(bondId) {
+    const remaining = [];
+    
+    connectState.stars.list.forEach(star => {
+        if (star.userData.intersectionData?.bondId === bondId) {
+            disposeStar(star);
+        } else {
+            remaining.push(star);
+        }
+    });
+    
+    connectState.stars.list = remaining;
+}
+
+/**
+ * Remove a star from the scene and free its GPU resources
+ */
+function disposeStar(star) {
+    scene.remove(star);
+    hideBondIntentions(star.userData.intersectionData?.bondId);
+    
+    // Clean up materials and textures
+    if (star.material) {
+        if (star.material.map) star.material.map.dispose();
+        star.material.dispose();
+    }
+    if (star.geometry) star.geometry.dispose();
+    
+    // Clean up children (glow effects)
+    star.children.forEach(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
 }
 
 
@@ -733,12 +993,13 @@ function toggleGlowEffects() {
 /**
  * Highlight circles from specific user
  */
-function highlightUserCircles(userId) {
+export function highlightUserCircles(userId) {
     scene.traverse(child => {
         if (child.userData.type === 'circle') {
             if (child.userData.userId === userId) {
                 // Highlight this user's circles
-                child.material.opacity = 1.0;
+                child.userData.baseOpacity = 1.0;
+                applyCircleFade(child);
                 child.scale.setScalar(1.2);
                 
                 // Add highlight glow
@@ -748,7 +1009,8 @@ function highlightUserCircles(userId) {
                 }
             } else {
                 // Dim other circles
-                child.material.opacity = 0.3;
+                child.userData.baseOpacity = 0.3;
+                applyCircleFade(child);
                 child.scale.setScalar(0.8);
                 
                 // Remove highlight if exists
@@ -768,9 +1030,10 @@ function highlightUserCircles(userId) {
  * Add highlight effect to a circle
  */
 function addHighlightEffect(circle) {
+    const { innerRadius, outerRadius } = getRingRadii(circle.userData.circleData);
     const highlightGeometry = new THREE.RingGeometry(
-        circle.geometry.parameters.innerRadius * 0.5,
-        circle.geometry.parameters.outerRadius * 1.5,
+        innerRadius * 0.5,
+        outerRadius * 1.5,
         32
     );
     
@@ -796,11 +1059,8 @@ function addHighlightEffect(circle) {
 function resetCircleHighlighting() {
     scene.traverse(child => {
         if (child.userData.type === 'circle') {
-            if (child.userData.isExisting) {
-                child.material.opacity = 0.7;
-            } else {
-                child.material.opacity = 0.7; // User's own circles
-            }
+            delete child.userData.baseOpacity;
+            applyCircleFade(child);
             child.scale.setScalar(1.0);
             
             // Remove highlight effects
@@ -855,6 +1115,8 @@ function setupDrawingCanvas() {
     
     // Handle window resize
     window.addEventListener('resize', resizeDrawingCanvas);
+    
+    setupPointerDrawing(canvas);
 }
 
 
@@ -914,6 +1176,9 @@ export function processConnectHandResults(results) {
         updateCursorPosition(indexTip.x, indexTip.y, results.pointingGesture.isPointing);
     }
     
+    // A mouse, finger or stylus is drawing - the hand waits its turn
+    if (connectState.pointer.pointerId !== null) return;
+    
     // Check for pointing gesture
     if (results.pointingGesture && results.pointingGesture.isPointing) {
         const indexTip = results.pointingGesture.indexTip;
@@ -923,34 +1188,153 @@ export function processConnectHandResults(results) {
         const screenX = mirroredX* window.innerWidth;
         const screenY = indexTip.y * window.innerHeight;
         
+        // Hovering still over a circle selects it instead of drawing
+        if (updateHoverSelection(screenX, screenY) || connectState.selection.suppressDrawing) {
+            updateIntentionHover(screenX, screenY);
+            return;
+        }
+        
         addDrawingPoint(screenX, screenY);
+        updateIntentionHover(screenX, screenY);
     } else {
         // No pointing gesture - finish current drawing
+        connectState.selection.hover = null;
+        connectState.selection.suppressDrawing = false;
+        finishDrawing();
+        
+        // The wand still floats over the rings
+        if (results.pointingGesture) {
+            const indexTip = results.pointingGesture.indexTip;
+            updateIntentionHover((1.0 - indexTip.x) * window.innerWidth, indexTip.y * window.innerHeight);
+        }
+    }
+}
+
+// ============================================================================
+// POINTER DRAWING
+// ============================================================================
+
+/**
+ * Mouse, touch and stylus strokes on the drawing canvas go through the same
+ * addDrawingPoint / finishDrawing pipeline as the wand. A press that does
+ * not move is a tap and selects one of your circles, like a click.
+ */
+function setupPointerDrawing(canvas) {
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerCancel);
+}
+
+/**
+ * Let the canvas take pointer input (it lets everything through otherwise)
+ */
+function setPointerInput(enabled) {
+    const canvas = connectState.drawingCanvas;
+    if (!canvas) return;
+    
+    canvas.style.pointerEvents = enabled ? 'auto' : 'none';
+    canvas.style.touchAction = enabled ? 'none' : ''; // Touch strokes must not scroll or zoom the page
+    
+    if (!enabled) {
+        connectState.pointer.pointerId = null;
+        connectState.pointer.down = null;
+    }
+}
+
+function handlePointerDown(e) {
+    const pointer = connectState.pointer;
+    if (!connectState.isActive || connectState.isReplaying || pointer.pointerId !== null) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    
+    // A stroke the wand started keeps going
+    if (connectState.isDrawing) return;
+    
+    e.preventDefault();
+    connectState.drawingCanvas.setPointerCapture(e.pointerId);
+    pointer.pointerId = e.pointerId;
+    pointer.down = { x: e.clientX, y: e.clientY, pressure: getPointerPressure(e) };
+}
+
+function handlePointerMove(e) {
+    const pointer = connectState.pointer;
+    if (e.pointerId !== pointer.pointerId) return;
+    
+    // The stroke starts once the press moves, so a tap stays a tap
+    if (!connectState.isDrawing) {
+        const moved = Math.hypot(e.clientX - pointer.down.x, e.clientY - pointer.down.y);
+        if (moved <= pointer.config.tapTolerance) return;
+        addDrawingPoint(pointer.down.x, pointer.down.y, pointer.down.pressure);
+    }
+    
+    // A stylus reports more samples than there are frames - keep them all
+    const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    (samples.length > 0 ? samples : [e]).forEach(sample => {
+        addDrawingPoint(sample.clientX, sample.clientY, getPointerPressure(sample));
+    });
+}
+
+function handlePointerUp(e) {
+    const pointer = connectState.pointer;
+    if (e.pointerId !== pointer.pointerId) return;
+    
+    pointer.pointerId = null;
+    pointer.down = null;
+    
+    if (connectState.isDrawing) {
         finishDrawing();
+        return;
+    }
+    
+    const circle = findSelectableCircleAt(e.clientX, e.clientY);
+    if (circle) {
+        selectCircle(circle.id);
+    } else {
+        clearCircleSelection();
     }
 }
 
+function handlePointerCancel(e) {
+    const pointer = connectState.pointer;
+    if (e.pointerId !== pointer.pointerId) return;
+    
+    pointer.pointerId = null;
+    pointer.down = null;
+    cancelDrawing();
+}
+
+/**
+ * Pressure only means something for a stylus; mice and most touch screens
+ * report a fixed value
+ */
+function getPointerPressure(e) {
+    return e.pointerType === 'pen' ? e.pressure : undefined;
+}
+
 // ============================================================================
 // DRAWING MECHANICS
 // ============================================================================
 
 /**
- * Add a point to the current drawing
+ * Add a point to the current drawing. `pressure` (0-1) comes from a stylus
+ * and sets how wide the stroke is drawn.
  */
-function addDrawingPoint(x, y) {
+function addDrawingPoint(x, y, pressure) {
+    if (connectState.isReplaying) return;
+    
     if (!connectState.isDrawing) {
-        startDrawing(x, y);
+        startDrawing(x, y, pressure);
     } else {
-        continueDrawing(x, y);
+        continueDrawing(x, y, pressure);
     }
 }
 
 /**
  * Start a new drawing stroke
  */
-function startDrawing(x, y) {
+function startDrawing(x, y, pressure) {
     connectState.isDrawing = true;
-    connectState.currentPath = [{ x, y, timestamp: Date.now() }];
+    connectState.currentPath = [createPathPoint(x, y, pressure)];
     
     const ctx = connectState.drawingCtx;
     ctx.beginPath();
@@ -969,16 +1353,29 @@ function startDrawing(x, y) {
 /**
  * Continue current drawing stroke
  */
-function continueDrawing(x, y) {
+function continueDrawing(x, y, pressure) {
     if (!connectState.isDrawing) return;
     
     // Add point to path
-    connectState.currentPath.push({ x, y, timestamp: Date.now() });
+    const previous = connectState.currentPath[connectState.currentPath.length - 1];
+    connectState.currentPath.push(createPathPoint(x, y, pressure));
     
     // Update 2D canvas
     const ctx = connectState.drawingCtx;
-    ctx.lineTo(x, y);
-    ctx.stroke();
+    if (pressure !== undefined) {
+        // A stylus draws each segment as wide as it is pressed
+        const width = connectState.pointer.config.lineWidth;
+        ctx.save();
+        ctx.lineWidth = width.min + (width.max - width.min) * pressure;
+        ctx.beginPath();
+        ctx.moveTo(previous.x, previous.y);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        ctx.restore();
+    } else {
+        ctx.lineTo(x, y);
+        ctx.stroke();
+    }
     
     // Update 3D drawing line in real-time
     if (connectState.activeDrawingLines.length > 0) {
@@ -987,6 +1384,10 @@ function continueDrawing(x, y) {
     }
 }
 
+function createPathPoint(x, y, pressure) {
+    return pressure !== undefined ? { x, y, pressure, timestamp: Date.now() } : { x, y, timestamp: Date.now() };
+}
+
 /**
  * Create a new yellow 3D line for drawing
  */
@@ -1007,10 +1408,10 @@ function createNewDrawingLine() {
 function updateDrawingLine(line, path) {
     if (path.length < 2) return;
     
-    // Convert screen coordinates to 3D world coordinates
+    // Project through the camera onto the plane the ring will appear on
     const points = [];
     path.forEach(point => {
-        const worldCoords = screenTo3D(point.x, point.y, window.innerWidth, window.innerHeight);
+        const worldCoords = screenTo3D(point.x, point.y, connectState.ringHeight);
         points.push(new THREE.Vector3(worldCoords.x, worldCoords.y, worldCoords.z));
     });
     
@@ -1046,30 +1447,55 @@ function finishDrawing() {
         return;
     }
     
-    // Attempt circle detection
-    const circle = detectCircle(connectState.currentPath);
+    if (connectState.teaching) {
+        teachSymbolExample(connectState.currentPath);
+        setTimeout(clearDrawingCanvas, 1500);
+        return;
+    }
+    
+    // Recognize the stroke as a circle or another symbol
+    const circle = detectSymbol(connectState.currentPath);
     
-    if (circle) {
+    if (circle && circle.quality !== undefined && circle.quality < connectState.circleDetectionThreshold) {
+        // Recognized as a circle, but too angular or too open to keep
+        const hint = circle.fit.closure < circle.fit.circularity ? 'close the loop' : 'keep it round';
+        updateStatus(`⭕ Not quite a circle (${Math.round(circle.quality * 100)}% round) - ${hint} and try again!`);
+        
+    } else if (circle) {
         // Valid circle detected - add to data manager and 3D scene
         const savedCircle = addCircleData(circle);
         addCircleTo3D(savedCircle);
         
-        // Find intersections with existing circles
-        const intersections = findCircleIntersections(savedCircle);
+        // Find intersections with existing circles and keep them as bonds
+        const bonds = recordBonds(findCircleIntersections(savedCircle));
         
         // Create PNG stars at intersection points
-        if (intersections.length > 0) {
-            createStarsAtIntersections(intersections);
-            updateStatus(`⭐ Circle added! Found ${intersections.length} intersections`);
+        const symbol = getSymbol(getCircleSymbol(savedCircle));
+        const drawn = symbol.id === DEFAULT_SYMBOL ? 'Circle' : `${symbol.glyph} ${symbol.label}`;
+        if (bonds.length > 0) {
+            createStarsForBonds(bonds);
+            updateStatus(`⭐ ${drawn} added! Found ${bonds.length} ${bonds.length === 1 ? 'bond' : 'bonds'}: ${describeBondTypes(bonds)}`);
+        } else if (symbol.id === DEFAULT_SYMBOL) {
+            updateStatus(`⭕ Circle detected and added - ${Math.round(savedCircle.quality * 100)}% round!`);
         } else {
-            updateStatus('⭕ Circle detected and added!');
+            updateStatus(`${drawn} added - ${symbol.meaning}`);
         }
         
+        if (savedCircle.quality !== undefined) {
+            showFitFeedback(savedCircle);
+        }
+        
+        // Let an accidental scribble be taken back with Ctrl+Z
+        recordCommand(createAddCommand(savedCircle, bonds));
+        
         // Update stats
         updateStats();
         
+        promptForIntention(savedCircle, bonds);
+        
     } else {
-        updateStatus('🔄 Shape not recognized as circle. Try drawing a more circular shape!');
+        const names = listSymbols().map(known => known.label.toLowerCase());
+        updateStatus(`🔄 Shape not recognized. Try a ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}!`);
     }
     
     // Clear drawing canvas after a delay
@@ -1081,6 +1507,25 @@ function finishDrawing() {
     }, 1500);
 }
 
+/**
+ * Drop the current stroke without trying to detect a circle
+ */
+function cancelDrawing() {
+    if (!connectState.isDrawing) return;
+    
+    connectState.isDrawing = false;
+    connectState.currentPath = [];
+    
+    if (connectState.activeDrawingLines.length > 0) {
+        const currentLine = connectState.activeDrawingLines.pop();
+        scene.remove(currentLine);
+        currentLine.geometry.dispose();
+        currentLine.material.dispose();
+    }
+    
+    clearDrawingCanvas();
+}
+
 /**
  * Smooth drawing path using moving average
  */
@@ -1159,67 +1604,153 @@ function detectCircle(path) {
 }
     */
 
-function detectCircle(path) {
+/**
+ * Recognize the stroke as one of the symbols (see symbols.js) and place the
+ * circle that holds it on the floor. Circles carry their fit `quality` and
+ * the `fit` scores behind it. Returns null for unrecognized strokes.
+ */
+function detectSymbol(path) {
     if (path.length < 3) return null;
     
-    // 🎯 IMPROVED: Use bounding box for better size differentiation
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    path.forEach(point => {
-        minX = Math.min(minX, point.x);
-        maxX = Math.max(maxX, point.x);
-        minY = Math.min(minY, point.y);
-        maxY = Math.max(maxY, point.y);
-    });
+    // Recognize and fit on the floor, so the ring lands where the stroke was seen
+    const match = recognizeSymbol(strokeOnFloor(path));
+    if (!match) return null;
     
-     const centerX = (minX + maxX) / 2;
-    const centerY = (minY + maxY) / 2;
-    const screenRadius = Math.max(maxX - minX, maxY - minY) / 2;
+    return {
+        x: match.center.x,
+        z: match.center.y,
+        radius: Math.max(0.1, Math.min(match.radius, 5)),
+        symbol: match.symbol,
+        ...(match.fit ? { quality: match.fit.quality, fit: match.fit } : {}),
+        userId: connectState.currentUserId,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Float how round a new circle came out above it for a moment
+ */
+function showFitFeedback(circle) {
+    hideFitFeedback();
     
-    // Use your existing screenTo3D function
-    const originalWorld = screenTo3D(centerX, centerY, window.innerWidth, window.innerHeight);
+    const config = connectState.fitFeedback.config;
+    const label = createIntentionLabel('', getUserColor(circle.userId), { caption: `⭕ ${Math.round(circle.quality * 100)}% round` });
+    label.position.set(circle.x, config.height, circle.z);
+    scene.add(label);
     
-    // 🎯 SPREAD THEM OUT: Multiply coordinates by spread factor
-    const spreadFactor = 2.0;  // 3x wider distribution!
+    connectState.fitFeedback.label = label;
+    connectState.fitFeedback.timer = setTimeout(hideFitFeedback, config.duration);
+}
+
+function hideFitFeedback() {
+    const feedback = connectState.fitFeedback;
+    clearTimeout(feedback.timer);
+    if (feedback.label) {
+        disposeIntentionLabel(feedback.label);
+    }
+    feedback.label = null;
+    feedback.timer = null;
+}
+
+// ============================================================================
+// SYMBOL TEACHING
+// ============================================================================
+
+/**
+ * Turn the next strokes into examples of a custom symbol instead of drawing
+ * them. More examples make the symbol easier to recognize. Returns false
+ * outside connect mode.
+ */
+export function startSymbolTeaching(name, { meaning = '', examples = 3 } = {}) {
+    if (!connectState.isActive || connectState.isReplaying) {
+        updateStatus('✍️ Start connect mode to teach a symbol');
+        return false;
+    }
     
-    const worldX = originalWorld.x * spreadFactor;
-    const worldZ = originalWorld.z * spreadFactor;
+    connectState.teaching = { name, meaning, remaining: examples, taught: 0 };
+    cancelDrawing();
+    updateStatus(`✍️ Draw "${name}" ${examples} times to teach it`);
+    return true;
+}
+
+/**
+ * Stop teaching; strokes draw symbols again
+ */
+export function stopSymbolTeaching() {
+    const teaching = connectState.teaching;
+    if (!teaching) return;
+    
+    connectState.teaching = null;
+    updateStatus(teaching.taught > 0
+        ? `✍️ ${teaching.name} learned from ${teaching.taught} examples`
+        : '✍️ Teaching cancelled');
+}
+
+export function getSymbolTeaching() {
+    return connectState.teaching ? { ...connectState.teaching } : null;
+}
+
+/**
+ * Keep a finished stroke as an example of the symbol being taught
+ */
+function teachSymbolExample(path) {
+    const teaching = connectState.teaching;
+    
+    try {
+        addSymbolExample(teaching.name, strokeOnFloor(path), { meaning: teaching.meaning });
+    } catch (error) {
+        updateStatus(`❌ ${error.message}`);
+        connectState.teaching = null;
+        return;
+    }
     
-    // Calculate radius with the new spread
-    const originalEdge = screenTo3D(centerX + screenRadius, centerY, window.innerWidth, window.innerHeight);
-    const worldRadius = Math.sqrt(
-        Math.pow(originalEdge.x * spreadFactor - worldX, 2) + 
-        Math.pow(originalEdge.z * spreadFactor - worldZ, 2)
-    );
+    teaching.taught++;
+    teaching.remaining--;
     
-    const finalRadius = Math.max(0.1, Math.min(worldRadius, 5));
+    if (teaching.remaining > 0) {
+        updateStatus(`✍️ Example ${teaching.taught} saved - draw "${teaching.name}" ${teaching.remaining} more ${teaching.remaining === 1 ? 'time' : 'times'}`);
+    } else {
+        stopSymbolTeaching();
+    }
+}
+
+/**
+ * Map a screen point through the camera onto the plane at `height` (by
+ * default the one drawn rings are placed on)
+ */
+function screenToFloor(screenX, screenY, height = connectState.ringHeight) {
+    const world = screenTo3D(screenX, screenY, height);
     
     return {
-        x: worldX,
-        z: worldZ,
-        radius: finalRadius,
-        userId: connectState.currentUserId,
-        timestamp: new Date().toISOString()
+        x: world.x,
+        z: world.z
     };
 }
 
-
-
+/**
+ * The smoothed stroke as it lies on the ring plane, as { x, y } points with
+ * y along the floor's z (screen-down points toward the camera, as in the
+ * symbol outlines)
+ */
+function strokeOnFloor(path) {
+    return smoothPath(path).map(point => {
+        const floor = screenToFloor(point.x, point.y);
+        return { x: floor.x, y: floor.z };
+    });
+}
 
 // ============================================================================
 // 3D CIRCLE MANAGEMENT
 // ============================================================================
 
 /**
- * Add detected circle to 3D scene as YELLOW ring (user's circle)
+ * Add detected circle to 3D scene as a raised ring in the user's color
  */
 function addCircleTo3D(circleData) {
-    // Create ring geometry for yellow circle (user's own circle)
-    const innerRadius = Math.max(0.1, circleData.radius - 0.1);
-    const outerRadius = circleData.radius + 0.1;
-    
-    const geometry = new THREE.RingGeometry(innerRadius, outerRadius, 32);
+    // Create ring geometry for the user's own circle
+    const geometry = createRingGeometry(circleData);
     const material = new THREE.MeshBasicMaterial({
-        color: 0xffeb3b, // Yellow for current user
+        color: getUserColor(circleData.userId),
         transparent: true,
         opacity: 0.7,
         side: THREE.DoubleSide
@@ -1227,7 +1758,7 @@ function addCircleTo3D(circleData) {
     
     const ring = new THREE.Mesh(geometry, material);
     ring.rotation.x = -Math.PI / 2; // Lay flat on floor
-    ring.position.set(circleData.x, 2, circleData.z);
+    ring.position.set(circleData.x, connectState.ringHeight, circleData.z);
     
     // Add metadata
     ring.userData = {
@@ -1236,50 +1767,549 @@ function addCircleTo3D(circleData) {
         circleId: circleData.id,
         circleData: circleData
     };
+    applyCircleFade(ring);
     
     // Add to scene
     ring.castShadow = true;
     ring.receiveShadow = true;
     scene.add(ring);
+    updateSignatureFlag(ring);
     
-    console.log('🟡 Yellow circle added to 3D scene for current user:', circleData);
+    console.log('🟡 Circle added to 3D scene for current user:', circleData);
 }
 
-// ============================================================================
-// UTILITY AND ANIMATION
-// ============================================================================
-
 /**
- * Update connect mode animations (called from main loop)
+ * Flat geometry for a circle's ring, before it is laid on the floor: a ring
+ * for plain circles, a band along the outline of any other symbol. Symbols
+ * this space does not know are drawn as plain rings.
  */
-export function updateConnectMode() {
-    // Update star animations
-    updateStars();
+function createRingGeometry(circleData, halfWidth = 0.1) {
+    const outline = getSymbolOutline(getCircleSymbol(circleData));
+    if (!outline) {
+        const { innerRadius, outerRadius } = getRingRadii(circleData, halfWidth);
+        return new THREE.RingGeometry(innerRadius, outerRadius, 32);
+    }
     
-    // 🎨 Update circle animations
-    updateExistingCircleAnimations();
+    // Screen y points down, which is toward +z on the floor: after the ring is
+    // rotated flat, +z is -y in its own plane
+    const points = outline.points.map(point => ({ x: point.x * circleData.radius, y: -point.y * circleData.radius }));
+    const count = points.length;
+    const positions = [];
+    const indices = [];
+    
+    points.forEach((point, i) => {
+        const previous = points[outline.closed ? (i - 1 + count) % count : Math.max(0, i - 1)];
+        const next = points[outline.closed ? (i + 1) % count : Math.min(count - 1, i + 1)];
+        const length = Math.hypot(next.x - previous.x, next.y - previous.y) || 1;
+        const nx = -(next.y - previous.y) / length * halfWidth;
+        const ny = (next.x - previous.x) / length * halfWidth;
+        positions.push(point.x + nx, point.y + ny, 0, point.x - nx, point.y - ny, 0);
+    });
+    
+    const segments = outline.closed ? count : count - 1;
+    for (let i = 0; i < segments; i++) {
+        const a = i * 2;
+        const b = ((i + 1) % count) * 2;
+        indices.push(a, a + 1, b, b, a + 1, b + 1);
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    return geometry;
 }
 
 /**
- * Update statistics display
+ * Inner and outer radius of the ring around a circle (symbols are held
+ * inside the same ring, see symbols.js)
  */
-function updateStats() {
-    // This would update the UI stats - can be called from main.js
-    console.log('📊 Stats updated - circles and intersections');
+function getRingRadii(circleData, halfWidth = 0.1) {
+    return {
+        innerRadius: Math.max(0.1, circleData.radius - halfWidth),
+        outerRadius: circleData.radius + halfWidth
+    };
 }
 
 /**
- * Save circles data and return results
+ * Remove a circle's ring and its intersection stars from the scene
  */
-function saveCirclesData() {
-    // Data is automatically saved by datamanager
-    const results = {
-        totalCircles: Object.keys(connectState.userCircles).length,
-        userCircles: connectState.userCircles[connectState.currentUserId]?.length || 0,
-        currentUser: connectState.currentUserId,
-        totalStars: connectState.stars.list.length
-    };
-    
+function removeCircleFromScene(circleId) {
+    const toRemove = [];
+    scene.traverse(child => {
+        if (child.userData.type === 'circle' && child.userData.circleId === circleId) {
+            toRemove.push(child);
+        }
+    });
+    
+    toRemove.forEach(disposeRing);
+    
+    if (connectState.intentions.hoverCircleId === circleId) {
+        hideIntentionHover();
+    }
+    removeStarsForCircle(circleId);
+    refreshSelection();
+}
+
+/**
+ * Remove a ring from the scene and free its GPU resources
+ */
+function disposeRing(ring) {
+    scene.remove(ring);
+    ring.geometry.dispose();
+    ring.material.dispose();
+    ring.children.forEach(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+}
+
+/**
+ * Draw a circle's ring and the stars of its stored bonds
+ */
+function showCircleInScene(circleData) {
+    if (!connectState.isActive || connectState.isReplaying) return;
+    
+    if (circleData.userId === connectState.currentUserId) {
+        addCircleTo3D(circleData);
+    } else {
+        addExistingCircleTo3D(circleData);
+    }
+    
+    removeStarsForCircle(circleData.id);
+    createStarsForBonds(getBondsForCircle(circleData.id), { sparkle: false });
+    refreshSelection();
+}
+
+// ============================================================================
+// CIRCLE SELECTION
+// ============================================================================
+
+/**
+ * Clicking a circle with the mouse selects it
+ */
+function setupSelectionEvents() {
+    // The mouse reveals intentions like the wand does (over the drawing canvas too)
+    document.addEventListener('mousemove', (e) => {
+        if (!connectState.isActive) return;
+        if (!e.target.closest || !e.target.closest('#threeContainer, #drawingCanvas')) {
+            hideIntentionHover();
+            return;
+        }
+        updateIntentionHover(e.clientX, e.clientY);
+    });
+    
+    document.addEventListener('click', (e) => {
+        if (!connectState.isActive || connectState.isReplaying) return;
+        if (!e.target.closest || !e.target.closest('#threeContainer')) return;
+        
+        const circle = findSelectableCircleAt(e.clientX, e.clientY);
+        if (circle) {
+            selectCircle(circle.id);
+        } else {
+            clearCircleSelection();
+        }
+    });
+}
+
+/**
+ * The current user's circle under a screen point, or null
+ */
+function findSelectableCircleAt(screenX, screenY) {
+    return findCircleAt(screenX, screenY, connectState.currentUserId);
+}
+
+/**
+ * The circle under a screen point (only `userId`'s when given), or null.
+ * The circle whose outline is closest wins, so nested circles stay selectable.
+ */
+function findCircleAt(screenX, screenY, userId = null) {
+    const tolerance = connectState.selection.config.hitTolerance;
+    const pointsByHeight = new Map(); // Rings float at different heights
+    let best = null;
+    let bestGap = Infinity;
+    
+    scene.traverse(child => {
+        if (child.userData.type !== 'circle' || (userId && child.userData.userId !== userId)) return;
+        
+        if (!pointsByHeight.has(child.position.y)) {
+            pointsByHeight.set(child.position.y, screenToFloor(screenX, screenY, child.position.y));
+        }
+        const point = pointsByHeight.get(child.position.y);
+        const circle = child.userData.circleData;
+        const distance = Math.hypot(point.x - circle.x, point.z - circle.z);
+        if (distance > circle.radius + tolerance) return;
+        
+        const gap = Math.abs(distance - circle.radius);
+        if (gap < bestGap) {
+            best = circle;
+            bestGap = gap;
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Track the wand holding still; select the circle under it once it has been
+ * held for holdDuration. Returns true when a circle was just selected.
+ */
+function updateHoverSelection(screenX, screenY) {
+    if (connectState.isReplaying) return false;
+    
+    const selection = connectState.selection;
+    const now = Date.now();
+    const hover = selection.hover;
+    
+    if (!hover || Math.hypot(screenX - hover.x, screenY - hover.y) > selection.config.holdTolerance) {
+        const circle = findSelectableCircleAt(screenX, screenY);
+        selection.hover = { x: screenX, y: screenY, startTime: now, circleId: circle ? circle.id : null };
+        return false;
+    }
+    
+    if (!hover.circleId || hover.circleId === selection.circleId || now - hover.startTime < selection.config.holdDuration) {
+        return false;
+    }
+    
+    // The hold was a selection, not the start of a stroke
+    selection.hover = null;
+    selection.suppressDrawing = true;
+    cancelDrawing();
+    selectCircle(hover.circleId);
+    return true;
+}
+
+/**
+ * Select one of the current user's circles and open the editor for it
+ */
+export function selectCircle(circleId) {
+    const circle = getCircleById(circleId);
+    if (!circle || circle.userId !== connectState.currentUserId) {
+        updateStatus('⚠️ Only your own circles can be selected');
+        return null;
+    }
+    
+    setSelectionHighlight(false);
+    connectState.selection.circleId = circleId;
+    setSelectionHighlight(true);
+    
+    showCircleEditor(circle, {
+        onApply: changes => editSelectedCircle(changes),
+        onDelete: () => deleteSelectedCircle(),
+        onClose: () => clearCircleSelection()
+    });
+    setCircleEditorNote(describeSignature(circleId));
+    
+    updateStatus('🎯 Circle selected - adjust it or press Delete to remove it');
+    return circle;
+}
+
+/**
+ * Deselect the current circle. Returns true if one was selected.
+ */
+export function clearCircleSelection() {
+    if (!connectState.selection.circleId) return false;
+    
+    setSelectionHighlight(false);
+    connectState.selection.circleId = null;
+    hideCircleEditor();
+    return true;
+}
+
+/**
+ * The selected circle record, or null
+ */
+export function getSelectedCircle() {
+    const circleId = connectState.selection.circleId;
+    return circleId ? getCircleById(circleId) : null;
+}
+
+/**
+ * Delete the selected circle (its stars go with it)
+ */
+export function deleteSelectedCircle() {
+    const circleId = connectState.selection.circleId;
+    if (!circleId) return null;
+    
+    clearCircleSelection();
+    return deleteCircle(circleId);
+}
+
+/**
+ * Move or resize the selected circle and keep it selected
+ */
+function editSelectedCircle(changes) {
+    const circleId = connectState.selection.circleId;
+    if (!circleId) return null;
+    
+    const updated = editCircle(circleId, changes);
+    if (!updated) {
+        clearCircleSelection();
+    }
+    return updated;
+}
+
+/**
+ * Keep the highlight and editor in step after the selected circle was redrawn
+ * (edit, undo/redo, sync), and drop the selection once the circle is gone
+ */
+function refreshSelection() {
+    const circleId = connectState.selection.circleId;
+    if (!circleId) return;
+    
+    const circle = getCircleById(circleId);
+    if (!circle || circle.archivedAt) {
+        clearCircleSelection();
+        return;
+    }
+    
+    setSelectionHighlight(true);
+    updateCircleEditor(circle);
+}
+
+/**
+ * Show or remove the highlight on the selected circle's ring
+ */
+function setSelectionHighlight(isSelected) {
+    const circleId = connectState.selection.circleId;
+    if (!circleId) return;
+    
+    scene.traverse(child => {
+        if (child.userData.type !== 'circle' || child.userData.circleId !== circleId) return;
+        
+        const highlight = child.children.find(c => c.userData.type === 'highlight');
+        if (isSelected && !highlight) {
+            addHighlightEffect(child);
+        } else if (!isSelected && highlight) {
+            child.remove(highlight);
+            highlight.geometry.dispose();
+            highlight.material.dispose();
+        }
+    });
+}
+
+// ============================================================================
+// CIRCLE HISTORY (UNDO/REDO)
+// ============================================================================
+
+/**
+ * Delete a circle from data and scene, recording it for undo
+ */
+export function deleteCircle(circleId) {
+    const bonds = getBondsForCircle(circleId);
+    const removed = deleteCircleData(circleId);
+    if (!removed) {
+        console.warn('⚠️ Cannot delete unknown circle:', circleId);
+        return null;
+    }
+    
+    removeCircleFromScene(circleId);
+    recordCommand(createDeleteCommand(removed, bonds));
+    
+    updateStatus('🗑️ Circle deleted (Ctrl+Z to undo)');
+    return removed;
+}
+
+/**
+ * Move or resize a circle, recording it for undo.
+ * Its bonds are recomputed for the new position.
+ */
+export function editCircle(circleId, changes) {
+    const result = updateCircleData(circleId, changes);
+    if (!result) {
+        console.warn('⚠️ Cannot edit unknown circle:', circleId);
+        return null;
+    }
+    
+    const addedBonds = recordBonds(findCircleIntersections(result.after));
+    
+    removeCircleFromScene(circleId);
+    showCircleInScene(result.after);
+    revealBondIntentions(addedBonds);
+    recordCommand(createEditCommand(
+        { circle: result.before, bonds: result.removedBonds },
+        { circle: result.after, bonds: addedBonds }
+    ));
+    
+    updateStatus('✏️ Circle updated (Ctrl+Z to undo)');
+    return result.after;
+}
+
+/**
+ * Command for a circle that was just drawn, with the bonds it formed
+ */
+function createAddCommand(circle, bonds = []) {
+    return {
+        type: 'add',
+        label: 'circle added',
+        undo() {
+            if (!deleteCircleData(circle.id)) return false;
+            removeCircleFromScene(circle.id);
+            return true;
+        },
+        redo() {
+            const restored = restoreCircleData(circle);
+            if (!restored) return false;
+            restoreBondRecords(bonds);
+            showCircleInScene(restored);
+            return true;
+        }
+    };
+}
+
+/**
+ * Command for a circle that was just deleted, with the bonds it had
+ */
+function createDeleteCommand(circle, bonds = []) {
+    const addCommand = createAddCommand(circle, bonds);
+    
+    return {
+        type: 'delete',
+        label: 'circle deleted',
+        undo: addCommand.redo,
+        redo: addCommand.undo
+    };
+}
+
+/**
+ * Command for a circle that was just moved or resized.
+ * Each version is { circle, bonds } - the bonds that held at that position.
+ */
+function createEditCommand(before, after) {
+    const applyVersion = (version) => {
+        const circleId = version.circle.id;
+        if (!getCircleById(circleId)) return false;
+        
+        const result = updateCircleData(circleId, version.circle);
+        restoreBondRecords(version.bonds);
+        removeCircleFromScene(circleId);
+        showCircleInScene(result.after);
+        return true;
+    };
+    
+    return {
+        type: 'edit',
+        label: 'circle edit',
+        undo: () => applyVersion(before),
+        redo: () => applyVersion(after)
+    };
+}
+
+// ============================================================================
+// TIMELINE REPLAY SCENE
+// ============================================================================
+
+/**
+ * Hand the scene to the timeline replay or the archive view: stop loading,
+ * pause drawing and clear every ring and star. Returns false outside connect mode.
+ */
+export function beginReplayScene() {
+    if (!connectState.isActive) return false;
+    
+    clearCircleSelection();
+    connectState.loading.generation++;
+    connectState.isDrawing = false;
+    connectState.currentPath = [];
+    clearDrawingCanvas();
+    
+    connectState.isReplaying = true;
+    clearReplayScene();
+    return true;
+}
+
+/**
+ * Remove every ring and star (replay rebuilds from scratch when seeking back)
+ */
+export function clearReplayScene() {
+    const rings = [];
+    scene.traverse(child => {
+        if (child.userData.type === 'circle') {
+            rings.push(child);
+        }
+    });
+    
+    rings.forEach(disposeRing);
+    clearAllStars();
+    clearConstellations();
+    clearIntentionLabels();
+}
+
+/**
+ * Draw one circle as the timeline reaches it
+ */
+export function showReplayCircle(circleData, { animate = true } = {}) {
+    if (!connectState.isReplaying) return;
+    
+    if (circleData.userId === connectState.currentUserId) {
+        addCircleTo3D(circleData);
+    } else {
+        addExistingCircleTo3D(circleData, { quiet: !animate });
+    }
+    
+    if (animate) {
+        addCircleSpawnEffect(circleData.x, circleData.z, circleData.userId);
+    }
+}
+
+/**
+ * Light the stars of a bond as the timeline reaches it
+ */
+export function showReplayBond(bond, { animate = true } = {}) {
+    if (!connectState.isReplaying) return;
+    
+    createStarsForBonds([bond], { sparkle: animate });
+}
+
+/**
+ * Give the scene back to connect mode with every existing circle and star
+ */
+export function endReplayScene() {
+    if (!connectState.isReplaying) return;
+    
+    connectState.isReplaying = false;
+    clearReplayScene();
+    
+    if (connectState.isActive) {
+        loadAndDisplayExistingCircles();
+    }
+}
+
+// ============================================================================
+// UTILITY AND ANIMATION
+// ============================================================================
+
+/**
+ * Update connect mode animations (called from main loop)
+ */
+export function updateConnectMode() {
+    // Update star animations
+    updateStars();
+    
+    // 🎨 Update circle animations
+    updateExistingCircleAnimations();
+    
+    updateConstellations();
+}
+
+/**
+ * Update statistics display
+ */
+function updateStats() {
+    // This would update the UI stats - can be called from main.js
+    console.log('📊 Stats updated - circles and intersections');
+}
+
+/**
+ * Save circles data and return results
+ */
+function saveCirclesData() {
+    // Data is automatically saved by datamanager
+    const results = {
+        totalCircles: Object.keys(connectState.userCircles).length,
+        userCircles: connectState.userCircles[connectState.currentUserId]?.length || 0,
+        currentUser: connectState.currentUserId,
+        totalStars: connectState.stars.list.length
+    };
+    
     return results;
 }
 
@@ -1290,10 +2320,12 @@ function saveCirclesData() {
  */
 function loadAndDisplayExistingCircles() {
     const otherUsersCircles = getAllOtherUsersCircles();
+    const generation = ++connectState.loading.generation;
     
     if (otherUsersCircles.length === 0) {
         console.log('No existing circles found in JSON data');
         updateStatus('No existing circles to display - add data to sample_circle_data.json');
+        restoreBondStars();
         return;
     }
     
@@ -1302,9 +2334,16 @@ function loadAndDisplayExistingCircles() {
     // Show immediate status
     updateStatus(`🔄 Loading ${otherUsersCircles.length} circles from JSON data...`);
     
+    if (otherUsersCircles.length > connectState.loading.animatedLimit) {
+        loadExistingCirclesInBatches(otherUsersCircles, generation);
+        return;
+    }
+    
     otherUsersCircles.forEach((circleData, index) => {
         // Add delay for dramatic loading animation
         setTimeout(() => {
+            if (generation !== connectState.loading.generation) return;
+            
             addExistingCircleTo3D(circleData);
             
             // Add spawn effect
@@ -1317,6 +2356,9 @@ function loadAndDisplayExistingCircles() {
             // Final completion message
             if (index === otherUsersCircles.length - 1) {
                 setTimeout(() => {
+                    if (generation !== connectState.loading.generation) return;
+                    
+                    restoreBondStars();
                     updateStatus(`✨ ${otherUsersCircles.length} circles loaded! Start drawing to find intersections!`);
                     showCircleStatistics();
                     
@@ -1324,22 +2366,53 @@ function loadAndDisplayExistingCircles() {
                     addCompletionEffect();
                 }, 200);
             }
-        }, index * 200); // 200ms delay between each circle for dramatic effect
+        }, index * connectState.loading.staggerDelay); // Delay between each circle for dramatic effect
     });
 }
 
 /**
- * 🎨 SUPER ENHANCED function to add existing circles with MAXIMUM visibility
+ * Add thousands of circles a batch per frame instead of one every 200ms
  */
-function addExistingCircleTo3D(circleData) {
-    const innerRadius = Math.max(0.1, circleData.radius - 0.1);
-    const outerRadius = circleData.radius + 0.1;
+function loadExistingCirclesInBatches(circles, generation) {
+    const { batchSize } = connectState.loading;
+    const startTime = performance.now();
+    let loaded = 0;
+    
+    function addBatch() {
+        if (!connectState.isActive || generation !== connectState.loading.generation) return;
+        
+        const batch = circles.slice(loaded, loaded + batchSize);
+        batch.forEach(circleData => addExistingCircleTo3D(circleData, { quiet: true }));
+        loaded += batch.length;
+        
+        const progress = Math.round((loaded / circles.length) * 100);
+        updateStatus(`🔄 Loading circles... ${progress}% (${loaded}/${circles.length})`);
+        
+        if (loaded < circles.length) {
+            requestAnimationFrame(addBatch);
+            return;
+        }
+        
+        const seconds = ((performance.now() - startTime) / 1000).toFixed(1);
+        console.log(`🎨 ${circles.length} existing circles added in ${seconds}s`);
+        restoreBondStars();
+        updateStatus(`✨ ${circles.length} circles loaded! Start drawing to find intersections!`);
+        showCircleStatistics();
+        addCompletionEffect();
+    }
+    
+    requestAnimationFrame(addBatch);
+}
 
-    let color = 0xff0000;
+/**
+ * 🎨 SUPER ENHANCED function to add existing circles with MAXIMUM visibility
+ */
+function addExistingCircleTo3D(circleData, { quiet = false } = {}) {
+    const color = getUserColor(circleData.userId);
     
-    const geometry = new THREE.RingGeometry(innerRadius, outerRadius, 32);
+    const geometry = createRingGeometry(circleData);
     const material = new THREE.MeshBasicMaterial({
-        color: 0xff0000, // Yellow for current user
+        color: color,
         transparent: true,
         opacity: 0.7,
         side: THREE.DoubleSide
@@ -1355,7 +2428,7 @@ function addExistingCircleTo3D(circleData) {
     
     // 🎨 Add MULTIPLE visual effects for maximum impact
   //  addEnhancedCircleGlowEffect(ring, color);
-    addSimpleGlowEffect(ring,color);
+    addSimpleGlowEffect(ring, color, circleData);
   
   
   
@@ -1369,81 +2442,34 @@ function addExistingCircleTo3D(circleData) {
         color: color,
         spawnTime: Date.now()
     };
+    applyCircleFade(ring);
     
     ring.castShadow = true;
     ring.receiveShadow = true;
     scene.add(ring);
+    updateSignatureFlag(ring);
+    
+    if (quiet) return;
     
     console.log(`🎨 SUPER ENHANCED circle added for ${circleData.userId}:`, {
         position: `(${circleData.x}, ${circleData.z})`,
         radius: circleData.radius,
-        color: `#${color.toString(16).padStart(6, '0')}`,
+        color: color,
         enhanced: true
     });
 }
 
 
 
-/**
- * 🎨 Get MORE DISTINCTIVE colors for different users
- */
-function getUserVisualizationColor(userId) {
-    const userColors = {
-        'Alice': 0xff3366,    // Bright Pink-Red
-        'Bob': 0x33ff99,      // Bright Teal-Green
-        'Charlie': 0x3366ff,  // Bright Blue
-        'Diana': 0xffcc33,    // Bright Gold
-        'Eve': 0xff6633,      // Bright Orange
-        'Frank': 0xff3333,    // Bright Red
-        'Grace': 0x9933ff,    // Bright Purple
-        'Henry': 0xcc33ff,    // Bright Magenta
-        'Iris': 0x33ff33,     // Bright Green
-        'Jack': 0xff33cc      // Bright Pink
-    };
-    
-    // If user has predefined color, use it
-    if (userColors[userId]) {
-        return userColors[userId];
-    }
-    
-    // Generate BRIGHT color based on username hash
-    let hash = 0;
-    for (let i = 0; i < userId.length; i++) {
-        hash = userId.charCodeAt(i) + ((hash << 5) - hash);
-    }
-    
-    // Generate bright, saturated colors
-    const hue = Math.abs(hash) % 360;
-    const saturation = 80 + (Math.abs(hash >> 8) % 20); // 80-100% saturation
-    const lightness = 50 + (Math.abs(hash >> 16) % 30);  // 50-80% lightness
-    
-    return hslToHex(hue, saturation, lightness);
-}
-
-/**
- * Convert HSL to HEX color
- */
-function hslToHex(h, s, l) {
-    l /= 100;
-    const a = s * Math.min(l, 1 - l) / 100;
-    const f = n => {
-        const k = (n + h / 30) % 12;
-        const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
-        return Math.round(255 * color);
-    };
-    const r = f(0);
-    const g = f(8);
-    const b = f(4);
-    return (r << 16) | (g << 8) | b;
-}
-
-
-function addSimpleGlowEffect(ring, color) {
-    const glowGeometry = new THREE.RingGeometry(
-        ring.geometry.parameters.innerRadius * 0.95,  // 🎚️ INNER: 0.8 → 0.9 (thinner inside)
-        ring.geometry.parameters.outerRadius * 1.,  // 🎚️ OUTER: 1.4 → 1.2 (thinner outside)
-        32
-    );
+function addSimpleGlowEffect(ring, color, circleData) {
+    const { innerRadius, outerRadius } = getRingRadii(circleData);
+    const glowGeometry = getSymbolOutline(getCircleSymbol(circleData))
+        ? createRingGeometry(circleData, 0.14)
+        : new THREE.RingGeometry(
+            innerRadius * 0.95,  // 🎚️ INNER: 0.8 → 0.9 (thinner inside)
+            outerRadius * 1.,  // 🎚️ OUTER: 1.4 → 1.2 (thinner outside)
+            32
+        );
     
     const glowMaterial = new THREE.MeshBasicMaterial({
         color: color,
@@ -1467,7 +2493,7 @@ function addCircleSpawnEffect(x, z, userId) {
     // Create expanding ring effect
     const spawnGeometry = new THREE.RingGeometry(0.1, 0.2, 32);
     const spawnMaterial = new THREE.MeshBasicMaterial({
-        color: getUserVisualizationColor(userId),
+        color: getUserColor(userId),
         transparent: true,
         opacity: 1.0,
         side: THREE.DoubleSide,
@@ -1549,11 +2575,25 @@ function addCompletionEffect() {
  * 🎨 ENHANCED circle animations with MORE dramatic effects
  */
 function updateExistingCircleAnimations() {
-    if (!connectState.visualization.animateCircles) return;
+    // Rings fade with age whether or not they pulse
+    const now = Date.now();
+    const fading = connectState.fading;
+    const updateFade = now - fading.lastUpdate >= fading.config.interval;
+    if (updateFade) {
+        fading.lastUpdate = now;
+    }
     
-    const time = Date.now() * 0.001;
+    if (!connectState.visualization.animateCircles && !updateFade) return;
+    
+    const time = now * 0.001;
     
     scene.traverse(child => {
+        if (child.userData.type === 'circle' && updateFade) {
+            applyCircleFade(child, now);
+        }
+        
+        if (!connectState.visualization.animateCircles) return;
+        
         if (child.userData.type === 'circle' && child.userData.isExisting) {
             const spawnTime = child.userData.spawnTime || 0;
             const age = (Date.now() - spawnTime) * 0.001; // Age in seconds
@@ -1599,6 +2639,433 @@ function updateExistingCircleAnimations() {
     });
 }
 
+/**
+ * Dim a ring (and its glow) by how much of its lifetime it has used.
+ * Archived circles only show in the archive view, at full strength.
+ */
+function applyCircleFade(ring, now = Date.now()) {
+    const config = connectState.fading.config;
+    const circleData = ring.userData.circleData;
+    const age = circleData && !circleData.archivedAt ? getCircleAge(circleData, now) : 0;
+    const fade = 1 - age * (1 - config.minFade);
+    
+    const baseOpacity = ring.userData.baseOpacity !== undefined ? ring.userData.baseOpacity : config.baseOpacity;
+    ring.material.opacity = baseOpacity * fade;
+    
+    const glow = ring.children.find(child => child.userData.type === 'simpleGlow');
+    if (glow) {
+        glow.material.opacity = config.glowOpacity * fade;
+    }
+}
+
+/**
+ * Take circles that outlived the space's lifetime off the floor
+ */
+function handleCirclesArchived(circles) {
+    if (!connectState.isActive || connectState.isReplaying) return;
+    
+    circles.forEach(circle => removeCircleFromScene(circle.id));
+    updateStatus(`🍂 ${circles.length} circles moved to the archive`);
+}
+
+/**
+ * Show a circle that another client just drew
+ */
+function handleRemoteCircle(circleData) {
+    if (!connectState.isActive || connectState.isReplaying) return;
+    
+    if (circleData.userId === connectState.currentUserId) {
+        // Same user drawing from another device
+        addCircleTo3D(circleData);
+    } else {
+        addExistingCircleTo3D(circleData);
+        addCircleSpawnEffect(circleData.x, circleData.z, circleData.userId);
+    }
+    
+    updateStatus(`🌐 ${circleData.userId} drew a new circle`);
+}
+
+/**
+ * Redraw a circle another client moved or resized
+ */
+function handleRemoteCircleUpdated(circleData) {
+    removeCircleFromScene(circleData.id);
+    showCircleInScene(circleData);
+    
+    // Intentions are written after drawing, so they arrive after the bonds did
+    if (circleData.intention) {
+        const newBondWindow = connectState.intentions.config.newBondWindow;
+        revealBondIntentions(getBondsForCircle(circleData.id).filter(bond => Date.now() - Date.parse(bond.timestamp) < newBondWindow));
+    }
+}
+
+/**
+ * Remove a circle another client deleted
+ */
+function handleRemoteCircleDeleted(circleData) {
+    removeCircleFromScene(circleData.id);
+    
+    if (connectState.isActive) {
+        updateStatus(`🌐 ${circleData.userId} removed a circle`);
+    }
+}
+
+/**
+ * Show the star of a bond formed on another client
+ */
+function handleRemoteBond(bond) {
+    if (!connectState.isActive || connectState.isReplaying) return;
+    
+    removeStarsForBond(bond.id);
+    createStarsForBonds([bond]);
+    revealBondIntentions([bond]);
+}
+
+/**
+ * Remove the star of a bond another client dropped
+ */
+function handleRemoteBondDeleted(bond) {
+    removeStarsForBond(bond.id);
+}
+
+// ============================================================================
+// CONSTELLATIONS
+// ============================================================================
+
+/**
+ * Keep the constellation markers in step with the circles and turn them
+ * slowly (called every frame). Markers are rebuilt only when the data changed.
+ */
+function updateConstellations() {
+    const constellations = connectState.constellations;
+    const now = Date.now();
+    
+    if (connectState.isActive && !connectState.isReplaying &&
+        now - constellations.lastUpdate >= constellations.config.interval) {
+        constellations.lastUpdate = now;
+        const revision = getDataRevision();
+        if (revision !== constellations.revision) {
+            constellations.revision = revision;
+            refreshConstellations();
+        }
+    }
+    
+    const angle = now * 0.001 * constellations.config.rotationSpeed;
+    constellations.markers.forEach(marker => {
+        const star = marker.children.find(child => child.userData.type === 'constellationStar');
+        if (star) star.rotation.y = angle;
+    });
+}
+
+/**
+ * Replace every marker with the constellations on the floor now
+ */
+function refreshConstellations() {
+    if (typeof THREE === 'undefined') return;
+    
+    clearConstellations({ keepRevision: true });
+    
+    const constellations = findConstellations();
+    constellations.forEach(constellation => {
+        const marker = createConstellationMarker(constellation);
+        if (marker) {
+            connectState.constellations.markers.push(marker);
+        }
+    });
+    
+    if (constellations.length > 0) {
+        console.log(`✨ ${constellations.length} constellations`);
+    }
+}
+
+/**
+ * A star outline with one point per user above the shared region, with a
+ * thread down to the center of each circle in it
+ */
+function createConstellationMarker(constellation) {
+    const config = connectState.constellations.config;
+    const marker = new THREE.Group();
+    marker.position.set(constellation.center.x, config.height, constellation.center.z);
+    marker.userData = { type: 'constellation', constellation };
+    
+    const pointCount = Math.max(constellation.users.length, 3);
+    const outline = [];
+    for (let i = 0; i < pointCount * 2; i++) {
+        const angle = (i / (pointCount * 2)) * Math.PI * 2;
+        const radius = i % 2 === 0 ? config.radius : config.radius * 0.45;
+        outline.push(new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius));
+    }
+    const star = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(outline),
+        new THREE.LineBasicMaterial({ color: config.color, transparent: true, opacity: 0.95 })
+    );
+    star.userData = { type: 'constellationStar' };
+    marker.add(star);
+    
+    constellation.circles.forEach(circleId => {
+        const circle = getCircleById(circleId);
+        if (!circle) return;
+        
+        const thread = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(0, 0, 0),
+                new THREE.Vector3(circle.x - constellation.center.x, -config.height, circle.z - constellation.center.z)
+            ]),
+            new THREE.LineBasicMaterial({ color: getUserColor(circle.userId), transparent: true, opacity: config.lineOpacity })
+        );
+        thread.userData = { type: 'constellationThread' };
+        marker.add(thread);
+    });
+    
+    scene.add(marker);
+    return marker;
+}
+
+/**
+ * Remove every constellation marker. They are rebuilt on the next check
+ * unless `keepRevision` says they are being rebuilt right away.
+ */
+function clearConstellations({ keepRevision = false } = {}) {
+    const constellations = connectState.constellations;
+    
+    constellations.markers.forEach(marker => {
+        scene.remove(marker);
+        marker.children.forEach(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    });
+    constellations.markers = [];
+    
+    if (!keepRevision) {
+        constellations.revision = null;
+    }
+}
+
+// ============================================================================
+// INTENTIONS
+// ============================================================================
+
+/**
+ * Ask for an intention for a circle that was just drawn, then reveal the
+ * intentions of the bonds it formed beside their stars
+ */
+function promptForIntention(circle, bonds) {
+    askIntention({ color: getUserColor(circle.userId) }).then(intention => {
+        if (intention) {
+            try {
+                if (setCircleIntention(circle.id, intention)) {
+                    updateStatus('✍️ Intention added to your circle');
+                }
+            } catch (error) {
+                updateStatus(`⚠️ ${error.message}`);
+            }
+        }
+        revealBondIntentions(bonds);
+    });
+}
+
+/**
+ * Float the intention of the circle under the wand (or mouse) above its ring
+ */
+function updateIntentionHover(screenX, screenY) {
+    const intentions = connectState.intentions;
+    const circle = connectState.isDrawing || connectState.isReplaying ? null : findCircleAt(screenX, screenY);
+    const symbol = circle ? getSymbol(getCircleSymbol(circle)) : null;
+    const hasSymbol = symbol && symbol.id !== DEFAULT_SYMBOL;
+    const circleId = circle && (circle.intention || hasSymbol) ? circle.id : null;
+    if (circleId === intentions.hoverCircleId) return;
+    
+    hideIntentionHover();
+    if (!circleId) return;
+    
+    // Symbols float their meaning above the intention
+    const caption = hasSymbol ? `${symbol.glyph} ${symbol.label}${symbol.meaning ? `: ${symbol.meaning}` : ''}` : '';
+    const label = createIntentionLabel(circle.intention, getUserColor(circle.userId), { caption });
+    label.position.set(circle.x, intentions.config.hoverHeight, circle.z);
+    scene.add(label);
+    
+    intentions.hoverLabel = label;
+    intentions.hoverCircleId = circleId;
+}
+
+function hideIntentionHover() {
+    const intentions = connectState.intentions;
+    if (intentions.hoverLabel) {
+        disposeIntentionLabel(intentions.hoverLabel);
+    }
+    intentions.hoverLabel = null;
+    intentions.hoverCircleId = null;
+}
+
+/**
+ * Show the intentions of both circles beside a new bond's star for a while,
+ * each on the side of its circle. Bonds without intentions show nothing.
+ */
+function revealBondIntentions(bonds) {
+    if (!connectState.isActive || connectState.isReplaying) return;
+    
+    const config = connectState.intentions.config;
+    
+    bonds.forEach(bond => {
+        const circles = bond.circles.map(getCircleById);
+        if (circles.some(circle => !circle) || !circles.some(circle => circle.intention)) return;
+        
+        hideBondIntentions(bond.id);
+        
+        const point = bond.points[0];
+        const labels = circles
+            .sort((a, b) => a.x - b.x)
+            .map((circle, index) => {
+                if (!circle.intention) return null;
+                
+                const label = createIntentionLabel(circle.intention, getUserColor(circle.userId));
+                const side = index === 0 ? -1 : 1;
+                label.position.set(point.x + side * (label.scale.x / 2 + config.revealGap), config.revealHeight, point.z);
+                scene.add(label);
+                return label;
+            })
+            .filter(Boolean);
+        
+        const timer = setTimeout(() => hideBondIntentions(bond.id), config.revealDuration);
+        connectState.intentions.reveals.set(bond.id, { labels, timer });
+    });
+}
+
+function hideBondIntentions(bondId) {
+    const reveal = connectState.intentions.reveals.get(bondId);
+    if (!reveal) return;
+    
+    clearTimeout(reveal.timer);
+    reveal.labels.forEach(disposeIntentionLabel);
+    connectState.intentions.reveals.delete(bondId);
+}
+
+/**
+ * Remove every floating label (leaving connect mode or replay)
+ */
+function clearIntentionLabels() {
+    hideIntentionHover();
+    hideFitFeedback();
+    [...connectState.intentions.reveals.keys()].forEach(hideBondIntentions);
+}
+
+// ============================================================================
+// SIGNATURE FLAGS
+// ============================================================================
+
+/**
+ * Mark a ring whose signature does not match its owner's key with a red
+ * outer ring; remove the mark once it checks out
+ */
+function updateSignatureFlag(ring) {
+    const isInvalid = getSignatureStatus(ring.userData.circleId) === SIGNATURE_STATUS.invalid;
+    const flag = ring.children.find(child => child.userData.type === 'signatureWarning');
+    
+    if (isInvalid && !flag) {
+        const { outerRadius } = getRingRadii(ring.userData.circleData);
+        const geometry = new THREE.RingGeometry(
+            outerRadius + 0.05,
+            outerRadius + 0.2,
+            32
+        );
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xff1744,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide
+        });
+        
+        const warning = new THREE.Mesh(geometry, material);
+        warning.position.z = 0.01;
+        warning.userData = { type: 'signatureWarning' };
+        ring.add(warning);
+    } else if (!isInvalid && flag) {
+        ring.remove(flag);
+        flag.geometry.dispose();
+        flag.material.dispose();
+    }
+}
+
+/**
+ * Stars of bonds with a bad signature fade to a ghost
+ */
+function updateStarSignature(star) {
+    const bondId = star.userData.intersectionData.bondId;
+    const isInvalid = bondId && getSignatureStatus(bondId) === SIGNATURE_STATUS.invalid;
+    star.material.opacity = isInvalid ? 0.25 : 0.9;
+}
+
+function describeSignature(circleId) {
+    switch (getSignatureStatus(circleId)) {
+        case SIGNATURE_STATUS.valid:
+            return '🔏 Signed by its owner';
+        case SIGNATURE_STATUS.invalid:
+            return '⚠️ Signature does not match - not drawn with this user\'s key';
+        case SIGNATURE_STATUS.unknownKey:
+            return '❔ Signed, but the owner\'s key is not known yet';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Update flags after signatures were checked (load, import, sync)
+ */
+function handleSignatureChanges(changes) {
+    const circleIds = new Set(changes.filter(change => change.kind === 'circle').map(change => change.id));
+    const bondIds = new Set(changes.filter(change => change.kind === 'bond').map(change => change.id));
+    
+    if (circleIds.size > 0) {
+        scene.traverse(child => {
+            if (child.userData.type === 'circle' && circleIds.has(child.userData.circleId)) {
+                updateSignatureFlag(child);
+            }
+        });
+        
+        if (circleIds.has(connectState.selection.circleId)) {
+            setCircleEditorNote(describeSignature(connectState.selection.circleId));
+        }
+    }
+    
+    if (bondIds.size > 0) {
+        connectState.stars.list
+            .filter(star => bondIds.has(star.userData.intersectionData.bondId))
+            .forEach(updateStarSignature);
+    }
+    
+    const invalid = changes.filter(change => change.status === SIGNATURE_STATUS.invalid);
+    if (connectState.isActive && invalid.length > 0) {
+        updateStatus(`⚠️ ${invalid.length} ${invalid.length === 1 ? 'record has' : 'records have'} an invalid signature`);
+    }
+}
+
+/**
+ * Repaint a user's rings and the stars they share after their color changed
+ */
+function handleProfileChanged(profile) {
+    scene.traverse(child => {
+        if (child.userData.type !== 'circle' || child.userData.userId !== profile.userId) return;
+        
+        child.material.color.set(profile.color);
+        if (child.userData.isExisting) {
+            child.userData.color = profile.color;
+        }
+        
+        const glow = child.children.find(c => c.userData.type === 'simpleGlow');
+        if (glow) {
+            glow.material.color.set(profile.color);
+        }
+    });
+    
+    connectState.stars.list.forEach(star => {
+        const users = star.userData.intersectionData.users || [];
+        if (users.includes(profile.userId)) {
+            star.material.color.set(getStarTint(users));
+        }
+    });
+}
+
 /**
  * Get connect mode statistics
  */
@@ -1654,6 +3121,7 @@ export function cleanupConnectMode() {
     
     // Clear all stars
     clearAllStars();
+    clearConstellations();
     
     console.log('🧹 Connect mode cleaned up');
 }
@@ -1,17 +1,76 @@
 // js/datamanager.js - Enhanced Circle Data Management System
 import { updateStatus } from './scene.js';
+import {
+    resolveStorageType, createStorageAdapter, createStaticAdapter, createLocalStorageAdapter,
+    isIndexedDBAvailable, saveBackupRecord, listBackupRecords, loadBackupRecord, pruneBackupRecords,
+    saveSessionRecord, loadSessionRecord, importLegacyBackups, getLocalBackupPrefix,
+    readEncryptedEnvelope, createEncryptedAdapter, removeEncryptedStore
+} from './storage.js';
+import { getCurrentSpace, getSpaceSettings, updateSpaceSettings, isDefaultSpace } from './spaces.js';
+import { CURRENT_DATA_VERSION, needsMigration } from './migrations.js';
+import { resolveSyncUrl, connectSync, disconnectSync, sendSyncMessage, setSyncUser, getSyncStatus } from './sync.js';
+import { getAcceptedData, summarizeReport, validateCircleRecord } from './validation.js';
+import { runDataTask, terminateDataWorker, getDataWorkerStatus } from './workerclient.js';
+import { withoutOrphanBonds, countCircles, diffDatasets } from './datatasks.js';
+import { showImportPreview } from './importdialog.js';
+import { normalizeIntention, validateIntention } from './intentions.js';
+import { DEFAULT_SYMBOL, validateSymbol } from './symbols.js';
+import { askPassphrase } from './passphrasedialog.js';
+import { clearHistory } from './history.js';
+import {
+    BOND_TYPES, createSpatialIndex, calculateCircleIntersection, classifyCircleRelation, isPointInCircle
+} from './spatial.js';
+import {
+    createRecordId, createCircleTombstone, createBondTombstone, computeChecksum,
+    compareCircleVersions, compareBondVersions, isValidTombstone
+} from './merge.js';
+import { toGeoJson, toCsv, toSvgPoster } from './formats.js';
+import {
+    getDefaultColor, createDefaultProfile, sanitizeProfile, validateProfileFields
+} from './profiles.js';
+import {
+    SIGNATURE_STATUS, isSigningSupported, getLocalPublicKey, getPublicKey, signRecord, verifyRecord, isSamePublicKey,
+    canSignAs, encryptStoredKeys, unlockStoredKeys, lockStoredKeys, decryptStoredKeys
+} from './identity.js';
+import {
+    MIN_PASSPHRASE_LENGTH, isEncryptionSupported, isEncryptedEnvelope, looksEncrypted,
+    createEncryptionKey, unlockEnvelope, encryptText, encryptJson, decryptJson
+} from './encryption.js';
 
 // ============================================================================
 // DATA CONFIGURATION
 // ============================================================================
 
 const DATA_CONFIG = {
-    filename: ['./js/circle_data.json'],
+    filename: './js/circle_data.json',
+    storage: 'auto', // 'auto' | 'static' | 'localStorage' | 'indexedDB' | 'rest' (or ?storage=...)
     autoSave: true,
     saveInterval: 3000, // Auto-save every 3 seconds
-    backupInterval: 30000 // Backup every 30 seconds
+    backupInterval: 30000, // Backup every 30 seconds
+    maxBackups: 5,
+    circleLifetimeDays: null, // Circles older than this are archived (null keeps them on the floor)
+    archiveInterval: 60000, // Look for expired circles every minute
+    tangencyTolerance: 0.05, // Rings this close to touching (world units) form a tangency bond
+    constellationUsers: 3, // Overlaps of at least this many users' circles are constellations
+    verboseLogging: false, // Log every loaded record and intersection candidate
+    sync: {
+        enabled: true // Share circles live through server/circle-server.mjs
+    }
 };
 
+/**
+ * A setting for the current space: its own override, or the DATA_CONFIG default.
+ * Spaces may override storage, sync, autoSave, backupInterval, maxBackups and
+ * circleLifetimeDays.
+ */
+function getDataSetting(name) {
+    const override = getSpaceSettings()[name];
+    if (override !== undefined) {
+        return override;
+    }
+    return name === 'sync' ? DATA_CONFIG.sync.enabled : DATA_CONFIG[name];
+}
+
 // ============================================================================
 // DATA STATE
 // ============================================================================
@@ -20,13 +79,35 @@ let dataState = {
     currentUser: 'User1',
     circlesData: {
         users: {},
+        bonds: [],
+        tombstones: [],
+        profiles: {},
         lastUpdated: null,
-        version: 1.0
+        version: CURRENT_DATA_VERSION
     },
     loadedFromFile: false,
+    dataSource: 'Built-in sample data',
+    storage: null,
+    spatialIndex: createSpatialIndex(),
+    pendingWrites: [],
     autoSaveInterval: null,
     backupInterval: null,
-    hasUnsavedChanges: false
+    archiveInterval: null,
+    hasUnsavedChanges: false,
+    remoteListeners: {
+        added: [],
+        updated: [],
+        deleted: [],
+        bondAdded: [],
+        bondDeleted: []
+    },
+    profileListeners: [], // Local and remote profile changes
+    signatures: new Map(), // Record id → SIGNATURE_STATUS, filled by verification
+    signatureListeners: [],
+    archiveListeners: [], // Circles that just left the floor for the archive
+    shareQueue: Promise.resolve(), // Local changes go out in order, after signing
+    revision: 0, // Bumped on every change, so background work can tell it went stale
+    encryptionKey: null // Key for the encrypted store and its backups, once unlocked
 };
 
 // ============================================================================
@@ -37,18 +118,36 @@ let dataState = {
  * Initialize data manager
  */
 export function initDataManager() {
-    console.log('Enhanced data manager initialized');
+    const space = getCurrentSpace();
+    console.log(`Enhanced data manager initialized for space: ${space.name} (${space.id})`);
+    
+    // Older builds kept backups in localStorage
+    if (isIndexedDBAvailable()) {
+        importLegacyBackups().catch(error => console.warn('⚠️ Could not move legacy backups:', error.message));
+    }
     
-    // Try to load existing data
-    loadExistingData();
+    // Try to load existing data, then join the shared session
+    loadExistingData().then(() => {
+        verifyDatasetSignatures();
+        archiveExpiredCircles();
+        
+        // With a sync server the key is published once its profiles are known
+        if (getDataSetting('sync') && resolveSyncUrl()) {
+            startSyncChannel();
+        } else {
+            publishIdentity(dataState.currentUser);
+        }
+    });
     
     // Setup auto-save if enabled
-    if (DATA_CONFIG.autoSave) {
+    if (getDataSetting('autoSave')) {
         setupAutoSave();
     }
     
     // Setup backup system
     setupBackupSystem();
+    
+    setupArchiveSweep();
 }
 
 /**
@@ -80,9 +179,20 @@ function setupBackupSystem() {
         if (dataState.hasUnsavedChanges) {
             createBackup();
         }
-    }, DATA_CONFIG.backupInterval);
+    }, getDataSetting('backupInterval'));
+    
+    console.log('Backup system enabled every', getDataSetting('backupInterval') / 1000, 'seconds');
+}
+
+/**
+ * Archive circles as they outlive the space's circle lifetime
+ */
+function setupArchiveSweep() {
+    if (dataState.archiveInterval) {
+        clearInterval(dataState.archiveInterval);
+    }
     
-    console.log('Backup system enabled every', DATA_CONFIG.backupInterval / 1000, 'seconds');
+    dataState.archiveInterval = setInterval(archiveExpiredCircles, DATA_CONFIG.archiveInterval);
 }
 
 // ============================================================================
@@ -90,85 +200,192 @@ function setupBackupSystem() {
 // ============================================================================
 
 /**
- * Load existing circle data from JSON file or create sample data
+ * Load existing circle data from the storage backend, the JSON file or sample data.
+ * Spaces other than the default one start empty instead.
  */
 export async function loadExistingData() {
+    const storageType = resolveStorageType(getDataSetting('storage'));
+    
+    // An encrypted browser store needs its passphrase before anything is read
+    if (storageType !== 'rest' && storageType !== 'static') {
+        const envelope = await readEncryptedEnvelope().catch(() => null);
+        if (envelope) {
+            return loadEncryptedData(envelope);
+        }
+    }
+    
+    dataState.storage = await createStorageAdapter(storageType);
+    console.log(`🗄️ Using ${dataState.storage.label} storage (${storageType})`);
+    
     try {
-        console.log('Attempting to load data from:', DATA_CONFIG.filename);
+        // Stored data first, then the bundled JSON file
+        let jsonData = await dataState.storage.load();
+        let source = dataState.storage.label;
+        let importedLegacySnapshot = false;
         
-        // Try to load from JSON file
-        const response = await fetch(DATA_CONFIG.filename);
-        if (response.ok) {
-            const jsonData = await response.json();
-            console.log('Raw JSON data loaded:', jsonData);
-            
-            // Convert simple format to internal format
-            dataState.circlesData = convertSimpleJsonToInternalFormat(jsonData);
-            dataState.loadedFromFile = true;
-            
-            console.log('Circle data loaded and converted:', dataState.circlesData);
-            updateStatus(`✅ Loaded ${jsonData.circles.length} circles from JSON file`);
-            
-            return dataState.circlesData;
-        } else {
-            console.warn('Could not fetch JSON file, status:', response.status);
-            throw new Error(`HTTP ${response.status}`);
+        // First run on IndexedDB - bring over the old localStorage auto-save
+        if (!jsonData && dataState.storage.name === 'indexedDB') {
+            jsonData = await createLocalStorageAdapter().load();
+            if (jsonData) {
+                source = 'Browser storage (imported)';
+                importedLegacySnapshot = true;
+            }
+        }
+        
+        if (!jsonData && !isDefaultSpace()) {
+            return startEmptySpace();
         }
+        
+        if (!jsonData && dataState.storage.name !== 'static') {
+            console.log('Storage is empty, attempting to load data from:', DATA_CONFIG.filename);
+            jsonData = await createStaticAdapter(DATA_CONFIG.filename).load();
+            source = 'JSON file';
+        }
+        
+        if (!jsonData) {
+            throw new Error('No circle data found');
+        }
+        
+        debugLog('Raw data loaded:', jsonData);
+        
+        const wasOutdated = !!jsonData.users && needsMigration(jsonData);
+        
+        dataState.circlesData = await normalizeLoadedData(jsonData, source);
+        dataState.loadedFromFile = true;
+        dataState.dataSource = source;
+        rebuildSpatialIndex();
+        
+        // Write upgraded records back so the migration only runs once
+        if ((wasOutdated || importedLegacySnapshot) && dataState.storage.writable && !dataState.storage.shared) {
+            await dataState.storage.replaceAll(dataState.circlesData);
+            if (importedLegacySnapshot) {
+                await createLocalStorageAdapter().clear();
+            }
+            console.log(`🔄 Stored data upgraded to version ${CURRENT_DATA_VERSION}`);
+        }
+        
+        debugLog('Circle data loaded and converted:', dataState.circlesData);
+        updateStatus(`✅ Loaded ${getTotalCircleCount()} circles from ${source}`);
+        
+        return dataState.circlesData;
     } catch (error) {
-        console.warn('Could not load JSON file, using built-in sample data:', error.message);
+        console.warn('Could not load circle data, using built-in sample data:', error.message);
         
         // Fallback to built-in sample data
         const sampleData = createSampleCircleData();
         dataState.circlesData = sampleData;
         dataState.loadedFromFile = false;
+        dataState.dataSource = 'Built-in sample data';
+        rebuildSpatialIndex();
+        
+        debugLog('Built-in sample circle data loaded:', dataState.circlesData);
+        updateStatus('📁 Using built-in sample data (js/circle_data.json not found)');
         
-        console.log('Built-in sample circle data loaded:', dataState.circlesData);
-        updateStatus('📁 Using built-in sample data (place sample_circle_data.json in data/ folder)');
+        return dataState.circlesData;
+    }
+}
+
+/**
+ * Ask for the passphrase and decrypt the stored circles. Cancelling leaves
+ * the space empty and the store locked, so nothing overwrites it.
+ */
+async function loadEncryptedData(envelope) {
+    const space = getCurrentSpace();
+    const unlocked = await askPassphrase({
+        title: '🔒 Encrypted circles',
+        message: `The circles in ${space.name} are encrypted. Enter the passphrase to open them.`,
+        unlock: passphrase => unlockEnvelope(envelope, passphrase)
+    });
+    
+    if (!unlocked) {
+        lockStoredKeys();
+        dataState.storage = createEncryptedAdapter();
+        dataState.circlesData = createEmptyDataset();
+        dataState.loadedFromFile = false;
+        dataState.dataSource = dataState.storage.label;
+        rebuildSpatialIndex();
         
+        console.log(`🔒 ${space.id} left locked`);
+        updateStatus('🔒 Circles are encrypted - reload the page to enter the passphrase');
         return dataState.circlesData;
     }
+    
+    dataState.encryptionKey = unlocked.encryptionKey;
+    dataState.storage = createEncryptedAdapter(unlocked.encryptionKey);
+    await unlockStoredKeys(unlocked.encryptionKey);
+    console.log(`🗄️ Using ${dataState.storage.label}`);
+    
+    dataState.circlesData = await normalizeLoadedData(JSON.parse(unlocked.text), dataState.storage.label);
+    dataState.loadedFromFile = true;
+    dataState.dataSource = dataState.storage.label;
+    rebuildSpatialIndex();
+    
+    updateStatus(`🔓 Loaded ${getTotalCircleCount()} encrypted circles`);
+    return dataState.circlesData;
 }
 
 /**
- * Convert simple JSON format to internal format
+ * Whether the store is encrypted and its passphrase was not given
  */
-function convertSimpleJsonToInternalFormat(simpleJson) {
-    const internalFormat = {
+function isStoreLocked() {
+    return Boolean(dataState.storage) && dataState.storage.name === 'encrypted' && !dataState.encryptionKey;
+}
+
+function createEmptyDataset() {
+    return {
         users: {},
+        bonds: [],
+        tombstones: [],
+        profiles: {},
         lastUpdated: new Date().toISOString(),
-        version: 1.0,
-        totalCircles: simpleJson.circles.length,
-        loadedFrom: 'JSON file'
+        version: CURRENT_DATA_VERSION,
+        totalCircles: 0
     };
+}
+
+/**
+ * A new space has no circles yet - the bundled file and sample data belong to
+ * the default space
+ */
+function startEmptySpace() {
+    const space = getCurrentSpace();
     
-    // Group circles by user and assign colors
-    simpleJson.circles.forEach((circle, index) => {
-        const userId = circle.user;
-        
-        if (!internalFormat.users[userId]) {
-            internalFormat.users[userId] = {
-                userId: userId,
-                circles: [],
-                color: getUserColor(userId),
-                createdAt: new Date().toISOString()
-            };
-        }
-        
-        // Add circle with generated ID and user color
-        internalFormat.users[userId].circles.push({
-            id: `${userId.toLowerCase()}_${index + 1}`,
-            x: circle.x,
-            z: circle.z,
-            radius: circle.radius,
-            timestamp: new Date().toISOString(),
-            color: getUserColor(userId),
-            userId: userId,
-            source: 'JSON file'
-        });
-    });
+    dataState.circlesData = createEmptyDataset();
+    dataState.loadedFromFile = false;
+    dataState.dataSource = `New space: ${space.name}`;
+    rebuildSpatialIndex();
+    
+    console.log(`🏠 Space ${space.id} is empty - starting fresh`);
+    updateStatus(`🏠 ${space.name} is empty - draw the first circle`);
     
-    console.log('Converted to internal format:', internalFormat);
-    return internalFormat;
+    return dataState.circlesData;
+}
+
+/**
+ * Accept either the simple `{circles:[...]}` format or the full internal format,
+ * upgrading older internal data through the migration pipeline. Large
+ * datasets are converted in the background worker (see datatasks.js).
+ */
+function normalizeLoadedData(jsonData, source) {
+    return runDataTask('normalize', { data: jsonData, source, colors: getProfileColors() }, { onProgress: showTaskProgress });
+}
+
+/**
+ * Each profile's color by user id, for records converted in the worker
+ */
+function getProfileColors() {
+    const colors = {};
+    Object.values(dataState.circlesData.profiles || {}).forEach(profile => {
+        colors[profile.userId] = profile.color;
+    });
+    return colors;
+}
+
+/**
+ * Background work shows how far it got in the status bar
+ */
+function showTaskProgress({ stage, done, total }) {
+    updateStatus(total > 0 ? `⏳ ${stage}... ${Math.round((done / total) * 100)}%` : `⏳ ${stage}...`);
 }
 
 /**
@@ -249,8 +466,11 @@ function createSampleCircleData() {
                 ]
             }
         },
+        bonds: [],
+        tombstones: [],
+        profiles: {},
         lastUpdated: new Date().toISOString(),
-        version: 1.0,
+        version: CURRENT_DATA_VERSION,
         totalCircles: 5,
         loadedFrom: 'Built-in sample data'
     };
@@ -261,10 +481,17 @@ function createSampleCircleData() {
 // ============================================================================
 
 /**
- * Add new circle data for current user
+ * Add new circle data for current user, with an optional written intention,
+ * the symbol it was drawn as (see symbols.js) and, for drawn circles, how
+ * well the stroke fitted a circle (`quality`, 0-1)
  */
 export function addCircleData(circleData) {
     const userId = dataState.currentUser;
+    const intention = normalizeIntention(circleData.intention);
+    const symbol = circleData.symbol && circleData.symbol !== DEFAULT_SYMBOL ? circleData.symbol : null;
+    if (symbol && validateSymbol(symbol).length > 0) {
+        throw new Error(validateSymbol(symbol).join('; '));
+    }
     
     // Ensure user exists in data
     if (!dataState.circlesData.users[userId]) {
@@ -276,35 +503,265 @@ export function addCircleData(circleData) {
         };
     }
     
-    // Add circle with unique ID
+    // Add circle with a globally unique ID, so merges never collide
+    const timestamp = new Date().toISOString();
     const circle = {
-        id: `${userId.toLowerCase()}_${Date.now()}`,
+        id: createRecordId(userId),
         x: parseFloat(circleData.x.toFixed(2)),
         z: parseFloat(circleData.z.toFixed(2)),
         radius: parseFloat(circleData.radius.toFixed(2)),
-        timestamp: new Date().toISOString(),
+        timestamp,
+        rev: 1,
+        updatedAt: timestamp,
         color: getUserColor(userId),
         userId: userId,
-        source: 'User drawn'
+        source: 'User drawn',
+        ...(symbol ? { symbol } : {}),
+        ...(Number.isFinite(circleData.quality) ? { quality: parseFloat(circleData.quality.toFixed(2)) } : {}),
+        ...(intention ? { intention } : {})
     };
     
     dataState.circlesData.users[userId].circles.push(circle);
-    dataState.circlesData.lastUpdated = new Date().toISOString();
-    dataState.circlesData.totalCircles = getTotalCircleCount();
-    dataState.hasUnsavedChanges = true;
+    dataState.spatialIndex.insert(circle);
+    markDatasetChanged();
     
     console.log('Circle added for user', userId, ':', circle);
     
-    // Immediate save for important data
-    if (DATA_CONFIG.autoSave) {
-        setTimeout(() => saveDataToFile(), 100);
-    }
+    // Sign, then share with everyone else and save right away
+    queueShare(async () => {
+        await signLocalRecord('circle', circle, userId);
+        sendSyncMessage('circle:add', { circle });
+        persistCircle(circle);
+    });
     
     return circle;
 }
 
 /**
- * Get all circles from all users except current user
+ * Put a previously removed circle back (same id and timestamp). Its revision
+ * moves past the deletion so merges keep it. Used by undo/redo.
+ */
+export function restoreCircleData(circle) {
+    if (findCircleRecord(circle.id)) {
+        return null;
+    }
+    
+    const tombstone = removeTombstone(circle.id);
+    
+    const userId = circle.userId;
+    if (!dataState.circlesData.users[userId]) {
+        dataState.circlesData.users[userId] = {
+            userId: userId,
+            circles: [],
+            color: getUserColor(userId),
+            createdAt: circle.timestamp || new Date().toISOString()
+        };
+    }
+    
+    const restored = {
+        ...circle,
+        rev: Math.max(circle.rev || 1, tombstone ? tombstone.rev || 1 : 0) + 1,
+        updatedAt: new Date().toISOString()
+    };
+    dataState.circlesData.users[userId].circles.push(restored);
+    indexLiveCircle(restored);
+    markDatasetChanged();
+    
+    console.log('Circle restored:', restored.id);
+    
+    // The revision changed, so the old signature no longer covers it
+    queueShare(async () => {
+        await signLocalRecord('circle', restored, userId);
+        sendSyncMessage('circle:add', { circle: restored });
+        persistCircle(restored);
+    });
+    
+    return restored;
+}
+
+/**
+ * Change a circle's position or size. Returns { before, after } copies and the
+ * bonds that no longer hold (callers record new ones), or null if the circle
+ * does not exist.
+ */
+export function updateCircleData(circleId, changes) {
+    const record = findCircleRecord(circleId);
+    if (!record) {
+        return null;
+    }
+    
+    const before = { ...record.circle };
+    
+    ['x', 'z', 'radius'].forEach(key => {
+        if (changes[key] !== undefined) {
+            record.circle[key] = parseFloat(Number(changes[key]).toFixed(2));
+        }
+    });
+    record.circle.rev = (record.circle.rev || 1) + 1;
+    record.circle.updatedAt = new Date().toISOString();
+    indexLiveCircle(record.circle);
+    markDatasetChanged();
+    
+    const after = { ...record.circle };
+    console.log('Circle edited:', circleId, changes);
+    
+    // The old intersection points are wrong now - other clients drop them too
+    const removedBonds = removeBondsForCircle(circleId);
+    removedBonds.forEach(bond => addTombstone(createBondTombstone(bond)));
+    
+    queueShare(async () => {
+        await signLocalRecord('circle', after, after.userId);
+        if (record.circle.rev === after.rev) {
+            record.circle.signature = after.signature;
+        }
+        
+        sendSyncMessage('circle:update', { circle: after });
+        persistCircleChange('updateCircle', after);
+        
+        removedBonds.forEach(bond => {
+            sendSyncMessage('bond:delete', { id: bond.id });
+            persistBondChange('deleteBond', bond);
+        });
+    });
+    
+    return { before, after, removedBonds };
+}
+
+/**
+ * Write, change or ('' or null) remove a circle's intention. Unlike a move
+ * this keeps its bonds. Returns { before, after } copies, or null if the
+ * circle does not exist; throws when the text is too long.
+ */
+export function setCircleIntention(circleId, intention) {
+    const record = findCircleRecord(circleId);
+    if (!record) {
+        return null;
+    }
+    
+    const text = normalizeIntention(intention);
+    const reasons = validateIntention(text);
+    if (reasons.length > 0) {
+        throw new Error(reasons.join('; '));
+    }
+    
+    const before = { ...record.circle };
+    if ((before.intention || '') === text) {
+        return { before, after: before };
+    }
+    
+    if (text) {
+        record.circle.intention = text;
+    } else {
+        delete record.circle.intention;
+    }
+    record.circle.rev = (record.circle.rev || 1) + 1;
+    record.circle.updatedAt = new Date().toISOString();
+    markDatasetChanged();
+    
+    const after = { ...record.circle };
+    console.log('Circle intention set:', circleId);
+    
+    queueShare(async () => {
+        await signLocalRecord('circle', after, after.userId);
+        if (record.circle.rev === after.rev) {
+            record.circle.signature = after.signature;
+        }
+        
+        sendSyncMessage('circle:update', { circle: after });
+        persistCircleChange('updateCircle', after);
+    });
+    
+    return { before, after };
+}
+
+/**
+ * Remove one circle and its bonds. Returns the removed circle, or null if it
+ * does not exist. Use getBondsForCircle() first to be able to restore them.
+ */
+export function deleteCircleData(circleId) {
+    const record = findCircleRecord(circleId);
+    if (!record) {
+        return null;
+    }
+    
+    record.user.circles.splice(record.index, 1);
+    dataState.spatialIndex.remove(circleId);
+    addTombstone(createCircleTombstone(record.circle));
+    markDatasetChanged();
+    
+    // Never retry an add for a circle that is gone
+    dataState.pendingWrites = dataState.pendingWrites.filter(circle => circle.id !== circleId);
+    
+    console.log('Circle deleted:', circleId);
+    
+    // The server and other clients drop the bonds along with the circle
+    queueShare(() => {
+        sendSyncMessage('circle:delete', { id: circleId });
+        persistCircleChange('deleteCircle', record.circle);
+    });
+    cascadeBondRemoval(circleId);
+    
+    return record.circle;
+}
+
+/**
+ * Look up a circle by id
+ */
+export function getCircleById(circleId) {
+    const record = findCircleRecord(circleId);
+    return record ? record.circle : null;
+}
+
+/**
+ * Locate a circle and the user record holding it
+ */
+function findCircleRecord(circleId) {
+    const users = Object.values(dataState.circlesData.users);
+    
+    for (const user of users) {
+        const index = (user.circles || []).findIndex(circle => circle.id === circleId);
+        if (index !== -1) {
+            return { user, index, circle: user.circles[index] };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Remember a deletion so merges and exports carry it
+ */
+function addTombstone(tombstone) {
+    removeTombstone(tombstone.id);
+    dataState.circlesData.tombstones.push(tombstone);
+    return tombstone;
+}
+
+/**
+ * Forget a deletion because the record is back. Returns the old tombstone.
+ */
+function removeTombstone(recordId) {
+    const tombstones = dataState.circlesData.tombstones;
+    const index = tombstones.findIndex(tombstone => tombstone.id === recordId);
+    return index === -1 ? null : tombstones.splice(index, 1)[0];
+}
+
+function getTombstone(recordId) {
+    return dataState.circlesData.tombstones.find(tombstone => tombstone.id === recordId) || null;
+}
+
+/**
+ * Bookkeeping shared by every single-circle change
+ */
+function markDatasetChanged() {
+    dataState.revision++;
+    dataState.circlesData.lastUpdated = new Date().toISOString();
+    dataState.circlesData.totalCircles = getTotalCircleCount();
+    dataState.hasUnsavedChanges = true;
+}
+
+/**
+ * Get all circles on the floor from all users except current user
  */
 export function getAllOtherUsersCircles() {
     const allCircles = [];
@@ -313,7 +770,7 @@ export function getAllOtherUsersCircles() {
     Object.keys(dataState.circlesData.users).forEach(userId => {
         if (userId !== currentUser) {
             const userCircles = dataState.circlesData.users[userId].circles || [];
-            userCircles.forEach(circle => {
+            userCircles.filter(circle => !circle.archivedAt).forEach(circle => {
                 allCircles.push({
                     ...circle,
                     userId: userId
@@ -322,240 +779,1463 @@ export function getAllOtherUsersCircles() {
         }
     });
     
-    console.log(`Retrieved ${allCircles.length} circles from other users`);
+    debugLog(`Retrieved ${allCircles.length} circles from other users`);
     return allCircles;
 }
 
 /**
- * Get current user's circles
+ * Get current user's circles on the floor
  */
 export function getCurrentUserCircles() {
     const userId = dataState.currentUser;
-    const circles = dataState.circlesData.users[userId]?.circles || [];
-    console.log(`Current user ${userId} has ${circles.length} circles`);
+    const circles = (dataState.circlesData.users[userId]?.circles || []).filter(circle => !circle.archivedAt);
+    debugLog(`Current user ${userId} has ${circles.length} circles`);
     return circles;
 }
 
 /**
- * Find intersections between a new circle and existing circles
+ * Find where a circle meets every other user's circles: crossing, inside one
+ * another or touching (see classifyCircleRelation). Each result carries its
+ * bond type. Candidates come from the spatial index, so only nearby circles
+ * are tested.
  */
 export function findCircleIntersections(newCircle) {
     const intersections = [];
-    const otherCircles = getAllOtherUsersCircles();
+    const newCircleUser = newCircle.userId || dataState.currentUser;
+    const tolerance = DATA_CONFIG.tangencyTolerance;
+    const candidates = dataState.spatialIndex.query(newCircle.x, newCircle.z, newCircle.radius + tolerance)
+        .filter(circle => circle.userId !== newCircleUser);
     
-    console.log(`Checking intersections for new circle at (${newCircle.x}, ${newCircle.z}) with radius ${newCircle.radius}`);
-    console.log(`Against ${otherCircles.length} existing circles`);
-    
-    otherCircles.forEach(existingCircle => {
-        const intersectionPoints = calculateCircleIntersection(newCircle, existingCircle);
+    candidates.forEach(existingCircle => {
+        const relation = classifyCircleRelation(newCircle, existingCircle, tolerance);
         
-        if (intersectionPoints.length > 0) {
-            const intersection = {
+        if (relation && relation.points.length > 0) {
+            intersections.push({
+                type: relation.type,
                 circle1: newCircle,
                 circle2: existingCircle,
-                points: intersectionPoints,
-                users: [dataState.currentUser, existingCircle.userId],
+                points: relation.points,
+                users: [newCircleUser, existingCircle.userId],
                 timestamp: new Date().toISOString()
-            };
-            
-            intersections.push(intersection);
-            
-            console.log(`🎯 Intersection found between ${dataState.currentUser} and ${existingCircle.userId}:`, {
-                points: intersectionPoints,
-                circle1: `(${newCircle.x}, ${newCircle.z}) r=${newCircle.radius}`,
-                circle2: `(${existingCircle.x}, ${existingCircle.z}) r=${existingCircle.radius}`
             });
+            
+            debugLog(`🎯 ${relation.type} between ${newCircleUser} and ${existingCircle.userId}:`, relation.points);
         }
     });
     
-    console.log(`Total intersections found: ${intersections.length}`);
+    console.log(`🎯 ${intersections.length} intersections from ${candidates.length} nearby circles (${dataState.spatialIndex.size} indexed)`);
     return intersections;
 }
 
 /**
- * Calculate intersection points between two circles
+ * Re-index every circle on the floor after the dataset is loaded or replaced
  */
-function calculateCircleIntersection(circle1, circle2) {
-    const dx = circle2.x - circle1.x;
-    const dz = circle2.z - circle1.z;
-    const distance = Math.sqrt(dx * dx + dz * dz);
-    
-    console.log(`Calculating intersection between circles:`, {
-        circle1: `(${circle1.x}, ${circle1.z}) r=${circle1.radius}`,
-        circle2: `(${circle2.x}, ${circle2.z}) r=${circle2.radius}`,
-        distance: distance.toFixed(2),
-        sumRadii: (circle1.radius + circle2.radius).toFixed(2),
-        diffRadii: Math.abs(circle1.radius - circle2.radius).toFixed(2)
+function rebuildSpatialIndex() {
+    dataState.revision++;
+    dataState.spatialIndex.clear();
+    Object.values(dataState.circlesData.users).forEach(user => {
+        (user.circles || []).forEach(indexLiveCircle);
     });
-    
-    // Check if circles intersect
-    if (distance > circle1.radius + circle2.radius) {
-        console.log('❌ Circles too far apart - no intersection');
-        return [];
-    }
-    
-    if (distance < Math.abs(circle1.radius - circle2.radius)) {
-        console.log('❌ One circle inside the other - no intersection');
-        return [];
-    }
-    
-    if (distance === 0 && circle1.radius === circle2.radius) {
-        console.log('❌ Circles are identical - infinite intersections');
-        return [];
+}
+
+/**
+ * Console output that is only useful while debugging - off by default because
+ * large datasets would flood the console
+ */
+function debugLog(...args) {
+    if (DATA_CONFIG.verboseLogging) {
+        console.log(...args);
     }
-    
-    // Calculate intersection points using geometric formula
-    const a = (circle1.radius * circle1.radius - circle2.radius * circle2.radius + distance * distance) / (2 * distance);
-    const h = Math.sqrt(circle1.radius * circle1.radius - a * a);
-    
-    // Point on the line between circle centers
-    const px = circle1.x + a * dx / distance;
-    const pz = circle1.z + a * dz / distance;
-    
-    // The two intersection points
-    const intersections = [
-        { 
-            x: parseFloat((px + h * (-dz) / distance).toFixed(3)), 
-            z: parseFloat((pz + h * (dx) / distance).toFixed(3))
-        },
-        { 
-            x: parseFloat((px - h * (-dz) / distance).toFixed(3)), 
-            z: parseFloat((pz - h * (dx) / distance).toFixed(3))
-        }
-    ];
-    
-    console.log('✅ Intersection points calculated:', intersections);
-    return intersections;
 }
 
 // ============================================================================
-// DATA PERSISTENCE
+// BONDS
 // ============================================================================
+//
+// A bond records the moment two sisters' circles met:
+//   { id, type, users: [userA, userB], circles: [circleA, circleB], points: [{x, z}], timestamp }
+// The type says how they met (see BOND_TYPES); bonds from before types were
+// recorded are intersections. The id is derived from the two circle ids, so
+// every client creates the same id for the same pair and bonds never duplicate.
 
 /**
- * Save data to JSON file (simulated with localStorage + download)
+ * Stable bond id for a pair of circles
  */
-export function saveDataToFile() {
-    const dataToSave = {
-        ...dataState.circlesData,
-        savedAt: new Date().toISOString(),
-        saveType: 'auto-save'
-    };
-    
-    const jsonString = JSON.stringify(dataToSave, null, 2);
+function getBondId(circleId1, circleId2) {
+    return `bond_${[circleId1, circleId2].sort().join('__')}`;
+}
+
+/**
+ * Store the intersections of a newly drawn (or moved) circle as bonds.
+ * Returns the bonds that did not exist yet.
+ */
+export function recordBonds(intersections) {
+    const existingIds = new Set(dataState.circlesData.bonds.map(bond => bond.id));
+    const newBonds = [];
     
-    try {
-        // Store in localStorage as backup
-        localStorage.setItem('circle_data_backup', jsonString);
-        dataState.hasUnsavedChanges = false;
+    intersections.forEach(intersection => {
+        const id = getBondId(intersection.circle1.id, intersection.circle2.id);
+        if (existingIds.has(id)) return;
         
-        console.log('✅ Circle data saved to localStorage backup');
-        updateStatus('💾 Data auto-saved');
+        removeTombstone(id);
         
-        return jsonString;
-    } catch (error) {
-        console.warn('❌ Could not save to localStorage:', error);
-        updateStatus('⚠️ Save failed - storage full');
-        return null;
+        const bond = {
+            id,
+            type: intersection.type || BOND_TYPES.intersection,
+            users: [...intersection.users],
+            circles: [intersection.circle1.id, intersection.circle2.id],
+            points: intersection.points.map(point => ({ x: point.x, z: point.z })),
+            timestamp: intersection.timestamp || new Date().toISOString(),
+            signedBy: dataState.currentUser
+        };
+        
+        dataState.circlesData.bonds.push(bond);
+        existingIds.add(id);
+        newBonds.push(bond);
+        
+        queueShare(async () => {
+            await signLocalRecord('bond', bond, bond.signedBy);
+            sendSyncMessage('bond:add', { bond });
+            persistBondChange('addBond', bond);
+        });
+    });
+    
+    if (newBonds.length > 0) {
+        markDatasetChanged();
+        console.log(`⭐ ${newBonds.length} bonds recorded`);
     }
+    
+    return newBonds;
 }
 
 /**
- * Create backup of current data
+ * Put bonds back after an undo/redo. Bonds whose circles are gone are skipped.
  */
-function createBackup() {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupKey = `circle_data_backup_${timestamp}`;
-    
-    const backupData = {
-        ...dataState.circlesData,
-        backupCreatedAt: new Date().toISOString(),
-        backupType: 'scheduled'
-    };
+export function restoreBondRecords(bonds) {
+    const restored = [];
     
-    try {
-        localStorage.setItem(backupKey, JSON.stringify(backupData, null, 2));
-        console.log(`📦 Backup created: ${backupKey}`);
+    bonds.forEach(bond => {
+        const exists = dataState.circlesData.bonds.some(existing => existing.id === bond.id);
+        const circlesExist = bond.circles.every(circleId => findCircleRecord(circleId));
+        if (exists || !circlesExist) return;
         
-        // Keep only last 5 backups
-        cleanupOldBackups();
+        // Newer than the deletion it undoes, so merges keep it
+        removeTombstone(bond.id);
+        const copy = { ...bond, points: bond.points.map(point => ({ ...point })), updatedAt: new Date().toISOString() };
+        dataState.circlesData.bonds.push(copy);
+        restored.push(copy);
         
-    } catch (error) {
-        console.warn('❌ Could not create backup:', error);
+        // Same bond content, so its signature still holds
+        queueShare(() => {
+            sendSyncMessage('bond:add', { bond: copy });
+            persistBondChange('addBond', copy);
+        });
+    });
+    
+    if (restored.length > 0) {
+        markDatasetChanged();
     }
+    
+    return restored;
 }
 
 /**
- * Clean up old backups to save space
+ * Every bond between circles that still exist, oldest first.
+ * (Merges keep bonds of deleted circles in case the circle comes back.)
  */
-function cleanupOldBackups() {
-    const backupKeys = [];
+export function getAllBonds() {
+    return dataState.circlesData.bonds.filter(isBondLive);
+}
+
+/**
+ * Bonds that involve a circle
+ */
+export function getBondsForCircle(circleId) {
+    return dataState.circlesData.bonds.filter(bond => bond.circles.includes(circleId) && isBondLive(bond));
+}
+
+/**
+ * How a bond's circles meet (see BOND_TYPES)
+ */
+export function getBondType(bond) {
+    return bond.type || BOND_TYPES.intersection;
+}
+
+function isBondLive(bond) {
+    return bond.circles.every(circleId => dataState.spatialIndex.has(circleId));
+}
+
+/**
+ * Take a circle's bonds out of the dataset, returning them
+ */
+function removeBondsForCircle(circleId) {
+    const removed = [];
+    dataState.circlesData.bonds = dataState.circlesData.bonds.filter(bond => {
+        if (bond.circles.includes(circleId)) {
+            removed.push(bond);
+            return false;
+        }
+        return true;
+    });
+    return removed;
+}
+
+/**
+ * Remove a deleted circle's bonds locally. Shared stores and other clients
+ * cascade on the circle delete themselves, local stores need each bond removed.
+ */
+function cascadeBondRemoval(circleId) {
+    const removed = removeBondsForCircle(circleId);
+    removed.forEach(bond => addTombstone(createBondTombstone(bond)));
+    
+    if (dataState.storage && !dataState.storage.shared) {
+        queueShare(() => removed.forEach(bond => persistBondChange('deleteBond', bond)));
+    }
+    
+    return removed;
+}
+
+// ============================================================================
+// CONSTELLATIONS
+// ============================================================================
+//
+// A constellation is a region where the circles of three or more users
+// overlap: { id, users, circles: [circleId, ...], center: {x, z} }. They follow
+// from the circles on the floor, so they are worked out when needed rather
+// than stored or shared. The id is derived from the circle ids, like a bond's.
+
+/**
+ * Every constellation on the floor. Only the largest group of circles
+ * sharing a region is returned, not each group inside it.
+ */
+export function findConstellations(minUsers = DATA_CONFIG.constellationUsers) {
+    const tolerance = DATA_CONFIG.tangencyTolerance;
+    const groups = new Map(); // sorted circle ids → { circles, points }
+    
+    getAllCircles().filter(circle => !circle.archivedAt).forEach(circle => {
+        const neighbours = dataState.spatialIndex.query(circle.x, circle.z, circle.radius);
+        const otherUsers = new Set(neighbours.map(other => other.userId).filter(userId => userId !== circle.userId));
+        if (otherUsers.size < minUsers - 1) return;
+        
+        // A shared region is either a whole circle or bounded by points where
+        // two rings cross, so those are the only places worth testing
+        const candidates = [{ x: circle.x, z: circle.z }];
+        neighbours.forEach(other => {
+            if (other.id > circle.id) {
+                candidates.push(...calculateCircleIntersection(circle, other));
+            }
+        });
+        
+        candidates.forEach(point => {
+            const covering = dataState.spatialIndex.query(point.x, point.z, 0)
+                .filter(other => isPointInCircle(point, other, tolerance));
+            if (new Set(covering.map(other => other.userId)).size < minUsers) return;
+            
+            const key = covering.map(other => other.id).sort().join('__');
+            if (!groups.has(key)) {
+                groups.set(key, { circles: covering, points: [] });
+            }
+            groups.get(key).points.push(point);
+        });
+    });
+    
+    // Drop groups that are part of a larger one
+    const keys = [...groups.keys()];
+    const constellations = [];
+    keys.forEach(key => {
+        const ids = key.split('__');
+        const isPart = keys.some(other => {
+            const larger = groups.get(other).circles;
+            return larger.length > ids.length && ids.every(id => larger.some(circle => circle.id === id));
+        });
+        if (isPart) return;
+        
+        // The region is convex, so the middle of its points lies inside it
+        const { circles, points } = groups.get(key);
+        constellations.push({
+            id: `constellation_${key}`,
+            users: [...new Set(circles.map(circle => circle.userId))].sort(),
+            circles: ids,
+            center: {
+                x: parseFloat((points.reduce((sum, point) => sum + point.x, 0) / points.length).toFixed(3)),
+                z: parseFloat((points.reduce((sum, point) => sum + point.z, 0) / points.length).toFixed(3))
+            }
+        });
+    });
+    
+    debugLog(`✨ ${constellations.length} constellations`, constellations);
+    return constellations;
+}
+
+/**
+ * Counter bumped on every change to the circles, so views can tell when
+ * something derived from them (like constellations) needs refreshing
+ */
+export function getDataRevision() {
+    return dataState.revision;
+}
+
+// ============================================================================
+// CIRCLE LIFETIMES AND ARCHIVE
+// ============================================================================
+//
+// A space may give circles a lifetime (`circleLifetimeDays`). Rings fade as
+// they age, and once a circle outlives it it leaves the floor: it gets an
+// `archivedAt` time, drops out of the spatial index (so it no longer bonds)
+// and only shows in the archive view. Nothing is deleted.
+// Archiving bumps the circle's revision and `updatedAt` like an edit, so
+// merges prefer the archived copy, and re-signs it when this browser holds its
+// user's key. Every client archives by the same rule, so it is only saved to
+// local stores: never sent over sync or written to a shared server.
+
+/**
+ * The current space's circle lifetime in ms, or null when circles never expire
+ */
+export function getCircleLifetime() {
+    const days = Number(getDataSetting('circleLifetimeDays'));
+    return Number.isFinite(days) && days > 0 ? days * 24 * 60 * 60 * 1000 : null;
+}
+
+/**
+ * Set the current space's circle lifetime in days (null or 0: forever) and
+ * archive whatever it has outlived
+ */
+export function setCircleLifetime(days) {
+    const value = days === null || days === '' ? 0 : Number(days);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error('A circle lifetime must be a number of days');
+    }
+    
+    updateSpaceSettings({ circleLifetimeDays: value > 0 ? value : null });
+    console.log(value > 0 ? `🍂 Circles now last ${value} days` : '🍂 Circles now last forever');
+    
+    archiveExpiredCircles();
+    return value > 0 ? value : null;
+}
+
+/**
+ * How much of its lifetime a circle has used: 0 (new, or no lifetime) to 1
+ */
+export function getCircleAge(circle, now = Date.now()) {
+    const lifetime = getCircleLifetime();
+    const drawnAt = Date.parse(circle.timestamp);
+    if (!lifetime || Number.isNaN(drawnAt)) {
+        return 0;
+    }
+    return Math.min(1, Math.max(0, (now - drawnAt) / lifetime));
+}
+
+export function isCircleArchived(circle) {
+    return Boolean(circle && circle.archivedAt);
+}
+
+/**
+ * Move every circle that outlived the lifetime to the archive.
+ * Returns the circles archived now.
+ */
+export function archiveExpiredCircles() {
+    if (!getCircleLifetime() || isStoreLocked()) {
+        return [];
+    }
+    
+    const now = Date.now();
+    const archivedAt = new Date(now).toISOString();
+    const archived = getAllCircles().filter(circle => !circle.archivedAt && getCircleAge(circle, now) >= 1);
+    if (archived.length === 0) {
+        return [];
+    }
+    
+    archived.forEach(circle => {
+        circle.archivedAt = archivedAt;
+        circle.rev = (circle.rev || 1) + 1;
+        circle.updatedAt = archivedAt;
+        dataState.spatialIndex.remove(circle.id);
+        
+        // Only circles whose key this browser holds can be signed again
+        const after = { ...circle };
+        queueShare(async () => {
+            if (canSignAs(after.userId)) {
+                await signLocalRecord('circle', after, after.userId);
+                if (circle.rev === after.rev) {
+                    circle.signature = after.signature;
+                }
+            }
+            
+            if (dataState.storage && !dataState.storage.shared) {
+                persistCircleChange('updateCircle', after);
+            }
+        });
+    });
+    markDatasetChanged();
+    
+    console.log(`🍂 ${archived.length} circles moved to the archive`);
+    notifyArchiveListeners(archived);
+    return archived;
+}
+
+/**
+ * Every archived circle, oldest first
+ */
+export function getArchivedCircles() {
+    return getAllCircles()
+        .filter(circle => circle.archivedAt)
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+/**
+ * Bonds that touch an archived circle (and whose circles both still exist)
+ */
+export function getArchivedBonds() {
+    const circles = new Map(getAllCircles().map(circle => [circle.id, circle]));
+    return dataState.circlesData.bonds.filter(bond =>
+        bond.circles.every(circleId => circles.has(circleId)) &&
+        bond.circles.some(circleId => circles.get(circleId).archivedAt)
+    );
+}
+
+/**
+ * Subscribe to circles leaving the floor; the listener gets the archived circles
+ */
+export function onCirclesArchived(listener) {
+    dataState.archiveListeners.push(listener);
+}
+
+function notifyArchiveListeners(circles) {
+    dataState.archiveListeners.forEach(listener => {
+        try {
+            listener(circles);
+        } catch (error) {
+            console.error('Error in archive listener:', error);
+        }
+    });
+}
+
+/**
+ * Put a circle in the spatial index unless it is archived
+ */
+function indexLiveCircle(circle) {
+    if (!circle.archivedAt) {
+        dataState.spatialIndex.insert(circle);
+    }
+}
+
+// ============================================================================
+// REAL-TIME SYNC
+// ============================================================================
+
+/**
+ * Connect to the local sync server so circles are shared live
+ */
+function startSyncChannel() {
+    const url = resolveSyncUrl();
+    if (!url) {
+        console.log('🌐 Circle sync disabled');
+        return;
+    }
+    
+    connectSync(url, dataState.currentUser, {
+        onWelcome: handleSyncWelcome,
+        onCircleAdded: applyRemoteCircle,
+        onCircleUpdated: applyRemoteCircleUpdate,
+        onCircleDeleted: applyRemoteCircleDelete,
+        onBondAdded: applyRemoteBond,
+        onBondDeleted: applyRemoteBondDelete,
+        onProfileUpdated: applyRemoteProfile,
+        onResync: handleSyncResync,
+        onPresence: (users) => {
+            console.log(`🌐 ${users.length} sisters online:`, users);
+        },
+        onStatusChange: (isConnected) => {
+            if (isConnected) {
+                updateStatus('🌐 Connected to shared circle space');
+            }
+        }
+    });
+}
+
+/**
+ * Merge the server snapshot and publish changes the server has not seen yet.
+ * Either side's version only wins when it is newer (see compareCircleVersions),
+ * so circles deleted elsewhere while this client was offline stay deleted.
+ */
+function handleSyncWelcome(message) {
+    const remoteCircles = message.circles || [];
+    const remoteBonds = message.bonds || [];
+    const remoteProfiles = message.profiles || [];
+    const remoteTombstones = (message.tombstones || []).filter(isValidTombstone);
+    const remoteCirclesById = new Map(remoteCircles.map(circle => [circle.id, circle]));
+    const remoteIds = new Set(remoteCirclesById.keys());
+    const remoteBondIds = new Set(remoteBonds.map(bond => bond.id));
+    const remoteCircleTombstones = new Map(remoteTombstones
+        .filter(tombstone => tombstone.kind === 'circle')
+        .map(tombstone => [tombstone.id, tombstone]));
+    
+    remoteCircles.forEach(circle => applyRemoteCircle(circle));
+    remoteCircleTombstones.forEach(tombstone => applyRemoteCircleDelete({ id: tombstone.id, tombstone }));
+    remoteBonds.forEach(bond => applyRemoteBond(bond));
+    remoteTombstones.filter(tombstone => tombstone.kind === 'bond').forEach(tombstone => {
+        const bond = dataState.circlesData.bonds.find(existing => existing.id === tombstone.id);
+        if (bond && compareBondVersions(tombstone, bond) > 0) {
+            applyRemoteBondDelete(tombstone.id);
+        }
+    });
+    remoteProfiles.forEach(profile => applyRemoteProfile(profile));
+    
+    // Circles drawn here while offline, unless deleted later elsewhere
+    let published = 0;
+    Object.values(dataState.circlesData.users).forEach(user => {
+        (user.circles || []).forEach(circle => {
+            const tombstone = remoteCircleTombstones.get(circle.id);
+            if (circle.source === 'User drawn' && !remoteIds.has(circle.id) &&
+                (!tombstone || compareCircleVersions(circle, tombstone) > 0)) {
+                sendSyncMessage('circle:add', { circle });
+                remoteIds.add(circle.id);
+                published++;
+            }
+        });
+    });
+    
+    // Circles deleted here while offline that the server still holds
+    dataState.circlesData.tombstones.forEach(tombstone => {
+        const remoteCircle = remoteCirclesById.get(tombstone.id);
+        if (tombstone.kind === 'circle' && remoteCircle && compareCircleVersions(tombstone, remoteCircle) > 0) {
+            sendSyncMessage('circle:delete', { id: tombstone.id });
+            remoteIds.delete(tombstone.id);
+            published++;
+        }
+    });
+    
+    // Bonds formed while offline, once the server knows both circles
+    dataState.circlesData.bonds.forEach(bond => {
+        if (!remoteBondIds.has(bond.id) && bond.circles.every(circleId => remoteIds.has(circleId))) {
+            sendSyncMessage('bond:add', { bond });
+            published++;
+        }
+    });
+    
+    // Profiles edited here while offline (the server keeps the newest)
+    const remoteProfileTimes = new Map(remoteProfiles.map(profile => [profile.userId, Date.parse(profile.updatedAt)]));
+    Object.values(dataState.circlesData.profiles).forEach(profile => {
+        if (profile.updatedAt && !(remoteProfileTimes.get(profile.userId) >= Date.parse(profile.updatedAt))) {
+            sendSyncMessage('profile:update', { profile });
+            published++;
+        }
+    });
+    
+    console.log(`🌐 Sync snapshot: ${remoteCircles.length} circles, ${remoteBonds.length} bonds and ${remoteProfiles.length} profiles received, ${published} records published`);
+    
+    // Only now do we know whether someone else already holds this user's key
+    publishIdentity(dataState.currentUser);
+    archiveExpiredCircles();
+}
+
+/**
+ * The server's data was replaced as a whole (PUT /api/circles). Its snapshot
+ * replaces ours instead of being merged, so nothing it dropped is published
+ * again; listeners hear every circle go and the new ones arrive.
+ */
+function handleSyncResync(message) {
+    const previousCircles = getAllCircles();
+    const previousBonds = dataState.circlesData.bonds;
+    
+    dataState.circlesData = { ...createEmptyDataset(), loadedFrom: dataState.circlesData.loadedFrom };
+    rebuildSpatialIndex();
+    clearHistory();
+    markDatasetChanged();
+    previousBonds.forEach(bond => notifyRemoteListeners('bondDeleted', bond));
+    previousCircles.forEach(circle => notifyRemoteListeners('deleted', circle));
+    
+    handleSyncWelcome(message);
+    
+    // A shared store already holds the snapshot
+    if (dataState.storage && !dataState.storage.shared) {
+        persistDatasetChange();
+    }
+    
+    updateStatus('🌐 Circles were replaced on the server');
+}
+
+/**
+ * Add a circle that arrived from another client. A circle already held here
+ * is handled as an edit; one deleted here at a later revision is ignored.
+ */
+function applyRemoteCircle(circle) {
+    if (!circle || !circle.id || !circle.userId) return;
+    if (findCircleRecord(circle.id)) {
+        applyRemoteCircleUpdate(circle);
+        return;
+    }
+    if (!isNewerThanLocal(circle) || !isAcceptableRemoteCircle(circle)) return;
+    
+    const userId = circle.userId;
+    
+    if (!dataState.circlesData.users[userId]) {
+        dataState.circlesData.users[userId] = {
+            userId: userId,
+            circles: [],
+            color: getUserColor(userId),
+            createdAt: circle.timestamp || new Date().toISOString()
+        };
+    }
+    
+    const userCircles = dataState.circlesData.users[userId].circles;
+    const remoteCircle = { ...circle, source: circle.source || 'Sync' };
+    userCircles.push(remoteCircle);
+    removeTombstone(circle.id);
+    indexLiveCircle(remoteCircle);
+    markDatasetChanged();
+    
+    // A shared server already has it; local stores need their own copy
+    if (dataState.storage && !dataState.storage.shared) {
+        persistCircle(remoteCircle);
+    }
+    
+    console.log(`🌐 Remote circle received from ${userId}:`, remoteCircle);
+    
+    notifyRemoteListeners('added', remoteCircle);
+    verifySignatures([{ kind: 'circle', record: remoteCircle }]);
+}
+
+/**
+ * Apply an edit made on another client, unless the copy here is newer
+ */
+function applyRemoteCircleUpdate(circle) {
+    if (!circle || !circle.id) return;
+    
+    const record = findCircleRecord(circle.id);
+    if (!record) {
+        applyRemoteCircle(circle);
+        return;
+    }
+    if (!isNewerThanLocal(circle)) return;
+    if (!isAcceptableRemoteCircle({ ...record.circle, ...circle })) return;
+    
+    Object.assign(record.circle, circle);
+    ['signature', 'intention'].forEach(field => {
+        if (circle[field] === undefined) {
+            delete record.circle[field];
+        }
+    });
+    indexLiveCircle(record.circle);
+    markDatasetChanged();
+    
+    if (dataState.storage && !dataState.storage.shared) {
+        persistCircleChange('updateCircle', record.circle);
+    }
+    
+    console.log(`🌐 Remote edit of ${circle.id}`);
+    notifyRemoteListeners('updated', record.circle);
+    verifySignatures([{ kind: 'circle', record: record.circle }]);
+}
+
+/**
+ * Hold remote circles to the same limits as imports: one huge radius would
+ * make the spatial index walk billions of cells
+ */
+function isAcceptableRemoteCircle(circle) {
+    const reasons = validateCircleRecord(circle, circle.userId, 'internal');
+    if (reasons.length > 0) {
+        console.warn(`⚠️ Ignored remote circle ${circle.id}: ${reasons.join('; ')}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Whether a remote circle or circle tombstone beats the circle or tombstone
+ * held here under its id, by the same rules as merging files
+ */
+function isNewerThanLocal(remote) {
+    const record = findCircleRecord(remote.id);
+    const local = record ? record.circle : getTombstone(remote.id);
+    return !local || compareCircleVersions(remote, local) > 0;
+}
+
+/**
+ * Apply a deletion made on another client, unless the circle was edited or
+ * restored here since. The tombstone is kept even for circles never seen.
+ */
+function applyRemoteCircleDelete({ id: circleId, tombstone }) {
+    const record = findCircleRecord(circleId);
+    const remoteTombstone = isValidTombstone(tombstone) && tombstone.kind === 'circle' && tombstone.id === circleId
+        ? tombstone
+        : (record ? createCircleTombstone(record.circle) : null);
+    if (!remoteTombstone || !isNewerThanLocal(remoteTombstone)) return;
+    
+    if (record) {
+        record.user.circles.splice(record.index, 1);
+        dataState.spatialIndex.remove(circleId);
+    }
+    addTombstone(remoteTombstone);
+    markDatasetChanged();
+    
+    if (dataState.storage && !dataState.storage.shared) {
+        persistCircleChange('deleteCircle', record ? record.circle : { id: circleId });
+    }
+    if (!record) return;
+    cascadeBondRemoval(circleId);
+    
+    console.log(`🌐 Remote delete of ${circleId}`);
+    notifyRemoteListeners('deleted', record.circle);
+}
+
+/**
+ * Add a bond formed on another client
+ */
+function applyRemoteBond(bond) {
+    if (!bond || !bond.id || !Array.isArray(bond.circles)) return;
+    if (dataState.circlesData.bonds.some(existing => existing.id === bond.id)) return;
+    
+    // Dropped here after it was formed
+    const tombstone = getTombstone(bond.id);
+    if (tombstone && compareBondVersions(tombstone, bond) > 0) return;
+    
+    dataState.circlesData.bonds.push(bond);
+    removeTombstone(bond.id);
+    markDatasetChanged();
+    
+    if (dataState.storage && !dataState.storage.shared) {
+        persistBondChange('addBond', bond);
+    }
+    
+    notifyRemoteListeners('bondAdded', bond);
+    verifySignatures([{ kind: 'bond', record: bond }]);
+}
+
+/**
+ * Remove a bond another client dropped (its circle moved)
+ */
+function applyRemoteBondDelete(bondId) {
+    const bond = dataState.circlesData.bonds.find(existing => existing.id === bondId);
+    if (!bond) return;
+    
+    dataState.circlesData.bonds = dataState.circlesData.bonds.filter(existing => existing.id !== bondId);
+    addTombstone(createBondTombstone(bond));
+    markDatasetChanged();
+    
+    if (dataState.storage && !dataState.storage.shared) {
+        persistBondChange('deleteBond', bond);
+    }
+    
+    notifyRemoteListeners('bondDeleted', bond);
+}
+
+/**
+ * Call every listener registered for a kind of remote change
+ */
+function notifyRemoteListeners(kind, circle) {
+    dataState.remoteListeners[kind].forEach(listener => {
+        try {
+            listener(circle);
+        } catch (error) {
+            console.error(`Error in remote circle ${kind} listener:`, error);
+        }
+    });
+}
+
+/**
+ * Register a listener and return its unsubscribe function
+ */
+function addRemoteListener(kind, listener) {
+    dataState.remoteListeners[kind].push(listener);
+    
+    return () => {
+        dataState.remoteListeners[kind] = dataState.remoteListeners[kind].filter(l => l !== listener);
+    };
+}
+
+/**
+ * Subscribe to circles added by other clients.
+ * Returns an unsubscribe function.
+ */
+export function onRemoteCircleAdded(listener) {
+    return addRemoteListener('added', listener);
+}
+
+/**
+ * Subscribe to circles edited by other clients
+ */
+export function onRemoteCircleUpdated(listener) {
+    return addRemoteListener('updated', listener);
+}
+
+/**
+ * Subscribe to circles deleted by other clients (listener receives the removed circle)
+ */
+export function onRemoteCircleDeleted(listener) {
+    return addRemoteListener('deleted', listener);
+}
+
+/**
+ * Subscribe to bonds formed on other clients
+ */
+export function onRemoteBondAdded(listener) {
+    return addRemoteListener('bondAdded', listener);
+}
+
+/**
+ * Subscribe to bonds removed on other clients (listener receives the removed bond)
+ */
+export function onRemoteBondDeleted(listener) {
+    return addRemoteListener('bondDeleted', listener);
+}
+
+// ============================================================================
+// DATA PERSISTENCE
+// ============================================================================
+
+/**
+ * Save data through the active storage adapter.
+ * Snapshot adapters store the whole dataset, per-record adapters (REST)
+ * retry any circle writes that failed earlier.
+ */
+export async function saveDataToFile() {
+    const storage = dataState.storage;
+    if (!storage || !storage.writable) {
+        return null;
+    }
+    
+    if (!storage.save) {
+        return flushPendingWrites();
+    }
+    
+    const dataToSave = {
+        ...dataState.circlesData,
+        savedAt: new Date().toISOString(),
+        saveType: 'auto-save'
+    };
+    
+    try {
+        await storage.save(dataToSave);
+        dataState.hasUnsavedChanges = false;
+        
+        console.log(`✅ Circle data saved to ${storage.label}`);
+        updateStatus('💾 Data auto-saved');
+        
+        return dataToSave;
+    } catch (error) {
+        console.warn(`❌ Could not save to ${storage.label}:`, error);
+        updateStatus('⚠️ Save failed - storage full or unavailable');
+        return null;
+    }
+}
+
+/**
+ * Persist one new circle - per record when the backend supports it
+ */
+function persistCircle(circle) {
+    const storage = dataState.storage;
     
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith('circle_data_backup_')) {
-            backupKeys.push(key);
+    if (storage && storage.addCircle) {
+        storage.addCircle(circle, getUserRecord(circle.userId))
+            .then(() => {
+                if (dataState.pendingWrites.length === 0) {
+                    dataState.hasUnsavedChanges = false;
+                }
+                console.log(`✅ Circle ${circle.id} saved to ${storage.label}`);
+            })
+            .catch(error => {
+                console.warn(`❌ Could not save circle to ${storage.label}, will retry:`, error.message);
+                dataState.pendingWrites.push(circle);
+            });
+    } else if (getDataSetting('autoSave')) {
+        setTimeout(() => saveDataToFile(), 100);
+    }
+}
+
+/**
+ * Persist an edit or deletion of one circle.
+ * Snapshot adapters pick the change up on the next auto-save.
+ */
+function persistCircleChange(method, circle) {
+    const storage = dataState.storage;
+    if (!storage || !storage.writable) return;
+    
+    if (!storage[method]) {
+        if (getDataSetting('autoSave')) {
+            setTimeout(() => saveDataToFile(), 100);
+        }
+        return;
+    }
+    
+    const request = method === 'deleteCircle'
+        ? storage.deleteCircle(circle.id, getTombstone(circle.id))
+        : storage.updateCircle(circle, getUserRecord(circle.userId));
+    
+    request
+        .then(() => console.log(`✅ ${method} ${circle.id} saved to ${storage.label}`))
+        .catch(error => console.warn(`❌ ${method} ${circle.id} failed on ${storage.label}:`, error.message));
+}
+
+/**
+ * Persist a new or removed bond, per record when the backend supports it
+ */
+function persistBondChange(method, bond) {
+    const storage = dataState.storage;
+    if (!storage || !storage.writable) return;
+    
+    if (!storage[method]) {
+        if (getDataSetting('autoSave')) {
+            setTimeout(() => saveDataToFile(), 100);
+        }
+        return;
+    }
+    
+    const request = method === 'deleteBond'
+        ? storage.deleteBond(bond.id, getTombstone(bond.id))
+        : storage.addBond(bond);
+    
+    request
+        .then(() => console.log(`✅ ${method} ${bond.id} saved to ${storage.label}`))
+        .catch(error => console.warn(`❌ ${method} ${bond.id} failed on ${storage.label}:`, error.message));
+}
+
+/**
+ * Store one profile - per record when the backend supports it
+ */
+function persistProfile(profile) {
+    const storage = dataState.storage;
+    if (!storage || !storage.writable) return;
+    
+    if (!storage.saveProfile) {
+        if (getDataSetting('autoSave')) {
+            setTimeout(() => saveDataToFile(), 100);
+        }
+        return;
+    }
+    
+    storage.saveProfile(profile)
+        .then(() => console.log(`✅ Profile ${profile.userId} saved to ${storage.label}`))
+        .catch(error => console.warn(`❌ Profile ${profile.userId} failed on ${storage.label}:`, error.message));
+}
+
+/**
+ * Retry circle writes that failed while the server was unreachable
+ */
+async function flushPendingWrites() {
+    const storage = dataState.storage;
+    const pending = dataState.pendingWrites;
+    dataState.pendingWrites = [];
+    
+    for (const circle of pending) {
+        try {
+            await storage.addCircle(circle, getUserRecord(circle.userId));
+        } catch (error) {
+            dataState.pendingWrites.push(circle);
+        }
+    }
+    
+    if (dataState.pendingWrites.length === 0) {
+        dataState.hasUnsavedChanges = false;
+        if (pending.length > 0) {
+            console.log(`✅ ${pending.length} pending circles saved to ${storage.label}`);
+            updateStatus('💾 Data saved to circle server');
+        }
+        return true;
+    }
+    
+    console.warn(`⚠️ ${dataState.pendingWrites.length} circles still waiting for ${storage.label}`);
+    return false;
+}
+
+/**
+ * User metadata without the circle list, for per-record stores
+ */
+function getUserRecord(userId) {
+    const user = dataState.circlesData.users[userId];
+    if (!user) return null;
+    
+    const { circles, ...userRecord } = user;
+    return userRecord;
+}
+
+/**
+ * Push a wholesale change (replace, clear, merge) to the storage backend.
+ * `changes` lists what a merge did (see diffDatasets); without it the whole
+ * dataset is replaced.
+ */
+function persistDatasetChange(changes = null) {
+    const storage = dataState.storage;
+    if (!storage || !storage.writable) return;
+    
+    if (storage.save) {
+        // Snapshot adapters pick this up on the next auto-save
+        dataState.hasUnsavedChanges = true;
+        return;
+    }
+    
+    if (changes) {
+        changes.addedCircles.forEach(circle => persistCircle(circle));
+        changes.updatedCircles.forEach(circle => persistCircleChange('updateCircle', circle));
+        changes.deletedCircles.forEach(circle => persistCircleChange('deleteCircle', circle));
+        changes.addedBonds.forEach(bond => persistBondChange('addBond', bond));
+        changes.deletedBonds.forEach(bond => persistBondChange('deleteBond', bond));
+    } else {
+        storage.replaceAll(dataState.circlesData)
+            .then(() => console.log(`✅ Dataset replaced on ${storage.label}`))
+            .catch(error => console.warn(`❌ Could not replace dataset on ${storage.label}:`, error.message));
+    }
+}
+
+/**
+ * Create backup of current data (IndexedDB, or localStorage without it).
+ * Every backup carries a checksum of its data so corrupted copies are skipped.
+ * An encrypted store keeps its backups encrypted with the same key; the
+ * checksum is of the plain data.
+ */
+export async function createBackup(backupType = 'scheduled') {
+    // Without the passphrase there is nothing to back up and no key to protect it
+    if (isStoreLocked()) {
+        return null;
+    }
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupKey = `${getLocalBackupPrefix()}${timestamp}`;
+    
+    const backupData = {
+        ...withoutBackupFields(dataState.circlesData),
+        backupCreatedAt: new Date().toISOString(),
+        backupType
+    };
+    const record = {
+        id: backupKey,
+        createdAt: backupData.backupCreatedAt,
+        backupType: backupData.backupType,
+        version: backupData.version,
+        checksum: computeChecksum(backupData)
+    };
+    
+    try {
+        if (dataState.encryptionKey) {
+            record.encrypted = await encryptJson(backupData, dataState.encryptionKey);
+        } else {
+            record.data = backupData;
+        }
+    } catch (error) {
+        console.warn('❌ Could not encrypt backup:', error);
+        return null;
+    }
+    
+    if (isIndexedDBAvailable()) {
+        try {
+            await saveBackupRecord(record);
+            console.log(`📦 Backup created: ${backupKey}`);
+            
+            const removed = await pruneBackupRecords(getDataSetting('maxBackups'));
+            removed.forEach(id => console.log(`🗑️ Removed old backup: ${id}`));
+        } catch (error) {
+            console.warn('❌ Could not create backup:', error);
+            return null;
         }
+        return backupKey;
+    }
+    
+    try {
+        localStorage.setItem(backupKey, JSON.stringify(toLocalBackup(record), null, 2));
+        console.log(`📦 Backup created: ${backupKey}`);
+        
+        // Keep only last 5 backups
+        cleanupOldBackups();
+        
+    } catch (error) {
+        console.warn('❌ Could not create backup:', error);
+        return null;
     }
+    return backupKey;
+}
+
+/**
+ * Clean up old backups to save space
+ */
+function cleanupOldBackups() {
+    const backupKeys = getLocalBackupKeys();
     
     // Sort by timestamp (newest first)
     backupKeys.sort().reverse();
     
-    // Remove old backups (keep only 5 most recent)
-    while (backupKeys.length > 5) {
+    // Remove old backups (keep only the most recent)
+    while (backupKeys.length > getDataSetting('maxBackups')) {
         const oldKey = backupKeys.pop();
         localStorage.removeItem(oldKey);
         console.log(`🗑️ Removed old backup: ${oldKey}`);
     }
 }
 
+function getLocalBackupKeys() {
+    const backupKeys = [];
+    
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(getLocalBackupPrefix())) {
+            backupKeys.push(key);
+        }
+    }
+    
+    return backupKeys;
+}
+
+/**
+ * The dataset without the fields createBackup adds
+ */
+function withoutBackupFields(data) {
+    const { backupCreatedAt, backupType, backupChecksum, ...dataset } = data;
+    return dataset;
+}
+
+/**
+ * Read every backup and check it against its checksum.
+ * Status is 'ok', 'unverified' (made before checksums existed), 'corrupt'
+ * or 'locked' (encrypted, and the store's passphrase was not given).
+ */
+async function readBackupEntries() {
+    if (isIndexedDBAvailable()) {
+        const records = await listBackupRecords();
+        return Promise.all(records.map(openBackup));
+    }
+    
+    return Promise.all(getLocalBackupKeys().sort().reverse().map(key => openBackup(readLocalBackup(key))));
+}
+
+/**
+ * Read and check one backup, or null if there is none with that id
+ */
+async function readBackupEntry(backupId) {
+    if (isIndexedDBAvailable()) {
+        const record = await loadBackupRecord(backupId);
+        return record ? openBackup(record) : null;
+    }
+    
+    return getLocalBackupKeys().includes(backupId) ? openBackup(readLocalBackup(backupId)) : null;
+}
+
+/**
+ * A localStorage backup as a backup record (unchecked)
+ */
+function readLocalBackup(key) {
+    let data;
+    try {
+        data = JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        return { id: key, createdAt: null, backupType: 'unknown', version: null, data: null, status: 'corrupt', problem: 'Not valid JSON' };
+    }
+    
+    const { backupChecksum, encrypted, ...backupData } = data || {};
+    return {
+        id: key,
+        createdAt: backupData.backupCreatedAt || null,
+        backupType: backupData.backupType || 'scheduled',
+        version: backupData.version || 1,
+        checksum: backupChecksum,
+        data: encrypted ? null : backupData,
+        encrypted
+    };
+}
+
+/**
+ * A backup record in the localStorage layout: the dataset with the backup
+ * fields alongside, or just those fields and the envelope when encrypted
+ */
+function toLocalBackup(record) {
+    const fields = { backupCreatedAt: record.createdAt, backupType: record.backupType, backupChecksum: record.checksum };
+    return record.encrypted
+        ? { ...fields, version: record.version, encrypted: record.encrypted }
+        : { ...record.data, ...fields };
+}
+
+/**
+ * Decrypt an encrypted backup with the store's key, then check it
+ */
+async function openBackup(entry) {
+    if (entry.status) {
+        return entry;
+    }
+    if (!entry.encrypted) {
+        return verifyBackup(entry);
+    }
+    if (!dataState.encryptionKey) {
+        return { ...entry, data: null, status: 'locked', problem: 'Encrypted - unlock the store to read it' };
+    }
+    
+    try {
+        return verifyBackup({ ...entry, data: await decryptJson(entry.encrypted, dataState.encryptionKey) });
+    } catch (error) {
+        return { ...entry, data: null, status: 'locked', problem: error.message };
+    }
+}
+
+/**
+ * Pass every stored backup through `transform(record)` and store what it
+ * returns (null leaves the backup as it is)
+ */
+async function rewriteBackups(transform) {
+    if (isIndexedDBAvailable()) {
+        for (const record of await listBackupRecords()) {
+            const rewritten = await transform(record);
+            if (rewritten) {
+                await saveBackupRecord(rewritten);
+            }
+        }
+        return;
+    }
+    
+    for (const key of getLocalBackupKeys()) {
+        const record = readLocalBackup(key);
+        const rewritten = record.status ? null : await transform(record);
+        if (rewritten) {
+            localStorage.setItem(key, JSON.stringify(toLocalBackup(rewritten), null, 2));
+        }
+    }
+}
+
+function verifyBackup(entry) {
+    if (!entry.data || typeof entry.data !== 'object' || !entry.data.users || typeof entry.data.users !== 'object') {
+        return { ...entry, status: 'corrupt', problem: 'Backup has no circle data' };
+    }
+    if (!entry.checksum) {
+        return { ...entry, status: 'unverified', problem: null };
+    }
+    if (computeChecksum(entry.data) !== entry.checksum) {
+        return { ...entry, status: 'corrupt', problem: 'Checksum does not match' };
+    }
+    return { ...entry, status: 'ok', problem: null };
+}
+
+/**
+ * Load a backup as a current-format dataset, refusing corrupted ones
+ */
+async function loadVerifiedBackup(backupId) {
+    const entry = await readBackupEntry(backupId);
+    if (!entry) {
+        throw new Error(`Backup not found: ${backupId}`);
+    }
+    if (entry.status === 'corrupt') {
+        throw new Error(`Backup ${backupId} is corrupted: ${entry.problem}`);
+    }
+    if (entry.status === 'locked') {
+        throw new Error(`Backup ${backupId} is encrypted: ${entry.problem}`);
+    }
+    
+    return {
+        entry,
+        data: await normalizeLoadedData(withoutBackupFields(entry.data), `Backup ${backupId}`)
+    };
+}
+
+/**
+ * List stored backups, newest first, with their counts and checksum status
+ */
+export async function listBackups() {
+    const backups = await readBackupEntries();
+    return backups.map(backup => {
+        const users = backup.data && backup.data.users ? Object.values(backup.data.users) : [];
+        return {
+            id: backup.id,
+            createdAt: backup.createdAt,
+            backupType: backup.backupType,
+            version: backup.version,
+            status: backup.status,
+            problem: backup.problem,
+            userCount: users.length,
+            circleCount: users.reduce((total, user) => total + (Array.isArray(user.circles) ? user.circles.length : 0), 0),
+            bondCount: backup.data && Array.isArray(backup.data.bonds) ? backup.data.bonds.length : 0
+        };
+    });
+}
+
+/**
+ * What restoring a backup would change in the current data:
+ * { added, removed, changed, addedBonds, removedBonds, users: [{ userId, added, removed, changed }] }
+ * where "added" circles are in the backup but not in the current data.
+ */
+export async function diffBackup(backupId) {
+    const { data } = await loadVerifiedBackup(backupId);
+    const changes = diffDatasets(dataState.circlesData, data);
+    
+    const users = new Map();
+    const countFor = (circle, field) => {
+        if (!users.has(circle.userId)) {
+            users.set(circle.userId, { userId: circle.userId, added: 0, removed: 0, changed: 0 });
+        }
+        users.get(circle.userId)[field]++;
+    };
+    changes.addedCircles.forEach(circle => countFor(circle, 'added'));
+    changes.deletedCircles.forEach(circle => countFor(circle, 'removed'));
+    changes.updatedCircles.forEach(circle => countFor(circle, 'changed'));
+    
+    return {
+        backupId,
+        added: changes.addedCircles.length,
+        removed: changes.deletedCircles.length,
+        changed: changes.updatedCircles.length,
+        addedBonds: changes.addedBonds.length,
+        removedBonds: changes.deletedBonds.length,
+        users: [...users.values()].sort((a, b) => a.userId.localeCompare(b.userId))
+    };
+}
+
+/**
+ * Restore a backup, upgrading it if it is from an older version.
+ * Without `userId` the whole dataset is replaced; with it only that user's
+ * circles (and their bonds) are put back and everyone else is left alone.
+ * The current data is backed up first so a restore can itself be restored.
+ */
+export async function restoreBackup(backupId, { userId = null } = {}) {
+    const { entry, data } = await loadVerifiedBackup(backupId);
+    
+    await createBackup('before-restore');
+    
+    if (userId) {
+        dataState.circlesData = restoreUserFromBackup(dataState.circlesData, data, userId);
+    } else {
+        dataState.circlesData = data;
+    }
+    
+    rebuildSpatialIndex();
+    clearHistory();
+    persistDatasetChange();
+    dataState.hasUnsavedChanges = true;
+    
+    const scope = userId ? `${userId}'s circles` : 'all circles';
+    console.log(`📦 Restored ${scope} from backup ${backupId} (version ${entry.version} → ${CURRENT_DATA_VERSION})`);
+    updateStatus(`📦 Restored ${scope} from backup - ${getTotalCircleCount()} circles now`);
+    
+    await verifyDatasetSignatures();
+    return dataState.circlesData;
+}
+
+/**
+ * Current data with one user's circles and bonds taken from a backup
+ */
+function restoreUserFromBackup(current, backup, userId) {
+    const users = { ...current.users };
+    if (backup.users[userId]) {
+        users[userId] = { ...backup.users[userId], circles: [...backup.users[userId].circles] };
+    } else {
+        delete users[userId];
+    }
+    
+    const restoredIds = new Set((users[userId]?.circles || []).map(circle => circle.id));
+    
+    const bonds = new Map();
+    current.bonds.filter(bond => !bond.users.includes(userId)).forEach(bond => bonds.set(bond.id, bond));
+    backup.bonds.filter(bond => bond.users.includes(userId)).forEach(bond => bonds.set(bond.id, bond));
+    
+    const profiles = { ...current.profiles };
+    if (backup.profiles && backup.profiles[userId]) {
+        profiles[userId] = backup.profiles[userId];
+    }
+    
+    const restored = {
+        ...current,
+        users,
+        profiles,
+        bonds: [...bonds.values()],
+        tombstones: (current.tombstones || []).filter(tombstone => !restoredIds.has(tombstone.id)),
+        lastUpdated: new Date().toISOString()
+    };
+    restored.totalCircles = countCircles(restored);
+    
+    // Bonds with circles that are gone on either side are dropped
+    return withoutOrphanBonds(restored);
+}
+
 /**
- * Download circle data as JSON file
+ * Download circle data as JSON file.
+ * The data exports take `{ passphrase }` to download an encrypted file
+ * instead (see encryption.js); loadDataFromFile asks for it again.
  */
-export function downloadDataAsFile() {
+export async function downloadDataAsFile({ passphrase = null } = {}) {
     // Convert internal format back to simple format for download
     const simpleFormat = convertInternalFormatToSimpleJson(dataState.circlesData);
     
-    const jsonString = JSON.stringify(simpleFormat, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `circle_data_${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    await downloadTextFile(JSON.stringify(simpleFormat, null, 2), 'application/json', 'circle_data', 'json', passphrase);
     
-    updateStatus('📥 Circle data downloaded as JSON file');
+    updateStatus(`📥 Circle data downloaded as ${passphrase ? 'encrypted ' : ''}JSON file`);
     console.log('📥 Circle data downloaded');
 }
 
 /**
  * Download full internal data (for debugging)
  */
-export function downloadFullDataAsFile() {
+export async function downloadFullDataAsFile({ passphrase = null } = {}) {
     const fullData = {
         ...dataState.circlesData,
         exportedAt: new Date().toISOString(),
         exportType: 'full-internal'
     };
     
-    const jsonString = JSON.stringify(fullData, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
+    await downloadTextFile(JSON.stringify(fullData, null, 2), 'application/json', 'full_circle_data', 'json', passphrase);
+    
+    updateStatus(`📥 Full data exported${passphrase ? ' (encrypted)' : ''}`);
+    console.log('📥 Full internal data downloaded');
+}
+
+/**
+ * Download circles and bonds as a GeoJSON FeatureCollection (x/z as planar coordinates)
+ */
+export async function downloadDataAsGeoJson({ passphrase = null } = {}) {
+    const geoJson = toGeoJson(convertInternalFormatToSimpleJson(dataState.circlesData));
+    
+    await downloadTextFile(JSON.stringify(geoJson, null, 2), 'application/geo+json', 'circle_data', 'geojson', passphrase);
+    
+    updateStatus(`📥 ${geoJson.features.length} features downloaded as ${passphrase ? 'encrypted ' : ''}GeoJSON`);
+    console.log('📥 Circle data downloaded as GeoJSON');
+}
+
+/**
+ * Download one CSV row per circle, for editing in a spreadsheet
+ */
+export async function downloadDataAsCsv({ passphrase = null } = {}) {
+    const simpleFormat = convertInternalFormatToSimpleJson(dataState.circlesData);
+    
+    await downloadTextFile(toCsv(simpleFormat), 'text/csv', 'circle_data', 'csv', passphrase);
+    
+    updateStatus(`📥 ${simpleFormat.circles.length} circles downloaded as ${passphrase ? 'encrypted ' : ''}CSV`);
+    console.log('📥 Circle data downloaded as CSV');
+}
+
+/**
+ * Download an SVG poster of the floor with every circle and star (not the archive)
+ */
+export function downloadPosterAsSvg() {
+    const circles = getAllCircles().filter(circle => !circle.archivedAt);
+    const bonds = getAllBonds();
+    const space = getCurrentSpace();
+    const profiles = {};
+    circles.forEach(circle => { profiles[circle.userId] = getUserProfile(circle.userId); });
+    const svg = toSvgPoster(circles, bonds, { title: space.isDefault ? 'Circle Space' : space.name, profiles });
+    
+    downloadTextFile(svg, 'image/svg+xml', 'circle_poster', 'svg');
+    
+    updateStatus(`🖼️ Poster downloaded: ${circles.length} circles, ${bonds.length} bonds`);
+    console.log('🖼️ SVG poster downloaded');
+}
+
+/**
+ * Save text through a temporary link, named `<prefix>_<yyyy-mm-dd>.<extension>`
+ * (`<prefix>_<space>_<yyyy-mm-dd>.<extension>` outside the default space).
+ * With a passphrase the file is an encrypted envelope, `.<extension>.encrypted`.
+ */
+async function downloadTextFile(text, mimeType, prefix, extension, passphrase = null) {
+    if (passphrase) {
+        const envelope = await encryptText(text, passphrase, { contentType: mimeType });
+        text = JSON.stringify(envelope, null, 2);
+        mimeType = 'application/json';
+        extension = `${extension}.encrypted`;
+    }
+    
+    const space = getCurrentSpace();
+    const spacePart = space.isDefault ? '' : `_${space.id}`;
+    const blob = new Blob([text], { type: mimeType });
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
     a.href = url;
-    a.download = `full_circle_data_${new Date().toISOString().split('T')[0]}.json`;
+    a.download = `${prefix}${spacePart}_${new Date().toISOString().split('T')[0]}.${extension}`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-    
-    updateStatus('📥 Full data exported');
-    console.log('📥 Full internal data downloaded');
 }
 
 /**
@@ -565,60 +2245,140 @@ function convertInternalFormatToSimpleJson(internalData) {
     const simpleFormat = {
         circles: [],
         exportedAt: new Date().toISOString(),
-        originalVersion: internalData.version || 1.0
+        originalVersion: internalData.version || CURRENT_DATA_VERSION
     };
     
-    // Extract all circles from all users
+    // Extract all circles from all users (ids and timestamps keep bonds linked)
     Object.keys(internalData.users).forEach(userId => {
         const userCircles = internalData.users[userId].circles || [];
         userCircles.forEach(circle => {
             simpleFormat.circles.push({
+                id: circle.id,
                 x: circle.x,
                 z: circle.z,
                 radius: circle.radius,
-                user: userId
+                user: userId,
+                timestamp: circle.timestamp,
+                rev: circle.rev,
+                updatedAt: circle.updatedAt,
+                symbol: circle.symbol,
+                quality: circle.quality,
+                intention: circle.intention,
+                archivedAt: circle.archivedAt,
+                signature: circle.signature
             });
         });
     });
     
-    console.log(`Converted ${simpleFormat.circles.length} circles to simple format`);
+    simpleFormat.bonds = (internalData.bonds || []).map(bond => ({ ...bond }));
+    
+    // Deletions travel with the export so merging it elsewhere removes them too
+    simpleFormat.tombstones = (internalData.tombstones || []).map(tombstone => ({ ...tombstone }));
+    
+    simpleFormat.profiles = Object.values(internalData.profiles || {}).map(profile => ({ ...profile }));
+    
+    console.log(`Converted ${simpleFormat.circles.length} circles and ${simpleFormat.bonds.length} bonds to simple format`);
     return simpleFormat;
 }
 
 /**
- * Load data from uploaded file
+ * Load data from uploaded file (JSON, GeoJSON or CSV, optionally encrypted).
+ * Every record is validated and shown in a preview before anything is written;
+ * resolves to null when the user cancels the import.
  */
 export async function loadDataFromFile(file) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
+            let text = e.target.result;
+            let fileName = file.name;
+            
+            // Encrypted exports are decrypted first, then read like any other file
+            if (looksEncrypted(text)) {
+                try {
+                    text = await decryptUploadedFile(text, fileName);
+                } catch (error) {
+                    console.error('Error decrypting uploaded file:', error);
+                    updateStatus(`❌ Error loading file - ${error.message}`);
+                    reject(error);
+                    return;
+                }
+                if (text === null) {
+                    updateStatus('📁 Import cancelled');
+                    resolve(null);
+                    return;
+                }
+                fileName = fileName.replace(/\.encrypted$/i, '');
+            }
+            
+            // JSON, GeoJSON and CSV are parsed and checked in the background
+            let report;
+            try {
+                const validated = await runDataTask('validateImport', {
+                    fileName,
+                    text,
+                    existingCircles: getAllCircles()
+                }, { onProgress: showTaskProgress });
+                report = validated.report;
+                console.log(`📁 Reading ${file.name} as ${validated.format}`);
+            } catch (error) {
+                console.error('Error parsing uploaded file:', error);
+                updateStatus(`❌ Error loading file - ${error.name === 'SyntaxError' ? 'invalid JSON' : error.message}`);
+                reject(error);
+                return;
+            }
+            
             try {
-                const jsonData = JSON.parse(e.target.result);
-                console.log('Data loaded from uploaded file:', jsonData);
+                console.log(`Import validation for ${file.name}: ${summarizeReport(report)}`, report);
+                
+                if (report.fileErrors.length > 0) {
+                    updateStatus(`❌ ${summarizeReport(report)}`);
+                    reject(new Error(report.fileErrors.join('; ')));
+                    return;
+                }
                 
-                // Convert and merge with existing data
-                const convertedData = convertSimpleJsonToInternalFormat(jsonData);
+                // Let the user review accepted/rejected/duplicate records and pick replace or merge
+                const choice = await showImportPreview(report, fileName);
+                if (!choice) {
+                    updateStatus('📁 Import cancelled');
+                    resolve(null);
+                    return;
+                }
                 
-                // Ask user if they want to replace or merge
-                const shouldReplace = confirm('Replace existing data with uploaded file? (Cancel to merge)');
+                // Merging matches records by id, so circles that only look like
+                // existing ones are kept rather than dropped
+                const acceptedData = getAcceptedData(report, { includeExistingDuplicates: true });
+                const convertedData = await normalizeLoadedData(acceptedData, 'Uploaded file');
+                const keyChanges = keepPinnedProfileKeys(convertedData);
                 
-                if (shouldReplace) {
+                if (choice === 'replace') {
                     dataState.circlesData = convertedData;
+                    rebuildSpatialIndex();
+                    clearHistory();
+                    persistDatasetChange();
                 } else {
-                    // Merge data
-                    mergeCircleData(convertedData);
+                    const changes = await mergeCircleData(convertedData);
+                    persistDatasetChange(changes);
                 }
                 
                 dataState.loadedFromFile = true;
                 dataState.hasUnsavedChanges = true;
                 
-                updateStatus(`📁 Data loaded from file: ${jsonData.circles?.length || 0} circles`);
+                updateStatus(`📁 Data loaded from file: ${countCircles(convertedData)} circles (${report.rejected.length} rejected, ${report.duplicates.length} duplicates)`);
+                
+                const signatures = await verifyDatasetSignatures();
+                if (signatures.invalid > 0) {
+                    updateStatus(`⚠️ Imported ${countCircles(convertedData)} circles - ${signatures.invalid} records have invalid signatures`);
+                }
+                if (keyChanges > 0) {
+                    updateStatus(`⚠️ Imported ${countCircles(convertedData)} circles - ${keyChanges} profiles tried to change a signing key and were ignored`);
+                }
                 resolve(dataState.circlesData);
                 
             } catch (error) {
-                console.error('Error parsing uploaded file:', error);
-                updateStatus('❌ Error loading file - invalid JSON');
+                console.error('Error importing uploaded file:', error);
+                updateStatus(`❌ Error loading file - ${error.message}`);
                 reject(error);
             }
         };
@@ -634,39 +2394,162 @@ export async function loadDataFromFile(file) {
 }
 
 /**
- * Merge new circle data with existing data
+ * Ask for the passphrase of an encrypted upload and return its plain text,
+ * or null when the user cancels
  */
-function mergeCircleData(newData) {
-    Object.keys(newData.users).forEach(userId => {
-        if (!dataState.circlesData.users[userId]) {
-            // New user - add all their data
-            dataState.circlesData.users[userId] = newData.users[userId];
-        } else {
-            // Existing user - merge circles (avoid duplicates)
-            const existingCircles = dataState.circlesData.users[userId].circles;
-            const newCircles = newData.users[userId].circles;
-            
-            newCircles.forEach(newCircle => {
-                const isDuplicate = existingCircles.some(existing => 
-                    Math.abs(existing.x - newCircle.x) < 0.1 &&
-                    Math.abs(existing.z - newCircle.z) < 0.1 &&
-                    Math.abs(existing.radius - newCircle.radius) < 0.1
-                );
-                
-                if (!isDuplicate) {
-                    existingCircles.push({
-                        ...newCircle,
-                        id: `${userId.toLowerCase()}_merged_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-                    });
-                }
-            });
-        }
+async function decryptUploadedFile(text, fileName) {
+    const envelope = JSON.parse(text);
+    if (!isEncryptedEnvelope(envelope)) {
+        throw new Error('Not an encrypted circle file');
+    }
+    
+    const unlocked = await askPassphrase({
+        title: '🔒 Encrypted file',
+        message: `${fileName} is encrypted. Enter the passphrase it was exported with.`,
+        unlock: passphrase => unlockEnvelope(envelope, passphrase)
     });
     
-    dataState.circlesData.lastUpdated = new Date().toISOString();
-    dataState.circlesData.totalCircles = getTotalCircleCount();
+    if (unlocked) {
+        console.log(`🔓 Decrypted ${fileName}`);
+    }
+    return unlocked ? unlocked.text : null;
+}
+
+/**
+ * Merge new circle data into the current dataset. Records are matched by id
+ * and the newest version wins (see merge.js), so the result does not depend
+ * on the order files are merged in. Returns what changed (see diffDatasets).
+ * The merge runs in the background worker; if circles change meanwhile it
+ * is redone against the current data.
+ */
+async function mergeCircleData(newData) {
+    let before;
+    let result;
+    let revision;
+    
+    do {
+        before = dataState.circlesData;
+        revision = dataState.revision;
+        result = await runDataTask('merge', { current: before, incoming: newData }, { onProgress: showTaskProgress });
+    } while (revision !== dataState.revision || before !== dataState.circlesData);
+    
+    const { merged, changes } = result;
+    dataState.circlesData = {
+        ...merged,
+        loadedFrom: before.loadedFrom
+    };
+    rebuildSpatialIndex();
+    
+    console.log(`Data merged successfully (${changes.addedCircles.length} new, ${changes.updatedCircles.length} updated, ` +
+        `${changes.deletedCircles.length} deleted circles; ${changes.addedBonds.length} new bonds)`);
+    return changes;
+}
+
+// ============================================================================
+// STORE ENCRYPTION
+// ============================================================================
+
+/**
+ * Encrypt this space's stored circles and backups with a passphrase.
+ * Only browser storage is encrypted: the circle server and the sync channel
+ * need to read circles, so anything shared through them stays plain text.
+ * The passphrase cannot be recovered - without it the data is lost.
+ */
+export async function enableStorageEncryption(passphrase) {
+    const storage = dataState.storage;
+    
+    if (!isEncryptionSupported()) {
+        throw new Error('Encryption needs a secure context (https or localhost)');
+    }
+    if (!storage || storage.name === 'encrypted') {
+        throw new Error('Storage is already encrypted');
+    }
+    if (storage.name !== 'indexedDB' && storage.name !== 'localStorage') {
+        throw new Error(`${storage.label} cannot be encrypted - only browser storage can`);
+    }
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    
+    const encryptionKey = await createEncryptionKey(passphrase);
+    const encrypted = createEncryptedAdapter(encryptionKey);
+    
+    // Write the encrypted copy before the plain one is removed
+    await dataState.shareQueue;
+    await encrypted.save({ ...dataState.circlesData, savedAt: new Date().toISOString(), saveType: 'encrypted' });
+    await storage.clear();
+    if (storage.name === 'indexedDB') {
+        await createLocalStorageAdapter().clear();
+    }
+    
+    dataState.storage = encrypted;
+    dataState.encryptionKey = encryptionKey;
+    dataState.dataSource = encrypted.label;
+    dataState.hasUnsavedChanges = false;
+    
+    await rewriteBackups(async ({ data, ...record }) =>
+        data ? { ...record, encrypted: await encryptJson(data, encryptionKey) } : null
+    );
+    
+    // Signing keys would otherwise stay readable next to the encrypted circles
+    await encryptStoredKeys(encryptionKey);
+    
+    console.log(`🔒 ${getCurrentSpace().id} is now stored encrypted`);
+    updateStatus('🔒 Circles, backups and signing keys encrypted - the passphrase cannot be recovered, keep it safe');
+    return true;
+}
+
+/**
+ * Store this space's circles and backups in plain text again.
+ * The passphrase is asked for again so an unattended tab cannot do this.
+ */
+export async function disableStorageEncryption(passphrase) {
+    if (!dataState.encryptionKey) {
+        throw new Error('Storage is not encrypted');
+    }
+    
+    const envelope = await readEncryptedEnvelope();
+    if (envelope) {
+        await unlockEnvelope(envelope, passphrase);
+    }
+    
+    const encryptionKey = dataState.encryptionKey;
+    const storage = await createStorageAdapter(isIndexedDBAvailable() ? 'indexedDB' : 'localStorage');
+    
+    await dataState.shareQueue;
+    await storage.replaceAll(dataState.circlesData);
+    await removeEncryptedStore();
+    
+    dataState.storage = storage;
+    dataState.encryptionKey = null;
+    dataState.dataSource = storage.label;
+    dataState.hasUnsavedChanges = false;
     
-    console.log('Data merged successfully');
+    await rewriteBackups(async ({ encrypted, ...record }) => {
+        if (!encrypted) return null;
+        try {
+            return { ...record, data: await decryptJson(encrypted, encryptionKey) };
+        } catch (error) {
+            console.warn(`⚠️ Backup ${record.id} stays encrypted:`, error.message);
+            return null;
+        }
+    });
+    await decryptStoredKeys(encryptionKey);
+    
+    console.log(`🔓 ${getCurrentSpace().id} is stored in plain text again`);
+    updateStatus(`🔓 Encryption turned off - circles stored in ${storage.label}`);
+    return true;
+}
+
+/**
+ * Whether this space's store is encrypted, and whether it was unlocked
+ */
+export function getEncryptionStatus() {
+    return {
+        supported: isEncryptionSupported(),
+        encrypted: Boolean(dataState.storage) && dataState.storage.name === 'encrypted',
+        locked: isStoreLocked()
+    };
 }
 
 // ============================================================================
@@ -678,7 +2561,32 @@ function mergeCircleData(newData) {
  */
 export function setCurrentUser(userId) {
     dataState.currentUser = userId;
+    setSyncUser(userId);
+    
+    if (isIndexedDBAvailable()) {
+        saveSessionRecord({
+            currentUser: userId,
+            lastActiveAt: new Date().toISOString(),
+            dataVersion: CURRENT_DATA_VERSION
+        }).catch(error => console.warn('⚠️ Could not save session:', error.message));
+    }
+    
     console.log('Current user set to:', userId);
+    publishIdentity(userId);
+}
+
+/**
+ * Get the last saved session ({ currentUser, lastActiveAt }) or null
+ */
+export async function getLastSession() {
+    if (!isIndexedDBAvailable()) return null;
+    
+    try {
+        return await loadSessionRecord();
+    } catch (error) {
+        console.warn('⚠️ Could not load session:', error.message);
+        return null;
+    }
 }
 
 /**
@@ -692,35 +2600,386 @@ export function getCurrentUser() {
  * Get total circle count
  */
 function getTotalCircleCount() {
-    let total = 0;
-    Object.keys(dataState.circlesData.users).forEach(userId => {
-        total += dataState.circlesData.users[userId].circles?.length || 0;
+    return countCircles(dataState.circlesData);
+}
+
+/**
+ * Every circle in the current dataset, across all users
+ */
+export function getAllCircles() {
+    const circles = [];
+    Object.values(dataState.circlesData.users).forEach(user => {
+        circles.push(...(user.circles || []));
     });
-    return total;
+    return circles;
 }
 
+// ============================================================================
+// USER PROFILES
+// ============================================================================
+
 /**
- * Get consistent color for user
+ * The one place user colors come from: the profile's chosen color, or a
+ * palette color derived from the user ID. Rings, stars, the graph, the
+ * legend and the poster all ask here.
  */
-function getUserColor(userId) {
-    const colors = [
-        '#ff6b6b', // Red
-        '#4ecdc4', // Teal
-        '#45b7d1', // Blue
-        '#f9ca24', // Yellow
-        '#f0932b', // Orange
-        '#eb4d4b', // Dark Red
-        '#6c5ce7', // Purple
-        '#a55eea', // Light Purple
-        '#26de81', // Green
-        '#fd79a8'  // Pink
-    ];
+export function getUserColor(userId) {
+    const profile = dataState.circlesData.profiles[userId];
+    return profile ? profile.color : getDefaultColor(userId);
+}
+
+/**
+ * A user's profile, or the default profile when they have not set one up
+ */
+export function getUserProfile(userId) {
+    return dataState.circlesData.profiles[userId] || createDefaultProfile(userId);
+}
+
+/**
+ * Profiles of everyone with circles or a saved profile, by display name
+ */
+export function getAllProfiles() {
+    const userIds = new Set([
+        ...Object.keys(dataState.circlesData.users),
+        ...Object.keys(dataState.circlesData.profiles)
+    ]);
+    
+    return [...userIds]
+        .map(userId => ({
+            ...getUserProfile(userId),
+            circleCount: dataState.circlesData.users[userId]?.circles?.length || 0
+        }))
+        .sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+/**
+ * Change a user's display name, color, glyph or pronouns. Throws when a field
+ * is invalid; returns the saved profile.
+ */
+export function updateUserProfile(userId, changes) {
+    const reasons = validateProfileFields(changes);
+    if (reasons.length > 0) {
+        throw new Error(reasons.join('; '));
+    }
+    
+    // Only the browser holding the profile's key may change it
+    const current = dataState.circlesData.profiles[userId];
+    if (current && current.publicKey && isSigningSupported() && !isSamePublicKey(current.publicKey, getLocalPublicKey(userId))) {
+        throw new Error(`${userId}'s profile belongs to a signing key on another device`);
+    }
+    
+    const profile = sanitizeProfile({
+        ...getUserProfile(userId),
+        ...changes,
+        publicKey: current ? current.publicKey : null,
+        updatedAt: new Date().toISOString()
+    }, userId);
+    
+    dataState.circlesData.profiles[userId] = profile;
+    markDatasetChanged();
+    notifyProfileListeners(profile);
+    
+    // First profile from this browser - publish its key alongside
+    queueShare(async () => {
+        const addsKey = !profile.publicKey && isSigningSupported();
+        if (addsKey) {
+            profile.publicKey = await getPublicKey(userId).catch(error => {
+                console.warn(`⚠️ Could not create a signing key for ${userId}:`, error.message);
+                return null;
+            });
+        }
+        await signLocalRecord('profile', profile, userId);
+        
+        sendSyncMessage('profile:update', { profile });
+        persistProfile(profile);
+        
+        if (addsKey && profile.publicKey) {
+            await verifyUserRecords(userId);
+        }
+    });
+    
+    console.log(`🎨 Profile updated for ${userId}:`, profile);
+    return profile;
+}
+
+/**
+ * Subscribe to profile changes made here or on other clients.
+ * Returns an unsubscribe function.
+ */
+export function onProfileChanged(listener) {
+    dataState.profileListeners.push(listener);
+    
+    return () => {
+        dataState.profileListeners = dataState.profileListeners.filter(l => l !== listener);
+    };
+}
+
+function notifyProfileListeners(profile) {
+    dataState.profileListeners.forEach(listener => {
+        try {
+            listener(profile);
+        } catch (error) {
+            console.error('Error in profile listener:', error);
+        }
+    });
+}
+
+/**
+ * Keep a profile from another client if it is newer than ours. A profile's
+ * key is pinned once known, and keyed profiles must be signed by that key.
+ */
+function applyRemoteProfile(record) {
+    const profile = sanitizeProfile(record);
+    if (!profile || !profile.updatedAt) return;
+    
+    const current = dataState.circlesData.profiles[profile.userId];
+    if (current && Date.parse(current.updatedAt) >= Date.parse(profile.updatedAt)) {
+        return;
+    }
+    
+    const pinnedKey = current ? current.publicKey : null;
+    if (pinnedKey && !isSamePublicKey(pinnedKey, profile.publicKey)) {
+        console.warn(`⚠️ Ignored profile for ${profile.userId}: it uses a different signing key`);
+        return;
+    }
+    
+    const key = pinnedKey || profile.publicKey;
+    if (!key || !isSigningSupported()) {
+        acceptRemoteProfile(profile);
+        return;
+    }
+    
+    verifyRecord('profile', profile, key).then(isValid => {
+        if (isValid) {
+            acceptRemoteProfile(profile);
+        } else {
+            console.warn(`⚠️ Ignored profile for ${profile.userId}: invalid signature`);
+        }
+    });
+}
+
+/**
+ * Hold an imported dataset to the same key pinning as remote profiles: a
+ * user's known key is kept whatever the file says, so circles signed with a
+ * key the file brings along do not verify. Returns how many profiles in the
+ * file tried to change a key.
+ */
+function keepPinnedProfileKeys(data) {
+    let changed = 0;
+    data.profiles = data.profiles || {};
+    
+    Object.values(dataState.circlesData.profiles).forEach(current => {
+        if (!current.publicKey) return;
+        
+        const incoming = data.profiles[current.userId];
+        if (incoming && isSamePublicKey(incoming.publicKey, current.publicKey)) return;
+        
+        if (incoming) {
+            console.warn(`⚠️ Kept the pinned signing key of ${current.userId}: the file brings a different one`);
+            changed++;
+        }
+        data.profiles[current.userId] = current;
+    });
+    
+    return changed;
+}
+
+function acceptRemoteProfile(profile) {
+    // Another update may have won while the signature was being checked
+    const current = dataState.circlesData.profiles[profile.userId];
+    if (current && Date.parse(current.updatedAt) >= Date.parse(profile.updatedAt)) {
+        return;
+    }
+    
+    dataState.circlesData.profiles[profile.userId] = profile;
+    markDatasetChanged();
+    
+    if (dataState.storage && !dataState.storage.shared) {
+        persistProfile(profile);
+    }
+    
+    console.log(`🌐 Remote profile received for ${profile.userId}`);
+    notifyProfileListeners(profile);
+    
+    // Records waiting for this key can be checked now
+    if (profile.publicKey && !(current && current.publicKey)) {
+        verifyUserRecords(profile.userId);
+    }
+}
+
+// ============================================================================
+// SIGNATURES
+// ============================================================================
+
+/**
+ * Run local changes one after another, so a delete never overtakes the add
+ * it follows while that add is still being signed
+ */
+function queueShare(task) {
+    dataState.shareQueue = dataState.shareQueue
+        .then(task)
+        .catch(error => console.warn('⚠️ Could not share change:', error.message));
+}
+
+/**
+ * Sign a record made on this client in place. Without WebCrypto (or when
+ * signing fails) it goes out unsigned and shows as such.
+ */
+async function signLocalRecord(kind, record, userId) {
+    delete record.signature;
+    
+    if (isSigningSupported()) {
+        try {
+            record.signature = await signRecord(kind, record, userId);
+        } catch (error) {
+            console.warn(`⚠️ Could not sign ${kind} for ${userId}:`, error.message);
+        }
+    }
+    
+    if (kind !== 'profile') {
+        await verifySignatures([{ kind, record }]);
+    }
+}
+
+/**
+ * Make sure the user's profile carries this browser's public key so their
+ * circles can be verified, and warn when it is pinned to another device's key
+ */
+function publishIdentity(userId) {
+    if (!userId || !isSigningSupported()) return;
+    
+    const profile = dataState.circlesData.profiles[userId];
+    if (!profile || !profile.publicKey) {
+        updateUserProfile(userId, {});
+        return;
+    }
+    
+    if (!isSamePublicKey(profile.publicKey, getLocalPublicKey(userId))) {
+        console.warn(`⚠️ ${userId} signs with a key from another device`);
+        updateStatus(`⚠️ ${userId} is signed in on another device - circles drawn here will show as unverified`);
+    }
+}
+
+/**
+ * Whose key a record must be signed with
+ */
+function getSignerId(kind, record) {
+    return kind === 'bond' ? record.signedBy : record.userId;
+}
+
+async function checkSignature(kind, record) {
+    if (typeof record.signature !== 'string') {
+        return SIGNATURE_STATUS.unsigned;
+    }
+    
+    // A bond may only be signed by one of the two people it joins
+    const signerId = getSignerId(kind, record);
+    if (kind === 'bond' && !(record.users || []).includes(signerId)) {
+        return SIGNATURE_STATUS.invalid;
+    }
+    
+    const profile = dataState.circlesData.profiles[signerId];
+    if (!profile || !profile.publicKey || !isSigningSupported()) {
+        return SIGNATURE_STATUS.unknownKey;
+    }
+    
+    const isValid = await verifyRecord(kind, record, profile.publicKey);
+    return isValid ? SIGNATURE_STATUS.valid : SIGNATURE_STATUS.invalid;
+}
+
+/**
+ * Check records ({ kind: 'circle' | 'bond', record }) and tell listeners
+ * about the statuses that changed
+ */
+async function verifySignatures(entries) {
+    const statuses = await Promise.all(entries.map(({ kind, record }) => checkSignature(kind, record)));
+    
+    const changes = [];
+    entries.forEach(({ kind, record }, index) => {
+        const status = statuses[index];
+        if (dataState.signatures.get(record.id) === status) return;
+        
+        dataState.signatures.set(record.id, status);
+        changes.push({ id: record.id, kind, status });
+        
+        if (status === SIGNATURE_STATUS.invalid) {
+            console.warn(`⚠️ Invalid signature on ${kind} ${record.id} (${getSignerId(kind, record)})`);
+        }
+    });
     
-    let hash = 0;
-    for (let i = 0; i < userId.length; i++) {
-        hash = userId.charCodeAt(i) + ((hash << 5) - hash);
+    if (changes.length > 0) {
+        notifySignatureListeners(changes);
     }
-    return colors[Math.abs(hash) % colors.length];
+}
+
+/**
+ * Check every circle and bond.
+ * Resolves to the counts per status: { valid, invalid, unsigned, unknown }
+ */
+export async function verifyDatasetSignatures() {
+    const entries = [
+        ...getAllCircles().map(record => ({ kind: 'circle', record })),
+        ...dataState.circlesData.bonds.map(record => ({ kind: 'bond', record }))
+    ];
+    
+    // Forget records that are no longer in the dataset
+    const ids = new Set(entries.map(entry => entry.record.id));
+    [...dataState.signatures.keys()].forEach(id => {
+        if (!ids.has(id)) dataState.signatures.delete(id);
+    });
+    
+    await verifySignatures(entries);
+    
+    const summary = getSignatureSummary();
+    console.log(`🔏 Signatures: ${summary.valid} valid, ${summary.invalid} invalid, ${summary.unsigned} unsigned, ${summary.unknown} without a known key`);
+    return summary;
+}
+
+/**
+ * Re-check the records a user signed (their key just became known)
+ */
+function verifyUserRecords(userId) {
+    const entries = [
+        ...getAllCircles().filter(circle => circle.userId === userId).map(record => ({ kind: 'circle', record })),
+        ...dataState.circlesData.bonds.filter(bond => bond.signedBy === userId).map(record => ({ kind: 'bond', record }))
+    ];
+    return verifySignatures(entries);
+}
+
+/**
+ * A circle's or bond's SIGNATURE_STATUS, or null before it has been checked
+ */
+export function getSignatureStatus(recordId) {
+    return dataState.signatures.get(recordId) || null;
+}
+
+export function getSignatureSummary() {
+    const summary = {};
+    Object.values(SIGNATURE_STATUS).forEach(status => { summary[status] = 0; });
+    dataState.signatures.forEach(status => { summary[status]++; });
+    return summary;
+}
+
+/**
+ * Subscribe to signature checks. The listener gets the changed records as
+ * [{ id, kind, status }]. Returns an unsubscribe function.
+ */
+export function onSignatureStatusChanged(listener) {
+    dataState.signatureListeners.push(listener);
+    
+    return () => {
+        dataState.signatureListeners = dataState.signatureListeners.filter(l => l !== listener);
+    };
+}
+
+function notifySignatureListeners(changes) {
+    dataState.signatureListeners.forEach(listener => {
+        try {
+            listener(changes);
+        } catch (error) {
+            console.error('Error in signature listener:', error);
+        }
+    });
 }
 
 /**
@@ -730,11 +2989,27 @@ export function getDataStats() {
     const stats = {
         totalUsers: Object.keys(dataState.circlesData.users).length,
         totalCircles: getTotalCircleCount(),
+        archivedCircles: getArchivedCircles().length,
+        circleLifetimeDays: getDataSetting('circleLifetimeDays'),
+        totalBonds: dataState.circlesData.bonds.length,
+        bondTypes: dataState.circlesData.bonds.reduce((counts, bond) => {
+            counts[getBondType(bond)] = (counts[getBondType(bond)] || 0) + 1;
+            return counts;
+        }, {}),
+        tombstones: dataState.circlesData.tombstones.length,
         currentUser: dataState.currentUser,
+        space: getCurrentSpace().id,
         loadedFromFile: dataState.loadedFromFile,
         lastUpdated: dataState.circlesData.lastUpdated,
-        dataSource: dataState.loadedFromFile ? 'JSON file' : 'Built-in sample data',
-        hasUnsavedChanges: dataState.hasUnsavedChanges
+        dataSource: dataState.dataSource,
+        storage: dataState.storage ? dataState.storage.name : null,
+        encrypted: getEncryptionStatus().encrypted,
+        hasUnsavedChanges: dataState.hasUnsavedChanges,
+        syncConnected: getSyncStatus().isConnected,
+        onlineUsers: getSyncStatus().onlineUsers,
+        spatialIndex: dataState.spatialIndex.stats(),
+        signatures: getSignatureSummary(),
+        dataWorker: getDataWorkerStatus()
     };
     
     // Add per-user statistics
@@ -742,7 +3017,8 @@ export function getDataStats() {
     Object.keys(dataState.circlesData.users).forEach(userId => {
         stats.userBreakdown[userId] = {
             circleCount: dataState.circlesData.users[userId].circles?.length || 0,
-            color: dataState.circlesData.users[userId].color
+            color: getUserColor(userId),
+            displayName: getUserProfile(userId).displayName
         };
     });
     
@@ -756,14 +3032,18 @@ export function clearAllData() {
     const confirm = window.confirm('Are you sure you want to clear all circle data? This cannot be undone.');
     
     if (confirm) {
-        dataState.circlesData = {
-            users: {},
-            lastUpdated: new Date().toISOString(),
-            version: 1.0,
-            totalCircles: 0
-        };
+        dataState.circlesData = createEmptyDataset();
         
+        dataState.spatialIndex.clear();
+        dataState.signatures.clear();
+        dataState.revision++;
         dataState.hasUnsavedChanges = true;
+        clearHistory();
+        
+        if (dataState.storage && dataState.storage.writable) {
+            dataState.storage.clear()
+                .catch(error => console.warn('❌ Could not clear storage:', error.message));
+        }
         
         console.log('🗑️ All circle data cleared');
         updateStatus('🗑️ All circle data cleared');
@@ -775,12 +3055,36 @@ export function clearAllData() {
  */
 export function clearUserData(userId) {
     if (dataState.circlesData.users[userId]) {
-        const circleCount = dataState.circlesData.users[userId].circles?.length || 0;
+        const userCircles = dataState.circlesData.users[userId].circles || [];
+        const circleCount = userCircles.length;
         delete dataState.circlesData.users[userId];
+        userCircles.forEach(circle => {
+            dataState.spatialIndex.remove(circle.id);
+            addTombstone(createCircleTombstone(circle));
+        });
+        const userBonds = dataState.circlesData.bonds.filter(bond => bond.users.includes(userId));
+        dataState.circlesData.bonds = dataState.circlesData.bonds.filter(bond => !bond.users.includes(userId));
+        userBonds.forEach(bond => addTombstone(createBondTombstone(bond)));
+        clearHistory();
         
-        dataState.circlesData.lastUpdated = new Date().toISOString();
-        dataState.circlesData.totalCircles = getTotalCircleCount();
-        dataState.hasUnsavedChanges = true;
+        // Per-record backends need each circle removed explicitly
+        const storage = dataState.storage;
+        if (storage && storage.deleteCircle) {
+            userCircles.forEach(circle => {
+                storage.deleteCircle(circle.id, getTombstone(circle.id))
+                    .catch(error => console.warn(`❌ Could not delete ${circle.id}:`, error.message));
+            });
+        }
+        
+        // The server drops bonds with their circles, local stores need telling
+        if (storage && storage.deleteBond && !storage.shared) {
+            userBonds.forEach(bond => {
+                storage.deleteBond(bond.id, getTombstone(bond.id))
+                    .catch(error => console.warn(`❌ Could not delete ${bond.id}:`, error.message));
+            });
+        }
+        
+        markDatasetChanged();
         
         console.log(`🗑️ Cleared ${circleCount} circles for user: ${userId}`);
         updateStatus(`🗑️ Cleared data for ${userId}`);
@@ -796,9 +3100,12 @@ export function getAllData() {
         state: {
             currentUser: dataState.currentUser,
             loadedFromFile: dataState.loadedFromFile,
+            storage: dataState.storage ? dataState.storage.name : null,
+            pendingWrites: dataState.pendingWrites.length,
             hasUnsavedChanges: dataState.hasUnsavedChanges
         },
-        config: DATA_CONFIG
+        config: DATA_CONFIG,
+        space: getCurrentSpace()
     };
 }
 
@@ -846,8 +3153,16 @@ export function cleanupDataManager() {
         dataState.backupInterval = null;
     }
     
+    if (dataState.archiveInterval) {
+        clearInterval(dataState.archiveInterval);
+        dataState.archiveInterval = null;
+    }
+    
+    disconnectSync();
+    terminateDataWorker();
+    
     // Final save
-    if (DATA_CONFIG.autoSave && dataState.hasUnsavedChanges) {
+    if (getDataSetting('autoSave') && dataState.hasUnsavedChanges) {
         saveDataToFile();
     }
     
@@ -0,0 +1,232 @@
+// js/datatasks.js - Heavy Data Tasks (worker-safe)
+//
+// Parsing and validating imports, converting loaded data to the internal
+// format and merging datasets. Nothing here touches the DOM, storage or the
+// data manager's state: every task takes plain data and returns plain data,
+// so it can run in js/dataworker.js or, without workers, on the main thread
+// (see workerclient.js).
+//
+// Tasks report progress through onProgress(stage, done, total); a total of 0
+// means the stage cannot tell how far it is.
+
+import { CURRENT_DATA_VERSION, migrateData } from './migrations.js';
+import { validateImportData } from './validation.js';
+import { parseImportFile } from './formats.js';
+import { createContentId, mergeDatasets, canonicalJson, isValidTombstone } from './merge.js';
+import { getDefaultColor, normalizeProfiles } from './profiles.js';
+import { normalizeIntention } from './intentions.js';
+
+// ============================================================================
+// TASK CONFIGURATION
+// ============================================================================
+
+const DATA_TASKS_CONFIG = {
+    progressEvery: 1000 // Report progress every this many circles
+};
+
+const DATA_TASKS = {
+    /**
+     * { fileName, text, existingCircles } → { format, report } (see validateImportData)
+     */
+    validateImport({ fileName, text, existingCircles = [] }, onProgress) {
+        onProgress('Reading file', 0, 0);
+        const parsed = parseImportFile(fileName, text);
+        const report = validateImportData(parsed.data, existingCircles, { onProgress });
+        return { format: parsed.format, report };
+    },
+
+    /**
+     * { data, source, colors } → internal-format dataset
+     */
+    normalize({ data, source, colors = {} }, onProgress) {
+        return normalizeDataset(data, source, { colors, onProgress });
+    },
+
+    /**
+     * { current, incoming } → { merged, changes } (see diffDatasets)
+     */
+    merge({ current, incoming }, onProgress) {
+        onProgress('Merging circles', 0, 0);
+        const merged = mergeDatasets(current, incoming);
+        onProgress('Comparing with current data', 0, 0);
+        return { merged, changes: diffDatasets(current, merged) };
+    }
+};
+
+/**
+ * Run one task by name
+ */
+export function performDataTask(type, payload, onProgress = () => {}) {
+    const task = DATA_TASKS[type];
+    if (!task) {
+        throw new Error(`Unknown data task: ${type}`);
+    }
+    return task(payload, onProgress);
+}
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Accept either the simple `{circles:[...]}` format or the full internal format,
+ * upgrading older internal data through the migration pipeline.
+ * `colors` maps user ids to the colors of their current profiles.
+ */
+export function normalizeDataset(jsonData, source, { colors = {}, onProgress = () => {} } = {}) {
+    if (jsonData.users) {
+        onProgress('Upgrading data', 0, 0);
+        const migrated = migrateData(jsonData);
+        return withoutOrphanBonds({
+            ...migrated,
+            profiles: normalizeProfiles(migrated.profiles),
+            totalCircles: countCircles(migrated),
+            loadedFrom: source
+        });
+    }
+
+    if (Array.isArray(jsonData.circles)) {
+        return withoutOrphanBonds(convertSimpleJsonToInternalFormat(jsonData, source, colors, onProgress));
+    }
+
+    throw new Error('Unrecognised circle data format');
+}
+
+/**
+ * Convert simple JSON format to internal format
+ */
+function convertSimpleJsonToInternalFormat(simpleJson, source, colors, onProgress) {
+    const colorOf = userId => colors[userId] || getDefaultColor(userId);
+    const total = simpleJson.circles.length;
+
+    const internalFormat = {
+        users: {},
+        bonds: Array.isArray(simpleJson.bonds) ? simpleJson.bonds : [],
+        tombstones: Array.isArray(simpleJson.tombstones) ? simpleJson.tombstones.filter(isValidTombstone) : [],
+        profiles: normalizeProfiles(simpleJson.profiles),
+        lastUpdated: new Date().toISOString(),
+        version: CURRENT_DATA_VERSION,
+        totalCircles: total,
+        loadedFrom: source
+    };
+
+    // Group circles by user and assign colors
+    simpleJson.circles.forEach((circle, index) => {
+        if (index % DATA_TASKS_CONFIG.progressEvery === 0) {
+            onProgress('Converting circles', index, total);
+        }
+
+        const userId = circle.user || circle.userId;
+
+        if (!internalFormat.users[userId]) {
+            internalFormat.users[userId] = {
+                userId: userId,
+                circles: [],
+                color: colorOf(userId),
+                createdAt: new Date().toISOString()
+            };
+        }
+
+        // Keep stored IDs, timestamps and revisions; hand-written files get
+        // ids derived from their content so every device derives the same ones
+        const timestamp = circle.timestamp || new Date().toISOString();
+        internalFormat.users[userId].circles.push({
+            id: circle.id || createContentId(userId, circle),
+            x: circle.x,
+            z: circle.z,
+            radius: circle.radius,
+            timestamp,
+            rev: circle.rev || 1,
+            updatedAt: circle.updatedAt || timestamp,
+            color: colorOf(userId),
+            userId: userId,
+            source: circle.source || source,
+            ...(circle.symbol ? { symbol: circle.symbol } : {}),
+            ...(circle.quality !== undefined ? { quality: circle.quality } : {}),
+            ...(circle.intention ? { intention: normalizeIntention(circle.intention) } : {}),
+            ...(circle.archivedAt ? { archivedAt: circle.archivedAt } : {}),
+            ...(circle.signature ? { signature: circle.signature } : {})
+        });
+    });
+
+    return internalFormat;
+}
+
+/**
+ * Drop bonds whose circles are not in the dataset (e.g. rejected on import)
+ */
+export function withoutOrphanBonds(circlesData) {
+    const circleIds = new Set();
+    Object.values(circlesData.users).forEach(user => {
+        (user.circles || []).forEach(circle => circleIds.add(circle.id));
+    });
+
+    const bonds = (circlesData.bonds || []).filter(bond =>
+        bond.circles.every(circleId => circleIds.has(circleId))
+    );
+
+    if (bonds.length < (circlesData.bonds || []).length) {
+        console.warn(`⚠️ Dropped ${(circlesData.bonds || []).length - bonds.length} bonds that reference missing circles`);
+    }
+
+    return { ...circlesData, bonds };
+}
+
+/**
+ * Count circles in any internal-format dataset
+ */
+export function countCircles(circlesData) {
+    let total = 0;
+    Object.keys(circlesData.users || {}).forEach(userId => {
+        total += circlesData.users[userId].circles?.length || 0;
+    });
+    return total;
+}
+
+// ============================================================================
+// MERGE
+// ============================================================================
+
+/**
+ * Records that differ between two datasets:
+ * { addedCircles, updatedCircles, deletedCircles, addedBonds, deletedBonds }
+ */
+export function diffDatasets(before, after) {
+    const collectCircles = data => {
+        const circles = new Map();
+        Object.values(data.users).forEach(user => {
+            (user.circles || []).forEach(circle => circles.set(circle.id, circle));
+        });
+        return circles;
+    };
+
+    const beforeCircles = collectCircles(before);
+    const afterCircles = collectCircles(after);
+    const beforeBonds = new Map((before.bonds || []).map(bond => [bond.id, bond]));
+    const afterBonds = new Map((after.bonds || []).map(bond => [bond.id, bond]));
+
+    const changes = { addedCircles: [], updatedCircles: [], deletedCircles: [], addedBonds: [], deletedBonds: [] };
+
+    afterCircles.forEach((circle, id) => {
+        const previous = beforeCircles.get(id);
+        if (!previous) {
+            changes.addedCircles.push(circle);
+        } else if (canonicalJson(previous) !== canonicalJson(circle)) {
+            changes.updatedCircles.push(circle);
+        }
+    });
+    beforeCircles.forEach((circle, id) => {
+        if (!afterCircles.has(id)) changes.deletedCircles.push(circle);
+    });
+
+    afterBonds.forEach((bond, id) => {
+        if (!beforeBonds.has(id) || canonicalJson(beforeBonds.get(id)) !== canonicalJson(bond)) {
+            changes.addedBonds.push(bond);
+        }
+    });
+    beforeBonds.forEach((bond, id) => {
+        if (!afterBonds.has(id)) changes.deletedBonds.push(bond);
+    });
+
+    return changes;
+}
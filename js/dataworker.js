@@ -0,0 +1,39 @@
+// js/dataworker.js - Background Data Worker
+//
+// Runs the tasks in datatasks.js off the main thread, so large imports and
+// loads do not stutter next to hand tracking and rendering. See
+// workerclient.js for the messages it answers.
+
+import { performDataTask } from './datatasks.js';
+
+// ============================================================================
+// WORKER CONFIGURATION
+// ============================================================================
+
+const DATA_WORKER_CONFIG = {
+    progressInterval: 100 // ms between progress messages for one task
+};
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+self.addEventListener('message', (event) => {
+    const { id, type, payload } = event.data;
+    let lastProgress = 0;
+
+    const onProgress = (stage, done, total) => {
+        const now = Date.now();
+        if (now - lastProgress < DATA_WORKER_CONFIG.progressInterval) return;
+
+        lastProgress = now;
+        self.postMessage({ id, kind: 'progress', progress: { stage, done, total } });
+    };
+
+    try {
+        const result = performDataTask(type, payload, onProgress);
+        self.postMessage({ id, kind: 'done', result });
+    } catch (error) {
+        self.postMessage({ id, kind: 'error', error: { name: error.name, message: error.message } });
+    }
+});
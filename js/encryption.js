@@ -0,0 +1,179 @@
+// js/encryption.js - Passphrase Encryption (AES-GCM)
+//
+// Encrypted data travels as a JSON envelope:
+//   { format: 'circle-space-encrypted', version: 1, contentType,
+//     kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+//     cipher: { name: 'AES-GCM', iv }, ciphertext }
+// (binary fields base64). The key is derived from a passphrase with PBKDF2,
+// so an envelope can be opened with the passphrase alone - the same envelope
+// is used for exported files, backups and the encrypted store.
+//
+// Deriving a key is deliberately slow. The store and backups derive once per
+// session and reuse the key (see createEncryptionKey); each envelope still
+// gets its own IV.
+
+// ============================================================================
+// ENCRYPTION CONFIGURATION
+// ============================================================================
+
+const ENCRYPTION_CONFIG = {
+    format: 'circle-space-encrypted',
+    version: 1,
+    iterations: 600000, // PBKDF2-SHA256, per current OWASP guidance
+    minIterations: 100000,  // Envelopes outside this range are refused: too few
+    maxIterations: 5000000, // make guessing cheap, too many would freeze the tab
+    saltBytes: 16,
+    ivBytes: 12,
+    minPassphraseLength: 8
+};
+
+export const MIN_PASSPHRASE_LENGTH = ENCRYPTION_CONFIG.minPassphraseLength;
+
+/**
+ * WebCrypto needs a secure context (https or localhost)
+ */
+export function isEncryptionSupported() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * Whether parsed JSON is an encrypted envelope
+ */
+export function isEncryptedEnvelope(value) {
+    return Boolean(value) && typeof value === 'object' &&
+        value.format === ENCRYPTION_CONFIG.format &&
+        typeof value.ciphertext === 'string' &&
+        Boolean(value.kdf) && Boolean(value.cipher);
+}
+
+/**
+ * Whether a file's text is an encrypted envelope (without parsing big files twice)
+ */
+export function looksEncrypted(text) {
+    return text.trimStart().startsWith('{') && text.includes(`"${ENCRYPTION_CONFIG.format}"`);
+}
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * Derive a reusable key from a passphrase: { key, salt, iterations }.
+ * Without a salt a new random one is used. Throws when `iterations` (which
+ * may come from an uploaded envelope) is outside the accepted range.
+ */
+export async function createEncryptionKey(passphrase, { salt = null, iterations = ENCRYPTION_CONFIG.iterations } = {}) {
+    if (!Number.isInteger(iterations) || iterations < ENCRYPTION_CONFIG.minIterations || iterations > ENCRYPTION_CONFIG.maxIterations) {
+        throw new Error(`Unsupported key settings (${iterations} PBKDF2 iterations)`);
+    }
+
+    const saltBytes = salt ? fromBase64(salt) : crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.saltBytes));
+
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+
+    return { key, salt: toBase64(saltBytes), iterations };
+}
+
+/**
+ * Check a passphrase against an envelope. Resolves to the key (for reuse)
+ * and the decrypted text; throws on a wrong passphrase.
+ */
+export async function unlockEnvelope(envelope, passphrase) {
+    const encryptionKey = await createEncryptionKey(passphrase, envelope.kdf);
+    const text = await decryptText(envelope, encryptionKey);
+    return { encryptionKey, text };
+}
+
+async function resolveKey(keyOrPassphrase, envelope = null) {
+    if (typeof keyOrPassphrase !== 'string') {
+        return keyOrPassphrase;
+    }
+    return createEncryptionKey(keyOrPassphrase, envelope ? envelope.kdf : {});
+}
+
+// ============================================================================
+// ENCRYPT AND DECRYPT
+// ============================================================================
+
+/**
+ * Encrypt text with a passphrase or a key from createEncryptionKey
+ */
+export async function encryptText(text, keyOrPassphrase, { contentType = 'application/json' } = {}) {
+    const encryptionKey = await resolveKey(keyOrPassphrase);
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.ivBytes));
+
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, encryptionKey.key, new TextEncoder().encode(text));
+
+    return {
+        format: ENCRYPTION_CONFIG.format,
+        version: ENCRYPTION_CONFIG.version,
+        contentType,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: encryptionKey.iterations, salt: encryptionKey.salt },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        ciphertext: toBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypt an envelope with a passphrase or a key. A key only opens envelopes
+ * made with the same salt. Throws when the passphrase is wrong or the data
+ * was altered (AES-GCM checks both).
+ */
+export async function decryptText(envelope, keyOrPassphrase) {
+    if (!isEncryptedEnvelope(envelope) || envelope.version !== ENCRYPTION_CONFIG.version) {
+        throw new Error('Not an encrypted circle file');
+    }
+
+    const encryptionKey = await resolveKey(keyOrPassphrase, envelope);
+    if (encryptionKey.salt !== envelope.kdf.salt || encryptionKey.iterations !== envelope.kdf.iterations) {
+        throw new Error('Encrypted with a different passphrase');
+    }
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) },
+            encryptionKey.key,
+            fromBase64(envelope.ciphertext)
+        );
+    } catch (error) {
+        throw new Error('Wrong passphrase or damaged data');
+    }
+
+    return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * JSON helpers for datasets and backups
+ */
+export async function encryptJson(value, keyOrPassphrase) {
+    return encryptText(JSON.stringify(value), keyOrPassphrase);
+}
+
+export async function decryptJson(envelope, keyOrPassphrase) {
+    return JSON.parse(await decryptText(envelope, keyOrPassphrase));
+}
+
+// ============================================================================
+// BASE64
+// ============================================================================
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
@@ -0,0 +1,460 @@
+// js/formats.js - SVG, GeoJSON and CSV Exchange Formats
+//
+// Exporters turn the simple `{circles:[...]}` format (or live circles and bonds
+// for the poster) into other formats. Importers turn GeoJSON and CSV back into
+// the simple format, so they go through the same validation and preview as a
+// JSON upload. The floor's x/z are used as plain planar coordinates.
+
+import { getProfileLabel } from './profiles.js';
+
+// ============================================================================
+// FORMAT CONFIGURATION
+// ============================================================================
+
+const FORMAT_CONFIG = {
+    csvColumns: ['id', 'user', 'x', 'z', 'radius', 'symbol', 'quality', 'timestamp', 'rev', 'updatedAt', 'intention', 'archivedAt', 'signature'],
+    csvRequired: ['user', 'x', 'z', 'radius'],
+    csvNumeric: ['x', 'z', 'radius', 'quality', 'rev'],
+    csvAliases: { userid: 'user', updated: 'updatedAt', updatedat: 'updatedAt', r: 'radius' },
+    csvFormulaStart: /^[=+\-@\t\r']/,   // Text cells starting like this get a ' in front
+    poster: {
+        width: 1200,          // px; height follows the floor's aspect ratio
+        margin: 60,
+        legendWidth: 220,
+        background: '#0b0b1a',
+        starColor: '#ffd700',
+        starRadius: 7
+    }
+};
+
+// ============================================================================
+// FORMAT DETECTION
+// ============================================================================
+
+/**
+ * Parse an uploaded file into a dataset for validateImportData.
+ * JSON files are returned as-is; GeoJSON and CSV are converted to the simple
+ * format. Throws when the file cannot be read as any of them.
+ */
+export function parseImportFile(fileName, text) {
+    const format = detectFileFormat(fileName, text);
+
+    if (format === 'csv') {
+        return { format, data: parseCsv(text) };
+    }
+
+    const json = JSON.parse(text);
+    if (format === 'geojson' || isGeoJson(json)) {
+        return { format: 'geojson', data: parseGeoJson(json) };
+    }
+    return { format: 'json', data: json };
+}
+
+/**
+ * 'json' | 'geojson' | 'csv', by extension first and content second
+ */
+export function detectFileFormat(fileName = '', text = '') {
+    const extension = String(fileName).toLowerCase().split('.').pop();
+    if (extension === 'csv') return 'csv';
+    if (extension === 'geojson') return 'geojson';
+    if (extension === 'json') return 'json';
+
+    const start = stripBom(text).trimStart();
+    return start.startsWith('{') || start.startsWith('[') ? 'json' : 'csv';
+}
+
+function isGeoJson(json) {
+    return Boolean(json) && (json.type === 'FeatureCollection' || json.type === 'Feature');
+}
+
+function stripBom(text) {
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+// ============================================================================
+// GEOJSON
+// ============================================================================
+
+/**
+ * FeatureCollection with a Point per circle and a MultiPoint per bond.
+ * Deletions travel as a `tombstones` member so merging the file still works,
+ * profiles as a `profiles` member.
+ */
+export function toGeoJson(simpleData) {
+    const circleFeatures = simpleData.circles.map(circle => ({
+        type: 'Feature',
+        id: circle.id,
+        geometry: { type: 'Point', coordinates: [circle.x, circle.z] },
+        properties: omitUndefined({
+            kind: 'circle',
+            id: circle.id,
+            user: circle.user,
+            radius: circle.radius,
+            timestamp: circle.timestamp,
+            rev: circle.rev,
+            updatedAt: circle.updatedAt,
+            symbol: circle.symbol,
+            quality: circle.quality,
+            intention: circle.intention,
+            archivedAt: circle.archivedAt,
+            signature: circle.signature
+        })
+    }));
+
+    const bondFeatures = (simpleData.bonds || []).map(bond => ({
+        type: 'Feature',
+        id: bond.id,
+        geometry: { type: 'MultiPoint', coordinates: bond.points.map(point => [point.x, point.z]) },
+        properties: omitUndefined({
+            kind: 'bond',
+            id: bond.id,
+            type: bond.type,
+            users: bond.users,
+            circles: bond.circles,
+            timestamp: bond.timestamp,
+            updatedAt: bond.updatedAt,
+            signedBy: bond.signedBy,
+            signature: bond.signature
+        })
+    }));
+
+    return {
+        type: 'FeatureCollection',
+        features: [...circleFeatures, ...bondFeatures],
+        exportedAt: simpleData.exportedAt,
+        tombstones: simpleData.tombstones || [],
+        profiles: simpleData.profiles || []
+    };
+}
+
+/**
+ * Convert a FeatureCollection (or a single Feature) to the simple format.
+ * Points become circles and need a `radius` property; MultiPoints marked
+ * `kind: 'bond'` become bonds. Other geometries are skipped.
+ */
+export function parseGeoJson(json) {
+    if (!isGeoJson(json)) {
+        throw new Error('GeoJSON must be a FeatureCollection or a Feature');
+    }
+
+    const features = json.type === 'Feature' ? [json] : json.features;
+    if (!Array.isArray(features)) {
+        throw new Error('GeoJSON "features" must be an array');
+    }
+
+    const data = { circles: [], bonds: [] };
+    let skipped = 0;
+
+    features.forEach(feature => {
+        const geometry = feature && feature.geometry;
+        const properties = (feature && feature.properties) || {};
+
+        if (geometry && geometry.type === 'Point' && properties.kind !== 'bond') {
+            const [x, z] = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+            data.circles.push(omitUndefined({
+                id: properties.id !== undefined ? properties.id : feature.id,
+                x,
+                z,
+                radius: properties.radius,
+                user: properties.user !== undefined ? properties.user : properties.userId,
+                timestamp: properties.timestamp,
+                rev: properties.rev,
+                updatedAt: properties.updatedAt,
+                symbol: properties.symbol,
+                quality: properties.quality,
+                intention: properties.intention,
+                archivedAt: properties.archivedAt,
+                signature: properties.signature
+            }));
+        } else if (geometry && geometry.type === 'MultiPoint' && properties.kind === 'bond') {
+            data.bonds.push(omitUndefined({
+                id: properties.id !== undefined ? properties.id : feature.id,
+                type: properties.type,
+                users: properties.users,
+                circles: properties.circles,
+                points: (geometry.coordinates || []).map(([x, z]) => ({ x, z })),
+                timestamp: properties.timestamp,
+                updatedAt: properties.updatedAt,
+                signedBy: properties.signedBy,
+                signature: properties.signature
+            }));
+        } else {
+            skipped++;
+        }
+    });
+
+    if (skipped > 0) {
+        console.warn(`⚠️ Skipped ${skipped} GeoJSON features that are neither circle points nor bonds`);
+    }
+
+    if (Array.isArray(json.tombstones)) {
+        data.tombstones = json.tombstones;
+    }
+    if (Array.isArray(json.profiles)) {
+        data.profiles = json.profiles;
+    }
+
+    return data;
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * One row per circle, with a header row (see FORMAT_CONFIG.csvColumns)
+ */
+export function toCsv(simpleData) {
+    const rows = [FORMAT_CONFIG.csvColumns.join(',')];
+
+    simpleData.circles.forEach(circle => {
+        rows.push(FORMAT_CONFIG.csvColumns.map(column => escapeCsvValue(circle[column])).join(','));
+    });
+
+    return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a spreadsheet export into the simple format. Column names are matched
+ * case-insensitively and may come in any order; unknown columns are ignored.
+ * Comma and semicolon separators are both accepted.
+ */
+export function parseCsv(text) {
+    const rows = splitCsvRows(stripBom(text));
+    if (rows.length === 0) {
+        throw new Error('CSV file is empty');
+    }
+
+    const header = rows[0].map(normalizeColumnName);
+    const missing = FORMAT_CONFIG.csvRequired.filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`CSV header is missing ${missing.map(column => `"${column}"`).join(', ')}`);
+    }
+
+    const circles = rows.slice(1)
+        .filter(row => row.some(value => value.trim() !== ''))
+        .map(row => {
+            const circle = {};
+            header.forEach((column, index) => {
+                if (!FORMAT_CONFIG.csvColumns.includes(column)) return;
+
+                const value = (row[index] || '').trim();
+                if (value === '') return;
+
+                circle[column] = FORMAT_CONFIG.csvNumeric.includes(column) ? parseCsvNumber(value) : parseCsvText(value);
+            });
+            return circle;
+        });
+
+    return { circles };
+}
+
+function normalizeColumnName(name) {
+    const trimmed = name.trim();
+    const lower = trimmed.toLowerCase();
+    if (FORMAT_CONFIG.csvAliases[lower]) return FORMAT_CONFIG.csvAliases[lower];
+    return FORMAT_CONFIG.csvColumns.find(column => column.toLowerCase() === lower) || trimmed;
+}
+
+/**
+ * Numbers stay strings when they don't parse, so validation can report them
+ */
+function parseCsvNumber(value) {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) ? number : value;
+}
+
+/**
+ * Undo the ' escapeCsvValue puts in front of text that looks like a formula
+ */
+function parseCsvText(value) {
+    return value.startsWith("'") && FORMAT_CONFIG.csvFormulaStart.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/**
+ * Quote a cell when needed. Text a spreadsheet would run as a formula
+ * (=, +, -, @ ...) is prefixed with ', which parseCsvText strips again.
+ */
+function escapeCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMAT_CONFIG.csvFormulaStart.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 rows: quoted fields may contain separators, quotes ("") and newlines
+ */
+function splitCsvRows(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+}
+
+// ============================================================================
+// SVG POSTER
+// ============================================================================
+
+/**
+ * Top-down poster of the floor: every circle in its user's color, a star on
+ * every bond point and a legend of users. `circles` are internal records
+ * (userId, x, z, radius, color); `bonds` should only include live bonds.
+ * `profiles` (keyed by user ID) name and color the users in the legend.
+ */
+export function toSvgPoster(circles, bonds, { title = 'Circle Space', date = new Date(), profiles = {} } = {}) {
+    const config = FORMAT_CONFIG.poster;
+    const bounds = getFloorBounds(circles, bonds);
+
+    const floorWidth = config.width - config.legendWidth - config.margin * 2;
+    const scale = floorWidth / Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ, 1);
+    const floorHeight = (bounds.maxZ - bounds.minZ) * scale;
+    const height = Math.max(floorHeight, 200) + config.margin * 2;
+
+    // World x/z → poster px, looking down on the floor
+    const toX = x => round(config.margin + (x - bounds.minX) * scale);
+    const toY = z => round(config.margin + (z - bounds.minZ) * scale);
+
+    const users = new Map();
+    circles.forEach(circle => {
+        const profile = profiles[circle.userId];
+        const user = users.get(circle.userId) || {
+            color: (profile && profile.color) || circle.color || '#ffffff',
+            label: profile ? getProfileLabel(profile) : circle.userId,
+            count: 0
+        };
+        user.count++;
+        users.set(circle.userId, user);
+    });
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${config.width}" height="${round(height)}" viewBox="0 0 ${config.width} ${round(height)}">`);
+    parts.push(`<title>${escapeXml(title)}</title>`);
+    parts.push(`<rect width="100%" height="100%" fill="${config.background}"/>`);
+
+    parts.push('<g id="circles" fill-opacity="0.08" stroke-width="2">');
+    circles.forEach(circle => {
+        const user = users.get(circle.userId);
+        const color = escapeXml(user.color);
+        parts.push(`<circle cx="${toX(circle.x)}" cy="${toY(circle.z)}" r="${round(circle.radius * scale)}" fill="${color}" stroke="${color}"><title>${escapeXml(user.label)}</title></circle>`);
+    });
+    parts.push('</g>');
+
+    parts.push(`<g id="stars" fill="${config.starColor}">`);
+    bonds.forEach(bond => {
+        bond.points.forEach(point => {
+            parts.push(`<polygon points="${starPoints(toX(point.x), toY(point.z), config.starRadius)}"><title>${escapeXml(bond.users.join(' & '))}</title></polygon>`);
+        });
+    });
+    parts.push('</g>');
+
+    const legendX = config.width - config.legendWidth;
+    parts.push(`<g id="legend" font-family="Arial, sans-serif" fill="#ffffff">`);
+    parts.push(`<text x="${legendX}" y="${config.margin}" font-size="20">${escapeXml(title)}</text>`);
+    parts.push(`<text x="${legendX}" y="${config.margin + 22}" font-size="12" fill-opacity="0.7">${escapeXml(date.toISOString().split('T')[0])} · ${circles.length} circles · ${bonds.length} bonds</text>`);
+    [...users.keys()].sort().forEach((userId, index) => {
+        const user = users.get(userId);
+        const y = config.margin + 56 + index * 22;
+        parts.push(`<circle cx="${legendX + 8}" cy="${y - 4}" r="7" fill="none" stroke="${escapeXml(user.color)}" stroke-width="2"/>`);
+        parts.push(`<text x="${legendX + 24}" y="${y}" font-size="13">${escapeXml(user.label)} (${user.count})</text>`);
+    });
+    parts.push('</g>');
+
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+}
+
+/**
+ * Bounding box of every circle and star, with room for the stars to show
+ */
+function getFloorBounds(circles, bonds) {
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    const include = (x, z, radius) => {
+        bounds.minX = Math.min(bounds.minX, x - radius);
+        bounds.maxX = Math.max(bounds.maxX, x + radius);
+        bounds.minZ = Math.min(bounds.minZ, z - radius);
+        bounds.maxZ = Math.max(bounds.maxZ, z + radius);
+    };
+
+    circles.forEach(circle => include(circle.x, circle.z, circle.radius));
+    bonds.forEach(bond => bond.points.forEach(point => include(point.x, point.z, 0)));
+
+    if (bounds.minX === Infinity) {
+        return { minX: -5, maxX: 5, minZ: -5, maxZ: 5 };
+    }
+    return bounds;
+}
+
+/**
+ * Five-pointed star around (cx, cy)
+ */
+function starPoints(cx, cy, outerRadius) {
+    const innerRadius = outerRadius * 0.45;
+    const points = [];
+    for (let i = 0; i < 10; i++) {
+        const radius = i % 2 === 0 ? outerRadius : innerRadius;
+        const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+        points.push(`${round(cx + radius * Math.cos(angle))},${round(cy + radius * Math.sin(angle))}`);
+    }
+    return points.join(' ');
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function omitUndefined(record) {
+    const result = {};
+    Object.keys(record).forEach(key => {
+        if (record[key] !== undefined) result[key] = record[key];
+    });
+    return result;
+}
@@ -0,0 +1,411 @@
+// js/graph.js - Sisterhood Graph Overlay
+import { updateStatus } from './scene.js';
+import { getAllBonds, getUserColor, getUserProfile } from './datamanager.js';
+import { getProfileLabel } from './profiles.js';
+
+// ============================================================================
+// GRAPH CONFIGURATION
+// ============================================================================
+
+const GRAPH_CONFIG = {
+    id: 'sisterhoodGraph',
+    width: 420,
+    height: 360,
+    nodeRadius: { min: 8, max: 22 },
+    edgeWidth: { min: 1, max: 8 },
+
+    // Force-directed layout (Fruchterman-Reingold style)
+    layout: {
+        repulsion: 2500,     // Push between every pair of nodes
+        springLength: 90,    // Rest length of an edge
+        springStrength: 0.02,
+        gravity: 0.01,       // Pull towards the centre so islands stay visible
+        damping: 0.85,
+        iterations: 300,     // Frames before the layout settles and stops
+        maxStep: 10
+    },
+
+    refreshInterval: 1000 // ms between checks for new bonds while open
+};
+
+// ============================================================================
+// GRAPH STATE
+// ============================================================================
+
+let graphState = {
+    overlay: null,
+    canvas: null,
+    ctx: null,
+    nodes: [],
+    edges: [],
+    selectedUser: null,
+    bondSignature: null,
+    iterationsLeft: 0,
+    animationFrame: null,
+    refreshTimer: null,
+    onSelectUser: null
+};
+
+// ============================================================================
+// GRAPH DATA
+// ============================================================================
+
+/**
+ * Turn bonds into users (nodes) and bond counts between each pair (edges).
+ * Returns { nodes: [{ userId, bonds }], edges: [{ source, target, weight }] }
+ */
+export function buildSisterhoodGraph(bonds = getAllBonds()) {
+    const nodes = new Map();
+    const edges = new Map();
+
+    bonds.forEach(bond => {
+        const [userA, userB] = [...bond.users].sort();
+        if (userA === userB) return;
+
+        [userA, userB].forEach(userId => {
+            if (!nodes.has(userId)) {
+                nodes.set(userId, { userId, bonds: 0 });
+            }
+            nodes.get(userId).bonds++;
+        });
+
+        const key = `${userA}\u0000${userB}`;
+        if (!edges.has(key)) {
+            edges.set(key, { source: userA, target: userB, weight: 0 });
+        }
+        edges.get(key).weight++;
+    });
+
+    return {
+        nodes: [...nodes.values()],
+        edges: [...edges.values()]
+    };
+}
+
+// ============================================================================
+// OVERLAY
+// ============================================================================
+
+/**
+ * Open the graph overlay. `onSelectUser(userId)` runs when a node is clicked.
+ */
+export function showSisterhoodGraph({ onSelectUser = null } = {}) {
+    if (graphState.overlay) return;
+
+    graphState.onSelectUser = onSelectUser;
+    createOverlay();
+    refreshGraph(true);
+
+    graphState.refreshTimer = setInterval(() => refreshGraph(false), GRAPH_CONFIG.refreshInterval);
+
+    console.log(`🕸️ Sisterhood graph opened: ${graphState.nodes.length} sisters, ${graphState.edges.length} connections`);
+}
+
+/**
+ * Close the graph overlay
+ */
+export function hideSisterhoodGraph() {
+    if (!graphState.overlay) return;
+
+    clearInterval(graphState.refreshTimer);
+    cancelAnimationFrame(graphState.animationFrame);
+    graphState.overlay.remove();
+
+    graphState.overlay = null;
+    graphState.canvas = null;
+    graphState.ctx = null;
+    graphState.refreshTimer = null;
+    graphState.animationFrame = null;
+    graphState.iterationsLeft = 0;
+}
+
+/**
+ * Open or close the graph overlay
+ */
+export function toggleSisterhoodGraph(options = {}) {
+    if (graphState.overlay) {
+        hideSisterhoodGraph();
+        return false;
+    }
+
+    showSisterhoodGraph(options);
+    return true;
+}
+
+export function isSisterhoodGraphVisible() {
+    return graphState.overlay !== null;
+}
+
+/**
+ * Build the panel and canvas
+ */
+function createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = GRAPH_CONFIG.id;
+    overlay.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        background: rgba(20, 20, 30, 0.9);
+        color: white;
+        padding: 12px;
+        border-radius: 10px;
+        z-index: 1000;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;';
+
+    const title = document.createElement('strong');
+    title.textContent = '🕸️ Sisterhood';
+    header.appendChild(title);
+
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '✕';
+    closeButton.style.cssText = 'background: #ff6b6b; color: white; border: none; padding: 2px 8px; border-radius: 5px; cursor: pointer;';
+    closeButton.addEventListener('click', hideSisterhoodGraph);
+    header.appendChild(closeButton);
+
+    overlay.appendChild(header);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = GRAPH_CONFIG.width;
+    canvas.height = GRAPH_CONFIG.height;
+    canvas.style.cssText = 'display: block; cursor: pointer; background: rgba(0, 0, 0, 0.3); border-radius: 6px;';
+    canvas.addEventListener('click', handleCanvasClick);
+    overlay.appendChild(canvas);
+
+    const hint = document.createElement('div');
+    hint.style.cssText = 'margin-top: 6px; opacity: 0.7;';
+    hint.textContent = 'Click a sister to highlight their circles';
+    overlay.appendChild(hint);
+
+    document.body.appendChild(overlay);
+
+    graphState.overlay = overlay;
+    graphState.canvas = canvas;
+    graphState.ctx = canvas.getContext('2d');
+}
+
+/**
+ * Rebuild nodes and edges when the bonds changed, keeping existing positions
+ */
+function refreshGraph(force) {
+    const bonds = getAllBonds();
+    const signature = `${bonds.length}:${bonds.length > 0 ? bonds[bonds.length - 1].id : ''}`;
+    if (!force && signature === graphState.bondSignature) return;
+    graphState.bondSignature = signature;
+
+    const graph = buildSisterhoodGraph(bonds);
+    const previous = new Map(graphState.nodes.map(node => [node.userId, node]));
+    const { width, height } = GRAPH_CONFIG;
+
+    graphState.nodes = graph.nodes.map((node, index) => {
+        const old = previous.get(node.userId);
+        if (old) {
+            return { ...old, bonds: node.bonds };
+        }
+
+        // Start new nodes on a circle so the layout unfolds evenly
+        const angle = (index / Math.max(1, graph.nodes.length)) * Math.PI * 2;
+        return {
+            ...node,
+            x: width / 2 + Math.cos(angle) * width / 4,
+            y: height / 2 + Math.sin(angle) * height / 4,
+            vx: 0,
+            vy: 0
+        };
+    });
+    graphState.edges = graph.edges;
+
+    // Reheat the layout and keep animating until it settles
+    const wasSettled = graphState.iterationsLeft <= 0;
+    graphState.iterationsLeft = GRAPH_CONFIG.layout.iterations;
+    if (wasSettled) {
+        graphState.animationFrame = requestAnimationFrame(animateLayout);
+    }
+}
+
+// ============================================================================
+// FORCE-DIRECTED LAYOUT
+// ============================================================================
+
+/**
+ * Run one layout step per frame and redraw
+ */
+function animateLayout() {
+    if (!graphState.overlay) return;
+
+    stepLayout();
+    drawGraph();
+
+    graphState.iterationsLeft--;
+    if (graphState.iterationsLeft > 0) {
+        graphState.animationFrame = requestAnimationFrame(animateLayout);
+    }
+}
+
+/**
+ * Apply repulsion, edge springs and gravity once
+ */
+function stepLayout() {
+    const { repulsion, springLength, springStrength, gravity, damping, maxStep } = GRAPH_CONFIG.layout;
+    const nodes = graphState.nodes;
+    const byId = new Map(nodes.map(node => [node.userId, node]));
+    const cooling = graphState.iterationsLeft / GRAPH_CONFIG.layout.iterations;
+
+    nodes.forEach(node => {
+        node.fx = (GRAPH_CONFIG.width / 2 - node.x) * gravity;
+        node.fy = (GRAPH_CONFIG.height / 2 - node.y) * gravity;
+    });
+
+    // Every pair pushes apart
+    for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+            const a = nodes[i];
+            const b = nodes[j];
+            const dx = a.x - b.x || 0.01;
+            const dy = a.y - b.y || 0.01;
+            const distanceSq = Math.max(dx * dx + dy * dy, 1);
+            const force = repulsion / distanceSq;
+            const distance = Math.sqrt(distanceSq);
+
+            a.fx += (dx / distance) * force;
+            a.fy += (dy / distance) * force;
+            b.fx -= (dx / distance) * force;
+            b.fy -= (dy / distance) * force;
+        }
+    }
+
+    // Edges pull together, stronger for sisters with more bonds
+    graphState.edges.forEach(edge => {
+        const a = byId.get(edge.source);
+        const b = byId.get(edge.target);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+        const force = (distance - springLength) * springStrength * Math.log2(1 + edge.weight);
+
+        a.fx += (dx / distance) * force;
+        a.fy += (dy / distance) * force;
+        b.fx -= (dx / distance) * force;
+        b.fy -= (dy / distance) * force;
+    });
+
+    const margin = GRAPH_CONFIG.nodeRadius.max;
+    nodes.forEach(node => {
+        node.vx = (node.vx + node.fx) * damping;
+        node.vy = (node.vy + node.fy) * damping;
+
+        const step = Math.sqrt(node.vx * node.vx + node.vy * node.vy);
+        const limit = maxStep * Math.max(cooling, 0.05);
+        if (step > limit) {
+            node.vx = (node.vx / step) * limit;
+            node.vy = (node.vy / step) * limit;
+        }
+
+        node.x = Math.min(GRAPH_CONFIG.width - margin, Math.max(margin, node.x + node.vx));
+        node.y = Math.min(GRAPH_CONFIG.height - margin, Math.max(margin, node.y + node.vy));
+    });
+}
+
+// ============================================================================
+// DRAWING
+// ============================================================================
+
+/**
+ * Draw edges (width by bond count) and nodes (size by total bonds)
+ */
+function drawGraph() {
+    const ctx = graphState.ctx;
+    const { width, height } = GRAPH_CONFIG;
+    const byId = new Map(graphState.nodes.map(node => [node.userId, node]));
+    const maxWeight = Math.max(1, ...graphState.edges.map(edge => edge.weight));
+
+    ctx.clearRect(0, 0, width, height);
+
+    if (graphState.nodes.length === 0) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '13px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('No bonds yet - draw circles that cross a sister\'s', width / 2, height / 2);
+        return;
+    }
+
+    graphState.edges.forEach(edge => {
+        const a = byId.get(edge.source);
+        const b = byId.get(edge.target);
+        const selected = graphState.selectedUser && (edge.source === graphState.selectedUser || edge.target === graphState.selectedUser);
+        const { min, max } = GRAPH_CONFIG.edgeWidth;
+
+        ctx.strokeStyle = selected ? 'rgba(255, 215, 0, 0.9)' : 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = min + (max - min) * (edge.weight / maxWeight);
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+
+        if (edge.weight > 1) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(String(edge.weight), (a.x + b.x) / 2, (a.y + b.y) / 2 - 4);
+        }
+    });
+
+    graphState.nodes.forEach(node => {
+        const radius = getNodeRadius(node);
+
+        ctx.fillStyle = getUserColor(node.userId);
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (node.userId === graphState.selectedUser) {
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = 'white';
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(getProfileLabel(getUserProfile(node.userId), { pronouns: false }), node.x, node.y + radius + 12);
+    });
+}
+
+/**
+ * Node size grows with the square root of the sister's bond count
+ */
+function getNodeRadius(node) {
+    const { min, max } = GRAPH_CONFIG.nodeRadius;
+    const maxBonds = Math.max(1, ...graphState.nodes.map(other => other.bonds));
+    return min + (max - min) * Math.sqrt(node.bonds / maxBonds);
+}
+
+/**
+ * Select the node under the pointer
+ */
+function handleCanvasClick(event) {
+    const rect = graphState.canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (graphState.canvas.width / rect.width);
+    const y = (event.clientY - rect.top) * (graphState.canvas.height / rect.height);
+
+    const node = graphState.nodes.find(candidate => {
+        const radius = getNodeRadius(candidate) + 3;
+        return (candidate.x - x) ** 2 + (candidate.y - y) ** 2 <= radius * radius;
+    });
+
+    if (!node) return;
+
+    graphState.selectedUser = node.userId;
+    drawGraph();
+
+    if (graphState.onSelectUser) {
+        graphState.onSelectUser(node.userId);
+    } else {
+        updateStatus(`🕸️ ${node.userId}: ${node.bonds} bonds`);
+    }
+}
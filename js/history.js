@@ -0,0 +1,151 @@
+// js/history.js - Undo/Redo Command History
+//
+// A command is a plain object:
+//   type        - 'add' | 'delete' | 'edit'
+//   label       - short description for the status bar
+//   undo()      - reverts the change, returns false if it no longer applies
+//   redo()      - applies the change again, returns false if it no longer applies
+//
+// Commands are recorded after the change has already happened, so recording
+// never runs redo().
+
+import { updateStatus } from './scene.js';
+
+// ============================================================================
+// HISTORY CONFIGURATION
+// ============================================================================
+
+const HISTORY_CONFIG = {
+    maxEntries: 50
+};
+
+// ============================================================================
+// HISTORY STATE
+// ============================================================================
+
+let historyState = {
+    undoStack: [],
+    redoStack: [],
+    listeners: []
+};
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Record a change that has just been applied
+ */
+export function recordCommand(command) {
+    historyState.undoStack.push(command);
+    if (historyState.undoStack.length > HISTORY_CONFIG.maxEntries) {
+        historyState.undoStack.shift();
+    }
+
+    // A new change makes the redo branch unreachable
+    historyState.redoStack = [];
+    notifyListeners();
+}
+
+/**
+ * Revert the most recent change
+ */
+export function undo() {
+    return step(historyState.undoStack, historyState.redoStack, 'undo', '↩️ Undid');
+}
+
+/**
+ * Re-apply the most recently undone change
+ */
+export function redo() {
+    return step(historyState.redoStack, historyState.undoStack, 'redo', '↪️ Redid');
+}
+
+/**
+ * Move one command between the stacks, skipping commands that no longer apply
+ * (for example a circle another client deleted in the meantime)
+ */
+function step(fromStack, toStack, action, verb) {
+    while (fromStack.length > 0) {
+        const command = fromStack.pop();
+
+        let applied = false;
+        try {
+            applied = command[action]() !== false;
+        } catch (error) {
+            console.error(`Error during ${action} of ${command.label}:`, error);
+        }
+
+        if (applied) {
+            toStack.push(command);
+            console.log(`${verb}: ${command.label}`);
+            updateStatus(`${verb} ${command.label}`);
+            notifyListeners();
+            return true;
+        }
+
+        console.warn(`⚠️ Skipping ${action} of ${command.label} - it no longer applies`);
+    }
+
+    updateStatus(action === 'undo' ? 'Nothing to undo' : 'Nothing to redo');
+    notifyListeners();
+    return false;
+}
+
+/**
+ * Forget every recorded change (after the dataset is replaced or cleared)
+ */
+export function clearHistory() {
+    historyState.undoStack = [];
+    historyState.redoStack = [];
+    notifyListeners();
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+export function canUndo() {
+    return historyState.undoStack.length > 0;
+}
+
+export function canRedo() {
+    return historyState.redoStack.length > 0;
+}
+
+/**
+ * Get history status
+ */
+export function getHistoryStatus() {
+    const lastUndo = historyState.undoStack[historyState.undoStack.length - 1];
+    const lastRedo = historyState.redoStack[historyState.redoStack.length - 1];
+
+    return {
+        undoCount: historyState.undoStack.length,
+        redoCount: historyState.redoStack.length,
+        nextUndo: lastUndo ? lastUndo.label : null,
+        nextRedo: lastRedo ? lastRedo.label : null
+    };
+}
+
+/**
+ * Subscribe to history changes. Returns an unsubscribe function.
+ */
+export function onHistoryChange(listener) {
+    historyState.listeners.push(listener);
+
+    return () => {
+        historyState.listeners = historyState.listeners.filter(l => l !== listener);
+    };
+}
+
+function notifyListeners() {
+    const status = getHistoryStatus();
+    historyState.listeners.forEach(listener => {
+        try {
+            listener(status);
+        } catch (error) {
+            console.error('Error in history listener:', error);
+        }
+    });
+}
@@ -0,0 +1,353 @@
+// js/identity.js - Local Signing Keys (WebCrypto)
+//
+// Every user ID drawn with on this browser gets an ECDSA P-256 key pair. The
+// private key never leaves the browser (localStorage, shared by all spaces;
+// wrapped with the store key while a space is encrypted, see KEYS AT REST);
+// the public key is published in the user's profile. Circles, bonds and
+// profiles carry a `signature` over their identifying fields, so other
+// clients can check a circle really came from the person whose name is on it.
+//
+// Profiles pin their key the first time it is seen: a later profile for the
+// same user with a different key is refused, here and on the server.
+
+import { canonicalJson } from './merge.js';
+import { encryptJson, decryptJson } from './encryption.js';
+
+// ============================================================================
+// IDENTITY CONFIGURATION
+// ============================================================================
+
+const IDENTITY_CONFIG = {
+    storageKey: 'circle_identity_keys',
+    keyAlgorithm: { name: 'ECDSA', namedCurve: 'P-256' },
+    signAlgorithm: { name: 'ECDSA', hash: 'SHA-256' },
+    // Fields covered by a signature; anything else (source, updatedAt) may change
+    signedFields: {
+        circle: ['id', 'userId', 'x', 'z', 'radius', 'symbol', 'quality', 'timestamp', 'rev', 'intention'],
+        bond: ['id', 'type', 'users', 'circles', 'points', 'timestamp', 'signedBy'],
+        profile: ['userId', 'displayName', 'color', 'glyph', 'pronouns', 'publicKey', 'updatedAt']
+    }
+};
+
+export const SIGNATURE_STATUS = {
+    valid: 'valid',         // Signed by the key in the signer's profile
+    invalid: 'invalid',     // Signed, but not by that key (or altered since)
+    unsigned: 'unsigned',   // Older record or a client without WebCrypto
+    unknownKey: 'unknown'   // Signer has not published a key yet
+};
+
+// ============================================================================
+// IDENTITY STATE
+// ============================================================================
+
+let identityState = {
+    keyPairs: new Map(),     // userId → Promise<{ privateKey, publicKey }>
+    publicKeys: new Map(),   // canonical JWK → Promise<CryptoKey> for verifying
+    unlockedKeys: new Map(), // userId → private JWK opened with the store key
+    encryptionKey: null      // Store key that new private keys are wrapped with
+};
+
+/**
+ * WebCrypto needs a secure context (https or localhost)
+ */
+export function isSigningSupported() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+// ============================================================================
+// KEY PAIRS
+// ============================================================================
+
+/**
+ * The public key (JWK) this browser holds for a user, or null.
+ * Synchronous, so callers can check ownership before changing records.
+ */
+export function getLocalPublicKey(userId) {
+    const stored = loadStoredKeys()[userId];
+    return stored ? stored.publicKey : null;
+}
+
+/**
+ * Whether this browser can sign as a user right now: it holds their private
+ * key, in plain text or opened with the store key
+ */
+export function canSignAs(userId) {
+    const stored = loadStoredKeys()[userId];
+    return Boolean(stored) && Boolean(stored.privateKey || identityState.unlockedKeys.has(userId));
+}
+
+/**
+ * The user's public key (JWK), creating their key pair on first use
+ */
+export async function getPublicKey(userId) {
+    // A wrapped private key is not needed to tell the public one
+    if (!getLocalPublicKey(userId)) {
+        await getKeyPair(userId);
+    }
+    return getLocalPublicKey(userId);
+}
+
+function getKeyPair(userId) {
+    if (!identityState.keyPairs.has(userId)) {
+        const pending = loadOrCreateKeyPair(userId);
+        // A failed attempt may be retried
+        pending.catch(() => identityState.keyPairs.delete(userId));
+        identityState.keyPairs.set(userId, pending);
+    }
+    return identityState.keyPairs.get(userId);
+}
+
+async function loadOrCreateKeyPair(userId) {
+    const stored = loadStoredKeys()[userId];
+    if (stored) {
+        const privateJwk = stored.privateKey || identityState.unlockedKeys.get(userId);
+        if (!privateJwk) {
+            throw new Error(`The signing key of ${userId} is encrypted - open its space with the passphrase first`);
+        }
+        return {
+            privateKey: await crypto.subtle.importKey('jwk', privateJwk, IDENTITY_CONFIG.keyAlgorithm, false, ['sign']),
+            publicKey: await importPublicKey(stored.publicKey)
+        };
+    }
+
+    const pair = await crypto.subtle.generateKey(IDENTITY_CONFIG.keyAlgorithm, true, ['sign', 'verify']);
+    const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+    const publicJwk = toPublicJwk(await crypto.subtle.exportKey('jwk', pair.publicKey));
+
+    await saveStoredKey(userId, { privateKey: privateJwk, publicKey: publicJwk, createdAt: new Date().toISOString() });
+    console.log(`🔑 New signing key created for ${userId}`);
+
+    return pair;
+}
+
+/**
+ * Only the fields that identify a public key, in a fixed shape
+ */
+function toPublicJwk(jwk) {
+    return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+export function isPublicKey(value) {
+    return Boolean(value) && typeof value === 'object' &&
+        value.kty === 'EC' && value.crv === 'P-256' &&
+        typeof value.x === 'string' && typeof value.y === 'string';
+}
+
+export function isSamePublicKey(a, b) {
+    return isPublicKey(a) && isPublicKey(b) && a.x === b.x && a.y === b.y;
+}
+
+function importPublicKey(jwk) {
+    const cacheKey = canonicalJson(toPublicJwk(jwk));
+    if (!identityState.publicKeys.has(cacheKey)) {
+        identityState.publicKeys.set(cacheKey, crypto.subtle.importKey('jwk', toPublicJwk(jwk), IDENTITY_CONFIG.keyAlgorithm, false, ['verify']));
+    }
+    return identityState.publicKeys.get(cacheKey);
+}
+
+// ============================================================================
+// SIGNING AND VERIFYING
+// ============================================================================
+
+/**
+ * Sign a circle, bond or profile with the user's key. Returns the signature
+ * (base64url) to store as `record.signature`.
+ */
+export async function signRecord(kind, record, userId) {
+    const { privateKey } = await getKeyPair(userId);
+    const signature = await crypto.subtle.sign(IDENTITY_CONFIG.signAlgorithm, privateKey, encodePayload(kind, record));
+    return toBase64Url(new Uint8Array(signature));
+}
+
+/**
+ * Check `record.signature` against a public key (JWK)
+ */
+export async function verifyRecord(kind, record, publicJwk) {
+    if (typeof record.signature !== 'string' || !isPublicKey(publicJwk)) {
+        return false;
+    }
+
+    try {
+        const publicKey = await importPublicKey(publicJwk);
+        return await crypto.subtle.verify(IDENTITY_CONFIG.signAlgorithm, publicKey, fromBase64Url(record.signature), encodePayload(kind, record));
+    } catch (error) {
+        // Malformed signatures and keys simply do not verify
+        return false;
+    }
+}
+
+function encodePayload(kind, record) {
+    const payload = { kind };
+    IDENTITY_CONFIG.signedFields[kind].forEach(field => {
+        if (record[field] !== undefined) {
+            payload[field] = record[field];
+        }
+    });
+    return new TextEncoder().encode(canonicalJson(payload));
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// ============================================================================
+// KEYS AT REST
+// ============================================================================
+//
+// While a space's store is encrypted, private keys are stored wrapped in an
+// envelope made with the store key ({ encryptedPrivateKey, publicKey, createdAt })
+// rather than as plain JWKs. They are opened into memory when the store is
+// unlocked and forgotten when it is locked; until then records go out unsigned.
+
+/**
+ * Wrap every plain private key on this browser with the store key, and the
+ * keys created or imported from now on too
+ */
+export async function encryptStoredKeys(encryptionKey) {
+    identityState.encryptionKey = encryptionKey;
+
+    const wrapped = {};
+    const keys = loadStoredKeys();
+    for (const userId of Object.keys(keys)) {
+        const { privateKey, ...entry } = keys[userId];
+        if (!privateKey) continue;
+
+        identityState.unlockedKeys.set(userId, privateKey);
+        wrapped[userId] = { ...entry, encryptedPrivateKey: await encryptJson(privateKey, encryptionKey) };
+    }
+
+    saveStoredKeys({ ...loadStoredKeys(), ...wrapped });
+}
+
+/**
+ * Open the wrapped keys this store key can open. Keys wrapped by another
+ * encrypted space stay closed.
+ */
+export async function unlockStoredKeys(encryptionKey) {
+    identityState.encryptionKey = encryptionKey;
+
+    const keys = loadStoredKeys();
+    for (const userId of Object.keys(keys)) {
+        const privateKey = await openStoredKey(keys[userId], encryptionKey);
+        if (privateKey) {
+            identityState.unlockedKeys.set(userId, privateKey);
+            identityState.keyPairs.delete(userId);
+        }
+    }
+}
+
+/**
+ * Forget every opened private key, e.g. while the store stays locked
+ */
+export function lockStoredKeys() {
+    identityState.encryptionKey = null;
+    identityState.unlockedKeys.clear();
+    identityState.keyPairs.clear();
+}
+
+/**
+ * Store the keys this store key wrapped as plain JWKs again (encryption was
+ * turned off)
+ */
+export async function decryptStoredKeys(encryptionKey) {
+    identityState.encryptionKey = null;
+
+    const unwrapped = {};
+    const keys = loadStoredKeys();
+    for (const userId of Object.keys(keys)) {
+        const privateKey = await openStoredKey(keys[userId], encryptionKey);
+        if (privateKey) {
+            const { encryptedPrivateKey, ...entry } = keys[userId];
+            unwrapped[userId] = { ...entry, privateKey };
+        }
+    }
+
+    saveStoredKeys({ ...loadStoredKeys(), ...unwrapped });
+}
+
+async function openStoredKey(entry, encryptionKey) {
+    if (!entry || !entry.encryptedPrivateKey) return null;
+    try {
+        return await decryptJson(entry.encryptedPrivateKey, encryptionKey);
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================================================
+// MOVING A KEY TO ANOTHER DEVICE
+// ============================================================================
+
+/**
+ * The user's key pair as JSON, to carry to another browser. Keep it private:
+ * whoever has it can sign as this user.
+ */
+export function exportIdentity(userId) {
+    const stored = loadStoredKeys()[userId];
+    if (!stored) {
+        throw new Error(`No signing key for ${userId} on this browser`);
+    }
+
+    const privateKey = stored.privateKey || identityState.unlockedKeys.get(userId);
+    if (!privateKey) {
+        throw new Error(`The signing key of ${userId} is encrypted - open its space with the passphrase first`);
+    }
+    return JSON.stringify({ userId, privateKey, publicKey: stored.publicKey, createdAt: stored.createdAt });
+}
+
+/**
+ * Use a key pair exported from another browser for a user
+ */
+export async function importIdentity(text) {
+    const identity = JSON.parse(text);
+    if (!identity || typeof identity.userId !== 'string' || !isPublicKey(identity.publicKey) || !identity.privateKey) {
+        throw new Error('Not an exported signing key');
+    }
+
+    await saveStoredKey(identity.userId, {
+        privateKey: identity.privateKey,
+        publicKey: toPublicJwk(identity.publicKey),
+        createdAt: identity.createdAt || new Date().toISOString()
+    });
+    identityState.keyPairs.delete(identity.userId);
+
+    console.log(`🔑 Signing key imported for ${identity.userId}`);
+    return identity.userId;
+}
+
+function loadStoredKeys() {
+    try {
+        const keys = JSON.parse(localStorage.getItem(IDENTITY_CONFIG.storageKey));
+        return keys && typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+    } catch (error) {
+        console.warn('⚠️ Signing keys unreadable:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Store a key pair, wrapping the private key while the store is encrypted
+ */
+async function saveStoredKey(userId, { privateKey, ...entry }) {
+    const encryptionKey = identityState.encryptionKey;
+    let stored = { ...entry, privateKey };
+    if (encryptionKey) {
+        identityState.unlockedKeys.set(userId, privateKey);
+        stored = { ...entry, encryptedPrivateKey: await encryptJson(privateKey, encryptionKey) };
+    }
+
+    const keys = loadStoredKeys();
+    keys[userId] = stored;
+    saveStoredKeys(keys);
+}
+
+function saveStoredKeys(keys) {
+    localStorage.setItem(IDENTITY_CONFIG.storageKey, JSON.stringify(keys));
+}
@@ -0,0 +1,196 @@
+// js/importdialog.js - Import Preview Dialog
+
+// ============================================================================
+// DIALOG CONFIGURATION
+// ============================================================================
+
+const DIALOG_CONFIG = {
+    id: 'importPreviewDialog',
+    maxRowsPerSection: 200 // Huge files still list the totals, just not every row
+};
+
+// ============================================================================
+// IMPORT PREVIEW
+// ============================================================================
+
+/**
+ * Show what an uploaded file contains before anything is written.
+ * Resolves to 'replace', 'merge', or null when the user cancels.
+ */
+export function showImportPreview(report, fileName = 'Uploaded file') {
+    closeImportPreview();
+
+    return new Promise(resolve => {
+        const existingDuplicates = report.duplicates.filter(duplicate => duplicate.scope === 'existing').length;
+        const importCount = report.accepted.length + existingDuplicates;
+
+        const overlay = document.createElement('div');
+        overlay.id = DIALOG_CONFIG.id;
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.6);
+            z-index: 1100;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        `;
+
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            background: rgba(20, 20, 30, 0.95);
+            color: white;
+            padding: 20px;
+            border-radius: 10px;
+            width: min(640px, 90vw);
+            max-height: 80vh;
+            display: flex;
+            flex-direction: column;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+        `;
+
+        const title = document.createElement('h3');
+        title.style.margin = '0 0 8px 0';
+        title.textContent = `📁 Import preview: ${fileName}`;
+        panel.appendChild(title);
+
+        const summary = document.createElement('p');
+        summary.style.margin = '0 0 12px 0';
+        summary.textContent = `${report.total} records (${report.format} format): ` +
+            `${report.accepted.length} accepted, ${report.rejected.length} rejected, ${report.duplicates.length} duplicates`;
+        if (report.bonds.accepted.length + report.bonds.rejected.length > 0) {
+            summary.textContent += ` — ${report.bonds.accepted.length} bonds, ${report.bonds.rejected.length} skipped`;
+        }
+        if (report.tombstones.length > 0) {
+            summary.textContent += ` — ${report.tombstones.length} deletions`;
+        }
+        panel.appendChild(summary);
+
+        const sections = document.createElement('div');
+        sections.style.cssText = 'overflow-y: auto; flex: 1; margin-bottom: 12px;';
+        sections.appendChild(createSection('✅ Accepted', '#7CFC00', report.accepted, () => ''));
+        sections.appendChild(createSection('❌ Rejected', '#FF6B6B', report.rejected, entry => entry.reasons.join('; ')));
+        sections.appendChild(createSection('♻️ Duplicates', '#FFD700', report.duplicates, entry => entry.reason));
+        panel.appendChild(sections);
+
+        const note = document.createElement('p');
+        note.style.cssText = 'margin: 0 0 12px 0; opacity: 0.8;';
+        note.textContent = `Replace imports ${importCount} circles and discards current data. ` +
+            'Merge combines them with current data by id: the newest version of each circle wins and deletions carry over. ' +
+            'Rejected records and duplicates within the file are skipped.';
+        panel.appendChild(note);
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end;';
+
+        const finish = (choice) => {
+            document.removeEventListener('keydown', handleKeydown, true);
+            overlay.remove();
+            resolve(choice);
+        };
+
+        const handleKeydown = (event) => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                finish(null);
+            }
+        };
+        document.addEventListener('keydown', handleKeydown, true);
+
+        buttons.appendChild(createButton('Cancel', () => finish(null)));
+        buttons.appendChild(createButton(`Merge (${importCount})`, () => finish('merge'), importCount === 0 && report.tombstones.length === 0));
+        buttons.appendChild(createButton(`Replace (${importCount})`, () => finish('replace'), importCount === 0));
+        panel.appendChild(buttons);
+
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
+    });
+}
+
+/**
+ * Remove an open preview without resolving it
+ */
+export function closeImportPreview() {
+    const existing = document.getElementById(DIALOG_CONFIG.id);
+    if (existing) {
+        existing.remove();
+    }
+}
+
+// ============================================================================
+// DIALOG ELEMENTS
+// ============================================================================
+
+/**
+ * Collapsible list of records with the reason for each
+ */
+function createSection(label, color, entries, describe) {
+    const section = document.createElement('details');
+    section.open = entries.length > 0 && label !== '✅ Accepted';
+    section.style.marginBottom = '8px';
+
+    const heading = document.createElement('summary');
+    heading.style.cssText = `cursor: pointer; color: ${color}; font-weight: bold;`;
+    heading.textContent = `${label} (${entries.length})`;
+    section.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.style.cssText = 'margin: 6px 0; padding-left: 20px;';
+
+    entries.slice(0, DIALOG_CONFIG.maxRowsPerSection).forEach(entry => {
+        const item = document.createElement('li');
+        const reason = describe(entry);
+        item.textContent = `${entry.path} — ${describeRecord(entry)}${reason ? `: ${reason}` : ''}`;
+        list.appendChild(item);
+    });
+
+    if (entries.length > DIALOG_CONFIG.maxRowsPerSection) {
+        const more = document.createElement('li');
+        more.style.opacity = '0.7';
+        more.textContent = `…and ${entries.length - DIALOG_CONFIG.maxRowsPerSection} more`;
+        list.appendChild(more);
+    }
+
+    section.appendChild(list);
+    return section;
+}
+
+/**
+ * Short human-readable form of a circle record
+ */
+function describeRecord(entry) {
+    const record = entry.record;
+    if (!record || typeof record !== 'object') {
+        return JSON.stringify(record);
+    }
+
+    const user = typeof entry.userId === 'string' && entry.userId ? entry.userId : '(no user)';
+    return `${user} (${formatValue(record.x)}, ${formatValue(record.z)}) r=${formatValue(record.radius)}`;
+}
+
+/**
+ * Numbers to two decimals, anything else as raw JSON
+ */
+function formatValue(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(2) : JSON.stringify(value);
+}
+
+/**
+ * Dialog button in the same style as the other overlays
+ */
+function createButton(label, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.disabled = disabled;
+    button.style.cssText = `
+        padding: 8px 16px;
+        background: ${disabled ? '#555' : 'white'};
+        color: ${disabled ? '#999' : 'black'};
+        border: none;
+        border-radius: 5px;
+        cursor: ${disabled ? 'not-allowed' : 'pointer'};
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+}
@@ -0,0 +1,227 @@
+// js/intentions.js - Intentions Written on Circles
+//
+// A circle may carry a short intention or blessing (`circle.intention`),
+// asked for right after it is drawn. It floats above the ring while the wand
+// hovers over it, and when two circles bond both intentions are shown next
+// to their star for a moment.
+
+// ============================================================================
+// INTENTION CONFIGURATION
+// ============================================================================
+
+const INTENTION_CONFIG = {
+    maxLength: 140,
+    promptId: 'intentionPrompt',
+    label: {
+        font: '28px Arial, sans-serif',
+        lineHeight: 34,
+        maxLineWidth: 420,  // px on the label canvas before wrapping
+        maxLines: 4,
+        padding: 14,
+        worldHeight: 0.45   // World units per text line
+    }
+};
+
+export const MAX_INTENTION_LENGTH = INTENTION_CONFIG.maxLength;
+
+/**
+ * Trim an intention and fold runs of whitespace; '' when there is none
+ */
+export function normalizeIntention(text) {
+    return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Check an intention, returning every problem found
+ */
+export function validateIntention(text) {
+    if (typeof text !== 'string') {
+        return ['"intention" must be text'];
+    }
+    if (normalizeIntention(text).length > INTENTION_CONFIG.maxLength) {
+        return [`"intention" longer than ${INTENTION_CONFIG.maxLength} characters`];
+    }
+    return [];
+}
+
+// ============================================================================
+// INTENTION PROMPT
+// ============================================================================
+
+let pendingPrompt = null; // { panel, finish } while the prompt is open
+
+/**
+ * Ask for an optional intention for a circle that was just drawn.
+ * Resolves to the text, or null when skipped. Opening a new prompt skips
+ * the one still open, so drawing on never waits for typing.
+ */
+export function askIntention({ color = '#ffffff' } = {}) {
+    closeIntentionPrompt();
+
+    return new Promise(resolve => {
+        const panel = document.createElement('form');
+        panel.id = INTENTION_CONFIG.promptId;
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 90px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: min(420px, 90vw);
+            background: rgba(20, 20, 30, 0.9);
+            color: white;
+            padding: 10px 14px;
+            border-radius: 10px;
+            border-left: 4px solid ${color};
+            z-index: 1000;
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+        `;
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight: bold; margin-bottom: 6px;';
+        title.textContent = '✍️ Add an intention to this circle (optional)';
+        panel.appendChild(title);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = INTENTION_CONFIG.maxLength;
+        input.placeholder = 'A short intention or blessing';
+        input.style.cssText = 'display: block; width: 100%; box-sizing: border-box; padding: 4px 6px; margin-bottom: 6px;';
+        panel.appendChild(input);
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end;';
+        const skipButton = createButton('Skip', 'button');
+        buttons.appendChild(skipButton);
+        buttons.appendChild(createButton('Add', 'submit'));
+        panel.appendChild(buttons);
+
+        const finish = (intention) => {
+            if (pendingPrompt && pendingPrompt.panel === panel) {
+                pendingPrompt = null;
+            }
+            panel.remove();
+            resolve(intention || null);
+        };
+
+        panel.addEventListener('submit', (e) => {
+            e.preventDefault();
+            finish(normalizeIntention(input.value));
+        });
+        skipButton.addEventListener('click', () => finish(null));
+
+        // Escape skips; keys typed here never reach the app shortcuts
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                finish(null);
+            }
+            e.stopPropagation();
+        });
+
+        document.body.appendChild(panel);
+        pendingPrompt = { panel, finish };
+        input.focus();
+    });
+}
+
+/**
+ * Skip the open prompt, if any
+ */
+export function closeIntentionPrompt() {
+    if (pendingPrompt) {
+        pendingPrompt.finish(null);
+    }
+}
+
+function createButton(label, type) {
+    const button = document.createElement('button');
+    button.type = type;
+    button.textContent = label;
+    button.style.cssText = 'padding: 4px 10px; background: white; color: black; border: none; border-radius: 5px; cursor: pointer;';
+    return button;
+}
+
+// ============================================================================
+// FLOATING LABELS
+// ============================================================================
+
+/**
+ * A sprite showing an intention in quotes, edged in the user's color.
+ * It always faces the camera; place it with `label.position`.
+ * `caption` goes before the quote (e.g. the symbol the circle was drawn as).
+ */
+export function createIntentionLabel(text, color = '#ffffff', { caption = '' } = {}) {
+    const config = INTENTION_CONFIG.label;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = config.font;
+
+    const quote = text ? `“${text}”` : '';
+    const lines = wrapText(ctx, [caption, quote].filter(Boolean).join(' '), config.maxLineWidth, config.maxLines);
+    const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+
+    canvas.width = Math.ceil(textWidth + config.padding * 2);
+    canvas.height = lines.length * config.lineHeight + config.padding * 2;
+
+    // Resizing the canvas resets the context
+    ctx.fillStyle = 'rgba(20, 20, 30, 0.75)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 6, canvas.height);
+
+    ctx.font = config.font;
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, i) => {
+        ctx.fillText(line, config.padding, config.padding + i * config.lineHeight);
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false });
+    const label = new THREE.Sprite(material);
+
+    const height = lines.length * config.worldHeight + 0.2;
+    label.scale.set(height * canvas.width / canvas.height, height, 1);
+    label.renderOrder = 10;
+    label.userData = { type: 'intentionLabel' };
+
+    return label;
+}
+
+/**
+ * Free a label's canvas texture
+ */
+export function disposeIntentionLabel(label) {
+    if (label.parent) {
+        label.parent.remove(label);
+    }
+    label.material.map.dispose();
+    label.material.dispose();
+}
+
+/**
+ * Break text into at most `maxLines` lines that fit `maxWidth`
+ */
+function wrapText(ctx, text, maxWidth, maxLines) {
+    const lines = [];
+    let line = '';
+
+    text.split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    lines.push(line);
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] += '…';
+        return kept;
+    }
+    return lines;
+}
@@ -2,10 +2,33 @@
 import { initScene, updateStatus } from './scene.js';
 import { loadModels } from './modelloader.js';
 import { initHandTracking, startHandTracking, stopHandTracking } from './mediapipe.js';
-import { initConnectMode, startConnectMode, stopConnectMode, updateConnectMode, getConnectStats } from './connect.js';
+import {
+    initConnectMode, startConnectMode, stopConnectMode, updateConnectMode, getConnectStats, deleteCircle, editCircle,
+    highlightUserCircles, selectCircle, clearCircleSelection, deleteSelectedCircle,
+    startSymbolTeaching, stopSymbolTeaching, getSymbolTeaching
+} from './connect.js';
+import { listSymbols, removeCustomSymbol } from './symbols.js';
 import { initPrayerMode, startPrayerMode, stopPrayerMode, updatePrayer, getPrayerStats } from './prayer.js';
-import { getDataStats, downloadDataAsFile, downloadFullDataAsFile, testIntersectionCalculation } from './datamanager.js';
+import {
+    getDataStats, downloadDataAsFile, downloadFullDataAsFile, downloadDataAsGeoJson, downloadDataAsCsv, downloadPosterAsSvg,
+    testIntersectionCalculation, getLastSession, listBackups, restoreBackup, saveDataToFile,
+    getUserProfile, getAllProfiles, updateUserProfile, verifyDatasetSignatures,
+    enableStorageEncryption, disableStorageEncryption, getEncryptionStatus, setCircleLifetime, archiveExpiredCircles,
+    findConstellations
+} from './datamanager.js';
+import { exportIdentity, importIdentity } from './identity.js';
 import { initAudio } from './Audio.js';
+import { undo, redo, getHistoryStatus } from './history.js';
+import { runSpatialBenchmark } from './benchmark.js';
+import { toggleSisterhoodGraph } from './graph.js';
+import { toggleReplay, stopReplay, jumpToDate, getReplayStatus } from './replay.js';
+import { toggleArchiveView, closeArchiveView, showSeason, getArchiveStatus } from './archive.js';
+import { toggleBackupManager } from './backuppanel.js';
+import { toggleProfileEditor, toggleLegend, updateLegend } from './profilepanel.js';
+import { askPassphrase } from './passphrasedialog.js';
+import {
+    getCurrentSpace, getCurrentSpaceId, listSpaces, createSpace, switchSpace, getSpaceUrl, updateSpaceSettings
+} from './spaces.js';
 
 // ============================================================================
 // APPLICATION STATE
@@ -31,6 +54,8 @@ let appState = {
     updateInterval: 1000 // Update stats every second
 };
 
+const NEW_SPACE_OPTION = '__new__'; // Space picker entry that asks for a new space name
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -71,6 +96,7 @@ async function initializeApplication() {
     updateStatus('🎮 Setting up controls...');
     setupEventListeners();
     setupFileHandling();
+    await restoreLastSession();
     
     // Step 6: Initialize data monitoring
     setupDataMonitoring();
@@ -92,6 +118,11 @@ async function initializeApplication() {
     if (isDevelopmentMode()) {
         enableDebugMode();
     }
+    
+    // ?benchmark times the spatial index on synthetic datasets
+    if (new URLSearchParams(window.location.search).has('benchmark')) {
+        setTimeout(() => runSpatialBenchmark(), 1000);
+    }
 }
 
 async function initializeHandTracking() {
@@ -111,7 +142,7 @@ async function initializeHandTracking() {
         }
     } catch (error) {
         console.error('❌ Hand tracking initialization failed:', error);
-        updateStatus('⚠️ Warning: Hand tracking not available - check camera permissions');
+        updateStatus('⚠️ Hand tracking not available - draw with your mouse, finger or stylus instead');
         appState.handTrackingReady = false;
         
         // Show fallback options
@@ -138,7 +169,8 @@ function showHandTrackingFallback() {
     
     fallbackInfo.innerHTML = `
         <h3>📷 Camera Not Available</h3>
-        <p>Hand tracking requires camera access. Please:</p>
+        <p>You can still draw circles with a mouse, finger or stylus, and press and hold to pray.</p>
+        <p>To use hand tracking instead:</p>
         <ul style="text-align: left; margin: 10px 0;">
             <li>Check camera permissions</li>
             <li>Ensure camera is not in use by other apps</li>
@@ -146,7 +178,7 @@ function showHandTrackingFallback() {
             <li>Use a supported browser (Chrome/Firefox)</li>
         </ul>
         <button onclick="this.parentElement.remove()" style="margin-top: 10px; padding: 8px 16px; background: white; color: black; border: none; border-radius: 5px; cursor: pointer;">
-            Continue Without Hand Tracking
+            Continue With Mouse or Touch
         </button>
     `;
     
@@ -175,6 +207,9 @@ function setupEventListeners() {
         userInput.addEventListener('input', handleUserIdInput);
     }
     
+    // Space picker
+    setupSpacePicker();
+    
     // Connect button
     const connectBtn = document.getElementById('connectBtn');
     if (connectBtn) {
@@ -187,6 +222,48 @@ function setupEventListeners() {
         prayBtn.addEventListener('click', handlePrayButton);
     }
     
+    // Sisterhood graph button
+    const graphBtn = document.getElementById('graphBtn');
+    if (graphBtn) {
+        graphBtn.addEventListener('click', handleGraphButton);
+    }
+    
+    // Timeline replay button
+    const replayBtn = document.getElementById('replayBtn');
+    if (replayBtn) {
+        replayBtn.addEventListener('click', handleReplayButton);
+    }
+    
+    // Archive of past seasons button
+    const archiveBtn = document.getElementById('archiveBtn');
+    if (archiveBtn) {
+        archiveBtn.addEventListener('click', handleArchiveButton);
+    }
+    
+    // Teach a custom symbol by drawing it
+    const teachSymbolBtn = document.getElementById('teachSymbolBtn');
+    if (teachSymbolBtn) {
+        teachSymbolBtn.addEventListener('click', handleTeachSymbolButton);
+    }
+    
+    // Backup manager button
+    const backupBtn = document.getElementById('backupBtn');
+    if (backupBtn) {
+        backupBtn.addEventListener('click', handleBackupButton);
+    }
+    
+    // Profile button
+    const profileBtn = document.getElementById('profileBtn');
+    if (profileBtn) {
+        profileBtn.addEventListener('click', handleProfileButton);
+    }
+    
+    // Storage encryption button
+    const encryptBtn = document.getElementById('encryptBtn');
+    if (encryptBtn) {
+        encryptBtn.addEventListener('click', handleEncryptButton);
+    }
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyboardShortcuts);
     
@@ -200,7 +277,7 @@ function setupFileHandling() {
     // Create file input for data import
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    fileInput.accept = '.json';
+    fileInput.accept = '.json,.geojson,.csv,.encrypted';
     fileInput.style.display = 'none';
     fileInput.addEventListener('change', handleFileImport);
     document.body.appendChild(fileInput);
@@ -209,6 +286,20 @@ function setupFileHandling() {
     window.importDataFile = () => fileInput.click();
 }
 
+async function restoreLastSession() {
+    const session = await getLastSession();
+    if (!session || !session.currentUser) return;
+    
+    appState.currentUserId = session.currentUser;
+    
+    const userInput = document.getElementById('userInput');
+    if (userInput) {
+        userInput.value = session.currentUser;
+    }
+    
+    console.log('👤 Restored last user:', session.currentUser);
+}
+
 function handleUserIdChange(e) {
     const newUserId = e.target.value.trim() || 'User1';
     appState.currentUserId = newUserId;
@@ -230,13 +321,63 @@ function handleUserIdInput(e) {
     e.target.value = e.target.value.replace(/[^a-zA-Z0-9_-]/g, '');
 }
 
-function handleConnectButton() {
-    if (!appState.handTrackingReady) {
-        updateStatus('❌ Error: Hand tracking not available');
-        showHandTrackingFallback();
-        return;
+/**
+ * Fill the space picker with the known spaces and a "new space" entry
+ */
+function setupSpacePicker() {
+    const spaceSelect = document.getElementById('spaceSelect');
+    if (!spaceSelect) return;
+    
+    const currentSpace = getCurrentSpace();
+    
+    spaceSelect.innerHTML = '';
+    listSpaces().forEach(space => {
+        const option = document.createElement('option');
+        option.value = space.id;
+        option.textContent = `🏠 ${space.name}`;
+        spaceSelect.appendChild(option);
+    });
+    
+    const newOption = document.createElement('option');
+    newOption.value = NEW_SPACE_OPTION;
+    newOption.textContent = '➕ New space…';
+    spaceSelect.appendChild(newOption);
+    
+    spaceSelect.value = currentSpace.id;
+    spaceSelect.addEventListener('change', handleSpaceChange);
+    
+    if (!currentSpace.isDefault) {
+        document.title = `${currentSpace.name} · ${document.title}`;
+    }
+}
+
+function handleSpaceChange(e) {
+    let spaceId = e.target.value;
+    
+    if (spaceId === NEW_SPACE_OPTION) {
+        const name = prompt('Name for the new space (e.g. Full Moon Circle):');
+        if (!name || !name.trim()) {
+            e.target.value = getCurrentSpaceId();
+            return;
+        }
+        spaceId = createSpace(name).id;
     }
     
+    openSpace(spaceId);
+}
+
+/**
+ * Save this space's data, then reload the page in another space
+ */
+async function openSpace(spaceId) {
+    if (spaceId === getCurrentSpaceId()) return;
+    
+    updateStatus('🏠 Opening space...');
+    await saveDataToFile();
+    switchSpace(spaceId);
+}
+
+function handleConnectButton() {
     if (appState.mode === 'connect') {
         exitConnectMode();
     } else {
@@ -245,12 +386,6 @@ function handleConnectButton() {
 }
 
 function handlePrayButton() {
-    if (!appState.handTrackingReady) {
-        updateStatus('❌ Error: Hand tracking not available');
-        showHandTrackingFallback();
-        return;
-    }
-    
     if (appState.mode === 'pray') {
         exitPrayMode();
     } else {
@@ -258,9 +393,117 @@ function handlePrayButton() {
     }
 }
 
+function handleGraphButton() {
+    toggleSisterhoodGraph({ onSelectUser: highlightUserCircles });
+}
+
+function handleReplayButton() {
+    // The replay draws into the connect scene
+    if (appState.mode !== 'connect') {
+        enterConnectMode();
+        if (appState.mode !== 'connect') return;
+    }
+    
+    closeArchiveView();
+    toggleReplay();
+}
+
+function handleArchiveButton() {
+    // The archive draws into the connect scene too
+    if (appState.mode !== 'connect') {
+        enterConnectMode();
+        if (appState.mode !== 'connect') return;
+    }
+    
+    toggleArchiveView();
+}
+
+/**
+ * Ask for a symbol's name and meaning, then teach it from the next strokes.
+ * Pressing again while teaching stops.
+ */
+function handleTeachSymbolButton() {
+    if (getSymbolTeaching()) {
+        stopSymbolTeaching();
+        return;
+    }
+    
+    if (appState.mode !== 'connect') {
+        enterConnectMode();
+        if (appState.mode !== 'connect') return;
+    }
+    
+    const name = prompt('Name of the symbol to teach (e.g. Lotus):');
+    if (!name || !name.trim()) return;
+    const meaning = prompt(`What does ${name.trim()} mean to your circle? (optional)`) || '';
+    
+    startSymbolTeaching(name.trim(), { meaning });
+}
+
+function handleBackupButton() {
+    toggleBackupManager({ onRestore: refreshAfterDataLoad });
+}
+
+function handleProfileButton() {
+    toggleProfileEditor(appState.currentUserId, { onSave: () => updateAllStats() });
+}
+
+/**
+ * Turn encryption of the stored circles and backups on or off
+ */
+async function handleEncryptButton() {
+    const encryption = getEncryptionStatus();
+    
+    if (encryption.locked) {
+        updateStatus('🔒 Circles are encrypted - reload the page to enter the passphrase');
+        return;
+    }
+    if (!encryption.supported) {
+        updateStatus('⚠️ Encryption needs https or localhost');
+        return;
+    }
+    
+    const changed = encryption.encrypted
+        ? await askPassphrase({
+            title: '🔓 Turn off encryption',
+            message: 'Circles and backups in this browser will be stored in plain text again.',
+            unlock: disableStorageEncryption
+        })
+        : await askPassphrase({
+            title: '🔒 Encrypt stored circles',
+            message: 'Circles and backups in this browser are encrypted with this passphrase and it is asked for on every visit. ' +
+                'It cannot be recovered. Circles shared through the sync server are not encrypted.',
+            confirm: true,
+            unlock: enableStorageEncryption
+        });
+    
+    if (changed) {
+        updateEncryptButton();
+    }
+}
+
+function updateEncryptButton() {
+    const encryptBtn = document.getElementById('encryptBtn');
+    if (encryptBtn) {
+        encryptBtn.textContent = getEncryptionStatus().encrypted ? '🔓 Decrypt' : '🔒 Encrypt';
+    }
+}
+
+/**
+ * Download the circles as a passphrase-encrypted JSON file
+ */
+async function handleEncryptedExport() {
+    await askPassphrase({
+        title: '🔒 Encrypted download',
+        message: 'The file can only be imported again with this passphrase.',
+        confirm: true,
+        unlock: passphrase => downloadDataAsFile({ passphrase })
+    });
+}
+
 function handleKeyboardShortcuts(e) {
     // Only handle shortcuts when not typing in input fields
-    if (e.target.tagName === 'INPUT') return;
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
     
     switch (e.key.toLowerCase()) {
         case 'c':
@@ -271,7 +514,36 @@ function handleKeyboardShortcuts(e) {
             if (e.ctrlKey || e.metaKey) return; // Don't interfere with print
             handlePrayButton();
             break;
+        case 'g':
+            if (e.ctrlKey || e.metaKey) return;
+            handleGraphButton();
+            break;
+        case 'r':
+            if (e.ctrlKey || e.metaKey) return; // Don't interfere with reload
+            handleReplayButton();
+            break;
+        case 'a':
+            if (e.ctrlKey || e.metaKey) return; // Don't interfere with select all
+            handleArchiveButton();
+            break;
+        case 'b':
+            if (e.ctrlKey || e.metaKey) return;
+            handleBackupButton();
+            break;
+        case 'l':
+            if (e.ctrlKey || e.metaKey) return;
+            toggleLegend();
+            break;
+        case 'delete':
+        case 'backspace':
+            if (appState.mode === 'connect' && deleteSelectedCircle()) {
+                e.preventDefault();
+                updateAllStats();
+            }
+            break;
         case 'escape':
+            // The first Escape only deselects a circle
+            if (appState.mode === 'connect' && clearCircleSelection()) break;
             if (appState.mode !== 'ready') {
                 if (appState.mode === 'connect') exitConnectMode();
                 if (appState.mode === 'pray') exitPrayMode();
@@ -286,7 +558,31 @@ function handleKeyboardShortcuts(e) {
         case 's':
             if (e.ctrlKey || e.metaKey) {
                 e.preventDefault();
-                downloadDataAsFile();
+                // Ctrl+Shift+S downloads an encrypted copy
+                if (e.shiftKey) {
+                    handleEncryptedExport();
+                } else {
+                    downloadDataAsFile();
+                }
+            }
+            break;
+        case 'z':
+            if (e.ctrlKey || e.metaKey) {
+                e.preventDefault();
+                // Ctrl+Shift+Z redoes, like most editors
+                if (e.shiftKey) {
+                    redo();
+                } else {
+                    undo();
+                }
+                updateAllStats();
+            }
+            break;
+        case 'y':
+            if (e.ctrlKey || e.metaKey) {
+                e.preventDefault();
+                redo();
+                updateAllStats();
             }
             break;
     }
@@ -319,21 +615,32 @@ async function handleFileImport(e) {
     
     try {
         const { loadDataFromFile } = await import('./datamanager.js');
-        await loadDataFromFile(file);
+        const loadedData = await loadDataFromFile(file);
+        if (!loadedData) return; // Import cancelled from the preview
         
         updateStatus('✅ Data loaded successfully!');
-        updateAllStats();
-        
-        // Refresh the display if in connect mode
-        if (appState.mode === 'connect') {
-            // Restart connect mode to show new data
-            exitConnectMode();
-            setTimeout(() => enterConnectMode(), 500);
-        }
+        refreshAfterDataLoad();
         
     } catch (error) {
         console.error('Error importing file:', error);
-        updateStatus('❌ Error loading file - check console for details');
+        updateStatus(`❌ Error loading file - ${error.message}`);
+    } finally {
+        // Allow re-selecting the same file after fixing it
+        e.target.value = '';
+    }
+}
+
+/**
+ * Show data that replaced the current dataset (import or backup restore)
+ */
+function refreshAfterDataLoad() {
+    updateAllStats();
+    
+    // Refresh the display if in connect mode
+    if (appState.mode === 'connect') {
+        // Restart connect mode to show new data
+        exitConnectMode();
+        setTimeout(() => enterConnectMode(), 500);
     }
 }
 
@@ -349,19 +656,13 @@ function enterConnectMode() {
     appState.mode = 'connect';
     updateModeUI();
     
-    // Start hand tracking
-    const success = startHandTracking();
-    if (!success) {
-        updateStatus('❌ Error: Could not start hand tracking');
-        exitConnectMode();
-        return;
-    }
+    // Start hand tracking; without it, circles are drawn with the mouse, a finger or a stylus
+    const handTracking = startHandTrackingIfReady();
     
     // Start connect mode
-    startConnectMode(appState.currentUserId);
+    startConnectMode(appState.currentUserId, { handTracking });
     
-    updateStatus('🔗 Connect mode active! Point with index finger to draw circles 👉');
-    console.log('🔗 Entered connect mode');
+    console.log(`🔗 Entered connect mode${handTracking ? '' : ' (pointer drawing only)'}`);
     
     // Update stats after a delay to get initial data
     setTimeout(updateAllStats, 1000);
@@ -371,6 +672,9 @@ function exitConnectMode() {
     appState.mode = 'ready';
     updateModeUI();
     
+    stopReplay();
+    closeArchiveView();
+    
     // Stop hand tracking
     stopHandTracking();
     
@@ -399,19 +703,30 @@ function enterPrayMode() {
     appState.mode = 'pray';
     updateModeUI();
     
-    // Start hand tracking
-    const success = startHandTracking();
-    if (!success) {
-        updateStatus('❌ Error: Could not start hand tracking');
-        exitPrayMode();
-        return;
-    }
+    // Start hand tracking; without it, pressing and holding prays
+    const handTracking = startHandTrackingIfReady();
     
     // Start prayer mode
     startPrayerMode();
     
-    updateStatus('🙏 Prayer mode active! Join hands together to pray 🙏');
-    console.log('🙏 Entered prayer mode');
+    updateStatus(handTracking
+        ? '🙏 Prayer mode active! Join hands together to pray 🙏'
+        : '🙏 Prayer mode active! Press and hold anywhere to pray 🙏');
+    console.log(`🙏 Entered prayer mode${handTracking ? '' : ' (press and hold only)'}`);
+}
+
+/**
+ * Start the camera when hand tracking initialized. Returns whether it runs;
+ * both modes carry on with mouse, touch and stylus input when it does not.
+ */
+function startHandTrackingIfReady() {
+    if (!appState.handTrackingReady) return false;
+    
+    if (!startHandTracking()) {
+        console.warn('⚠️ Could not start hand tracking - continuing with mouse, touch and stylus');
+        return false;
+    }
+    return true;
 }
 
 function exitPrayMode() {
@@ -626,6 +941,8 @@ function updateAllStats() {
         
         // Update display
         updateStatsDisplay();
+        updateLegend();
+        updateEncryptButton();
         
         // Update debug info if enabled
         if (appState.debugMode) {
@@ -650,11 +967,13 @@ function updateDebugInfo(dataStats) {
         <h4>🔧 Debug Information</h4>
         <div><strong>Mode:</strong> ${appState.mode}</div>
         <div><strong>User:</strong> ${appState.currentUserId}</div>
+        <div><strong>Space:</strong> ${dataStats.space}</div>
         <div><strong>Hand Tracking:</strong> ${appState.handTrackingReady ? '✅' : '❌'}</div>
         <div><strong>Total Users:</strong> ${dataStats.totalUsers}</div>
-        <div><strong>Total Circles:</strong> ${dataStats.totalCircles}</div>
-        <div><strong>Data Source:</strong> ${dataStats.dataSource}</div>
+        <div><strong>Total Circles:</strong> ${dataStats.totalCircles}${dataStats.archivedCircles ? ` (${dataStats.archivedCircles} archived)` : ''}</div>
+        <div><strong>Data Source:</strong> ${dataStats.dataSource}${dataStats.encrypted ? ' 🔒' : ''}</div>
         <div><strong>Unsaved Changes:</strong> ${dataStats.hasUnsavedChanges ? '⚠️' : '✅'}</div>
+        <div><strong>Signatures:</strong> ${dataStats.signatures.valid} 🔏 / ${dataStats.signatures.invalid} ⚠️ / ${dataStats.signatures.unsigned + dataStats.signatures.unknown} unverified</div>
         ${connectStats ? `
         <div><strong>Drawing:</strong> ${connectStats.isDrawing ? '✏️' : '⏸️'}</div>
         <div><strong>Cursor Visible:</strong> ${connectStats.cursorVisible ? '👁️' : '👁️‍🗨️'}</div>
@@ -845,6 +1164,10 @@ function createDebugPanel() {
             <h4>🎮 Debug Actions</h4>
             <button onclick="window.debugApp.downloadData()" style="margin: 2px; padding: 5px 8px; font-size: 10px; background: #4ecdc4; color: white; border: none; border-radius: 3px; cursor: pointer;">📥 Download Data</button>
             <button onclick="window.debugApp.downloadFullData()" style="margin: 2px; padding: 5px 8px; font-size: 10px; background: #45b7d1; color: white; border: none; border-radius: 3px; cursor: pointer;">📥 Full Data</button>
+            <button onclick="window.debugApp.downloadGeoJson()" style="margin: 2px; padding: 5px 8px; font-size: 10px; background: #26de81; color: white; border: none; border-radius: 3px; cursor: pointer;">🌍 GeoJSON</button>
+            <button onclick="window.debugApp.downloadCsv()" style="margin: 2px; padding: 5px 8px; font-size: 10px; background: #f0932b; color: white; border: none; border-radius: 3px; cursor: pointer;">📊 CSV</button>
+            <button onclick="window.debugApp.downloadPoster()" style="margin: 2px; padding: 5px 8px; font-size: 10px; background: #a55eea; color: white; border: none; border-radius: 3px; cursor: pointer;">🖼️ Poster</button>
+            <button onclick="window.debugApp.downloadEncrypted()" style="margin: 2px; padding: 5px 8px; font-size: 10px; background: #2d3436; color: white; border: none; border-radius: 3px; cursor: pointer;">🔒 Encrypted</button>
             <button onclick="window.debugApp.importData()" style="margin: 2px; padding: 5px 8px; font-size: 10px; background: #f9ca24; color: black; border: none; border-radius: 3px; cursor: pointer;">📁 Import</button>
             <button onclick="window.debugApp.testIntersections()" style="margin: 2px; padding: 5px 8px; font-size: 10px; background: #6c5ce7; color: white; border: none; border-radius: 3px; cursor: pointer;">🧪 Test</button>
             <button onclick="window.debugApp.clearData()" style="margin: 2px; padding: 5px 8px; font-size: 10px; background: #eb4d4b; color: white; border: none; border-radius: 3px; cursor: pointer;">🗑️ Clear</button>
@@ -865,8 +1188,54 @@ function setupDebugGlobals() {
         toggleDebug: toggleDebugMode,
         downloadData: downloadDataAsFile,
         downloadFullData: downloadFullDataAsFile,
+        downloadGeoJson: downloadDataAsGeoJson,
+        downloadCsv: downloadDataAsCsv,
+        downloadPoster: downloadPosterAsSvg,
+        downloadEncrypted: handleEncryptedExport,
         importData: () => window.importDataFile(),
         testIntersections: testIntersectionCalculation,
+        listBackups: listBackups,
+        restoreBackup: restoreBackup,
+        toggleBackups: handleBackupButton,
+        undo: undo,
+        redo: redo,
+        getHistory: getHistoryStatus,
+        deleteCircle: deleteCircle,
+        editCircle: editCircle,
+        selectCircle: selectCircle,
+        runBenchmark: runSpatialBenchmark,
+        toggleGraph: handleGraphButton,
+        toggleReplay: handleReplayButton,
+        jumpToDate: jumpToDate,
+        getReplay: getReplayStatus,
+        toggleArchive: handleArchiveButton,
+        showSeason: showSeason,
+        getArchive: getArchiveStatus,
+        setCircleLifetime: setCircleLifetime,
+        archiveExpired: archiveExpiredCircles,
+        getConstellations: findConstellations,
+        teachSymbol: (name, meaning = '', examples = 3) => startSymbolTeaching(name, { meaning, examples }),
+        stopTeaching: stopSymbolTeaching,
+        listSymbols: listSymbols,
+        removeSymbol: removeCustomSymbol,
+        getSpace: getCurrentSpace,
+        listSpaces: listSpaces,
+        openSpace: openSpace,
+        createSpace: (name) => openSpace(createSpace(name).id),
+        getSpaceLink: () => getSpaceUrl(getCurrentSpaceId()),
+        updateSpaceSettings: updateSpaceSettings,
+        getProfile: getUserProfile,
+        listProfiles: getAllProfiles,
+        updateProfile: updateUserProfile,
+        toggleProfile: handleProfileButton,
+        toggleLegend: toggleLegend,
+        verifySignatures: verifyDatasetSignatures,
+        exportIdentity: () => exportIdentity(appState.currentUserId),
+        importIdentity: importIdentity,
+        toggleEncryption: handleEncryptButton,
+        enableEncryption: enableStorageEncryption,
+        disableEncryption: disableStorageEncryption,
+        getEncryption: getEncryptionStatus,
         clearData: () => {
             if (confirm('Clear all data? This cannot be undone.')) {
                 import('./datamanager.js').then(module => {
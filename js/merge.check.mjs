@@ -0,0 +1,171 @@
+// js/merge.check.mjs - Merge Order Property Check
+//
+// Run with `node js/merge.check.mjs [runs] [seed]`. Builds random datasets
+// that disagree about the same circles, bonds, tombstones, profiles and users,
+// then checks that mergeDatasets gives the same result whatever the order,
+// grouping or repetition of its inputs. Exits with 1 on the first difference.
+
+import { mergeDatasets, canonicalJson } from './merge.js';
+
+// ============================================================================
+// CHECK CONFIGURATION
+// ============================================================================
+
+const CHECK_CONFIG = {
+    runs: 500,
+    seed: 1,
+    circleIds: 8,
+    bondIds: 4,
+    users: ['alice', 'bob', 'carol'],
+    // Few distinct times and revisions, so ties are common
+    times: ['2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z', '2024-01-03T00:00:00.000Z'],
+    maxRev: 3
+};
+
+// ============================================================================
+// RANDOM DATASETS
+// ============================================================================
+
+/**
+ * Small seeded generator (mulberry32), so a failing seed can be replayed
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * One export: a random subset of records, each in a random version
+ */
+function createDataset(random) {
+    const pick = values => values[Math.floor(random() * values.length)];
+    const chance = probability => random() < probability;
+    const rev = () => 1 + Math.floor(random() * CHECK_CONFIG.maxRev);
+
+    const data = { users: {}, bonds: [], tombstones: [], profiles: {}, version: 5 };
+
+    CHECK_CONFIG.users.forEach(userId => {
+        if (chance(0.8)) {
+            data.users[userId] = { createdAt: pick(CHECK_CONFIG.times), circles: [] };
+        }
+        if (chance(0.5)) {
+            data.profiles[userId] = { displayName: pick(['', 'A', 'B']), updatedAt: pick(CHECK_CONFIG.times) };
+        }
+    });
+
+    for (let i = 0; i < CHECK_CONFIG.circleIds; i++) {
+        // A circle always belongs to the same user, whichever copy it is in
+        const userId = CHECK_CONFIG.users[i % CHECK_CONFIG.users.length];
+        if (!data.users[userId] || chance(0.3)) continue;
+
+        if (chance(0.25)) {
+            data.tombstones.push({ id: `circle-${i}`, kind: 'circle', userId, rev: rev(), deletedAt: pick(CHECK_CONFIG.times) });
+            continue;
+        }
+
+        const circle = {
+            id: `circle-${i}`,
+            x: pick([0, 1, 2]),
+            z: 0,
+            radius: pick([1, 2]),
+            timestamp: CHECK_CONFIG.times[0],
+            rev: rev()
+        };
+        if (chance(0.5)) circle.updatedAt = pick(CHECK_CONFIG.times);
+        if (chance(0.3)) circle.archivedAt = pick(CHECK_CONFIG.times);
+        data.users[userId].circles.push(circle);
+    }
+
+    for (let i = 0; i < CHECK_CONFIG.bondIds; i++) {
+        if (chance(0.4)) continue;
+
+        if (chance(0.3)) {
+            data.tombstones.push({ id: `bond-${i}`, kind: 'bond', deletedAt: pick(CHECK_CONFIG.times) });
+            continue;
+        }
+
+        data.bonds.push({
+            id: `bond-${i}`,
+            users: ['alice', 'bob'],
+            circles: [`circle-${i}`, `circle-${i + 1}`],
+            points: [{ x: pick([0, 1]), z: 0 }],
+            timestamp: pick(CHECK_CONFIG.times)
+        });
+    }
+
+    if (chance(0.5)) {
+        data.lastUpdated = pick(CHECK_CONFIG.times);
+    }
+
+    return data;
+}
+
+// ============================================================================
+// PROPERTIES
+// ============================================================================
+
+/**
+ * Every way of combining A, B and C that must give the same dataset
+ */
+function getCombinations(a, b, c) {
+    return {
+        'A,B,C': () => mergeDatasets(a, b, c),
+        'A,C,B': () => mergeDatasets(a, c, b),
+        'B,A,C': () => mergeDatasets(b, a, c),
+        'B,C,A': () => mergeDatasets(b, c, a),
+        'C,A,B': () => mergeDatasets(c, a, b),
+        'C,B,A': () => mergeDatasets(c, b, a),
+        '(B,A),C': () => mergeDatasets(mergeDatasets(b, a), c),
+        'A,(C,B)': () => mergeDatasets(a, mergeDatasets(c, b)),
+        '((A,B),C)': () => mergeDatasets(mergeDatasets(mergeDatasets(a), b), c),
+        'A,A,B,C': () => mergeDatasets(a, a, b, c),
+        'C,B,A,B': () => mergeDatasets(c, b, a, b),
+        '(A,B,C),(A,B,C)': () => mergeDatasets(mergeDatasets(a, b, c), mergeDatasets(c, b, a))
+    };
+}
+
+function checkRun(random) {
+    const a = createDataset(random);
+    const b = createDataset(random);
+    const c = createDataset(random);
+    const before = canonicalJson([a, b, c]);
+
+    let expected = null;
+    for (const [name, combine] of Object.entries(getCombinations(a, b, c))) {
+        const result = canonicalJson(combine());
+        if (expected === null) {
+            expected = { name, result };
+        } else if (result !== expected.result) {
+            return { datasets: [a, b, c], message: `${name} differs from ${expected.name}` };
+        }
+    }
+
+    if (canonicalJson([a, b, c]) !== before) {
+        return { datasets: [a, b, c], message: 'an input dataset was modified' };
+    }
+    return null;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const runs = Number(process.argv[2]) || CHECK_CONFIG.runs;
+const seed = Number(process.argv[3]) || CHECK_CONFIG.seed;
+
+for (let run = 0; run < runs; run++) {
+    const failure = checkRun(createRandom(seed + run));
+    if (failure) {
+        console.error(`❌ Seed ${seed + run}: ${failure.message}`);
+        console.error(JSON.stringify(failure.datasets, null, 2));
+        process.exit(1);
+    }
+}
+
+console.log(`✅ ${runs} runs (seeds ${seed}-${seed + runs - 1}): every order, grouping and repeat merged the same`);
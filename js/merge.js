@@ -0,0 +1,293 @@
+// js/merge.js - Deterministic Dataset Merging
+//
+// Every circle and bond has a stable id and a version. Deleting a record leaves
+// a tombstone in `tombstones` so the deletion travels with exports:
+//   { id, kind: 'circle', userId, rev, deletedAt }
+//   { id, kind: 'bond', deletedAt }
+//
+// Merging keeps, for every id, the single winning version across all inputs.
+// The winner only depends on the versions themselves, so any number of
+// datasets merge to the same result in any order, and merging twice changes
+// nothing. Profiles (see profiles.js) merge the same way, by `updatedAt`.
+// `node js/merge.check.mjs` checks this on random datasets.
+
+import { CURRENT_DATA_VERSION } from './migrations.js';
+
+// ============================================================================
+// RECORD IDS
+// ============================================================================
+
+/**
+ * Globally unique record id, e.g. `alice_4f1c…`
+ */
+export function createRecordId(prefix) {
+    const slug = String(prefix).toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'circle';
+    return `${slug}_${createUuid()}`;
+}
+
+/**
+ * Id for a circle from a hand-written file without ids. Derived from its
+ * content so importing the same file on two devices gives the same id.
+ */
+export function createContentId(userId, circle) {
+    const slug = String(userId).toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'circle';
+    const content = [userId, circle.x, circle.z, circle.radius, circle.timestamp || ''].join('|');
+    return `${slug}_${hashString(content)}`;
+}
+
+function createUuid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+
+    // Older browsers on plain http: random hex in UUID layout
+    const bytes = new Uint8Array(16);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(bytes);
+    } else {
+        bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+    }
+
+    const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Two FNV-1a passes joined - short, stable, and collisions are unlikely enough
+ * for circles that also differ by user
+ */
+function hashString(text) {
+    let first = 0x811c9dc5;
+    let second = 0x01000193;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        first = Math.imul(first ^ code, 0x01000193) >>> 0;
+        second = Math.imul(second ^ code, 0x811c9dc5) >>> 0;
+    }
+    return first.toString(16).padStart(8, '0') + second.toString(16).padStart(8, '0');
+}
+
+// ============================================================================
+// VERSIONS
+// ============================================================================
+
+/**
+ * Tombstone for a circle that is being deleted now
+ */
+export function createCircleTombstone(circle) {
+    return {
+        id: circle.id,
+        kind: 'circle',
+        userId: circle.userId,
+        rev: (circle.rev || 1) + 1,
+        deletedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Tombstone for a bond that no longer holds
+ */
+export function createBondTombstone(bond) {
+    return {
+        id: bond.id,
+        kind: 'bond',
+        deletedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Order two versions of the same circle: higher revision wins, then the later
+ * change, then a deletion over an edit, then the canonical JSON. Returns > 0
+ * when `a` wins.
+ */
+export function compareCircleVersions(a, b) {
+    return (a.rev || 1) - (b.rev || 1) ||
+        compareTimes(getVersionTime(a), getVersionTime(b)) ||
+        Number(isTombstone(a)) - Number(isTombstone(b)) ||
+        compareCanonical(a, b);
+}
+
+/**
+ * Order two versions of a user's profile: the later edit wins, then the
+ * canonical JSON. Returns > 0 when `a` wins.
+ */
+export function compareProfileVersions(a, b) {
+    return compareTimes(a.updatedAt, b.updatedAt) || compareCanonical(a, b);
+}
+
+/**
+ * Order two versions of the same bond: the later change wins, a deletion wins
+ * a tie, then the canonical JSON. Returns > 0 when `a` wins.
+ */
+export function compareBondVersions(a, b) {
+    return compareTimes(getVersionTime(a), getVersionTime(b)) ||
+        Number(isTombstone(a)) - Number(isTombstone(b)) ||
+        compareCanonical(a, b);
+}
+
+function isTombstone(record) {
+    return record.deletedAt !== undefined && record.kind !== undefined;
+}
+
+function getVersionTime(record) {
+    return isTombstone(record) ? record.deletedAt : (record.updatedAt || record.timestamp);
+}
+
+function compareTimes(a, b) {
+    const timeA = Date.parse(a);
+    const timeB = Date.parse(b);
+    return (Number.isNaN(timeA) ? 0 : timeA) - (Number.isNaN(timeB) ? 0 : timeB);
+}
+
+function compareCanonical(a, b) {
+    const textA = canonicalJson(a);
+    const textB = canonicalJson(b);
+    return textA < textB ? -1 : textA > textB ? 1 : 0;
+}
+
+/**
+ * JSON with sorted keys, so equal records always serialize the same way
+ */
+export function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Checksum of a value's canonical JSON, for spotting corrupted copies
+ */
+export function computeChecksum(value) {
+    return hashString(canonicalJson(value));
+}
+
+// ============================================================================
+// MERGE
+// ============================================================================
+
+/**
+ * Merge internal-format datasets (already migrated) into a new dataset.
+ * Inputs are not modified.
+ */
+export function mergeDatasets(...datasets) {
+    const circleWinners = new Map();
+    const bondWinners = new Map();
+    const profileWinners = new Map();
+    const userRecords = new Map();
+    let lastUpdated = null;
+
+    const offer = (winners, record, compare) => {
+        const current = winners.get(record.id);
+        if (!current || compare(record, current) > 0) {
+            winners.set(record.id, record);
+        }
+    };
+
+    datasets.forEach(data => {
+        if (!data) return;
+
+        Object.keys(data.users || {}).forEach(userId => {
+            const { circles, ...userRecord } = data.users[userId];
+            offerUserRecord(userRecords, { ...userRecord, userId });
+
+            (circles || []).forEach(circle => {
+                offer(circleWinners, { ...circle, userId: circle.userId || userId }, compareCircleVersions);
+            });
+        });
+
+        (data.bonds || []).forEach(bond => offer(bondWinners, bond, compareBondVersions));
+
+        Object.keys(data.profiles || {}).forEach(userId => {
+            offer(profileWinners, { ...data.profiles[userId], id: userId }, compareProfileVersions);
+        });
+
+        (data.tombstones || []).filter(isValidTombstone).forEach(tombstone => {
+            if (tombstone.kind === 'bond') {
+                offer(bondWinners, tombstone, compareBondVersions);
+            } else {
+                offer(circleWinners, tombstone, compareCircleVersions);
+            }
+        });
+
+        if (data.lastUpdated && (!lastUpdated || compareTimes(data.lastUpdated, lastUpdated) > 0)) {
+            lastUpdated = data.lastUpdated;
+        }
+    });
+
+    const users = {};
+    [...userRecords.keys()].sort().forEach(userId => {
+        users[userId] = { ...userRecords.get(userId), circles: [] };
+    });
+
+    const tombstones = [];
+    const byTimeThenId = (a, b) => compareTimes(a.timestamp, b.timestamp) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+    [...circleWinners.values()].forEach(record => {
+        if (isTombstone(record)) {
+            tombstones.push(record);
+            return;
+        }
+        if (!users[record.userId]) {
+            users[record.userId] = { userId: record.userId, createdAt: record.timestamp, circles: [] };
+        }
+        users[record.userId].circles.push(record);
+    });
+    Object.values(users).forEach(user => user.circles.sort(byTimeThenId));
+
+    const bonds = [];
+    [...bondWinners.values()].forEach(record => {
+        if (isTombstone(record)) {
+            tombstones.push(record);
+        } else {
+            bonds.push(record);
+        }
+    });
+    bonds.sort(byTimeThenId);
+    tombstones.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    const profiles = {};
+    [...profileWinners.keys()].sort().forEach(userId => {
+        const { id, ...profile } = profileWinners.get(userId);
+        profiles[userId] = profile;
+    });
+
+    return {
+        users,
+        bonds,
+        tombstones,
+        profiles,
+        lastUpdated: lastUpdated || new Date(0).toISOString(),
+        version: CURRENT_DATA_VERSION,
+        totalCircles: Object.values(users).reduce((total, user) => total + user.circles.length, 0)
+    };
+}
+
+/**
+ * Keep one record per user: the earliest created, then the canonical JSON
+ */
+function offerUserRecord(userRecords, record) {
+    const current = userRecords.get(record.userId);
+    if (!current) {
+        userRecords.set(record.userId, record);
+        return;
+    }
+
+    const order = compareTimes(record.createdAt, current.createdAt) || compareCanonical(record, current);
+    if (order < 0) {
+        userRecords.set(record.userId, record);
+    }
+}
+
+/**
+ * Tombstones from files are only trusted when well-formed
+ */
+export function isValidTombstone(tombstone) {
+    return Boolean(tombstone) &&
+        typeof tombstone.id === 'string' && tombstone.id !== '' &&
+        (tombstone.kind === 'circle' || tombstone.kind === 'bond') &&
+        !Number.isNaN(Date.parse(tombstone.deletedAt));
+}
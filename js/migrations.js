@@ -0,0 +1,183 @@
+// js/migrations.js - Circle Data Schema Versions and Migrations
+
+// ============================================================================
+// SCHEMA VERSION
+// ============================================================================
+
+/**
+ * Version written into every dataset, export and backup this build creates.
+ * Bump it and add a step to MIGRATIONS whenever the stored shape changes.
+ */
+export const CURRENT_DATA_VERSION = 5;
+
+// ============================================================================
+// MIGRATION STEPS
+// ============================================================================
+
+/**
+ * Ordered upgrade steps. Each step receives a private copy of the dataset at
+ * version `from` and returns it at version `to`.
+ */
+const MIGRATIONS = [
+    {
+        from: 1,
+        to: 2,
+        description: 'Integer schema version and complete circle records',
+        migrate(data) {
+            const users = {};
+
+            Object.keys(data.users || {}).forEach(userId => {
+                const user = data.users[userId] || {};
+                const circles = Array.isArray(user.circles) ? user.circles : [];
+
+                users[userId] = {
+                    ...user,
+                    userId,
+                    createdAt: user.createdAt || data.lastUpdated || new Date().toISOString(),
+                    // Records that are not objects pass through for validation to reject one by one
+                    circles: circles.map((circle, index) => !isRecord(circle) ? circle : ({
+                        ...circle,
+                        id: circle.id || `${userId.toLowerCase()}_${index + 1}`,
+                        x: toNumber(circle.x),
+                        z: toNumber(circle.z),
+                        radius: toNumber(circle.radius),
+                        userId,
+                        timestamp: circle.timestamp || user.createdAt || new Date().toISOString()
+                    }))
+                };
+            });
+
+            return { ...data, users };
+        }
+    },
+    {
+        from: 2,
+        to: 3,
+        description: 'Intersection stars stored as bond records',
+        migrate(data) {
+            // Earlier stars were never saved, so there is nothing to convert
+            return {
+                ...data,
+                bonds: Array.isArray(data.bonds) ? data.bonds : []
+            };
+        }
+    },
+    {
+        from: 3,
+        to: 4,
+        description: 'Circle revisions and deletion tombstones for merging',
+        migrate(data) {
+            const users = {};
+
+            Object.keys(data.users || {}).forEach(userId => {
+                const user = data.users[userId];
+                if (!isRecord(user) || (user.circles !== undefined && !Array.isArray(user.circles))) {
+                    users[userId] = user; // Left for validation to report
+                    return;
+                }
+                users[userId] = {
+                    ...user,
+                    circles: (user.circles || []).map(circle => {
+                        if (!isRecord(circle)) return circle;
+                        const { editedAt, ...rest } = circle;
+                        return {
+                            ...rest,
+                            rev: Number.isInteger(circle.rev) && circle.rev > 0 ? circle.rev : (editedAt ? 2 : 1),
+                            updatedAt: circle.updatedAt || editedAt || circle.timestamp
+                        };
+                    })
+                };
+            });
+
+            return {
+                ...data,
+                users,
+                tombstones: Array.isArray(data.tombstones) ? data.tombstones : []
+            };
+        }
+    },
+    {
+        from: 4,
+        to: 5,
+        description: 'User profiles (display name, color, glyph, pronouns)',
+        migrate(data) {
+            // Colors used to be derived from the user ID only - nothing to carry over
+            const hasProfiles = data.profiles && typeof data.profiles === 'object' && !Array.isArray(data.profiles);
+            return {
+                ...data,
+                profiles: hasProfiles ? data.profiles : {}
+            };
+        }
+    }
+];
+
+function isRecord(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Version 1 files may hold numbers as text. Anything else (null, '', booleans,
+ * text that is not a finite number) is kept as it is for validation to reject,
+ * rather than read as 0, 1 or NaN.
+ */
+function toNumber(value) {
+    if (typeof value !== 'string' || value.trim() === '') return value;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+}
+
+// ============================================================================
+// MIGRATION PIPELINE
+// ============================================================================
+
+/**
+ * Read the schema version of a dataset. Version 1.0 files and files without a
+ * version field are treated as version 1.
+ */
+export function getDataVersion(data) {
+    const version = Math.floor(Number(data && data.version));
+    return Number.isFinite(version) && version >= 1 ? version : 1;
+}
+
+/**
+ * Check whether a dataset needs upgrading
+ */
+export function needsMigration(data) {
+    return getDataVersion(data) < CURRENT_DATA_VERSION;
+}
+
+/**
+ * Upgrade an internal-format dataset to CURRENT_DATA_VERSION.
+ * The input is never modified; data that is already current is returned as-is.
+ */
+export function migrateData(data) {
+    let version = getDataVersion(data);
+
+    if (version > CURRENT_DATA_VERSION) {
+        throw new Error(`Data version ${version} is newer than this app supports (${CURRENT_DATA_VERSION})`);
+    }
+
+    if (version === CURRENT_DATA_VERSION) {
+        return data;
+    }
+
+    let migrated = JSON.parse(JSON.stringify(data));
+    const applied = [];
+
+    while (version < CURRENT_DATA_VERSION) {
+        const step = MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            throw new Error(`No migration from data version ${version}`);
+        }
+
+        migrated = step.migrate(migrated);
+        migrated.version = step.to;
+        applied.push(`v${step.from}→v${step.to}: ${step.description}`);
+        version = step.to;
+    }
+
+    migrated.migratedAt = new Date().toISOString();
+    console.log('🔄 Circle data migrated:', applied);
+
+    return migrated;
+}
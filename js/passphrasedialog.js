@@ -0,0 +1,170 @@
+// js/passphrasedialog.js - Passphrase Prompt
+
+import { MIN_PASSPHRASE_LENGTH } from './encryption.js';
+
+// ============================================================================
+// DIALOG CONFIGURATION
+// ============================================================================
+
+const PASSPHRASE_DIALOG_CONFIG = {
+    id: 'passphraseDialog'
+};
+
+// ============================================================================
+// PASSPHRASE PROMPT
+// ============================================================================
+
+/**
+ * Ask for a passphrase. With `confirm` the passphrase is new: it is asked
+ * twice and must be at least MIN_PASSPHRASE_LENGTH characters.
+ * `unlock(passphrase)` may check it (e.g. by decrypting); when it throws the
+ * error is shown and the dialog stays open for another try.
+ * Resolves to unlock's result (or the passphrase), or null when cancelled.
+ */
+export function askPassphrase({ title = '🔒 Passphrase', message = '', confirm = false, unlock = null } = {}) {
+    closePassphraseDialog();
+
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.id = PASSPHRASE_DIALOG_CONFIG.id;
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.6);
+            z-index: 1200;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        `;
+
+        const panel = document.createElement('form');
+        panel.style.cssText = `
+            background: rgba(20, 20, 30, 0.95);
+            color: white;
+            padding: 20px;
+            border-radius: 10px;
+            width: min(360px, 90vw);
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+        `;
+
+        const heading = document.createElement('h3');
+        heading.style.margin = '0 0 8px 0';
+        heading.textContent = title;
+        panel.appendChild(heading);
+
+        if (message) {
+            const text = document.createElement('p');
+            text.style.cssText = 'margin: 0 0 12px 0; opacity: 0.8;';
+            text.textContent = message;
+            panel.appendChild(text);
+        }
+
+        const input = createPasswordInput('Passphrase');
+        panel.appendChild(input);
+        const repeat = confirm ? createPasswordInput('Repeat passphrase') : null;
+        if (repeat) {
+            panel.appendChild(repeat);
+        }
+
+        const error = document.createElement('div');
+        error.style.cssText = 'min-height: 16px; margin: 4px 0 8px 0; color: #ff6b6b;';
+        panel.appendChild(error);
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end;';
+        const cancelButton = createButton('Cancel', 'button');
+        const okButton = createButton(confirm ? 'Encrypt' : 'Unlock', 'submit');
+        buttons.appendChild(cancelButton);
+        buttons.appendChild(okButton);
+        panel.appendChild(buttons);
+
+        const finish = (result) => {
+            document.removeEventListener('keydown', handleKeydown, true);
+            overlay.remove();
+            resolve(result);
+        };
+
+        // Escape cancels; nothing typed here reaches the app shortcuts
+        const handleKeydown = (event) => {
+            if (event.key === 'Escape') {
+                finish(null);
+            }
+            event.stopPropagation();
+        };
+        document.addEventListener('keydown', handleKeydown, true);
+
+        cancelButton.addEventListener('click', () => finish(null));
+
+        panel.addEventListener('submit', async (event) => {
+            event.preventDefault();
+
+            const passphrase = input.value;
+            if (confirm && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                error.textContent = `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+                return;
+            }
+            if (repeat && repeat.value !== passphrase) {
+                error.textContent = 'Passphrases do not match';
+                return;
+            }
+            if (!unlock) {
+                finish(passphrase);
+                return;
+            }
+
+            // Deriving the key takes a moment
+            okButton.disabled = true;
+            error.textContent = '⏳ Checking...';
+            try {
+                finish(await unlock(passphrase));
+            } catch (unlockError) {
+                okButton.disabled = false;
+                error.textContent = unlockError.message;
+                input.select();
+            }
+        });
+
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
+        input.focus();
+    });
+}
+
+/**
+ * Remove an open prompt without resolving it
+ */
+export function closePassphraseDialog() {
+    const existing = document.getElementById(PASSPHRASE_DIALOG_CONFIG.id);
+    if (existing) {
+        existing.remove();
+    }
+}
+
+// ============================================================================
+// DIALOG ELEMENTS
+// ============================================================================
+
+function createPasswordInput(placeholder) {
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.placeholder = placeholder;
+    input.autocomplete = 'off';
+    input.style.cssText = 'display: block; width: 100%; box-sizing: border-box; padding: 6px 8px; margin-bottom: 8px;';
+    return input;
+}
+
+function createButton(label, type) {
+    const button = document.createElement('button');
+    button.type = type;
+    button.textContent = label;
+    button.style.cssText = `
+        padding: 8px 16px;
+        background: white;
+        color: black;
+        border: none;
+        border-radius: 5px;
+        cursor: pointer;
+    `;
+    return button;
+}
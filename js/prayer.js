@@ -15,6 +15,14 @@ const PRAYER_CONFIG = {
         cooldownTime: 500               // Cooldown between prayer activations (ms)
     },
     
+    // Press-and-hold on the scene prays without a camera or raised hands
+    pressDetection: {
+        activationTime: 600,            // Longer than the gesture, so a tap is not a prayer
+        lightIndexDistance: 0.3,        // A light press spreads the point cloud...
+        firmIndexDistance: 0.05,        // ...a firm stylus press focuses it
+        palmDistance: 0.08
+    },
+    
     // 🎨 ENHANCED: Point cloud configuration
     pointCloud: {
         scale: 1.2,                     // 1.2x scale factor for goddess point cloud
@@ -76,6 +84,7 @@ let prayerState = {
     // Current gesture data
     currentDistances: null,
     gestureDetected: false,
+    press: null,                      // { pointerId, pressure } while the scene is pressed
     
     // Visual effects
     glowEffect: null,
@@ -102,6 +111,7 @@ let prayerState = {
 export function initPrayerMode() {
     console.log('🙏 Prayer system with dual-layer point cloud initialized');
     resetPrayerState();
+    setupPressToPray();
 }
 
 /**
@@ -116,7 +126,7 @@ export function startPrayerMode() {
         extractGoddessVertices();
     }
     
-    updateStatus('🙏 Prayer session started! Join hands to begin prayer');
+    updateStatus('🙏 Prayer session started! Join hands (or press and hold) to begin prayer');
     console.log('✨ Prayer session activated with dual-layer point cloud system');
 }
 
@@ -264,6 +274,9 @@ function optimizePointCloudData(vertices, colors) {
 export function processPrayerHandResults(results) {
     if (!prayerState.isActive || !results) return;
     
+    // A press-and-hold prayer is not ended by hands out of view
+    if (prayerState.press) return;
+    
     // Process gesture detection
     processGestureDetection(results);
     
@@ -274,9 +287,10 @@ export function processPrayerHandResults(results) {
 }
 
 /**
- * Process gesture detection from hand tracking results
+ * Process gesture detection from hand tracking results (or a held press, see
+ * getPressGesture), activating once it has been held for `activationTime`
  */
-function processGestureDetection(results) {
+function processGestureDetection(results, activationTime = PRAYER_CONFIG.handDetection.activationTime) {
     const currentTime = Date.now();
     
     // Check if we have valid prayer gesture data
@@ -305,7 +319,7 @@ function processGestureDetection(results) {
     // Check if gesture has been held long enough
     const gestureHoldTime = currentTime - prayerState.gestureStartTime;
     
-    if (gestureHoldTime >= PRAYER_CONFIG.handDetection.activationTime) {
+    if (gestureHoldTime >= activationTime) {
         // Check cooldown
         const timeSinceLastActivation = currentTime - prayerState.lastActivationTime;
         
@@ -319,11 +333,78 @@ function processGestureDetection(results) {
         }
     } else {
         // Show progress
-        const progress = Math.floor((gestureHoldTime / PRAYER_CONFIG.handDetection.activationTime) * 100);
+        const progress = Math.floor((gestureHoldTime / activationTime) * 100);
         updateStatus(`🙏 Hold prayer position: ${progress}%`);
     }
 }
 
+// ============================================================================
+// PRESS AND HOLD
+// ============================================================================
+
+/**
+ * Pressing and holding anywhere on the scene is the joined-hands gesture for
+ * a mouse, finger or stylus. The hold is checked every frame in updatePrayer.
+ */
+function setupPressToPray() {
+    document.addEventListener('pointerdown', (e) => {
+        if (!prayerState.isActive || prayerState.press) return;
+        if (!e.target.closest || !e.target.closest('#threeContainer')) return;
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        
+        e.preventDefault();
+        prayerState.press = { pointerId: e.pointerId, pressure: getPressPressure(e) };
+        
+        // The hold starts now, whatever hand tracking was halfway through
+        prayerState.gestureDetected = true;
+        prayerState.gestureStartTime = Date.now();
+        updateStatus('🙏 Keep pressing to pray...');
+    });
+    
+    document.addEventListener('pointermove', (e) => {
+        if (prayerState.press && e.pointerId === prayerState.press.pointerId) {
+            prayerState.press.pressure = getPressPressure(e);
+        }
+    });
+    
+    const release = (e) => {
+        if (!prayerState.press || e.pointerId !== prayerState.press.pointerId) return;
+        
+        prayerState.press = null;
+        processGestureDetection({});
+    };
+    document.addEventListener('pointerup', release);
+    document.addEventListener('pointercancel', release);
+    
+    // A long touch would open the context menu instead
+    document.addEventListener('contextmenu', (e) => {
+        if (prayerState.press) e.preventDefault();
+    });
+}
+
+/**
+ * A held press as the hand tracker's prayer gesture. A stylus presses
+ * between light and firm; everything else presses half way.
+ */
+function getPressGesture() {
+    const config = PRAYER_CONFIG.pressDetection;
+    const pressure = prayerState.press.pressure;
+    
+    return {
+        prayerGesture: {
+            isPrayerGesture: true,
+            distances: {
+                indexDistance: config.lightIndexDistance + (config.firmIndexDistance - config.lightIndexDistance) * pressure,
+                palmDistance: config.palmDistance
+            }
+        }
+    };
+}
+
+function getPressPressure(e) {
+    return e.pointerType === 'pen' && e.pressure > 0 ? e.pressure : 0.5;
+}
+
 // ============================================================================
 // PRAYER MECHANICS
 // ============================================================================
@@ -368,7 +449,7 @@ function endPrayer() {
     // Remove effects
     removeAllEffects();
     
-    updateStatus('✨ Prayer complete - join hands again to pray');
+    updateStatus('✨ Prayer complete - join hands or press and hold to pray again');
 }
 
 // ============================================================================
@@ -815,6 +896,11 @@ function startCameraShake() {
  * Update prayer system (called from main animation loop)
  */
 export function updatePrayer() {
+    // A held press counts as the gesture for as long as it lasts
+    if (prayerState.isActive && prayerState.press) {
+        processGestureDetection(getPressGesture(), PRAYER_CONFIG.pressDetection.activationTime);
+    }
+    
     // Update glow effect
     updateEnhancedGlowEffect();
     
@@ -924,6 +1010,7 @@ function resetPrayerState() {
         pointCloudMaterial: null,
         currentDistances: null,
         gestureDetected: false,
+        press: null,
         glowEffect: null,
         sparkleSystem: null,
         modelRotationInterval: null,
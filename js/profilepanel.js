@@ -0,0 +1,289 @@
+// js/profilepanel.js - Profile Editor and User Legend
+//
+// The editor changes the current user's display name, color, glyph and
+// pronouns. The legend lists everyone in the space with their color, so rings
+// and stars can be told apart.
+
+import { updateStatus } from './scene.js';
+import { getUserProfile, getAllProfiles, updateUserProfile } from './datamanager.js';
+import { PRONOUN_SUGGESTIONS, getProfileLabel } from './profiles.js';
+
+// ============================================================================
+// PANEL CONFIGURATION
+// ============================================================================
+
+const PROFILE_PANEL_CONFIG = {
+    editorId: 'profileEditorPanel',
+    legendId: 'userLegend',
+    pronounListId: 'pronounSuggestions'
+};
+
+// ============================================================================
+// PANEL STATE
+// ============================================================================
+
+let panelState = {
+    editor: null,
+    userId: null,
+    inputs: {},
+    message: null,
+    onSave: null,
+    legend: null,
+    legendList: null
+};
+
+// ============================================================================
+// PROFILE EDITOR
+// ============================================================================
+
+/**
+ * Edit a user's profile. `onSave(profile)` runs after a successful save.
+ */
+export function showProfileEditor(userId, { onSave = null } = {}) {
+    hideProfileEditor();
+
+    panelState.userId = userId;
+    panelState.onSave = onSave;
+
+    const profile = getUserProfile(userId);
+
+    const panel = document.createElement('div');
+    panel.id = PROFILE_PANEL_CONFIG.editorId;
+    panel.style.cssText = `
+        position: fixed;
+        top: 80px;
+        right: 20px;
+        width: 260px;
+        background: rgba(20, 20, 30, 0.9);
+        color: white;
+        padding: 12px 16px;
+        border-radius: 10px;
+        z-index: 1000;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+    `;
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: bold; margin-bottom: 8px;';
+    title.textContent = `🎨 Profile for ${userId}`;
+    panel.appendChild(title);
+
+    const inputs = {
+        displayName: createField(panel, 'Display name', 'text', profile.displayName),
+        color: createField(panel, 'Color', 'color', profile.color),
+        glyph: createField(panel, 'Glyph', 'text', profile.glyph),
+        pronouns: createField(panel, 'Pronouns', 'text', profile.pronouns)
+    };
+    inputs.glyph.placeholder = '🌙 or MK';
+    inputs.pronouns.placeholder = 'optional';
+    inputs.pronouns.setAttribute('list', PROFILE_PANEL_CONFIG.pronounListId);
+
+    const suggestions = document.createElement('datalist');
+    suggestions.id = PROFILE_PANEL_CONFIG.pronounListId;
+    PRONOUN_SUGGESTIONS.forEach(pronouns => {
+        const option = document.createElement('option');
+        option.value = pronouns;
+        suggestions.appendChild(option);
+    });
+    panel.appendChild(suggestions);
+
+    const message = document.createElement('div');
+    message.style.cssText = 'min-height: 14px; margin: 4px 0; color: #ff6b6b;';
+    panel.appendChild(message);
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end;';
+    buttons.appendChild(createButton('Save', saveProfile));
+    buttons.appendChild(createButton('✕', hideProfileEditor));
+    panel.appendChild(buttons);
+
+    // Enter saves, Escape closes; keys typed here never reach the app shortcuts
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            saveProfile();
+        } else if (e.key === 'Escape') {
+            hideProfileEditor();
+        }
+        e.stopPropagation();
+    });
+
+    document.body.appendChild(panel);
+
+    panelState.editor = panel;
+    panelState.inputs = inputs;
+    panelState.message = message;
+    inputs.displayName.focus();
+}
+
+export function hideProfileEditor() {
+    if (!panelState.editor) return;
+
+    panelState.editor.remove();
+    panelState.editor = null;
+    panelState.userId = null;
+    panelState.inputs = {};
+    panelState.message = null;
+    panelState.onSave = null;
+}
+
+/**
+ * Open or close the profile editor
+ */
+export function toggleProfileEditor(userId, options = {}) {
+    if (panelState.editor) {
+        hideProfileEditor();
+        return false;
+    }
+    showProfileEditor(userId, options);
+    return true;
+}
+
+function saveProfile() {
+    const changes = {};
+    Object.keys(panelState.inputs).forEach(field => {
+        changes[field] = panelState.inputs[field].value.trim();
+    });
+
+    let profile;
+    try {
+        profile = updateUserProfile(panelState.userId, changes);
+    } catch (error) {
+        panelState.message.textContent = error.message;
+        return;
+    }
+
+    const onSave = panelState.onSave;
+    hideProfileEditor();
+    updateLegend();
+
+    updateStatus(`🎨 Profile saved: ${getProfileLabel(profile)}`);
+    onSave?.(profile);
+}
+
+function createField(panel, label, type, value) {
+    const row = document.createElement('label');
+    row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;';
+
+    const text = document.createElement('span');
+    text.textContent = label;
+    row.appendChild(text);
+
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    input.style.cssText = type === 'color' ? 'width: 60px; height: 22px; padding: 0;' : 'width: 140px; padding: 2px 4px;';
+    row.appendChild(input);
+
+    panel.appendChild(row);
+    return input;
+}
+
+function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = 'padding: 4px 10px; background: white; color: black; border: none; border-radius: 5px; cursor: pointer;';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// ============================================================================
+// USER LEGEND
+// ============================================================================
+
+/**
+ * Show who is who: color swatch, glyph, name, pronouns and circle count
+ */
+export function showLegend() {
+    if (panelState.legend) {
+        updateLegend();
+        return;
+    }
+
+    const legend = document.createElement('div');
+    legend.id = PROFILE_PANEL_CONFIG.legendId;
+    legend.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 20px;
+        max-height: 40vh;
+        overflow-y: auto;
+        background: rgba(20, 20, 30, 0.8);
+        color: white;
+        padding: 10px 14px;
+        border-radius: 10px;
+        z-index: 900;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+    `;
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: bold; margin-bottom: 6px;';
+    title.textContent = '👥 Legend';
+    legend.appendChild(title);
+
+    const list = document.createElement('div');
+    legend.appendChild(list);
+
+    document.body.appendChild(legend);
+
+    panelState.legend = legend;
+    panelState.legendList = list;
+    updateLegend();
+}
+
+export function hideLegend() {
+    if (!panelState.legend) return;
+
+    panelState.legend.remove();
+    panelState.legend = null;
+    panelState.legendList = null;
+}
+
+/**
+ * Show or hide the legend
+ */
+export function toggleLegend() {
+    if (panelState.legend) {
+        hideLegend();
+        return false;
+    }
+    showLegend();
+    return true;
+}
+
+/**
+ * Redraw the legend after circles or profiles changed (no-op when hidden)
+ */
+export function updateLegend() {
+    const list = panelState.legendList;
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    const profiles = getAllProfiles();
+    if (profiles.length === 0) {
+        list.textContent = 'No circles yet';
+        return;
+    }
+
+    profiles.forEach(profile => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; gap: 8px; align-items: center; margin: 3px 0;';
+
+        const swatch = document.createElement('span');
+        swatch.style.cssText = `width: 12px; height: 12px; border-radius: 50%; background: ${profile.color}; flex-shrink: 0;`;
+        row.appendChild(swatch);
+
+        const name = document.createElement('span');
+        name.style.flex = '1';
+        name.textContent = getProfileLabel(profile);
+        row.appendChild(name);
+
+        const count = document.createElement('span');
+        count.style.opacity = '0.7';
+        count.textContent = `⭕ ${profile.circleCount}`;
+        row.appendChild(count);
+
+        list.appendChild(row);
+    });
+}
@@ -0,0 +1,181 @@
+// js/profiles.js - User Profiles and Colors
+//
+// A profile gives a user ID a display name, a color, a glyph (an emoji or a
+// couple of letters) and optional pronouns. Profiles live in the dataset as
+// `profiles: { [userId]: profile }`, so they travel with exports, backups and
+// sync. Users without a profile get a color derived from their ID.
+// A profile also carries the user's public signing key (see identity.js).
+
+import { isPublicKey } from './identity.js';
+
+// ============================================================================
+// PROFILE CONFIGURATION
+// ============================================================================
+
+const PROFILE_CONFIG = {
+    palette: [
+        '#ff6b6b', // Red
+        '#4ecdc4', // Teal
+        '#45b7d1', // Blue
+        '#f9ca24', // Yellow
+        '#f0932b', // Orange
+        '#eb4d4b', // Dark Red
+        '#6c5ce7', // Purple
+        '#a55eea', // Light Purple
+        '#26de81', // Green
+        '#fd79a8'  // Pink
+    ],
+    maxDisplayNameLength: 40,
+    maxGlyphLength: 4,      // Characters, so a flag or family emoji still fits
+    maxPronounsLength: 30,
+    pronounSuggestions: ['she/her', 'he/him', 'they/them', 'she/they', 'he/they', 'any pronouns']
+};
+
+export const PRONOUN_SUGGESTIONS = PROFILE_CONFIG.pronounSuggestions;
+
+// ============================================================================
+// COLORS
+// ============================================================================
+
+/**
+ * Palette color derived from the user ID, the same on every device
+ */
+export function getDefaultColor(userId) {
+    const palette = PROFILE_CONFIG.palette;
+
+    let hash = 0;
+    for (let i = 0; i < userId.length; i++) {
+        hash = userId.charCodeAt(i) + ((hash << 5) - hash);
+    }
+    return palette[Math.abs(hash) % palette.length];
+}
+
+/**
+ * Blend two `#rrggbb` colors; `amount` 0 gives the first, 1 the second
+ */
+export function mixColors(first, second, amount = 0.5) {
+    const a = parseInt(first.slice(1), 16);
+    const b = parseInt(second.slice(1), 16);
+
+    const channel = shift => {
+        const from = (a >> shift) & 0xff;
+        const to = (b >> shift) & 0xff;
+        return Math.round(from + (to - from) * amount);
+    };
+
+    const mixed = (channel(16) << 16) | (channel(8) << 8) | channel(0);
+    return `#${mixed.toString(16).padStart(6, '0')}`;
+}
+
+function isColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+// ============================================================================
+// PROFILE RECORDS
+// ============================================================================
+
+/**
+ * Profile for a user who has not set one up
+ */
+export function createDefaultProfile(userId) {
+    return {
+        userId,
+        displayName: userId,
+        color: getDefaultColor(userId),
+        glyph: '',
+        pronouns: '',
+        publicKey: null,
+        updatedAt: null
+    };
+}
+
+/**
+ * Check edited profile fields, returning every problem found
+ */
+export function validateProfileFields(fields) {
+    const reasons = [];
+
+    if (fields.displayName !== undefined) {
+        if (typeof fields.displayName !== 'string' || fields.displayName.trim() === '') {
+            reasons.push('Display name cannot be empty');
+        } else if (fields.displayName.trim().length > PROFILE_CONFIG.maxDisplayNameLength) {
+            reasons.push(`Display name longer than ${PROFILE_CONFIG.maxDisplayNameLength} characters`);
+        }
+    }
+
+    if (fields.color !== undefined && !isColor(fields.color)) {
+        reasons.push(`Color must look like #a1b2c3 (${JSON.stringify(fields.color)})`);
+    }
+
+    if (fields.glyph !== undefined) {
+        if (typeof fields.glyph !== 'string') {
+            reasons.push('Glyph must be text');
+        } else if ([...fields.glyph.trim()].length > PROFILE_CONFIG.maxGlyphLength) {
+            reasons.push(`Glyph longer than ${PROFILE_CONFIG.maxGlyphLength} characters`);
+        }
+    }
+
+    if (fields.pronouns !== undefined) {
+        if (typeof fields.pronouns !== 'string') {
+            reasons.push('Pronouns must be text');
+        } else if (fields.pronouns.trim().length > PROFILE_CONFIG.maxPronounsLength) {
+            reasons.push(`Pronouns longer than ${PROFILE_CONFIG.maxPronounsLength} characters`);
+        }
+    }
+
+    if (fields.publicKey !== undefined && fields.publicKey !== null && !isPublicKey(fields.publicKey)) {
+        reasons.push('Public key must be an EC P-256 JWK');
+    }
+
+    return reasons;
+}
+
+/**
+ * Clean a stored or received profile: invalid fields fall back to the
+ * defaults, records that are not profiles give null
+ */
+export function sanitizeProfile(record, userId = record && record.userId) {
+    if (!record || typeof record !== 'object' || Array.isArray(record) || typeof userId !== 'string' || userId === '') {
+        return null;
+    }
+
+    const profile = createDefaultProfile(userId);
+    ['displayName', 'color', 'glyph', 'pronouns', 'publicKey'].forEach(field => {
+        if (record[field] !== undefined && validateProfileFields({ [field]: record[field] }).length === 0) {
+            profile[field] = typeof record[field] === 'string' ? record[field].trim() : record[field];
+        }
+    });
+    profile.updatedAt = Number.isNaN(Date.parse(record.updatedAt)) ? null : record.updatedAt;
+    if (typeof record.signature === 'string') {
+        profile.signature = record.signature;
+    }
+
+    return profile;
+}
+
+/**
+ * Profiles keyed by user ID from a stored object or an exported array
+ */
+export function normalizeProfiles(profiles) {
+    const entries = Array.isArray(profiles)
+        ? profiles.map(profile => [profile && profile.userId, profile])
+        : Object.entries(profiles && typeof profiles === 'object' ? profiles : {});
+
+    const result = {};
+    entries.forEach(([userId, record]) => {
+        const profile = sanitizeProfile(record, userId);
+        if (profile) {
+            result[profile.userId] = profile;
+        }
+    });
+    return result;
+}
+
+/**
+ * "🌙 Maya (she/her)" - glyph and pronouns only when set
+ */
+export function getProfileLabel(profile, { pronouns = true } = {}) {
+    const name = profile.glyph ? `${profile.glyph} ${profile.displayName}` : profile.displayName;
+    return pronouns && profile.pronouns ? `${name} (${profile.pronouns})` : name;
+}
@@ -0,0 +1,280 @@
+// js/recognizer.js - Point-Cloud Stroke Recognizer
+//
+// A $P recognizer (Vatavu, Anthony & Wobbrock, 2012): a stroke is resampled
+// to a fixed number of points, scaled and centered, and compared with each
+// template as an unordered cloud of points. Because order is ignored, a shape
+// matches whichever way round and from wherever it was drawn.
+//
+// Points are { x, y }: screen coordinates, or a stroke laid on the floor
+// (y along z). Nothing here knows about symbols or storage (see symbols.js),
+// so it also runs outside the page.
+
+// ============================================================================
+// RECOGNIZER CONFIGURATION
+// ============================================================================
+
+const RECOGNIZER_CONFIG = {
+    sampleCount: 32,  // Points per normalized stroke ($P uses 32)
+    epsilon: 0.5,     // Start points tried per match: sampleCount^(1 - epsilon)
+    maxDistance: 2.0,         // Cloud distance that scores 0
+    maxCircleError: 0.2,      // RMS distance from a fitted circle (share of its radius) that scores 0
+    maxCircleDeviation: 0.4   // Farthest point from a fitted circle (share of its radius) that scores 0
+};
+
+// ============================================================================
+// RECOGNITION
+// ============================================================================
+
+/**
+ * Resample, scale and center a stroke so it can be matched or stored as a
+ * template. Returns null for strokes too short to say anything about.
+ */
+export function normalizeStroke(points, sampleCount = RECOGNIZER_CONFIG.sampleCount) {
+    if (!Array.isArray(points) || points.length < 2) return null;
+
+    const resampled = resample(points, sampleCount);
+    if (!resampled) return null;
+
+    return translateToOrigin(scale(resampled));
+}
+
+/**
+ * Find the template closest to a stroke.
+ * `templates` are [{ name, points }] with points from normalizeStroke.
+ * Returns { name, score, distance } with a score from 0 (nothing alike) to
+ * 1 (identical), or null when there is nothing to compare.
+ */
+export function recognizeStroke(points, templates) {
+    const candidate = normalizeStroke(points);
+    if (!candidate || templates.length === 0) return null;
+
+    let best = null;
+    templates.forEach(template => {
+        if (!template.points || template.points.length !== candidate.length) return;
+
+        const distance = greedyCloudMatch(candidate, template.points);
+        if (!best || distance < best.distance) {
+            best = { name: template.name, distance };
+        }
+    });
+
+    if (!best) return null;
+
+    return {
+        name: best.name,
+        distance: best.distance,
+        score: Math.max(0, 1 - best.distance / RECOGNIZER_CONFIG.maxDistance)
+    };
+}
+
+/**
+ * Smallest cloud distance over a spread of start points, both ways round
+ */
+function greedyCloudMatch(points, template) {
+    const step = Math.floor(Math.pow(points.length, 1 - RECOGNIZER_CONFIG.epsilon));
+    let min = Infinity;
+
+    for (let start = 0; start < points.length; start += step) {
+        min = Math.min(min, cloudDistance(points, template, start), cloudDistance(template, points, start));
+    }
+
+    return min;
+}
+
+/**
+ * Match every point to its nearest unmatched partner; early matches weigh more
+ */
+function cloudDistance(points, template, start) {
+    const count = points.length;
+    const matched = new Array(count).fill(false);
+    let sum = 0;
+    let i = start;
+
+    do {
+        let nearest = -1;
+        let min = Infinity;
+        for (let j = 0; j < count; j++) {
+            if (matched[j]) continue;
+            const d = distance(points[i], template[j]);
+            if (d < min) {
+                min = d;
+                nearest = j;
+            }
+        }
+        matched[nearest] = true;
+
+        const weight = 1 - ((i - start + count) % count) / count;
+        sum += weight * min;
+        i = (i + 1) % count;
+    } while (i !== start);
+
+    return sum;
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Evenly spaced points along the stroke
+ */
+function resample(points, count) {
+    const length = pathLength(points);
+    if (length === 0) return null;
+
+    const interval = length / (count - 1);
+    const source = points.map(point => ({ x: point.x, y: point.y }));
+    const resampled = [{ ...source[0] }];
+    let covered = 0;
+
+    for (let i = 1; i < source.length; i++) {
+        const d = distance(source[i - 1], source[i]);
+        if (covered + d >= interval && d > 0) {
+            const t = (interval - covered) / d;
+            const point = {
+                x: source[i - 1].x + t * (source[i].x - source[i - 1].x),
+                y: source[i - 1].y + t * (source[i].y - source[i - 1].y)
+            };
+            resampled.push(point);
+            source.splice(i, 0, point); // The next segment starts at the new point
+            covered = 0;
+        } else {
+            covered += d;
+        }
+    }
+
+    // Rounding can leave the last point out
+    while (resampled.length < count) {
+        resampled.push({ ...source[source.length - 1] });
+    }
+
+    return resampled.slice(0, count);
+}
+
+/**
+ * Scale uniformly so the larger side of the bounding box is 1
+ */
+function scale(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(point => {
+        minX = Math.min(minX, point.x);
+        maxX = Math.max(maxX, point.x);
+        minY = Math.min(minY, point.y);
+        maxY = Math.max(maxY, point.y);
+    });
+
+    const size = Math.max(maxX - minX, maxY - minY) || 1;
+    return points.map(point => ({ x: (point.x - minX) / size, y: (point.y - minY) / size }));
+}
+
+/**
+ * Move the centroid to (0, 0)
+ */
+function translateToOrigin(points) {
+    const cx = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const cy = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    return points.map(point => ({ x: point.x - cx, y: point.y - cy }));
+}
+
+function pathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += distance(points[i - 1], points[i]);
+    }
+    return length;
+}
+
+function distance(a, b) {
+    return Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
+}
+
+// ============================================================================
+// CIRCLE FITTING
+// ============================================================================
+
+/**
+ * Least-squares circle through a stroke (Kåsa's algebraic fit).
+ * Returns { x, y, radius, rms } with the root-mean-square distance of the
+ * points from the circle, or null when the points are on a line.
+ */
+export function fitCircle(points) {
+    const count = points.length;
+    if (count < 3) return null;
+
+    // Work around the centroid to keep the sums small
+    const mx = points.reduce((sum, point) => sum + point.x, 0) / count;
+    const my = points.reduce((sum, point) => sum + point.y, 0) / count;
+
+    let suu = 0, svv = 0, suv = 0, suuu = 0, svvv = 0, suvv = 0, svuu = 0;
+    points.forEach(point => {
+        const u = point.x - mx;
+        const v = point.y - my;
+        suu += u * u;
+        svv += v * v;
+        suv += u * v;
+        suuu += u * u * u;
+        svvv += v * v * v;
+        suvv += u * v * v;
+        svuu += v * u * u;
+    });
+
+    const determinant = suu * svv - suv * suv;
+    if (Math.abs(determinant) < 1e-9) return null;
+
+    const bu = (suuu + suvv) / 2;
+    const bv = (svvv + svuu) / 2;
+    const uc = (bu * svv - bv * suv) / determinant;
+    const vc = (bv * suu - bu * suv) / determinant;
+
+    const x = uc + mx;
+    const y = vc + my;
+    const radius = Math.sqrt(uc * uc + vc * vc + (suu + svv) / count);
+
+    const squaredError = points.reduce((sum, point) => {
+        const d = distance(point, { x, y }) - radius;
+        return sum + d * d;
+    }, 0);
+
+    return { x, y, radius, rms: Math.sqrt(squaredError / count) };
+}
+
+/**
+ * How well a stroke makes the circle fitted to it, each from 0 to 1:
+ *   closure     - share of a full turn the stroke goes around the center
+ *   circularity - how closely the points keep to the circle, and how round
+ *                 the stroke is rather than angular
+ *   quality     - both together; a square or zig-zag scores low
+ */
+export function scoreCircle(points, fit) {
+    if (!fit || fit.radius === 0) {
+        return { closure: 0, circularity: 0, quality: 0 };
+    }
+
+    // Angle swept around the center, whichever way round
+    let swept = 0;
+    for (let i = 1; i < points.length; i++) {
+        const a = Math.atan2(points[i - 1].y - fit.y, points[i - 1].x - fit.x);
+        const b = Math.atan2(points[i].y - fit.y, points[i].x - fit.x);
+        let step = b - a;
+        if (step > Math.PI) step -= Math.PI * 2;
+        if (step < -Math.PI) step += Math.PI * 2;
+        swept += step;
+    }
+    const closure = Math.min(1, Math.abs(swept) / (Math.PI * 2));
+
+    // Corners pull single points far off the circle even when the average is close
+    const worst = Math.max(...points.map(point => Math.abs(distance(point, fit) - fit.radius)));
+    const spread = Math.max(0, 1 - (fit.rms / fit.radius) / RECOGNIZER_CONFIG.maxCircleError);
+    const roundness = Math.max(0, 1 - (worst / fit.radius) / RECOGNIZER_CONFIG.maxCircleDeviation);
+    const circularity = Math.min(spread, roundness);
+
+    return {
+        closure: round2(closure),
+        circularity: round2(circularity),
+        quality: round2(closure * circularity)
+    };
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,400 @@
+// js/replay.js - Timeline Replay of the Circle Space
+//
+// Rebuilds the connect scene in timestamp order: circles appear when they were
+// drawn and stars light up when their bond formed. The whole timeline plays in
+// REPLAY_CONFIG.baseDuration at 1x, whatever span of time it covers.
+
+import { updateStatus } from './scene.js';
+import { getAllCircles, getAllBonds, isCircleArchived } from './datamanager.js';
+import { beginReplayScene, clearReplayScene, showReplayCircle, showReplayBond, endReplayScene } from './connect.js';
+
+// ============================================================================
+// REPLAY CONFIGURATION
+// ============================================================================
+
+const REPLAY_CONFIG = {
+    id: 'replayPanel',
+    baseDuration: 60000,          // ms to play the whole timeline at 1x
+    speeds: [0.25, 0.5, 1, 2, 4, 8],
+    defaultSpeed: 1,
+    maxAnimatedPerFrame: 20,      // More events than this in one frame are added without effects
+    scrubberSteps: 1000
+};
+
+// ============================================================================
+// REPLAY STATE
+// ============================================================================
+
+let replayState = {
+    isActive: false,
+    isPlaying: false,
+    events: [],        // [{ time, kind: 'circle' | 'bond', record }] sorted by time
+    startTime: 0,
+    endTime: 0,
+    currentTime: 0,
+    appliedCount: 0,   // events[0..appliedCount) are in the scene
+    speed: REPLAY_CONFIG.defaultSpeed,
+    lastFrame: null,
+    animationFrame: null,
+    panel: null,
+    elements: {}
+};
+
+// ============================================================================
+// REPLAY CONTROL
+// ============================================================================
+
+/**
+ * Start replaying the current dataset from its first circle.
+ * Connect mode must be active because the replay draws into its scene.
+ */
+export function startReplay() {
+    if (replayState.isActive) return true;
+
+    // Archived circles have their own view (archive.js)
+    const events = buildTimeline(getAllCircles().filter(circle => !isCircleArchived(circle)), getAllBonds());
+    if (events.length === 0) {
+        updateStatus('⏪ Nothing to replay yet - draw some circles first');
+        return false;
+    }
+
+    if (!beginReplayScene()) {
+        updateStatus('⏪ Start connect mode to replay the timeline');
+        return false;
+    }
+
+    replayState.isActive = true;
+    replayState.events = events;
+    replayState.startTime = events[0].time;
+    replayState.endTime = events[events.length - 1].time;
+    replayState.currentTime = replayState.startTime;
+    replayState.appliedCount = 0;
+
+    createPanel();
+    applyUntil(replayState.startTime, false);
+    playReplay();
+
+    console.log(`⏪ Replay started: ${events.length} events from ${formatDate(replayState.startTime)} to ${formatDate(replayState.endTime)}`);
+    return true;
+}
+
+/**
+ * Stop replaying and show the full space again
+ */
+export function stopReplay() {
+    if (!replayState.isActive) return;
+
+    pauseReplay();
+    replayState.isActive = false;
+    replayState.events = [];
+
+    if (replayState.panel) {
+        replayState.panel.remove();
+        replayState.panel = null;
+        replayState.elements = {};
+    }
+
+    endReplayScene();
+    updateStatus('⏹️ Replay finished');
+}
+
+/**
+ * Start or stop the replay
+ */
+export function toggleReplay() {
+    if (replayState.isActive) {
+        stopReplay();
+        return false;
+    }
+    return startReplay();
+}
+
+export function isReplayActive() {
+    return replayState.isActive;
+}
+
+export function playReplay() {
+    if (!replayState.isActive || replayState.isPlaying) return;
+
+    // Playing from the end starts over
+    if (replayState.currentTime >= replayState.endTime) {
+        seekReplay(replayState.startTime);
+    }
+
+    replayState.isPlaying = true;
+    replayState.lastFrame = null;
+    replayState.animationFrame = requestAnimationFrame(replayFrame);
+    updatePanel();
+}
+
+export function pauseReplay() {
+    replayState.isPlaying = false;
+    cancelAnimationFrame(replayState.animationFrame);
+    replayState.animationFrame = null;
+    updatePanel();
+}
+
+/**
+ * Set the playback speed multiplier (see REPLAY_CONFIG.speeds)
+ */
+export function setReplaySpeed(speed) {
+    const value = Number(speed);
+    if (!Number.isFinite(value) || value <= 0) return;
+
+    replayState.speed = value;
+    updatePanel();
+}
+
+/**
+ * Move the timeline to a point in time (ms since epoch)
+ */
+export function seekReplay(time) {
+    if (!replayState.isActive) return;
+
+    const target = Math.min(replayState.endTime, Math.max(replayState.startTime, time));
+
+    // Going back means rebuilding from scratch
+    if (target < replayState.currentTime) {
+        clearReplayScene();
+        replayState.appliedCount = 0;
+    }
+
+    applyUntil(target, false);
+    replayState.currentTime = target;
+    updatePanel();
+}
+
+/**
+ * Jump to the end of a calendar day, e.g. '2024-03-01'
+ */
+export function jumpToDate(dateString) {
+    const time = Date.parse(`${dateString}T23:59:59.999`);
+    if (Number.isNaN(time)) {
+        updateStatus(`❌ Not a date: ${dateString}`);
+        return;
+    }
+
+    seekReplay(time);
+    updateStatus(`📅 Space as of ${formatDate(replayState.currentTime)}`);
+}
+
+/**
+ * Replay status for debugging
+ */
+export function getReplayStatus() {
+    return {
+        isActive: replayState.isActive,
+        isPlaying: replayState.isPlaying,
+        speed: replayState.speed,
+        events: replayState.events.length,
+        applied: replayState.appliedCount,
+        currentTime: replayState.isActive ? new Date(replayState.currentTime).toISOString() : null
+    };
+}
+
+// ============================================================================
+// TIMELINE
+// ============================================================================
+
+/**
+ * Sort circles and bonds into one timeline. A bond never comes before its
+ * circles, and records without a valid timestamp go first.
+ */
+function buildTimeline(circles, bonds) {
+    const events = [];
+
+    circles.forEach(circle => {
+        events.push({ time: parseTime(circle.timestamp), kind: 'circle', record: circle });
+    });
+
+    bonds.forEach(bond => {
+        events.push({ time: parseTime(bond.timestamp), kind: 'bond', record: bond });
+    });
+
+    const circleTimes = new Map(circles.map(circle => [circle.id, parseTime(circle.timestamp)]));
+    events.forEach(event => {
+        if (event.kind === 'bond') {
+            const latestCircle = Math.max(...event.record.circles.map(circleId => circleTimes.get(circleId) || 0));
+            event.time = Math.max(event.time, latestCircle);
+        }
+    });
+
+    return events.sort((a, b) => a.time - b.time || (a.kind === 'circle' ? -1 : 1) - (b.kind === 'circle' ? -1 : 1));
+}
+
+function parseTime(timestamp) {
+    const time = Date.parse(timestamp);
+    return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Add every event up to `time` to the scene
+ */
+function applyUntil(time, animate) {
+    const events = replayState.events;
+    let end = replayState.appliedCount;
+    while (end < events.length && events[end].time <= time) {
+        end++;
+    }
+
+    const withEffects = animate && end - replayState.appliedCount <= REPLAY_CONFIG.maxAnimatedPerFrame;
+
+    for (let i = replayState.appliedCount; i < end; i++) {
+        const event = events[i];
+        if (event.kind === 'circle') {
+            showReplayCircle(event.record, { animate: withEffects });
+        } else {
+            showReplayBond(event.record, { animate: withEffects });
+        }
+    }
+
+    replayState.appliedCount = end;
+}
+
+/**
+ * Advance the timeline by the real time since the last frame
+ */
+function replayFrame(now) {
+    if (!replayState.isPlaying) return;
+
+    if (replayState.lastFrame !== null) {
+        const span = Math.max(1, replayState.endTime - replayState.startTime);
+        const elapsed = now - replayState.lastFrame;
+        const advance = (elapsed / REPLAY_CONFIG.baseDuration) * span * replayState.speed;
+
+        replayState.currentTime = Math.min(replayState.endTime, replayState.currentTime + advance);
+        applyUntil(replayState.currentTime, true);
+        updatePanel();
+    }
+    replayState.lastFrame = now;
+
+    if (replayState.currentTime >= replayState.endTime) {
+        pauseReplay();
+        updateStatus(`✨ Replay reached ${formatDate(replayState.endTime)} - ${replayState.events.length} events`);
+        return;
+    }
+
+    replayState.animationFrame = requestAnimationFrame(replayFrame);
+}
+
+// ============================================================================
+// REPLAY PANEL
+// ============================================================================
+
+/**
+ * Scrubber, play/pause, speed and jump-to-date controls
+ */
+function createPanel() {
+    const panel = document.createElement('div');
+    panel.id = REPLAY_CONFIG.id;
+    panel.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        width: min(640px, 90vw);
+        background: rgba(20, 20, 30, 0.9);
+        color: white;
+        padding: 12px 16px;
+        border-radius: 10px;
+        z-index: 1000;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+    `;
+
+    const scrubber = document.createElement('input');
+    scrubber.type = 'range';
+    scrubber.min = '0';
+    scrubber.max = String(REPLAY_CONFIG.scrubberSteps);
+    scrubber.style.cssText = 'width: 100%; margin: 0 0 8px 0;';
+    scrubber.addEventListener('input', () => {
+        pauseReplay();
+        const fraction = Number(scrubber.value) / REPLAY_CONFIG.scrubberSteps;
+        seekReplay(replayState.startTime + fraction * (replayState.endTime - replayState.startTime));
+    });
+    panel.appendChild(scrubber);
+
+    const controls = document.createElement('div');
+    controls.style.cssText = 'display: flex; gap: 8px; align-items: center; flex-wrap: wrap;';
+
+    const playButton = createButton('⏸️', () => {
+        if (replayState.isPlaying) {
+            pauseReplay();
+        } else {
+            playReplay();
+        }
+    });
+    controls.appendChild(playButton);
+
+    const speedSelect = document.createElement('select');
+    REPLAY_CONFIG.speeds.forEach(speed => {
+        const option = document.createElement('option');
+        option.value = String(speed);
+        option.textContent = `${speed}x`;
+        speedSelect.appendChild(option);
+    });
+    speedSelect.value = String(replayState.speed);
+    speedSelect.addEventListener('change', () => setReplaySpeed(speedSelect.value));
+    controls.appendChild(speedSelect);
+
+    const dateInput = document.createElement('input');
+    dateInput.type = 'date';
+    dateInput.min = toDateInputValue(replayState.startTime);
+    dateInput.max = toDateInputValue(replayState.endTime);
+    dateInput.addEventListener('change', () => {
+        if (!dateInput.value) return;
+        pauseReplay();
+        jumpToDate(dateInput.value);
+    });
+    controls.appendChild(dateInput);
+
+    const label = document.createElement('span');
+    label.style.cssText = 'flex: 1; text-align: right; opacity: 0.8;';
+    controls.appendChild(label);
+
+    controls.appendChild(createButton('✕', stopReplay));
+
+    panel.appendChild(controls);
+    document.body.appendChild(panel);
+
+    replayState.panel = panel;
+    replayState.elements = { scrubber, playButton, speedSelect, label };
+    updatePanel();
+}
+
+/**
+ * Reflect the current time, play state and speed in the panel
+ */
+function updatePanel() {
+    const { scrubber, playButton, speedSelect, label } = replayState.elements;
+    if (!scrubber) return;
+
+    const span = replayState.endTime - replayState.startTime;
+    const fraction = span > 0 ? (replayState.currentTime - replayState.startTime) / span : 1;
+
+    scrubber.value = String(Math.round(fraction * REPLAY_CONFIG.scrubberSteps));
+    playButton.textContent = replayState.isPlaying ? '⏸️' : '▶️';
+    speedSelect.value = String(replayState.speed);
+    label.textContent = `${formatDate(replayState.currentTime)} · ${replayState.appliedCount}/${replayState.events.length}`;
+}
+
+function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = 'padding: 4px 10px; background: white; color: black; border: none; border-radius: 5px; cursor: pointer;';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function formatDate(time) {
+    return new Date(time).toLocaleString();
+}
+
+/**
+ * yyyy-mm-dd in local time, for <input type="date">
+ */
+function toDateInputValue(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -2,6 +2,10 @@
 
 export let scene, camera, renderer;
 
+// Farthest a screen point is projected onto the floor (the fog ends at 50)
+const FLOOR_PICK_DISTANCE = 40;
+let floorRaycaster = null;
+
 /**
  * Initialize Three.js scene
  */
@@ -235,37 +239,37 @@ export function addObjectToScene(object, userData = {}) {
 }
 
 /**
- * Get scene bounds for coordinate mapping
- */
-export function getSceneBounds() {
-    return {
-        minX: -10,
-        maxX: 10,
-        minZ: -10,
-        maxZ: 10,
-        width: 20,
-        height: 20
-    };
-}
-
-/**
- * Convert screen coordinates to 3D world coordinates
+ * Project a screen point through the camera onto the horizontal plane at
+ * height `planeY`, so what is drawn on screen lands exactly under it.
+ * Points above the horizon (or too far away) are held at
+ * FLOOR_PICK_DISTANCE from the camera, in the direction they point.
  */
-export function screenTo3D(screenX, screenY, screenWidth, screenHeight) {
-    const bounds = getSceneBounds();
+export function screenTo3D(screenX, screenY, planeY = 0) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((screenX - rect.left) / rect.width) * 2 - 1,
+        -((screenY - rect.top) / rect.height) * 2 + 1
+    );
     
-    // Normalize screen coordinates (0 to 1)
-    const normalizedX = screenX / screenWidth;
-    const normalizedY = screenY / screenHeight;
+    if (!floorRaycaster) {
+        floorRaycaster = new THREE.Raycaster();
+    }
+    floorRaycaster.setFromCamera(pointer, camera);
     
-    // Map to 3D world coordinates
-    const worldX = (normalizedX - 0.5) * bounds.width;
-    const worldZ = (normalizedY - 0.5) * bounds.height;
+    const { origin, direction } = floorRaycaster.ray;
+    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -planeY);
+    const hit = floorRaycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    
+    if (hit && Math.hypot(hit.x - origin.x, hit.z - origin.z) <= FLOOR_PICK_DISTANCE) {
+        return { x: hit.x, y: planeY, z: hit.z };
+    }
     
+    // Looking at (or over) the horizon - keep the point on the plane, far out
+    const horizontal = Math.hypot(direction.x, direction.z) || 1;
     return {
-        x: worldX,
-        y: 0, // On the floor
-        z: worldZ
+        x: origin.x + (direction.x / horizontal) * FLOOR_PICK_DISTANCE,
+        y: planeY,
+        z: origin.z + (direction.z / horizontal) * FLOOR_PICK_DISTANCE
     };
 }
 
@@ -0,0 +1,242 @@
+// js/spaces.js - Named Spaces (Rooms)
+//
+// Each gathering gets its own space: a "full moon circle" never shares a floor
+// with a "weekly group". A space has its own dataset, backups and settings:
+//   - IndexedDB database `praying-circles--<id>` and localStorage keys
+//     `circle_data_backup--<id>` (the default space keeps the original names)
+//   - `?space=<id>` on REST and sync requests, so the server keeps them apart
+//
+// The space comes from `?space=` in the page URL, so a link can be handed out.
+// Without it the default space is used. Known spaces and their settings are
+// remembered in localStorage.
+
+// ============================================================================
+// SPACE CONFIGURATION
+// ============================================================================
+
+const SPACE_CONFIG = {
+    defaultSpaceId: 'default',
+    defaultSpaceName: 'Main space',
+    registryKey: 'circle_spaces',
+    maxIdLength: 40,
+    maxNameLength: 60,
+    // Settings a space may override (anything else is ignored)
+    settingKeys: ['storage', 'sync', 'autoSave', 'backupInterval', 'maxBackups', 'circleLifetimeDays']
+};
+
+// ============================================================================
+// SPACE STATE
+// ============================================================================
+
+let spaceState = {
+    currentId: null // Resolved from the URL on first use
+};
+
+// ============================================================================
+// CURRENT SPACE
+// ============================================================================
+
+/**
+ * Id of the space this page works in
+ */
+export function getCurrentSpaceId() {
+    if (!spaceState.currentId) {
+        spaceState.currentId = resolveSpaceId();
+        if (spaceState.currentId !== SPACE_CONFIG.defaultSpaceId) {
+            const param = new URLSearchParams(window.location.search).get('space');
+            ensureSpace(spaceState.currentId, param);
+        }
+    }
+    return spaceState.currentId;
+}
+
+/**
+ * The current space record: { id, name, createdAt, settings, isDefault }
+ */
+export function getCurrentSpace() {
+    return getSpace(getCurrentSpaceId());
+}
+
+export function isDefaultSpace(spaceId = getCurrentSpaceId()) {
+    return spaceId === SPACE_CONFIG.defaultSpaceId;
+}
+
+/**
+ * `?space=` from the page URL, or the default space
+ */
+function resolveSpaceId() {
+    const param = new URLSearchParams(window.location.search).get('space');
+    return param ? toSpaceId(param) : SPACE_CONFIG.defaultSpaceId;
+}
+
+/**
+ * Stable id for a space name: "Full Moon Circle" → "full-moon-circle"
+ */
+export function toSpaceId(name) {
+    const slug = String(name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, SPACE_CONFIG.maxIdLength)
+        .replace(/-+$/, '');
+    return slug || SPACE_CONFIG.defaultSpaceId;
+}
+
+// ============================================================================
+// SPACE REGISTRY
+// ============================================================================
+
+/**
+ * Every space this browser knows, the default space first
+ */
+export function listSpaces() {
+    const registry = loadRegistry();
+    const spaces = Object.keys(registry)
+        .filter(spaceId => spaceId !== SPACE_CONFIG.defaultSpaceId)
+        .map(getSpace)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return [getSpace(SPACE_CONFIG.defaultSpaceId), ...spaces];
+}
+
+/**
+ * A space record; unknown ids get a record with no settings
+ */
+export function getSpace(spaceId) {
+    const stored = loadRegistry()[spaceId] || {};
+    const isDefault = spaceId === SPACE_CONFIG.defaultSpaceId;
+
+    return {
+        id: spaceId,
+        name: stored.name || (isDefault ? SPACE_CONFIG.defaultSpaceName : spaceId),
+        createdAt: stored.createdAt || null,
+        settings: { ...(stored.settings || {}) },
+        isDefault
+    };
+}
+
+/**
+ * Create a space from a display name (or return the existing one with that id)
+ */
+export function createSpace(name) {
+    const trimmed = String(name || '').trim().slice(0, SPACE_CONFIG.maxNameLength);
+    if (!trimmed) {
+        throw new Error('A space needs a name');
+    }
+
+    return ensureSpace(toSpaceId(trimmed), trimmed);
+}
+
+/**
+ * Register a space if this browser has not seen it yet
+ */
+function ensureSpace(spaceId, name) {
+    const registry = loadRegistry();
+    if (!registry[spaceId]) {
+        const displayName = name && toSpaceId(name) === spaceId ? name.trim().slice(0, SPACE_CONFIG.maxNameLength) : spaceId;
+        registry[spaceId] = { name: displayName, createdAt: new Date().toISOString(), settings: {} };
+        saveRegistry(registry);
+        console.log(`🏠 New space: ${displayName} (${spaceId})`);
+    }
+    return getSpace(spaceId);
+}
+
+/**
+ * Settings the current (or given) space overrides, e.g. { maxBackups: 10 }
+ */
+export function getSpaceSettings(spaceId = getCurrentSpaceId()) {
+    return getSpace(spaceId).settings;
+}
+
+/**
+ * Change a space's settings. `null` removes an override. Most settings take
+ * effect the next time the space is opened.
+ */
+export function updateSpaceSettings(changes, spaceId = getCurrentSpaceId()) {
+    const registry = loadRegistry();
+    const record = registry[spaceId] || { name: getSpace(spaceId).name, createdAt: new Date().toISOString(), settings: {} };
+    const settings = { ...(record.settings || {}) };
+
+    Object.keys(changes).forEach(key => {
+        if (!SPACE_CONFIG.settingKeys.includes(key)) {
+            console.warn(`⚠️ Unknown space setting ignored: ${key}`);
+            return;
+        }
+        if (changes[key] === null) {
+            delete settings[key];
+        } else {
+            settings[key] = changes[key];
+        }
+    });
+
+    registry[spaceId] = { ...record, settings };
+    saveRegistry(registry);
+    return settings;
+}
+
+function loadRegistry() {
+    try {
+        const registry = JSON.parse(localStorage.getItem(SPACE_CONFIG.registryKey));
+        return registry && typeof registry === 'object' && !Array.isArray(registry) ? registry : {};
+    } catch (error) {
+        console.warn('⚠️ Space list unreadable, starting a new one:', error.message);
+        return {};
+    }
+}
+
+function saveRegistry(registry) {
+    try {
+        localStorage.setItem(SPACE_CONFIG.registryKey, JSON.stringify(registry));
+    } catch (error) {
+        console.warn('⚠️ Could not save space list:', error.message);
+    }
+}
+
+// ============================================================================
+// SWITCHING AND LINKS
+// ============================================================================
+
+/**
+ * Link to a space, keeping the page's other parameters (storage, sync, ...)
+ */
+export function getSpaceUrl(spaceId) {
+    const url = new URL(window.location.href);
+    if (spaceId === SPACE_CONFIG.defaultSpaceId) {
+        url.searchParams.delete('space');
+    } else {
+        url.searchParams.set('space', spaceId);
+    }
+    return url.toString();
+}
+
+/**
+ * Open another space. The page reloads so every module starts on the new
+ * space's data.
+ */
+export function switchSpace(spaceId) {
+    if (spaceId === getCurrentSpaceId()) return false;
+
+    window.location.assign(getSpaceUrl(spaceId));
+    return true;
+}
+
+// ============================================================================
+// STORAGE NAMES
+// ============================================================================
+
+/**
+ * Suffix for storage names: '' for the default space so existing data stays put
+ */
+export function getSpaceStorageSuffix(spaceId = getCurrentSpaceId()) {
+    return spaceId === SPACE_CONFIG.defaultSpaceId ? '' : `--${spaceId}`;
+}
+
+/**
+ * Add `space=<id>` to a REST or sync URL (left out for the default space)
+ */
+export function withSpaceParam(url, spaceId = getCurrentSpaceId()) {
+    if (spaceId === SPACE_CONFIG.defaultSpaceId) return url;
+
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}space=${encodeURIComponent(spaceId)}`;
+}
@@ -0,0 +1,260 @@
+// js/spatial.js - Spatial Index and Circle Geometry
+
+// ============================================================================
+// SPATIAL CONFIGURATION
+// ============================================================================
+
+const SPATIAL_CONFIG = {
+    cellSize: 4 // World units per grid cell - a little larger than a typical circle
+};
+
+// ============================================================================
+// UNIFORM GRID INDEX
+// ============================================================================
+
+/**
+ * Create a uniform grid over the floor plane (x/z).
+ * Each item needs `id`, `x`, `z` and `radius`, and is stored in every cell its
+ * bounding box touches, so a query only has to look at nearby cells.
+ */
+export function createSpatialIndex(cellSize = SPATIAL_CONFIG.cellSize) {
+    const cells = new Map(); // "cx,cz" -> Map(id -> entry)
+    const items = new Map(); // id -> { item, keys, stamp }
+    let queryStamp = 0;      // Marks entries already returned by the current query
+
+    function cellRange(x, z, radius) {
+        return {
+            minX: Math.floor((x - radius) / cellSize),
+            maxX: Math.floor((x + radius) / cellSize),
+            minZ: Math.floor((z - radius) / cellSize),
+            maxZ: Math.floor((z + radius) / cellSize)
+        };
+    }
+
+    function forEachCellKey(x, z, radius, callback) {
+        const range = cellRange(x, z, radius);
+        for (let cx = range.minX; cx <= range.maxX; cx++) {
+            for (let cz = range.minZ; cz <= range.maxZ; cz++) {
+                callback(`${cx},${cz}`);
+            }
+        }
+    }
+
+    const index = {
+        cellSize,
+
+        get size() {
+            return items.size;
+        },
+
+        insert(item) {
+            if (items.has(item.id)) {
+                index.remove(item.id);
+            }
+
+            const entry = { item, keys: [], stamp: 0 };
+            forEachCellKey(item.x, item.z, item.radius, key => {
+                if (!cells.has(key)) {
+                    cells.set(key, new Map());
+                }
+                cells.get(key).set(item.id, entry);
+                entry.keys.push(key);
+            });
+
+            items.set(item.id, entry);
+            return item;
+        },
+
+        remove(id) {
+            const entry = items.get(id);
+            if (!entry) return false;
+
+            entry.keys.forEach(key => {
+                const cell = cells.get(key);
+                cell.delete(id);
+                if (cell.size === 0) {
+                    cells.delete(key);
+                }
+            });
+
+            items.delete(id);
+            return true;
+        },
+
+        has(id) {
+            return items.has(id);
+        },
+
+        /**
+         * Items whose bounding box overlaps the square around (x, z).
+         * Callers still do the exact distance test.
+         */
+        query(x, z, radius) {
+            const found = [];
+            const stamp = ++queryStamp;
+
+            forEachCellKey(x, z, radius, key => {
+                const cell = cells.get(key);
+                if (!cell) return;
+
+                cell.forEach(entry => {
+                    if (entry.stamp === stamp) return;
+                    entry.stamp = stamp;
+
+                    const item = entry.item;
+                    const reach = radius + item.radius;
+                    if (Math.abs(item.x - x) <= reach && Math.abs(item.z - z) <= reach) {
+                        found.push(item);
+                    }
+                });
+            });
+
+            return found;
+        },
+
+        clear() {
+            cells.clear();
+            items.clear();
+        },
+
+        stats() {
+            let largestCell = 0;
+            cells.forEach(cell => {
+                largestCell = Math.max(largestCell, cell.size);
+            });
+
+            return {
+                items: items.size,
+                cells: cells.size,
+                cellSize,
+                largestCell
+            };
+        }
+    };
+
+    return index;
+}
+
+// ============================================================================
+// CIRCLE GEOMETRY
+// ============================================================================
+
+/**
+ * How two circles can meet. Each kind is stored as its own bond type.
+ */
+export const BOND_TYPES = {
+    intersection: 'intersection', // Rings cross at two points
+    containment: 'containment',   // One circle lies inside the other
+    tangency: 'tangency'          // Rings touch at one point
+};
+
+/**
+ * Calculate intersection points between two circles
+ */
+export function calculateCircleIntersection(circle1, circle2) {
+    const dx = circle2.x - circle1.x;
+    const dz = circle2.z - circle1.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    // Too far apart, or one circle inside the other
+    if (distance > circle1.radius + circle2.radius) {
+        return [];
+    }
+
+    if (distance < Math.abs(circle1.radius - circle2.radius)) {
+        return [];
+    }
+
+    // Identical (or concentric) circles - no distinct points
+    if (distance === 0) {
+        return [];
+    }
+
+    // Calculate intersection points using geometric formula
+    const a = (circle1.radius * circle1.radius - circle2.radius * circle2.radius + distance * distance) / (2 * distance);
+    const h = Math.sqrt(Math.max(0, circle1.radius * circle1.radius - a * a));
+
+    // Point on the line between circle centers
+    const px = circle1.x + a * dx / distance;
+    const pz = circle1.z + a * dz / distance;
+
+    // The two intersection points
+    return [
+        {
+            x: parseFloat((px + h * (-dz) / distance).toFixed(3)),
+            z: parseFloat((pz + h * (dx) / distance).toFixed(3))
+        },
+        {
+            x: parseFloat((px - h * (-dz) / distance).toFixed(3)),
+            z: parseFloat((pz - h * (dx) / distance).toFixed(3))
+        }
+    ];
+}
+
+/**
+ * Classify how two circles meet: { type, points } with a BOND_TYPES type, or
+ * null when they are apart. Rings within `tolerance` of touching count as
+ * tangent. A containment bond's point is the inner circle's center, a
+ * tangency's the point where the rings touch.
+ */
+export function classifyCircleRelation(circle1, circle2, tolerance = 0) {
+    const dx = circle2.x - circle1.x;
+    const dz = circle2.z - circle1.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const outer = circle1.radius + circle2.radius;
+    const inner = Math.abs(circle1.radius - circle2.radius);
+
+    if (distance > outer + tolerance) {
+        return null;
+    }
+
+    // Touching from outside, or from inside (circles of nearly equal size
+    // sharing a center are containment, not tangency)
+    const touchingOutside = Math.abs(distance - outer) <= tolerance;
+    const touchingInside = inner > tolerance && Math.abs(distance - inner) <= tolerance;
+
+    if (touchingOutside || touchingInside) {
+        // Each ring's point facing the other, averaged to absorb the tolerance
+        const ux = distance > 0 ? dx / distance : 1;
+        const uz = distance > 0 ? dz / distance : 0;
+        const side = touchingOutside ? -1 : (circle1.radius > circle2.radius ? 1 : -1);
+        const direction1 = touchingOutside ? 1 : side;
+
+        return {
+            type: BOND_TYPES.tangency,
+            points: [roundPoint(
+                (circle1.x + direction1 * ux * circle1.radius + circle2.x + side * ux * circle2.radius) / 2,
+                (circle1.z + direction1 * uz * circle1.radius + circle2.z + side * uz * circle2.radius) / 2
+            )]
+        };
+    }
+
+    if (distance <= inner) {
+        const innerCircle = circle1.radius <= circle2.radius ? circle1 : circle2;
+        return {
+            type: BOND_TYPES.containment,
+            points: [roundPoint(innerCircle.x, innerCircle.z)]
+        };
+    }
+
+    return {
+        type: BOND_TYPES.intersection,
+        points: calculateCircleIntersection(circle1, circle2)
+    };
+}
+
+/**
+ * Whether a point lies inside (or within `tolerance` of) a circle
+ */
+export function isPointInCircle(point, circle, tolerance = 0) {
+    const dx = point.x - circle.x;
+    const dz = point.z - circle.z;
+    return Math.sqrt(dx * dx + dz * dz) <= circle.radius + tolerance;
+}
+
+function roundPoint(x, z) {
+    return {
+        x: parseFloat(x.toFixed(3)),
+        z: parseFloat(z.toFixed(3))
+    };
+}
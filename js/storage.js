@@ -0,0 +1,837 @@
+// js/storage.js - Circle Storage Adapters
+//
+// Every adapter is a plain object with the same shape:
+//   name, label        - identifiers for logs and stats
+//   writable           - false for the read-only static file
+//   load()             - resolves to simple ({circles:[...]}) or internal ({users:{...}}) data, or null when empty
+//   save(circlesData)  - stores a full snapshot (snapshot adapters only)
+//   shared             - true when other clients write to the same store
+//   addCircle(circle)  - stores one circle (per-record adapters only)
+//   updateCircle(circle) - overwrites an edited circle (per-record adapters only)
+//   deleteCircle(id, tombstone) - removes one circle, keeping its tombstone (per-record adapters only)
+//   addBond(bond), deleteBond(id, tombstone) - same for bond records (intersection stars)
+//   saveProfile(profile) - stores one user profile (per-record adapters only)
+//   replaceAll(data)   - replaces everything with the given dataset
+//   clear()            - removes everything
+//
+// Per-record adapters may also take a user record: addCircle(circle, user).
+//
+// REST contract (see server/circle-server.mjs):
+//   GET    /api/circles        -> 200 { circles: [circle, ...], bonds: [bond, ...], tombstones: [...], profiles: [...], updatedAt }
+//   POST   /api/circles        -> 201 { circle }      body: circle
+//   PUT    /api/circles        -> 200 { circles }     body: { circles: [...], bonds: [...], tombstones: [...], profiles: [...] }
+//   PUT    /api/circles/:id    -> 200 { circle }      body: circle
+//   DELETE /api/circles/:id    -> 204
+//   DELETE /api/circles        -> 204
+//   POST   /api/bonds          -> 201 { bond }        body: bond
+//   DELETE /api/bonds/:id      -> 204
+//   PUT    /api/profiles/:userId -> 200 { profile }  body: profile
+//
+// Every space (see spaces.js) has its own IndexedDB database and localStorage
+// keys; REST requests carry `?space=<id>` outside the default space.
+//
+// An encrypted store (see encryption.js) keeps the whole dataset as one
+// AES-GCM envelope in place of the per-record stores. It is a snapshot
+// adapter, so it is only as current as the last auto-save.
+
+import { CURRENT_DATA_VERSION, migrateData } from './migrations.js';
+import { getSpaceStorageSuffix, withSpaceParam } from './spaces.js';
+import { isEncryptedEnvelope, encryptJson, decryptJson } from './encryption.js';
+
+// ============================================================================
+// STORAGE CONFIGURATION
+// ============================================================================
+
+const STORAGE_CONFIG = {
+    staticFile: './js/circle_data.json',
+    localStorageKey: 'circle_data_backup',
+    encryptedKey: 'circle_data_encrypted', // Envelope record (meta store) or localStorage key
+    indexedDB: {
+        name: 'praying-circles', // Other spaces add `--<space id>`
+        version: 5,
+        stores: {
+            circles: 'circles',
+            users: 'users',
+            bonds: 'bonds',
+            tombstones: 'tombstones', // deleted circle and bond ids, kept for merging
+            profiles: 'profiles', // display name, color, glyph and pronouns per user
+            meta: 'meta',     // dataset version/lastUpdated and the last session
+            backups: 'backups'
+        }
+    },
+    rest: {
+        defaultPort: 8787,
+        path: '/api',
+        probeTimeout: 1500 // ms to wait before deciding the server is not running
+    }
+};
+
+export const STORAGE_TYPES = ['auto', 'static', 'localStorage', 'indexedDB', 'rest'];
+
+let databasePromise = null; // Shared IndexedDB connection
+
+/**
+ * localStorage key of the current space's dataset snapshot
+ */
+export function getLocalStorageKey() {
+    return `${STORAGE_CONFIG.localStorageKey}${getSpaceStorageSuffix()}`;
+}
+
+/**
+ * Prefix of the current space's timestamped localStorage backups
+ */
+export function getLocalBackupPrefix() {
+    return `${getLocalStorageKey()}_`;
+}
+
+// ============================================================================
+// ADAPTER SELECTION
+// ============================================================================
+
+/**
+ * Pick the storage type from `?storage=` or the given default
+ */
+export function resolveStorageType(defaultType = 'auto') {
+    const param = new URLSearchParams(window.location.search).get('storage');
+    if (param && STORAGE_TYPES.includes(param)) {
+        return param;
+    }
+    return defaultType;
+}
+
+/**
+ * Create the adapter for a storage type.
+ * 'auto' uses the REST server when it answers, otherwise IndexedDB
+ * (or localStorage in browsers without it).
+ */
+export async function createStorageAdapter(type = 'auto') {
+    switch (type) {
+        case 'static':
+            return createStaticAdapter();
+        case 'localStorage':
+            return createLocalStorageAdapter();
+        case 'indexedDB':
+            return createIndexedDBAdapter();
+        case 'rest':
+            return createRestAdapter();
+        case 'auto':
+        default: {
+            const rest = createRestAdapter();
+            if (await rest.isAvailable()) {
+                return rest;
+            }
+            return isIndexedDBAvailable() ? createIndexedDBAdapter() : createLocalStorageAdapter();
+        }
+    }
+}
+
+// ============================================================================
+// STATIC FILE (READ-ONLY)
+// ============================================================================
+
+/**
+ * The bundled js/circle_data.json, read with fetch
+ */
+export function createStaticAdapter(url = STORAGE_CONFIG.staticFile) {
+    return {
+        name: 'static',
+        label: 'JSON file',
+        writable: false,
+
+        async load() {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+        },
+
+        async save() {
+            return false;
+        },
+
+        async replaceAll() {
+            return false;
+        },
+
+        async clear() {
+            return false;
+        }
+    };
+}
+
+// ============================================================================
+// LOCAL STORAGE
+// ============================================================================
+
+/**
+ * Whole-dataset snapshot in localStorage
+ */
+export function createLocalStorageAdapter(key = getLocalStorageKey()) {
+    return {
+        name: 'localStorage',
+        label: 'Browser storage',
+        writable: true,
+
+        async load() {
+            const json = localStorage.getItem(key);
+            return json ? JSON.parse(json) : null;
+        },
+
+        async save(circlesData) {
+            localStorage.setItem(key, JSON.stringify(circlesData, null, 2));
+            return true;
+        },
+
+        async replaceAll(circlesData) {
+            return this.save(circlesData);
+        },
+
+        async clear() {
+            localStorage.removeItem(key);
+            return true;
+        }
+    };
+}
+
+// ============================================================================
+// INDEXED DB
+// ============================================================================
+
+/**
+ * Check whether this browser has IndexedDB
+ */
+export function isIndexedDBAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and create or upgrade if needed) the current space's IndexedDB database.
+ * The connection is kept open and shared by every adapter call.
+ */
+function openDatabase() {
+    if (databasePromise) {
+        return databasePromise;
+    }
+
+    const config = STORAGE_CONFIG.indexedDB;
+
+    databasePromise = new Promise((resolve, reject) => {
+        if (!isIndexedDBAvailable()) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(`${config.name}${getSpaceStorageSuffix()}`, config.version);
+
+        request.onupgradeneeded = (event) => {
+            upgradeDatabase(request.result, request.transaction, event.oldVersion);
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+
+            // Another tab is upgrading the schema - step aside
+            db.onversionchange = () => {
+                db.close();
+                databasePromise = null;
+            };
+
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            databasePromise = null;
+            reject(request.error);
+        };
+    });
+
+    return databasePromise;
+}
+
+/**
+ * Create object stores. Version 1 kept the whole dataset as one record in
+ * `datasets`; version 2 splits it into per-record stores; version 3 adds bonds;
+ * version 4 adds tombstones; version 5 adds profiles.
+ */
+function upgradeDatabase(db, transaction, oldVersion) {
+    const stores = STORAGE_CONFIG.indexedDB.stores;
+
+    if (!db.objectStoreNames.contains(stores.circles)) {
+        const circleStore = db.createObjectStore(stores.circles, { keyPath: 'id' });
+        circleStore.createIndex('userId', 'userId', { unique: false });
+    }
+    if (!db.objectStoreNames.contains(stores.users)) {
+        db.createObjectStore(stores.users, { keyPath: 'userId' });
+    }
+    if (!db.objectStoreNames.contains(stores.bonds)) {
+        const bondStore = db.createObjectStore(stores.bonds, { keyPath: 'id' });
+        bondStore.createIndex('circles', 'circles', { unique: false, multiEntry: true });
+    }
+    if (!db.objectStoreNames.contains(stores.tombstones)) {
+        db.createObjectStore(stores.tombstones, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(stores.profiles)) {
+        db.createObjectStore(stores.profiles, { keyPath: 'userId' });
+    }
+    if (!db.objectStoreNames.contains(stores.meta)) {
+        db.createObjectStore(stores.meta, { keyPath: 'key' });
+    }
+    if (!db.objectStoreNames.contains(stores.backups)) {
+        const backupStore = db.createObjectStore(stores.backups, { keyPath: 'id' });
+        backupStore.createIndex('createdAt', 'createdAt', { unique: false });
+    }
+
+    // Move the old single-record snapshot into the new stores
+    if (oldVersion === 1 && db.objectStoreNames.contains('datasets')) {
+        const legacyRequest = transaction.objectStore('datasets').get('current');
+
+        legacyRequest.onsuccess = () => {
+            if (legacyRequest.result) {
+                writeDataset(transaction, migrateData(legacyRequest.result));
+            }
+            db.deleteObjectStore('datasets');
+            console.log('🗄️ IndexedDB upgraded to per-record stores');
+        };
+    }
+}
+
+/**
+ * Run work inside one transaction. `work` issues requests and may return an
+ * IDBRequest (or an object of them); their results resolve the promise.
+ */
+async function runTransaction(storeNames, mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const pending = work(transaction);
+
+        transaction.oncomplete = () => resolve(readRequestResults(pending));
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+/**
+ * Unwrap the value returned by a runTransaction work function
+ */
+function readRequestResults(pending) {
+    if (!pending) return pending;
+    if (pending instanceof IDBRequest) return pending.result;
+
+    const results = {};
+    Object.keys(pending).forEach(key => {
+        results[key] = pending[key] instanceof IDBRequest ? pending[key].result : pending[key];
+    });
+    return results;
+}
+
+/**
+ * Split an internal-format dataset into circle, user, bond, tombstone, profile and meta records
+ */
+function writeDataset(transaction, circlesData) {
+    const stores = STORAGE_CONFIG.indexedDB.stores;
+    const circleStore = transaction.objectStore(stores.circles);
+    const userStore = transaction.objectStore(stores.users);
+
+    Object.keys(circlesData.users || {}).forEach(userId => {
+        const { circles, ...userRecord } = circlesData.users[userId];
+        userStore.put({ ...userRecord, userId });
+        (circles || []).forEach(circle => circleStore.put({ ...circle, userId }));
+    });
+
+    const bondStore = transaction.objectStore(stores.bonds);
+    (circlesData.bonds || []).forEach(bond => bondStore.put(bond));
+
+    const tombstoneStore = transaction.objectStore(stores.tombstones);
+    (circlesData.tombstones || []).forEach(tombstone => tombstoneStore.put(tombstone));
+
+    const profileStore = transaction.objectStore(stores.profiles);
+    Object.keys(circlesData.profiles || {}).forEach(userId => {
+        profileStore.put({ ...circlesData.profiles[userId], userId });
+    });
+
+    transaction.objectStore(stores.meta).put({
+        key: 'dataset',
+        version: circlesData.version || CURRENT_DATA_VERSION,
+        lastUpdated: circlesData.lastUpdated || new Date().toISOString(),
+        loadedFrom: circlesData.loadedFrom || null
+    });
+}
+
+/**
+ * Per-record storage in IndexedDB: one write per circle instead of
+ * re-serializing the whole dataset, and no localStorage quota to hit
+ */
+export function createIndexedDBAdapter() {
+    const stores = STORAGE_CONFIG.indexedDB.stores;
+    const datasetStores = [stores.circles, stores.users, stores.bonds, stores.tombstones, stores.profiles, stores.meta];
+
+    return {
+        name: 'indexedDB',
+        label: 'IndexedDB',
+        writable: true,
+
+        async load() {
+            const { circles, users, bonds, tombstones, profiles, meta } = await runTransaction(datasetStores, 'readonly', transaction => ({
+                circles: transaction.objectStore(stores.circles).getAll(),
+                users: transaction.objectStore(stores.users).getAll(),
+                bonds: transaction.objectStore(stores.bonds).getAll(),
+                tombstones: transaction.objectStore(stores.tombstones).getAll(),
+                profiles: transaction.objectStore(stores.profiles).getAll(),
+                meta: transaction.objectStore(stores.meta).get('dataset')
+            }));
+
+            // Only a database that never held anything falls back to the bundled
+            // file; tombstones left after deleting every circle must survive
+            const isEmpty = [circles, users, bonds, tombstones, profiles].every(records => !records || records.length === 0);
+            if (isEmpty && !meta) {
+                return null;
+            }
+
+            const userRecords = {};
+            users.forEach(user => { userRecords[user.userId] = user; });
+
+            const circlesData = {
+                users: {},
+                bonds: bonds.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp))),
+                tombstones,
+                profiles: Object.fromEntries(profiles.map(profile => [profile.userId, profile])),
+                lastUpdated: meta ? meta.lastUpdated : new Date().toISOString(),
+                version: meta ? meta.version : CURRENT_DATA_VERSION
+            };
+
+            circles
+                .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+                .forEach(circle => {
+                    const userId = circle.userId;
+                    if (!circlesData.users[userId]) {
+                        circlesData.users[userId] = {
+                            userId,
+                            createdAt: circle.timestamp,
+                            ...userRecords[userId],
+                            circles: []
+                        };
+                    }
+                    circlesData.users[userId].circles.push(circle);
+                });
+
+            return circlesData;
+        },
+
+        async addCircle(circle, userRecord = null) {
+            await runTransaction(datasetStores, 'readwrite', transaction => {
+                transaction.objectStore(stores.circles).put(circle);
+                transaction.objectStore(stores.tombstones).delete(circle.id);
+                if (userRecord) {
+                    transaction.objectStore(stores.users).put(userRecord);
+                }
+                transaction.objectStore(stores.meta).put({
+                    key: 'dataset',
+                    version: CURRENT_DATA_VERSION,
+                    lastUpdated: new Date().toISOString()
+                });
+            });
+            return circle;
+        },
+
+        async updateCircle(circle, userRecord = null) {
+            return this.addCircle(circle, userRecord);
+        },
+
+        async deleteCircle(circleId, tombstone = null) {
+            await runTransaction([stores.circles, stores.tombstones], 'readwrite', transaction => {
+                transaction.objectStore(stores.circles).delete(circleId);
+                if (tombstone) {
+                    transaction.objectStore(stores.tombstones).put(tombstone);
+                }
+            });
+            return true;
+        },
+
+        async addBond(bond) {
+            await runTransaction([stores.bonds, stores.tombstones], 'readwrite', transaction => {
+                transaction.objectStore(stores.bonds).put(bond);
+                transaction.objectStore(stores.tombstones).delete(bond.id);
+            });
+            return bond;
+        },
+
+        async deleteBond(bondId, tombstone = null) {
+            await runTransaction([stores.bonds, stores.tombstones], 'readwrite', transaction => {
+                transaction.objectStore(stores.bonds).delete(bondId);
+                if (tombstone) {
+                    transaction.objectStore(stores.tombstones).put(tombstone);
+                }
+            });
+            return true;
+        },
+
+        async saveProfile(profile) {
+            await runTransaction([stores.profiles], 'readwrite', transaction => {
+                transaction.objectStore(stores.profiles).put(profile);
+            });
+            return profile;
+        },
+
+        async replaceAll(circlesData) {
+            await runTransaction(datasetStores, 'readwrite', transaction => {
+                transaction.objectStore(stores.circles).clear();
+                transaction.objectStore(stores.users).clear();
+                transaction.objectStore(stores.bonds).clear();
+                transaction.objectStore(stores.tombstones).clear();
+                transaction.objectStore(stores.profiles).clear();
+                writeDataset(transaction, circlesData);
+            });
+            return true;
+        },
+
+        async clear() {
+            await runTransaction(datasetStores, 'readwrite', transaction => {
+                transaction.objectStore(stores.circles).clear();
+                transaction.objectStore(stores.users).clear();
+                transaction.objectStore(stores.bonds).clear();
+                transaction.objectStore(stores.tombstones).clear();
+                transaction.objectStore(stores.profiles).clear();
+                transaction.objectStore(stores.meta).delete('dataset');
+            });
+            return true;
+        }
+    };
+}
+
+// ============================================================================
+// BACKUPS AND SESSION (INDEXED DB)
+// ============================================================================
+
+/**
+ * Store a backup record: { id, createdAt, backupType, version, checksum, data }.
+ * Encrypted backups have `encrypted` (an envelope of the data) instead of `data`.
+ */
+export async function saveBackupRecord(backup) {
+    const store = STORAGE_CONFIG.indexedDB.stores.backups;
+    await runTransaction([store], 'readwrite', transaction => {
+        transaction.objectStore(store).put(backup);
+    });
+    return backup;
+}
+
+/**
+ * List backups, newest first
+ */
+export async function listBackupRecords() {
+    const store = STORAGE_CONFIG.indexedDB.stores.backups;
+    const backups = await runTransaction([store], 'readonly', transaction =>
+        transaction.objectStore(store).getAll()
+    );
+    return backups.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Load one backup record
+ */
+export async function loadBackupRecord(backupId) {
+    const store = STORAGE_CONFIG.indexedDB.stores.backups;
+    const backup = await runTransaction([store], 'readonly', transaction =>
+        transaction.objectStore(store).get(backupId)
+    );
+    return backup || null;
+}
+
+/**
+ * Delete backups beyond the newest `keep`
+ */
+export async function pruneBackupRecords(keep) {
+    const store = STORAGE_CONFIG.indexedDB.stores.backups;
+    const backups = await listBackupRecords();
+    const expired = backups.slice(keep);
+
+    if (expired.length > 0) {
+        await runTransaction([store], 'readwrite', transaction => {
+            expired.forEach(backup => transaction.objectStore(store).delete(backup.id));
+        });
+    }
+
+    return expired.map(backup => backup.id);
+}
+
+/**
+ * Remember who was drawing and when, so the next visit can pick up again
+ */
+export async function saveSessionRecord(session) {
+    const store = STORAGE_CONFIG.indexedDB.stores.meta;
+    await runTransaction([store], 'readwrite', transaction => {
+        transaction.objectStore(store).put({ ...session, key: 'session' });
+    });
+}
+
+/**
+ * Load the last session record, or null
+ */
+export async function loadSessionRecord() {
+    const store = STORAGE_CONFIG.indexedDB.stores.meta;
+    const session = await runTransaction([store], 'readonly', transaction =>
+        transaction.objectStore(store).get('session')
+    );
+    return session || null;
+}
+
+/**
+ * Move timestamped `circle_data_backup_*` entries from localStorage into
+ * IndexedDB. Returns how many were moved.
+ */
+export async function importLegacyBackups() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(getLocalBackupPrefix())) {
+            keys.push(key);
+        }
+    }
+
+    let moved = 0;
+    for (const key of keys) {
+        try {
+            const { backupChecksum, ...data } = JSON.parse(localStorage.getItem(key));
+            await saveBackupRecord({
+                id: key,
+                createdAt: data.backupCreatedAt || new Date().toISOString(),
+                backupType: data.backupType || 'scheduled',
+                version: data.version || 1,
+                checksum: backupChecksum,
+                data
+            });
+            localStorage.removeItem(key);
+            moved++;
+        } catch (error) {
+            console.warn(`⚠️ Could not move legacy backup ${key}:`, error.message);
+        }
+    }
+
+    if (moved > 0) {
+        console.log(`📦 Moved ${moved} localStorage backups into IndexedDB`);
+    }
+    return moved;
+}
+
+// ============================================================================
+// ENCRYPTED STORE
+// ============================================================================
+
+/**
+ * The current space's encrypted dataset envelope, or null when its store is
+ * not encrypted
+ */
+export async function readEncryptedEnvelope() {
+    let envelope;
+    if (isIndexedDBAvailable()) {
+        const store = STORAGE_CONFIG.indexedDB.stores.meta;
+        const record = await runTransaction([store], 'readonly', transaction =>
+            transaction.objectStore(store).get(STORAGE_CONFIG.encryptedKey)
+        );
+        envelope = record ? record.envelope : null;
+    } else {
+        const json = localStorage.getItem(getEncryptedStorageKey());
+        envelope = json ? JSON.parse(json) : null;
+    }
+    return isEncryptedEnvelope(envelope) ? envelope : null;
+}
+
+async function writeEncryptedEnvelope(envelope) {
+    if (isIndexedDBAvailable()) {
+        const store = STORAGE_CONFIG.indexedDB.stores.meta;
+        await runTransaction([store], 'readwrite', transaction => {
+            if (envelope) {
+                transaction.objectStore(store).put({ key: STORAGE_CONFIG.encryptedKey, envelope });
+            } else {
+                transaction.objectStore(store).delete(STORAGE_CONFIG.encryptedKey);
+            }
+        });
+    } else if (envelope) {
+        localStorage.setItem(getEncryptedStorageKey(), JSON.stringify(envelope));
+    } else {
+        localStorage.removeItem(getEncryptedStorageKey());
+    }
+}
+
+function getEncryptedStorageKey() {
+    return `${STORAGE_CONFIG.encryptedKey}${getSpaceStorageSuffix()}`;
+}
+
+/**
+ * Whole-dataset snapshot encrypted with a key from createEncryptionKey.
+ * Without a key (passphrase not given) the store stays locked: nothing is
+ * read and nothing is overwritten.
+ */
+export function createEncryptedAdapter(encryptionKey = null) {
+    return {
+        name: 'encrypted',
+        label: encryptionKey ? 'Encrypted storage' : 'Encrypted storage (locked)',
+        writable: Boolean(encryptionKey),
+
+        async load() {
+            if (!encryptionKey) {
+                throw new Error('Encrypted storage is locked');
+            }
+            const envelope = await readEncryptedEnvelope();
+            return envelope ? decryptJson(envelope, encryptionKey) : null;
+        },
+
+        async save(circlesData) {
+            if (!encryptionKey) return false;
+            await writeEncryptedEnvelope(await encryptJson(circlesData, encryptionKey));
+            return true;
+        },
+
+        async replaceAll(circlesData) {
+            return this.save(circlesData);
+        },
+
+        // Clearing keeps an (empty) envelope, so the space stays encrypted
+        async clear() {
+            return this.save({
+                users: {},
+                bonds: [],
+                tombstones: [],
+                profiles: {},
+                lastUpdated: new Date().toISOString(),
+                version: CURRENT_DATA_VERSION
+            });
+        }
+    };
+}
+
+/**
+ * Delete the encrypted dataset, e.g. after it was decrypted back into the
+ * plain stores
+ */
+export async function removeEncryptedStore() {
+    await writeEncryptedEnvelope(null);
+}
+
+// ============================================================================
+// REST SERVER
+// ============================================================================
+
+/**
+ * Work out the REST base URL.
+ * `?api=http://host:port/api` overrides; a page served by the circle server uses its own origin.
+ */
+export function resolveRestBaseUrl() {
+    const param = new URLSearchParams(window.location.search).get('api');
+    if (param) {
+        return param.replace(/\/+$/, '');
+    }
+
+    const config = STORAGE_CONFIG.rest;
+    if (window.location.protocol.startsWith('http') && window.location.port === String(config.defaultPort)) {
+        return `${window.location.origin}${config.path}`;
+    }
+
+    return `http://localhost:${config.defaultPort}${config.path}`;
+}
+
+/**
+ * Per-record storage on the local circle server, shared by everyone using it
+ */
+export function createRestAdapter(baseUrl = resolveRestBaseUrl()) {
+    const circlesUrl = `${baseUrl}/circles`;
+    const bondsUrl = `${baseUrl}/bonds`;
+    const profilesUrl = `${baseUrl}/profiles`;
+
+    async function request(method, path, body) {
+        const url = withSpaceParam(path);
+        const response = await fetch(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok) {
+            throw new Error(`${method} ${url} failed: HTTP ${response.status}`);
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    return {
+        name: 'rest',
+        label: 'Circle server',
+        writable: true,
+        shared: true,
+        baseUrl,
+
+        async isAvailable() {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), STORAGE_CONFIG.rest.probeTimeout);
+
+            try {
+                const response = await fetch(withSpaceParam(circlesUrl), { method: 'GET', signal: controller.signal });
+                return response.ok;
+            } catch (error) {
+                return false;
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+
+        async load() {
+            const data = await request('GET', circlesUrl);
+            // Tombstones count: a space whose circles were all deleted must
+            // not fall back to the bundled file and bring them back
+            const hasData = data && ['circles', 'bonds', 'tombstones', 'profiles']
+                .some(key => Array.isArray(data[key]) && data[key].length > 0);
+            return hasData ? data : null;
+        },
+
+        async addCircle(circle) {
+            const data = await request('POST', circlesUrl, circle);
+            return data.circle;
+        },
+
+        async updateCircle(circle) {
+            const data = await request('PUT', `${circlesUrl}/${encodeURIComponent(circle.id)}`, circle);
+            return data.circle;
+        },
+
+        async deleteCircle(circleId) {
+            await request('DELETE', `${circlesUrl}/${encodeURIComponent(circleId)}`);
+            return true;
+        },
+
+        async addBond(bond) {
+            const data = await request('POST', bondsUrl, bond);
+            return data.bond;
+        },
+
+        async deleteBond(bondId) {
+            await request('DELETE', `${bondsUrl}/${encodeURIComponent(bondId)}`);
+            return true;
+        },
+
+        async saveProfile(profile) {
+            const data = await request('PUT', `${profilesUrl}/${encodeURIComponent(profile.userId)}`, profile);
+            return data.profile;
+        },
+
+        async replaceAll(circlesData) {
+            const circles = [];
+            Object.values(circlesData.users).forEach(user => {
+                (user.circles || []).forEach(circle => circles.push(circle));
+            });
+            await request('PUT', circlesUrl, {
+                circles,
+                bonds: circlesData.bonds || [],
+                tombstones: circlesData.tombstones || [],
+                profiles: Object.values(circlesData.profiles || {})
+            });
+            return true;
+        },
+
+        async clear() {
+            await request('DELETE', circlesUrl);
+            return true;
+        }
+    };
+}
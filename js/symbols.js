@@ -0,0 +1,427 @@
+// js/symbols.js - Ritual Symbols Drawn on the Floor
+//
+// Besides circles, a stroke may be a spiral, triangle, crescent or heart,
+// or a symbol the community taught by drawing examples. The recognized
+// symbol is stored on the record (`circle.symbol`, missing for plain
+// circles) and drawn as its own outline; x/z/radius stay the circle that
+// holds it, so bonds and the spatial index treat every symbol alike.
+//
+// Custom symbols are kept per space in localStorage
+// (`circle_symbol_templates--<space>`), so each gathering has its own.
+
+import { normalizeStroke, recognizeStroke, fitCircle, scoreCircle } from './recognizer.js';
+import { getSpaceStorageSuffix } from './spaces.js';
+
+// ============================================================================
+// SYMBOL CONFIGURATION
+// ============================================================================
+
+const SYMBOL_CONFIG = {
+    storageKey: 'circle_symbol_templates',
+    minScore: 0.45,       // Strokes matching no template this well are rejected ($P scores run low)
+    outlinePoints: 64,    // Points in a stored outline
+    closedGap: 0.25,      // Ends closer than this (share of the size) close the outline
+    maxExamples: 10,      // Per custom symbol
+    maxNameLength: 32,
+    maxMeaningLength: 140,
+    customGlyph: '✨'
+};
+
+export const DEFAULT_SYMBOL = 'circle';
+
+/**
+ * Built-in symbols. Outlines are screen-oriented (y down) and become the
+ * templates strokes are matched against; `variants` are extra templates
+ * for the same symbol drawn another way.
+ */
+const BUILT_IN_SYMBOLS = {
+    circle: {
+        label: 'Circle',
+        glyph: '⭕',
+        meaning: 'Wholeness and unity',
+        closed: true,
+        outline: () => arcPoints(0, 0, 1, 0, Math.PI * 2, 64)
+    },
+    spiral: {
+        label: 'Spiral',
+        glyph: '🌀',
+        meaning: 'Growth, and the journey inward and back out',
+        closed: false,
+        outline: () => spiralPoints(1),
+        variants: [() => spiralPoints(-1)]
+    },
+    triangle: {
+        label: 'Triangle',
+        glyph: '🔺',
+        meaning: 'Balance of body, mind and spirit',
+        closed: true,
+        outline: () => polygonPoints([{ x: 0, y: -1 }, { x: 0.866, y: 0.5 }, { x: -0.866, y: 0.5 }], 22)
+    },
+    crescent: {
+        label: 'Crescent',
+        glyph: '🌙',
+        meaning: 'Cycles, renewal and intuition',
+        closed: true,
+        outline: () => crescentPoints(1),
+        variants: [() => crescentPoints(-1)]
+    },
+    heart: {
+        label: 'Heart',
+        glyph: '💗',
+        meaning: 'Love and compassion',
+        closed: true,
+        outline: () => heartPoints()
+    }
+};
+
+// ============================================================================
+// SYMBOL STATE
+// ============================================================================
+
+let symbolState = {
+    builtInTemplates: null, // [{ name, points }] built on first use
+    custom: null,           // id → custom symbol, for customSpace
+    customSpace: null
+};
+
+// ============================================================================
+// SYMBOLS
+// ============================================================================
+
+/**
+ * The symbol a circle record was drawn as
+ */
+export function getCircleSymbol(circle) {
+    return (circle && circle.symbol) || DEFAULT_SYMBOL;
+}
+
+/**
+ * A symbol's description: { id, label, glyph, meaning, builtIn, known }.
+ * Symbols taught in another space are unknown here and get a plain label.
+ */
+export function getSymbol(symbolId = DEFAULT_SYMBOL) {
+    const builtIn = BUILT_IN_SYMBOLS[symbolId];
+    if (builtIn) {
+        return { id: symbolId, label: builtIn.label, glyph: builtIn.glyph, meaning: builtIn.meaning, builtIn: true, known: true };
+    }
+
+    const custom = getCustomSymbols()[symbolId];
+    if (custom) {
+        return { id: symbolId, label: custom.label, glyph: SYMBOL_CONFIG.customGlyph, meaning: custom.meaning, builtIn: false, known: true };
+    }
+
+    return { id: symbolId, label: symbolId, glyph: SYMBOL_CONFIG.customGlyph, meaning: '', builtIn: false, known: false };
+}
+
+/**
+ * Every symbol that can be drawn in this space, built-in ones first
+ */
+export function listSymbols() {
+    const custom = Object.keys(getCustomSymbols()).filter(id => !BUILT_IN_SYMBOLS[id]);
+    return [...Object.keys(BUILT_IN_SYMBOLS), ...custom].map(id => ({
+        ...getSymbol(id),
+        examples: (getCustomSymbols()[id] || { examples: [] }).examples.length
+    }));
+}
+
+/**
+ * A symbol's outline to draw: { points: [{x, y}], closed } fitted inside a
+ * circle of radius 1 around (0, 0), or null for a plain circle or a symbol
+ * this space does not know
+ */
+export function getSymbolOutline(symbolId) {
+    if (symbolId === DEFAULT_SYMBOL) return null;
+
+    const builtIn = BUILT_IN_SYMBOLS[symbolId];
+    if (builtIn) {
+        return { points: fitOutline(builtIn.outline()), closed: builtIn.closed };
+    }
+
+    const custom = getCustomSymbols()[symbolId];
+    return custom ? { points: custom.outline, closed: custom.closed } : null;
+}
+
+/**
+ * Check a symbol id, returning every problem found
+ */
+export function validateSymbol(symbolId) {
+    if (typeof symbolId !== 'string') {
+        return ['"symbol" must be text'];
+    }
+    if (toSymbolId(symbolId) !== symbolId) {
+        return [`"symbol" must be lowercase letters, digits and dashes, at most ${SYMBOL_CONFIG.maxNameLength} characters`];
+    }
+    return [];
+}
+
+/**
+ * Stable id for a symbol name: "Lotus Flower" → "lotus-flower"
+ */
+export function toSymbolId(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, SYMBOL_CONFIG.maxNameLength);
+}
+
+// ============================================================================
+// RECOGNITION
+// ============================================================================
+
+/**
+ * Recognize a drawn stroke ({ x, y } points, y down). Returns { symbol, score,
+ * center: {x, y}, radius } in the stroke's units, or null when it matches no
+ * symbol well enough. Circles are the least-squares circle through the
+ * stroke and add `fit: { closure, circularity, quality }` (see scoreCircle).
+ * Other symbols are held by the smallest circle around their bounding-box
+ * center, so the drawn outline fits the ring it replaces.
+ */
+export function recognizeSymbol(path) {
+    const match = recognizeStroke(path, getTemplates());
+    if (!match || match.score < SYMBOL_CONFIG.minScore) {
+        if (match) {
+            console.log(`🔣 Stroke rejected: closest is ${match.name} (${match.score.toFixed(2)})`);
+        }
+        return null;
+    }
+
+    // Circles are placed by the circle fitted to them, and say how well it fits
+    if (match.name === DEFAULT_SYMBOL) {
+        const fit = fitCircle(path);
+        if (fit) {
+            const scores = scoreCircle(path, fit);
+            console.log(`🔣 Recognized circle (${match.score.toFixed(2)}), fit quality ${scores.quality}`);
+            return { symbol: match.name, score: match.score, center: { x: fit.x, y: fit.y }, radius: fit.radius, fit: scores };
+        }
+    }
+
+    const bounds = getBounds(path);
+    const center = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+    const radius = Math.max(...path.map(point => Math.hypot(point.x - center.x, point.y - center.y)));
+
+    console.log(`🔣 Recognized ${match.name} (${match.score.toFixed(2)})`);
+    return { symbol: match.name, score: match.score, center, radius };
+}
+
+/**
+ * Built-in templates and every example of this space's custom symbols
+ */
+function getTemplates() {
+    if (!symbolState.builtInTemplates) {
+        symbolState.builtInTemplates = [];
+        Object.keys(BUILT_IN_SYMBOLS).forEach(id => {
+            const symbol = BUILT_IN_SYMBOLS[id];
+            [symbol.outline, ...(symbol.variants || [])].forEach(outline => {
+                symbolState.builtInTemplates.push({ name: id, points: normalizeStroke(outline()) });
+            });
+        });
+    }
+
+    const custom = [];
+    Object.values(getCustomSymbols()).forEach(symbol => {
+        symbol.examples.forEach(points => custom.push({ name: symbol.id, points }));
+    });
+
+    return [...symbolState.builtInTemplates, ...custom];
+}
+
+// ============================================================================
+// CUSTOM SYMBOLS
+// ============================================================================
+
+/**
+ * Teach a symbol by one drawn example ({ x, y } points). The first example
+ * of a new name creates the symbol and gives it its outline; examples for a
+ * built-in name teach another way to draw it. Returns the symbol.
+ */
+export function addSymbolExample(name, path, { meaning = '' } = {}) {
+    const id = toSymbolId(name);
+    if (!id) {
+        throw new Error('A symbol needs a name');
+    }
+
+    const example = normalizeStroke(path);
+    if (!example) {
+        throw new Error('Draw the symbol to teach it');
+    }
+
+    const symbols = getCustomSymbols();
+    const symbol = symbols[id] || {
+        id,
+        label: BUILT_IN_SYMBOLS[id] ? BUILT_IN_SYMBOLS[id].label : String(name).trim().slice(0, SYMBOL_CONFIG.maxNameLength),
+        meaning: String(meaning).trim().slice(0, SYMBOL_CONFIG.maxMeaningLength),
+        outline: fitOutline(normalizeStroke(path, SYMBOL_CONFIG.outlinePoints)),
+        closed: isClosedStroke(path),
+        examples: [],
+        createdAt: new Date().toISOString()
+    };
+
+    if (symbol.examples.length >= SYMBOL_CONFIG.maxExamples) {
+        throw new Error(`${symbol.label} already has ${SYMBOL_CONFIG.maxExamples} examples`);
+    }
+
+    symbol.examples.push(example);
+    symbols[id] = symbol;
+    saveCustomSymbols();
+
+    console.log(`✍️ Example ${symbol.examples.length} saved for ${id}`);
+    return getSymbol(id);
+}
+
+/**
+ * Forget a custom symbol (or the examples taught for a built-in one).
+ * Circles already drawn keep their symbol.
+ */
+export function removeCustomSymbol(symbolId) {
+    const symbols = getCustomSymbols();
+    if (!symbols[symbolId]) return false;
+
+    delete symbols[symbolId];
+    saveCustomSymbols();
+    console.log(`🗑️ Custom symbol removed: ${symbolId}`);
+    return true;
+}
+
+/**
+ * This space's custom symbols, loaded on first use
+ */
+function getCustomSymbols() {
+    const space = getSpaceStorageSuffix();
+    if (symbolState.custom && symbolState.customSpace === space) {
+        return symbolState.custom;
+    }
+
+    symbolState.custom = {};
+    symbolState.customSpace = space;
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(SYMBOL_CONFIG.storageKey + space) || '{}');
+        Object.values(stored).forEach(symbol => {
+            if (symbol && validateSymbol(symbol.id).length === 0 && Array.isArray(symbol.examples) && Array.isArray(symbol.outline)) {
+                symbolState.custom[symbol.id] = symbol;
+            }
+        });
+    } catch (error) {
+        console.warn('⚠️ Could not read custom symbols:', error.message);
+    }
+
+    return symbolState.custom;
+}
+
+function saveCustomSymbols() {
+    try {
+        localStorage.setItem(SYMBOL_CONFIG.storageKey + symbolState.customSpace, JSON.stringify(symbolState.custom));
+    } catch (error) {
+        console.warn('⚠️ Could not save custom symbols:', error.message);
+    }
+}
+
+// ============================================================================
+// OUTLINES
+// ============================================================================
+
+/**
+ * Center an outline on its bounding box and scale it into a unit circle
+ */
+function fitOutline(points) {
+    const bounds = getBounds(points);
+    const cx = (bounds.minX + bounds.maxX) / 2;
+    const cy = (bounds.minY + bounds.maxY) / 2;
+    const size = Math.max(...points.map(point => Math.hypot(point.x - cx, point.y - cy))) || 1;
+
+    return points.map(point => ({
+        x: parseFloat(((point.x - cx) / size).toFixed(3)),
+        y: parseFloat(((point.y - cy) / size).toFixed(3))
+    }));
+}
+
+function isClosedStroke(path) {
+    const bounds = getBounds(path);
+    const size = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) || 1;
+    const first = path[0];
+    const last = path[path.length - 1];
+    return Math.hypot(last.x - first.x, last.y - first.y) / size <= SYMBOL_CONFIG.closedGap;
+}
+
+function getBounds(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(point => {
+        minX = Math.min(minX, point.x);
+        maxX = Math.max(maxX, point.x);
+        minY = Math.min(minY, point.y);
+        maxY = Math.max(maxY, point.y);
+    });
+    return { minX, minY, maxX, maxY };
+}
+
+function arcPoints(cx, cy, radius, from, to, count) {
+    const points = [];
+    for (let i = 0; i <= count; i++) {
+        const angle = from + (to - from) * (i / count);
+        points.push({ x: cx + Math.cos(angle) * radius, y: cy + Math.sin(angle) * radius });
+    }
+    return points;
+}
+
+/**
+ * Two and a half turns outward; direction -1 turns the other way
+ */
+function spiralPoints(direction) {
+    const points = [];
+    const turns = 2.5;
+    for (let i = 0; i <= 80; i++) {
+        const t = i / 80;
+        const angle = direction * t * turns * Math.PI * 2;
+        const radius = 0.1 + 0.9 * t;
+        points.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+    }
+    return points;
+}
+
+function polygonPoints(corners, perSide) {
+    const points = [];
+    corners.forEach((corner, index) => {
+        const next = corners[(index + 1) % corners.length];
+        for (let i = 0; i < perSide; i++) {
+            const t = i / perSide;
+            points.push({ x: corner.x + (next.x - corner.x) * t, y: corner.y + (next.y - corner.y) * t });
+        }
+    });
+    points.push({ ...corners[0] });
+    return points;
+}
+
+/**
+ * Outer arc of the moon and the inner arc of the shadow, horns pointing
+ * right (side 1) or left (side -1)
+ */
+function crescentPoints(side) {
+    const horn = Math.PI * 40 / 180;
+    const outer = arcPoints(0, 0, 1, horn, Math.PI * 2 - horn, 48);
+
+    // The shadow's circle passes through both horns
+    const shadowX = 0.5;
+    const hornX = Math.cos(horn);
+    const hornY = Math.sin(horn);
+    const shadowRadius = Math.hypot(hornX - shadowX, hornY);
+    const shadowAngle = Math.atan2(hornY, hornX - shadowX);
+    const inner = arcPoints(shadowX, 0, shadowRadius, Math.PI * 2 - shadowAngle, shadowAngle, 32);
+
+    return [...outer, ...inner.slice(1)].map(point => ({ x: point.x * side, y: point.y }));
+}
+
+/**
+ * The classic heart curve, point at the bottom of the screen
+ */
+function heartPoints() {
+    const points = [];
+    for (let i = 0; i <= 64; i++) {
+        const t = (i / 64) * Math.PI * 2;
+        points.push({
+            x: 16 * Math.pow(Math.sin(t), 3),
+            y: -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t))
+        });
+    }
+    return points;
+}
@@ -0,0 +1,316 @@
+// js/sync.js - Real-time Circle Sync Channel
+import { updateStatus } from './scene.js';
+import { withSpaceParam } from './spaces.js';
+
+// ============================================================================
+// SYNC CONFIGURATION
+// ============================================================================
+
+const SYNC_CONFIG = {
+    defaultPort: 8787,
+    path: '/sync',
+    reconnectDelay: 2000,       // First retry after 2 seconds
+    maxReconnectDelay: 30000,   // Back off to at most 30 seconds
+    maxReconnectAttempts: 10,
+    maxPendingMessages: 500     // Oldest queued messages are dropped past this
+};
+
+// ============================================================================
+// SYNC STATE
+// ============================================================================
+
+let syncState = {
+    socket: null,
+    url: null,
+    userId: null,
+    clientId: null,
+    isConnected: false,
+    onlineUsers: [],
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    pendingMessages: [],
+    handlers: {}
+};
+
+// ============================================================================
+// CONNECTION
+// ============================================================================
+
+/**
+ * Work out which sync server to use.
+ * `?sync=off` disables syncing, `?sync=ws://host:port/sync` picks a server,
+ * otherwise the local server on the default port is used.
+ * The URL carries the current space so only its circles are shared.
+ */
+export function resolveSyncUrl() {
+    const param = new URLSearchParams(window.location.search).get('sync');
+
+    if (param === 'off' || param === 'false') {
+        return null;
+    }
+    if (param) {
+        return withSpaceParam(param);
+    }
+
+    // Page served by the sync server itself - talk back to the same origin
+    if (window.location.protocol.startsWith('http') && window.location.port === String(SYNC_CONFIG.defaultPort)) {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return withSpaceParam(`${protocol}//${window.location.host}${SYNC_CONFIG.path}`);
+    }
+
+    return withSpaceParam(`ws://localhost:${SYNC_CONFIG.defaultPort}${SYNC_CONFIG.path}`);
+}
+
+/**
+ * Open the sync channel.
+ * Handlers: onWelcome(message), onCircleAdded(circle), onCircleUpdated(circle),
+ * onCircleDeleted({ id, tombstone }), onBondAdded(bond), onBondDeleted(bondId),
+ * onProfileUpdated(profile), onResync(message), onPresence(users), onStatusChange(isConnected)
+ */
+export function connectSync(url, userId, handlers = {}) {
+    if (typeof WebSocket === 'undefined') {
+        console.warn('⚠️ WebSocket not supported - circle sync disabled');
+        return false;
+    }
+
+    disconnectSync();
+
+    syncState.url = url;
+    syncState.userId = userId;
+    syncState.handlers = handlers;
+    syncState.reconnectAttempts = 0;
+
+    openSocket();
+    return true;
+}
+
+/**
+ * Create the WebSocket and wire its events
+ */
+function openSocket() {
+    let socket;
+    try {
+        socket = new WebSocket(syncState.url);
+    } catch (error) {
+        console.warn('⚠️ Could not open sync channel:', error.message);
+        scheduleReconnect();
+        return;
+    }
+
+    syncState.socket = socket;
+
+    socket.addEventListener('open', () => {
+        syncState.isConnected = true;
+        syncState.reconnectAttempts = 0;
+
+        sendRaw({ type: 'hello', userId: syncState.userId });
+
+        // Flush anything queued while offline
+        const pending = syncState.pendingMessages;
+        syncState.pendingMessages = [];
+        pending.forEach(message => sendRaw(message));
+
+        console.log('🌐 Sync channel connected:', syncState.url);
+        notify('onStatusChange', true);
+    });
+
+    socket.addEventListener('message', (event) => {
+        handleSyncMessage(event.data);
+    });
+
+    socket.addEventListener('close', () => {
+        // Ignore sockets replaced by a newer connectSync()
+        if (syncState.socket !== socket) return;
+
+        const wasConnected = syncState.isConnected;
+        syncState.isConnected = false;
+        syncState.socket = null;
+
+        if (wasConnected) {
+            console.warn('⚠️ Sync channel closed');
+            updateStatus('⚠️ Lost connection to sync server - retrying...');
+            notify('onStatusChange', false);
+        }
+
+        scheduleReconnect();
+    });
+
+    socket.addEventListener('error', () => {
+        // 'close' follows every 'error', reconnecting happens there
+        if (!syncState.isConnected) {
+            console.warn('⚠️ Sync server not reachable at', syncState.url);
+        }
+    });
+}
+
+/**
+ * Retry with exponential backoff
+ */
+function scheduleReconnect() {
+    if (!syncState.url || syncState.reconnectTimer) return;
+
+    if (syncState.reconnectAttempts >= SYNC_CONFIG.maxReconnectAttempts) {
+        console.warn('⚠️ Giving up on sync server after', syncState.reconnectAttempts, 'attempts');
+        syncState.pendingMessages = [];
+        return;
+    }
+
+    const delay = Math.min(
+        SYNC_CONFIG.reconnectDelay * Math.pow(2, syncState.reconnectAttempts),
+        SYNC_CONFIG.maxReconnectDelay
+    );
+    syncState.reconnectAttempts++;
+
+    syncState.reconnectTimer = setTimeout(() => {
+        syncState.reconnectTimer = null;
+        openSocket();
+    }, delay);
+}
+
+/**
+ * Close the sync channel and stop reconnecting
+ */
+export function disconnectSync() {
+    if (syncState.reconnectTimer) {
+        clearTimeout(syncState.reconnectTimer);
+        syncState.reconnectTimer = null;
+    }
+
+    const socket = syncState.socket;
+    syncState.url = null;
+    syncState.socket = null;
+    syncState.isConnected = false;
+    syncState.pendingMessages = [];
+
+    if (socket) {
+        socket.close();
+    }
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Handle a message from the sync server
+ */
+function handleSyncMessage(data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid sync message');
+        return;
+    }
+
+    switch (message.type) {
+        case 'welcome':
+            syncState.clientId = message.clientId;
+            notify('onWelcome', message);
+            break;
+
+        case 'circle:add':
+            notify('onCircleAdded', message.circle);
+            break;
+
+        case 'circle:update':
+            notify('onCircleUpdated', message.circle);
+            break;
+
+        case 'circle:delete':
+            notify('onCircleDeleted', { id: message.id, tombstone: message.tombstone });
+            break;
+
+        case 'bond:add':
+            notify('onBondAdded', message.bond);
+            break;
+
+        case 'bond:delete':
+            notify('onBondDeleted', message.id);
+            break;
+
+        case 'profile:update':
+            notify('onProfileUpdated', message.profile);
+            break;
+
+        case 'resync':
+            notify('onResync', message);
+            break;
+
+        case 'presence':
+            syncState.onlineUsers = message.users || [];
+            notify('onPresence', syncState.onlineUsers);
+            break;
+
+        default:
+            console.warn('⚠️ Unknown sync message:', message.type);
+    }
+}
+
+/**
+ * Send a message now, or queue it while the channel is (re)connecting.
+ * Nothing is queued once reconnecting has given up.
+ */
+export function sendSyncMessage(type, payload = {}) {
+    const message = { type, ...payload };
+
+    if (syncState.isConnected) {
+        sendRaw(message);
+    } else if (syncState.url && (syncState.socket || syncState.reconnectTimer)) {
+        syncState.pendingMessages.push(message);
+        if (syncState.pendingMessages.length > SYNC_CONFIG.maxPendingMessages) {
+            syncState.pendingMessages.shift();
+        }
+    }
+}
+
+/**
+ * Tell the server who is drawing on this client
+ */
+export function setSyncUser(userId) {
+    syncState.userId = userId;
+    if (syncState.isConnected) {
+        sendRaw({ type: 'user', userId });
+    }
+}
+
+/**
+ * Write a message to the open socket
+ */
+function sendRaw(message) {
+    if (syncState.socket && syncState.socket.readyState === WebSocket.OPEN) {
+        syncState.socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Call a handler if one was registered
+ */
+function notify(handlerName, payload) {
+    const handler = syncState.handlers[handlerName];
+    if (typeof handler === 'function') {
+        try {
+            handler(payload);
+        } catch (error) {
+            console.error(`Error in sync handler ${handlerName}:`, error);
+        }
+    }
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * Get sync channel status
+ */
+export function getSyncStatus() {
+    return {
+        enabled: !!syncState.url,
+        isConnected: syncState.isConnected,
+        url: syncState.url,
+        clientId: syncState.clientId,
+        onlineUsers: [...syncState.onlineUsers],
+        pendingMessages: syncState.pendingMessages.length
+    };
+}
@@ -0,0 +1,410 @@
+// js/validation.js - Import Validation for Circle Data
+import { migrateData } from './migrations.js';
+import { BOND_TYPES, createSpatialIndex } from './spatial.js';
+import { isValidTombstone } from './merge.js';
+import { validateIntention } from './intentions.js';
+import { validateSymbol } from './symbols.js';
+
+// ============================================================================
+// VALIDATION CONFIGURATION
+// ============================================================================
+
+const VALIDATION_CONFIG = {
+    duplicateTolerance: 0.1, // Same user, x/z/radius all within this → duplicate
+    maxCoordinate: 1000,     // |x| and |z| beyond this are almost certainly bad data
+    maxRadius: 100,
+    maxUserIdLength: 64,
+    progressEvery: 1000      // Report progress every this many circles
+};
+
+// ============================================================================
+// IMPORT REPORT
+// ============================================================================
+
+/**
+ * Validate an uploaded file against the simple `{circles:[...]}` format or
+ * the full internal `{users:{...}}` format.
+ *
+ * Returns a report:
+ *   format      - 'simple' | 'internal' | 'unknown'
+ *   fileErrors  - problems with the file as a whole (nothing can be imported)
+ *   accepted    - [{ path, userId, record }]
+ *   rejected    - [{ path, userId, record, reasons: [...] }]
+ *   duplicates  - [{ path, userId, record, scope: 'file' | 'existing', reason }]
+ *   bonds       - { accepted: [bond], rejected: [{ path, record, reasons }] }
+ *   tombstones  - well-formed deletion records, applied when merging
+ *
+ * `existingCircles` are the circles already loaded, used to flag duplicates.
+ * `onProgress(stage, done, total)` hears about long files as they are checked.
+ */
+export function validateImportData(json, existingCircles = [], { onProgress = null } = {}) {
+    const report = {
+        format: 'unknown',
+        fileErrors: [],
+        accepted: [],
+        rejected: [],
+        duplicates: [],
+        bonds: { accepted: [], rejected: [] },
+        tombstones: [],
+        total: 0,
+        data: null
+    };
+
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        report.fileErrors.push('File must contain a JSON object');
+        return report;
+    }
+
+    let entries;
+
+    if (json.users !== undefined) {
+        report.format = 'internal';
+
+        if (!json.users || typeof json.users !== 'object' || Array.isArray(json.users)) {
+            report.fileErrors.push('"users" must be an object keyed by user ID');
+            return report;
+        }
+
+        // A user that is not an object has nothing to import
+        const users = {};
+        Object.keys(json.users).forEach(userId => {
+            const user = json.users[userId];
+            if (!user || typeof user !== 'object' || Array.isArray(user)) {
+                report.fileErrors.push(`users.${userId} must be an object`);
+                return;
+            }
+            users[userId] = user;
+        });
+
+        try {
+            report.data = migrateData({ ...json, users });
+        } catch (error) {
+            report.fileErrors.push(error.message);
+            return report;
+        }
+
+        entries = [];
+        Object.keys(report.data.users).forEach(userId => {
+            const circles = report.data.users[userId].circles;
+            if (!Array.isArray(circles)) {
+                report.fileErrors.push(`users.${userId}.circles must be an array`);
+                return;
+            }
+            circles.forEach((record, index) => {
+                entries.push({ path: `users.${userId}.circles[${index}]`, userId, record });
+            });
+        });
+
+    } else if (json.circles !== undefined) {
+        report.format = 'simple';
+        report.data = json;
+
+        if (!Array.isArray(json.circles)) {
+            report.fileErrors.push('"circles" must be an array');
+            return report;
+        }
+
+        entries = json.circles.map((record, index) => ({
+            path: `circles[${index}]`,
+            userId: record && typeof record === 'object' ? record.user : undefined,
+            record
+        }));
+
+    } else {
+        report.fileErrors.push('Expected a "circles" array or a "users" object');
+        return report;
+    }
+
+    if (report.fileErrors.length > 0) {
+        return report;
+    }
+
+    report.total = entries.length;
+    if (entries.length === 0) {
+        report.fileErrors.push('File contains no circles');
+        return report;
+    }
+
+    // Duplicate checks only look at nearby circles, so large files stay fast
+    const existingIndex = createSpatialIndex();
+    const existingById = new Map();
+    existingCircles.forEach(circle => {
+        const entry = { userId: circle.userId, record: circle };
+        existingIndex.insert(toIndexItem(circle.id, entry));
+        existingById.set(circle.id, entry);
+    });
+
+    const acceptedIndex = createSpatialIndex();
+    const acceptedById = new Map();
+
+    entries.forEach((entry, index) => {
+        if (onProgress && index % VALIDATION_CONFIG.progressEvery === 0) {
+            onProgress('Checking circles', index, entries.length);
+        }
+
+        const reasons = validateCircleRecord(entry.record, entry.userId, report.format);
+        if (reasons.length > 0) {
+            report.rejected.push({ ...entry, reasons });
+            return;
+        }
+
+        const fileDuplicate = findDuplicate(entry, acceptedIndex, acceptedById);
+        if (fileDuplicate) {
+            report.duplicates.push({ ...entry, scope: 'file', reason: `${fileDuplicate.reason} at ${fileDuplicate.match.path}` });
+            return;
+        }
+
+        const existingDuplicate = findDuplicate(entry, existingIndex, existingById);
+        if (existingDuplicate) {
+            report.duplicates.push({ ...entry, scope: 'existing', reason: `${existingDuplicate.reason} in current data` });
+        }
+
+        // Existing-data duplicates are still importable when replacing everything
+        acceptedIndex.insert(toIndexItem(entry.path, entry));
+        if (entry.record.id) {
+            acceptedById.set(entry.record.id, entry);
+        }
+        if (!existingDuplicate) {
+            report.accepted.push(entry);
+        }
+    });
+
+    validateBonds(report);
+
+    if (Array.isArray(report.data.tombstones)) {
+        report.tombstones = report.data.tombstones.filter(isValidTombstone);
+    }
+
+    return report;
+}
+
+/**
+ * Check one circle record, returning every problem found
+ */
+export function validateCircleRecord(record, userId, format = 'simple') {
+    const reasons = [];
+    const userField = format === 'internal' ? 'userId' : 'user';
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return ['Record is not an object'];
+    }
+
+    if (typeof userId !== 'string' || userId.trim() === '') {
+        reasons.push(`Missing "${userField}"`);
+    } else if (userId.length > VALIDATION_CONFIG.maxUserIdLength) {
+        reasons.push(`"${userField}" longer than ${VALIDATION_CONFIG.maxUserIdLength} characters`);
+    }
+
+    ['x', 'z'].forEach(axis => {
+        const value = record[axis];
+        if (value === undefined || value === null) {
+            reasons.push(`Missing "${axis}"`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+            reasons.push(`"${axis}" is not a finite number (${JSON.stringify(value)})`);
+        } else if (Math.abs(value) > VALIDATION_CONFIG.maxCoordinate) {
+            reasons.push(`"${axis}" outside ±${VALIDATION_CONFIG.maxCoordinate}`);
+        }
+    });
+
+    const radius = record.radius;
+    if (radius === undefined || radius === null) {
+        reasons.push('Missing "radius"');
+    } else if (typeof radius !== 'number' || !Number.isFinite(radius)) {
+        reasons.push(`"radius" is not a finite number (${JSON.stringify(radius)})`);
+    } else if (radius <= 0) {
+        reasons.push('"radius" must be greater than 0');
+    } else if (radius > VALIDATION_CONFIG.maxRadius) {
+        reasons.push(`"radius" larger than ${VALIDATION_CONFIG.maxRadius}`);
+    }
+
+    if (record.id !== undefined && (typeof record.id !== 'string' || record.id.trim() === '')) {
+        reasons.push('"id" must be a non-empty string');
+    }
+
+    if (record.timestamp !== undefined && Number.isNaN(Date.parse(record.timestamp))) {
+        reasons.push(`"timestamp" is not a valid date (${JSON.stringify(record.timestamp)})`);
+    }
+
+    if (record.rev !== undefined && !(Number.isInteger(record.rev) && record.rev > 0)) {
+        reasons.push(`"rev" must be a positive integer (${JSON.stringify(record.rev)})`);
+    }
+
+    if (record.updatedAt !== undefined && Number.isNaN(Date.parse(record.updatedAt))) {
+        reasons.push(`"updatedAt" is not a valid date (${JSON.stringify(record.updatedAt)})`);
+    }
+
+    if (record.intention !== undefined) {
+        reasons.push(...validateIntention(record.intention));
+    }
+
+    if (record.symbol !== undefined) {
+        reasons.push(...validateSymbol(record.symbol));
+    }
+
+    if (record.quality !== undefined && !(typeof record.quality === 'number' && record.quality >= 0 && record.quality <= 1)) {
+        reasons.push(`"quality" must be a number from 0 to 1 (${JSON.stringify(record.quality)})`);
+    }
+
+    if (record.archivedAt !== undefined && Number.isNaN(Date.parse(record.archivedAt))) {
+        reasons.push(`"archivedAt" is not a valid date (${JSON.stringify(record.archivedAt)})`);
+    }
+
+    return reasons;
+}
+
+/**
+ * Check the file's bonds. A bond is kept only if both of its circles are
+ * importable; bonds of rejected circles are reported as rejected.
+ */
+function validateBonds(report) {
+    const bonds = report.data.bonds;
+    if (bonds === undefined) return;
+
+    if (!Array.isArray(bonds)) {
+        report.bonds.rejected.push({ path: 'bonds', record: bonds, reasons: ['"bonds" must be an array'] });
+        return;
+    }
+
+    const importableIds = new Set();
+    [...report.accepted, ...report.duplicates.filter(duplicate => duplicate.scope === 'existing')]
+        .forEach(entry => {
+            if (entry.record.id) importableIds.add(entry.record.id);
+        });
+
+    bonds.forEach((record, index) => {
+        const reasons = validateBondRecord(record);
+        if (reasons.length === 0) {
+            record.circles
+                .filter(circleId => !importableIds.has(circleId))
+                .forEach(circleId => reasons.push(`Circle "${circleId}" is not imported`));
+        }
+
+        if (reasons.length > 0) {
+            report.bonds.rejected.push({ path: `bonds[${index}]`, record, reasons });
+        } else {
+            report.bonds.accepted.push(record);
+        }
+    });
+}
+
+/**
+ * Check one bond record, returning every problem found
+ */
+export function validateBondRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return ['Record is not an object'];
+    }
+
+    const reasons = [];
+
+    if (typeof record.id !== 'string' || record.id.trim() === '') {
+        reasons.push('"id" must be a non-empty string');
+    }
+
+    if (record.type !== undefined && !Object.values(BOND_TYPES).includes(record.type)) {
+        reasons.push(`"type" must be one of ${Object.values(BOND_TYPES).join(', ')}`);
+    }
+
+    ['users', 'circles'].forEach(field => {
+        const value = record[field];
+        if (!Array.isArray(value) || value.length !== 2 || value.some(item => typeof item !== 'string' || item === '')) {
+            reasons.push(`"${field}" must list two IDs`);
+        }
+    });
+
+    const pointsValid = Array.isArray(record.points) && record.points.length > 0 &&
+        record.points.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.z));
+    if (!pointsValid) {
+        reasons.push('"points" must be a list of { x, z } numbers');
+    }
+
+    if (Number.isNaN(Date.parse(record.timestamp))) {
+        reasons.push(`"timestamp" is not a valid date (${JSON.stringify(record.timestamp)})`);
+    }
+
+    return reasons;
+}
+
+/**
+ * Spatial index item pointing back at a validated entry
+ */
+function toIndexItem(id, entry) {
+    return { id, x: entry.record.x, z: entry.record.z, radius: entry.record.radius, entry };
+}
+
+/**
+ * Find the candidate an entry duplicates, returning { match, reason } or null
+ */
+function findDuplicate(entry, candidateIndex, candidatesById) {
+    const record = entry.record;
+
+    if (record.id && candidatesById.has(record.id)) {
+        return { match: candidatesById.get(record.id), reason: `Same id "${record.id}"` };
+    }
+
+    const tolerance = VALIDATION_CONFIG.duplicateTolerance;
+    const nearby = candidateIndex.query(record.x, record.z, tolerance).map(item => item.entry);
+    const match = nearby.find(candidate =>
+        candidate.userId === entry.userId &&
+        Math.abs(candidate.record.x - record.x) < tolerance &&
+        Math.abs(candidate.record.z - record.z) < tolerance &&
+        Math.abs(candidate.record.radius - record.radius) < tolerance
+    );
+
+    if (!match) return null;
+
+    return {
+        match,
+        reason: `Same user, position and radius (±${tolerance}) as ${match.record.id || 'circle'}`
+    };
+}
+
+// ============================================================================
+// ACCEPTED DATA
+// ============================================================================
+
+/**
+ * Build a dataset containing only the importable records, in the same format
+ * as the uploaded file. When replacing, circles that duplicate the current
+ * data are kept because the current data is about to be discarded.
+ */
+export function getAcceptedData(report, { includeExistingDuplicates = false } = {}) {
+    const entries = [...report.accepted];
+    if (includeExistingDuplicates) {
+        entries.push(...report.duplicates.filter(duplicate => duplicate.scope === 'existing'));
+    }
+
+    const bonds = report.bonds.accepted;
+    const tombstones = report.tombstones;
+
+    if (report.format === 'simple') {
+        return {
+            ...report.data,
+            circles: entries.map(entry => entry.record),
+            bonds,
+            tombstones
+        };
+    }
+
+    const users = {};
+    entries.forEach(entry => {
+        if (!users[entry.userId]) {
+            const { circles, ...userRecord } = report.data.users[entry.userId];
+            users[entry.userId] = { ...userRecord, circles: [] };
+        }
+        users[entry.userId].circles.push(entry.record);
+    });
+
+    return { ...report.data, users, bonds, tombstones };
+}
+
+/**
+ * One-line summary for logs and the status bar
+ */
+export function summarizeReport(report) {
+    if (report.fileErrors.length > 0) {
+        return `Invalid file: ${report.fileErrors.join('; ')}`;
+    }
+    return `${report.accepted.length} accepted, ${report.rejected.length} rejected, ${report.duplicates.length} duplicates` +
+        `, ${report.bonds.accepted.length}/${report.bonds.accepted.length + report.bonds.rejected.length} bonds`;
+}
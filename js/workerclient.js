@@ -0,0 +1,164 @@
+// js/workerclient.js - Background Data Worker Client
+//
+// The data manager hands heavy work (see datatasks.js) to js/dataworker.js
+// and talks to it with messages:
+//   → { id, type, payload }
+//   ← { id, kind: 'progress', progress: { stage, done, total } }
+//   ← { id, kind: 'done', result }
+//   ← { id, kind: 'error', error: { name, message } }
+// Payloads and results are copied between threads, so results are new
+// objects. Without module workers (or when the worker fails to start) the
+// same tasks run on the main thread.
+
+import { performDataTask } from './datatasks.js';
+
+// ============================================================================
+// WORKER CONFIGURATION
+// ============================================================================
+
+const WORKER_CLIENT_CONFIG = {
+    url: new URL('./dataworker.js', import.meta.url)
+};
+
+// ============================================================================
+// WORKER STATE
+// ============================================================================
+
+let workerState = {
+    worker: null,
+    unavailable: false, // No module workers here, or the worker failed
+    nextId: 1,
+    pending: new Map()  // id → { type, payload, resolve, reject, onProgress }
+};
+
+// ============================================================================
+// TASKS
+// ============================================================================
+
+/**
+ * Run a data task in the background worker. Resolves to its result;
+ * `onProgress({ stage, done, total })` hears how far it got.
+ */
+export function runDataTask(type, payload, { onProgress = null } = {}) {
+    const worker = getWorker();
+    if (!worker) {
+        return runOnMainThread(type, payload, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = workerState.nextId++;
+        workerState.pending.set(id, { type, payload, resolve, reject, onProgress });
+
+        try {
+            worker.postMessage({ id, type, payload });
+        } catch (error) {
+            // Data that cannot be copied to the worker
+            workerState.pending.delete(id);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Stop the worker; tasks still running are rejected
+ */
+export function terminateDataWorker() {
+    if (!workerState.worker) return;
+
+    workerState.worker.terminate();
+    workerState.worker = null;
+
+    workerState.pending.forEach(task => task.reject(new Error('Data worker stopped')));
+    workerState.pending.clear();
+}
+
+/**
+ * Worker status for debugging
+ */
+export function getDataWorkerStatus() {
+    return {
+        mode: workerState.unavailable ? 'main thread' : workerState.worker ? 'worker' : 'not started',
+        pending: workerState.pending.size
+    };
+}
+
+function runOnMainThread(type, payload, onProgress) {
+    return new Promise(resolve => {
+        const report = (stage, done, total) => {
+            if (onProgress) onProgress({ stage, done, total });
+        };
+        resolve(performDataTask(type, payload, report));
+    });
+}
+
+// ============================================================================
+// WORKER
+// ============================================================================
+
+/**
+ * The worker, started on first use; null when tasks run on the main thread
+ */
+function getWorker() {
+    if (workerState.worker || workerState.unavailable) {
+        return workerState.worker;
+    }
+
+    if (typeof Worker === 'undefined') {
+        workerState.unavailable = true;
+        console.warn('⚠️ Web Workers not supported - data tasks run on the main thread');
+        return null;
+    }
+
+    try {
+        const worker = new Worker(WORKER_CLIENT_CONFIG.url, { type: 'module' });
+        worker.addEventListener('message', handleWorkerMessage);
+        worker.addEventListener('error', handleWorkerError);
+        workerState.worker = worker;
+        console.log('🧵 Data worker started');
+    } catch (error) {
+        workerState.unavailable = true;
+        console.warn('⚠️ Could not start the data worker - data tasks run on the main thread:', error.message);
+    }
+
+    return workerState.worker;
+}
+
+function handleWorkerMessage(event) {
+    const { id, kind } = event.data;
+    const task = workerState.pending.get(id);
+    if (!task) return;
+
+    if (kind === 'progress') {
+        if (task.onProgress) task.onProgress(event.data.progress);
+        return;
+    }
+
+    workerState.pending.delete(id);
+
+    if (kind === 'done') {
+        task.resolve(event.data.result);
+    } else {
+        const error = new Error(event.data.error.message);
+        error.name = event.data.error.name;
+        task.reject(error);
+    }
+}
+
+/**
+ * The worker could not load (e.g. no module worker support) or crashed:
+ * finish its tasks on the main thread and keep using the main thread
+ */
+function handleWorkerError(event) {
+    event.preventDefault();
+    console.warn('⚠️ Data worker failed - data tasks run on the main thread:', event.message || 'worker error');
+
+    workerState.worker.terminate();
+    workerState.worker = null;
+    workerState.unavailable = true;
+
+    const tasks = [...workerState.pending.values()];
+    workerState.pending.clear();
+    tasks.forEach(task => {
+        runOnMainThread(task.type, task.payload, task.onProgress).then(task.resolve, task.reject);
+    });
+}
@@ -0,0 +1,1085 @@
+// server/circle-server.mjs - Local Circle Server
+//
+// Serves the app, stores circles and bonds (intersection stars) in
+// server/data/circle_data.json through a small REST API and relays new,
+// edited and deleted circles and bonds between every connected browser over a
+// WebSocket channel. Uses only Node built-ins, so no install step is needed:
+//
+//     node server/circle-server.mjs            # http://localhost:8787
+//     PORT=9000 node server/circle-server.mjs
+//     DATA_FILE=/tmp/circles.json node server/circle-server.mjs
+//     SPACES_DIR=/tmp/spaces node server/circle-server.mjs
+//
+// Every request and sync connection may name a space with `?space=<id>`
+// (lowercase letters, digits and dashes). The default space lives in DATA_FILE,
+// every other space in its own `<SPACES_DIR>/<id>.json` (default: a `spaces`
+// folder next to DATA_FILE), created on first write. Spaces never see each
+// other's circles, bonds or presence. server/data/ is git-ignored; the bundled
+// js/circle_data.json is never written, browsers fall back to it while the
+// default space is empty.
+//
+// Open the page in two browsers (or two tabs with different User IDs) to test
+// a multi-user session on one machine.
+//
+// REST contract:
+//   GET    /api/circles        -> 200 { circles: [circle, ...], bonds: [bond, ...], tombstones: [...], profiles: [...], updatedAt }
+//   POST   /api/circles        -> 201 { circle }      body: circle (200 if the id already exists, 409 if deleted at a higher rev)
+//   PUT    /api/circles        -> 200 { circles }     body: { circles: [...], bonds: [...], tombstones: [...], profiles: [...] }
+//   PUT    /api/circles/:id    -> 200 { circle }      body: circle (404 if unknown, 409 unless its rev is higher)
+//   DELETE /api/circles/:id    -> 204 (404 if unknown)
+//   DELETE /api/circles        -> 204 (bonds and profiles too, circles and bonds leave tombstones)
+//   GET    /api/bonds          -> 200 { bonds: [bond, ...] }
+//   POST   /api/bonds          -> 201 { bond }        body: bond (200 if the id already exists)
+//   DELETE /api/bonds/:id      -> 204 (404 if unknown)
+//   GET    /api/profiles       -> 200 { profiles: [profile, ...] }
+//   PUT    /api/profiles/:userId -> 200 { profile }  body: profile (an older edit or another key returns the stored one)
+//
+// Deleting a circle also deletes the bonds that reference it. Deleted circles
+// and bonds leave tombstones ({ id, kind, deletedAt }) so exports of this data
+// merge correctly with copies made before the deletion (see js/merge.js).
+// A circle add or edit must carry a higher `rev` than the stored circle or
+// tombstone with its id; stale ones are dropped (sync) or refused with 409 (REST).
+// Profiles ({ userId, displayName, color, glyph, pronouns, publicKey, updatedAt })
+// keep whichever edit is newest, but never change a user's public key once set.
+// Circles may carry a written `intention` of at most 140 characters, the
+// `symbol` they were drawn as (see js/symbols.js) and the `quality` (0-1) of
+// a drawn circle's fit.
+// Signatures on circles, bonds and profiles are checked by the browsers; the
+// server only stores them.
+//
+// Sync messages (JSON over /sync):
+//   client -> server: hello { userId }, user { userId },
+//                     circle:add { circle }, circle:update { circle }, circle:delete { id },
+//                     bond:add { bond }, bond:delete { id }, profile:update { profile }
+//   server -> client: welcome { clientId, circles, bonds, tombstones, profiles }, presence { users },
+//                     circle:add / circle:update { circle, from }, circle:delete { id, tombstone, from },
+//                     bond:add { bond, from }, bond:delete { id, from }, profile:update { profile, from },
+//                     resync { circles, bonds, tombstones, profiles } after PUT /api/circles replaced everything
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// ============================================================================
+// SERVER CONFIGURATION
+// ============================================================================
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const SERVER_CONFIG = {
+    host: process.env.HOST || '127.0.0.1',
+    port: parseInt(process.env.PORT, 10) || 8787,
+    rootDir: ROOT_DIR,
+    dataFile: path.resolve(process.env.DATA_FILE || path.join(ROOT_DIR, 'server', 'data', 'circle_data.json')),
+    spacesDir: null, // Set below from SPACES_DIR or DATA_FILE
+    defaultSpace: 'default',
+    spaceIdPattern: /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/,
+    syncPath: '/sync',
+    apiPath: '/api/circles',
+    bondsPath: '/api/bonds',
+    profilesPath: '/api/profiles',
+    maxMessageSize: 1024 * 1024, // 1 MB per WebSocket message or request body
+    maxIntentionLength: 140,     // Characters of a circle's written intention
+    maxRadius: 100,              // Same limit as VALIDATION_CONFIG.maxRadius in js/validation.js
+    bondTypes: ['intersection', 'containment', 'tangency'], // See BOND_TYPES in js/spatial.js
+    symbolPattern: /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/, // Symbol ids, see toSymbolId in js/symbols.js
+    writeDelay: 200              // Batch file writes that happen close together
+};
+
+SERVER_CONFIG.spacesDir = path.resolve(process.env.SPACES_DIR || path.join(path.dirname(SERVER_CONFIG.dataFile), 'spaces'));
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.mp3': 'audio/mpeg',
+    '.obj': 'text/plain; charset=utf-8',
+    '.mtl': 'text/plain; charset=utf-8'
+};
+
+// ============================================================================
+// SERVER STATE
+// ============================================================================
+
+let serverState = {
+    clients: new Map(), // clientId -> { socket, userId, spaceId }
+    spaces: new Map(),  // spaceId -> space (see createSpace), loaded on first use
+    nextClientId: 1
+};
+
+// ============================================================================
+// SPACES
+// ============================================================================
+
+/**
+ * Empty state for one space
+ */
+function createSpace(spaceId) {
+    return {
+        id: spaceId,
+        dataFile: spaceId === SERVER_CONFIG.defaultSpace
+            ? SERVER_CONFIG.dataFile
+            : path.join(SERVER_CONFIG.spacesDir, `${spaceId}.json`),
+        circles: new Map(),    // circleId -> circle
+        bonds: new Map(),      // bondId -> bond
+        tombstones: new Map(), // circleId or bondId -> tombstone
+        profiles: new Map(),   // userId -> profile
+        updatedAt: null,
+        writeTimer: null
+    };
+}
+
+/**
+ * The space for an id, loading its data file the first time it is used
+ */
+function getSpace(spaceId) {
+    let space = serverState.spaces.get(spaceId);
+    if (!space) {
+        space = createSpace(spaceId);
+        serverState.spaces.set(spaceId, space);
+        loadDataFile(space);
+    }
+    return space;
+}
+
+/**
+ * Space id from a request URL's `?space=` (default space when missing),
+ * or null when the id is not allowed
+ */
+function resolveSpaceId(url) {
+    const param = url.searchParams.get('space');
+    if (!param) {
+        return SERVER_CONFIG.defaultSpace;
+    }
+    return SERVER_CONFIG.spaceIdPattern.test(param) ? param : null;
+}
+
+// ============================================================================
+// DATA FILE
+// ============================================================================
+
+/**
+ * Load a space's circles from its data file. Records without an id get the same
+ * content-derived id the browser assigns when it reads the file.
+ */
+function loadDataFile(space) {
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(space.dataFile, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️ Space ${space.id} starts with no circles (${error.code || error.message})`);
+        return;
+    }
+
+    (json.circles || []).forEach(record => {
+        const userId = record.userId || record.user;
+        if (!userId) return;
+
+        const circle = {
+            ...record,
+            id: record.id || createContentId(userId, record),
+            userId
+        };
+        delete circle.user;
+
+        if (isValidCircle(circle)) {
+            space.circles.set(circle.id, circle);
+        }
+    });
+
+    (json.bonds || []).forEach(bond => {
+        if (isValidBond(bond)) {
+            space.bonds.set(bond.id, bond);
+        }
+    });
+
+    (json.tombstones || []).forEach(tombstone => {
+        if (isValidTombstone(tombstone)) {
+            space.tombstones.set(tombstone.id, tombstone);
+        }
+    });
+
+    (json.profiles || []).forEach(profile => {
+        if (isValidProfile(profile)) {
+            space.profiles.set(profile.userId, profile);
+        }
+    });
+
+    space.updatedAt = json.updatedAt || new Date().toISOString();
+    console.log(`📁 Loaded ${space.circles.size} circles and ${space.bonds.size} bonds from ${space.dataFile}`);
+}
+
+/**
+ * Same id as createContentId() in js/merge.js (the server runs without the
+ * browser modules)
+ */
+function createContentId(userId, circle) {
+    const slug = String(userId).toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'circle';
+    const content = [userId, circle.x, circle.z, circle.radius, circle.timestamp || ''].join('|');
+
+    let first = 0x811c9dc5;
+    let second = 0x01000193;
+    for (let i = 0; i < content.length; i++) {
+        const code = content.charCodeAt(i);
+        first = Math.imul(first ^ code, 0x01000193) >>> 0;
+        second = Math.imul(second ^ code, 0x811c9dc5) >>> 0;
+    }
+    return `${slug}_${first.toString(16).padStart(8, '0')}${second.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Write a space's circles back in the simple `{ circles: [...], bonds: [...] }` format the app reads
+ */
+function scheduleDataFileWrite(space) {
+    space.updatedAt = new Date().toISOString();
+
+    if (space.writeTimer) return;
+
+    space.writeTimer = setTimeout(() => {
+        space.writeTimer = null;
+
+        const circles = Array.from(space.circles.values()).map(circle => {
+            const { userId, color, ...rest } = circle;
+            return { ...rest, user: userId };
+        });
+
+        const bonds = Array.from(space.bonds.values());
+        const tombstones = Array.from(space.tombstones.values());
+        const profiles = Array.from(space.profiles.values());
+        const json = JSON.stringify({ circles, bonds, tombstones, profiles, updatedAt: space.updatedAt }, null, 2);
+        const tempFile = `${space.dataFile}.tmp`;
+
+        // Write then rename so a crash never leaves a half-written file
+        fs.mkdir(path.dirname(space.dataFile), { recursive: true }, (mkdirError) => {
+            if (mkdirError) {
+                console.error('❌ Could not create data folder:', mkdirError.message);
+                return;
+            }
+            fs.writeFile(tempFile, json, (error) => {
+                if (error) {
+                    console.error('❌ Could not write data file:', error.message);
+                    return;
+                }
+                fs.rename(tempFile, space.dataFile, (renameError) => {
+                    if (renameError) {
+                        console.error('❌ Could not replace data file:', renameError.message);
+                    } else {
+                        console.log(`💾 Saved ${circles.length} circles, ${bonds.length} bonds (${space.id})`);
+                    }
+                });
+            });
+        });
+    }, SERVER_CONFIG.writeDelay);
+}
+
+/**
+ * Everything a space holds, as sent to clients: { circles, bonds, tombstones, profiles }
+ */
+function createSnapshot(space) {
+    return {
+        circles: Array.from(space.circles.values()),
+        bonds: Array.from(space.bonds.values()),
+        tombstones: Array.from(space.tombstones.values()),
+        profiles: Array.from(space.profiles.values())
+    };
+}
+
+/**
+ * Whether a circle from a client has a higher revision than the stored circle
+ * or tombstone with its id. A stale client must not overwrite a newer edit or
+ * bring a deleted circle back.
+ */
+function isNewerCircle(space, circle) {
+    const stored = space.circles.get(circle.id) || space.tombstones.get(circle.id);
+    return !stored || (circle.rev || 1) > (stored.rev || 1);
+}
+
+/**
+ * Store a new or edited circle and tell the space's sync clients about it
+ */
+function storeCircle(space, circle, fromClientId = null, messageType = 'circle:add') {
+    space.circles.set(circle.id, circle);
+    space.tombstones.delete(circle.id);
+    scheduleDataFileWrite(space);
+    broadcast(space.id, { type: messageType, circle, from: fromClientId }, fromClientId);
+}
+
+/**
+ * Remove a circle (and its bonds) and tell the space's sync clients about it.
+ * Clients drop the bonds themselves when they see the circle go.
+ */
+function removeCircle(space, circleId, fromClientId = null) {
+    const circle = space.circles.get(circleId);
+    if (!circle) return false;
+
+    const tombstone = {
+        id: circleId,
+        kind: 'circle',
+        userId: circle.userId,
+        rev: (circle.rev || 1) + 1,
+        deletedAt: new Date().toISOString()
+    };
+    space.circles.delete(circleId);
+    space.tombstones.set(circleId, tombstone);
+
+    space.bonds.forEach((bond, bondId) => {
+        if (bond.circles.includes(circleId)) {
+            space.bonds.delete(bondId);
+            space.tombstones.set(bondId, { id: bondId, kind: 'bond', deletedAt: new Date().toISOString() });
+        }
+    });
+
+    scheduleDataFileWrite(space);
+    broadcast(space.id, { type: 'circle:delete', id: circleId, tombstone, from: fromClientId }, fromClientId);
+    return true;
+}
+
+/**
+ * Store a bond and tell the space's sync clients about it
+ */
+function storeBond(space, bond, fromClientId = null) {
+    space.bonds.set(bond.id, bond);
+    space.tombstones.delete(bond.id);
+    scheduleDataFileWrite(space);
+    broadcast(space.id, { type: 'bond:add', bond, from: fromClientId }, fromClientId);
+}
+
+/**
+ * Remove a bond and tell the space's sync clients about it
+ */
+function removeBond(space, bondId, fromClientId = null) {
+    if (!space.bonds.delete(bondId)) return false;
+
+    space.tombstones.set(bondId, { id: bondId, kind: 'bond', deletedAt: new Date().toISOString() });
+
+    scheduleDataFileWrite(space);
+    broadcast(space.id, { type: 'bond:delete', id: bondId, from: fromClientId }, fromClientId);
+    return true;
+}
+
+/**
+ * Store a profile unless a newer edit is already stored, and tell the space's
+ * sync clients. Returns the profile that is stored afterwards.
+ */
+function storeProfile(space, profile, fromClientId = null) {
+    const current = space.profiles.get(profile.userId);
+    if (current && Date.parse(current.updatedAt) > Date.parse(profile.updatedAt)) {
+        return current;
+    }
+
+    // A user's signing key is pinned by the first profile that carries one
+    if (current && current.publicKey && !isSamePublicKey(current.publicKey, profile.publicKey)) {
+        console.warn(`⚠️ Refused profile for ${profile.userId} in ${space.id}: different signing key`);
+        return current;
+    }
+
+    space.profiles.set(profile.userId, profile);
+    scheduleDataFileWrite(space);
+    broadcast(space.id, { type: 'profile:update', profile, from: fromClientId }, fromClientId);
+    return profile;
+}
+
+// ============================================================================
+// REST API
+// ============================================================================
+
+/**
+ * Route /api/circles requests
+ */
+async function handleApiRequest(req, res, pathname, space) {
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    // handleRequest already decoded the path; decoding again would turn "%25" into a bad escape
+    const circleId = pathname.length > SERVER_CONFIG.apiPath.length
+        ? pathname.slice(SERVER_CONFIG.apiPath.length + 1)
+        : null;
+
+    try {
+        if (req.method === 'GET' && !circleId) {
+            sendJson(res, 200, { ...createSnapshot(space), updatedAt: space.updatedAt });
+            return;
+        }
+
+        if (req.method === 'POST' && !circleId) {
+            const circle = await readJsonBody(req);
+            if (!isValidCircle(circle)) {
+                sendJson(res, 400, { error: 'Invalid circle' });
+                return;
+            }
+            if (space.circles.has(circle.id)) {
+                sendJson(res, 200, { circle: space.circles.get(circle.id) });
+                return;
+            }
+            if (!isNewerCircle(space, circle)) {
+                sendJson(res, 409, { error: 'Circle was deleted at a later revision', tombstone: space.tombstones.get(circle.id) });
+                return;
+            }
+
+            storeCircle(space, circle);
+            console.log(`⭕ ${circle.userId} added ${circle.id} (REST)`);
+            sendJson(res, 201, { circle });
+            return;
+        }
+
+        if (req.method === 'PUT' && !circleId) {
+            const body = await readJsonBody(req);
+            const circles = Array.isArray(body && body.circles) ? body.circles : null;
+            const bonds = Array.isArray(body && body.bonds) ? body.bonds : [];
+            const tombstones = Array.isArray(body && body.tombstones) ? body.tombstones.filter(isValidTombstone) : [];
+            const profiles = Array.isArray(body && body.profiles) ? body.profiles.filter(isValidProfile) : [];
+            if (!circles || !circles.every(isValidCircle) || !bonds.every(isValidBond)) {
+                sendJson(res, 400, { error: 'Body must be { circles: [...], bonds: [...] } with valid records' });
+                return;
+            }
+
+            space.circles = new Map(circles.map(circle => [circle.id, circle]));
+            space.bonds = new Map(bonds.map(bond => [bond.id, bond]));
+            space.tombstones = new Map(tombstones.map(tombstone => [tombstone.id, tombstone]));
+            space.profiles = new Map(profiles.map(profile => [profile.userId, profile]));
+            scheduleDataFileWrite(space);
+
+            // Clients would otherwise merge their old circles back in
+            broadcast(space.id, { type: 'resync', ...createSnapshot(space) });
+            console.log(`📁 Replaced all circles (${circles.length}) and bonds (${bonds.length}) in ${space.id}`);
+            sendJson(res, 200, { circles });
+            return;
+        }
+
+        if (req.method === 'PUT' && circleId) {
+            const circle = await readJsonBody(req);
+            if (!isValidCircle(circle) || circle.id !== circleId) {
+                sendJson(res, 400, { error: 'Invalid circle' });
+                return;
+            }
+            if (!space.circles.has(circleId)) {
+                sendJson(res, 404, { error: 'Unknown circle' });
+                return;
+            }
+            if (!isNewerCircle(space, circle)) {
+                sendJson(res, 409, { error: 'A newer revision is stored', circle: space.circles.get(circleId) });
+                return;
+            }
+
+            storeCircle(space, circle, null, 'circle:update');
+            console.log(`✏️ ${circle.userId} edited ${circleId} (REST)`);
+            sendJson(res, 200, { circle });
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            if (circleId) {
+                if (!removeCircle(space, circleId)) {
+                    sendJson(res, 404, { error: 'Unknown circle' });
+                    return;
+                }
+                console.log(`🗑️ Deleted ${circleId}`);
+            } else {
+                // Leave tombstones so older exports do not bring the circles back
+                Array.from(space.circles.keys()).forEach(id => removeCircle(space, id));
+                Array.from(space.bonds.keys()).forEach(id => removeBond(space, id));
+                space.profiles.clear();
+                scheduleDataFileWrite(space);
+                console.log(`🗑️ Deleted all circles and bonds in ${space.id}`);
+            }
+
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        sendJson(res, 405, { error: 'Method not allowed' });
+
+    } catch (error) {
+        sendJson(res, 400, { error: error.message });
+    }
+}
+
+/**
+ * Route /api/bonds requests
+ */
+async function handleBondRequest(req, res, pathname, space) {
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const bondId = pathname.length > SERVER_CONFIG.bondsPath.length
+        ? pathname.slice(SERVER_CONFIG.bondsPath.length + 1)
+        : null;
+
+    try {
+        if (req.method === 'GET' && !bondId) {
+            sendJson(res, 200, { bonds: Array.from(space.bonds.values()) });
+            return;
+        }
+
+        if (req.method === 'POST' && !bondId) {
+            const bond = await readJsonBody(req);
+            if (!isValidBond(bond)) {
+                sendJson(res, 400, { error: 'Invalid bond' });
+                return;
+            }
+            if (space.bonds.has(bond.id)) {
+                sendJson(res, 200, { bond: space.bonds.get(bond.id) });
+                return;
+            }
+
+            storeBond(space, bond);
+            console.log(`⭐ Bond ${bond.id} between ${bond.users.join(' & ')} (REST)`);
+            sendJson(res, 201, { bond });
+            return;
+        }
+
+        if (req.method === 'DELETE' && bondId) {
+            if (!removeBond(space, bondId)) {
+                sendJson(res, 404, { error: 'Unknown bond' });
+                return;
+            }
+
+            console.log(`🗑️ Deleted bond ${bondId}`);
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        sendJson(res, 405, { error: 'Method not allowed' });
+
+    } catch (error) {
+        sendJson(res, 400, { error: error.message });
+    }
+}
+
+/**
+ * Route /api/profiles requests
+ */
+async function handleProfileRequest(req, res, pathname, space) {
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const userId = pathname.length > SERVER_CONFIG.profilesPath.length
+        ? pathname.slice(SERVER_CONFIG.profilesPath.length + 1)
+        : null;
+
+    try {
+        if (req.method === 'GET' && !userId) {
+            sendJson(res, 200, { profiles: Array.from(space.profiles.values()) });
+            return;
+        }
+
+        if (req.method === 'PUT' && userId) {
+            const profile = await readJsonBody(req);
+            if (!isValidProfile(profile) || profile.userId !== userId) {
+                sendJson(res, 400, { error: 'Invalid profile' });
+                return;
+            }
+
+            const stored = storeProfile(space, profile);
+            if (stored === profile) {
+                console.log(`🎨 ${userId} updated their profile (REST)`);
+            }
+            sendJson(res, 200, { profile: stored });
+            return;
+        }
+
+        sendJson(res, 405, { error: 'Method not allowed' });
+
+    } catch (error) {
+        sendJson(res, 400, { error: error.message });
+    }
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > SERVER_CONFIG.maxMessageSize) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Allow pages opened from another origin (e.g. file:// or another dev server)
+ */
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+// ============================================================================
+// STATIC FILES
+// ============================================================================
+
+/**
+ * Route a request to the REST API or the static files
+ */
+function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Decode once here; malformed escapes (e.g. "%E0%A4%A") are the client's fault
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(url.pathname);
+    } catch (error) {
+        if (!(error instanceof URIError)) throw error;
+        setCorsHeaders(res);
+        sendJson(res, 400, { error: 'Malformed URL encoding' });
+        return;
+    }
+    const isApi = urlPath === SERVER_CONFIG.apiPath || urlPath.startsWith(`${SERVER_CONFIG.apiPath}/`);
+    const isBonds = urlPath === SERVER_CONFIG.bondsPath || urlPath.startsWith(`${SERVER_CONFIG.bondsPath}/`);
+    const isProfiles = urlPath === SERVER_CONFIG.profilesPath || urlPath.startsWith(`${SERVER_CONFIG.profilesPath}/`);
+
+    if (isApi || isBonds || isProfiles) {
+        const spaceId = resolveSpaceId(url);
+        if (!spaceId) {
+            setCorsHeaders(res);
+            sendJson(res, 400, { error: 'Space ids use lowercase letters, digits and dashes' });
+            return;
+        }
+
+        const handler = isApi ? handleApiRequest : isBonds ? handleBondRequest : handleProfileRequest;
+        handler(req, res, urlPath, getSpace(spaceId));
+        return;
+    }
+
+    serveStaticFile(req, res, urlPath);
+}
+
+/**
+ * Serve a file from the project root
+ */
+function serveStaticFile(req, res, urlPath) {
+    const relativePath = urlPath === '/' ? 'index.html' : urlPath.replace(/^\/+/, '');
+    const filePath = path.resolve(SERVER_CONFIG.rootDir, relativePath);
+
+    // Never serve anything outside the project root
+    if (!filePath.startsWith(SERVER_CONFIG.rootDir + path.sep)) {
+        sendText(res, 403, 'Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            sendText(res, 404, 'Not found');
+            return;
+        }
+
+        const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': mimeType, 'Cache-Control': 'no-cache' });
+        res.end(content);
+    });
+}
+
+/**
+ * Send a plain text response
+ */
+function sendText(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+}
+
+// ============================================================================
+// WEBSOCKET PROTOCOL
+// ============================================================================
+
+/**
+ * Complete the WebSocket handshake for a sync client
+ */
+function handleUpgrade(req, socket) {
+    const url = new URL(req.url, 'http://localhost');
+    const spaceId = resolveSpaceId(url);
+    const key = req.headers['sec-websocket-key'];
+
+    if (url.pathname !== SERVER_CONFIG.syncPath || !key || !spaceId) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const clientId = `client_${serverState.nextClientId++}`;
+    serverState.clients.set(clientId, { socket, userId: null, spaceId });
+    console.log(`🔌 ${clientId} connected to ${spaceId} (${serverState.clients.size} online)`);
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentsLength = 0;
+
+    socket.on('data', (chunk) => {
+        // Data still arriving after the close is dropped
+        if (!serverState.clients.has(clientId)) return;
+        buffer = Buffer.concat([buffer, chunk]);
+
+        let frame;
+        while ((frame = readFrame(buffer))) {
+            buffer = buffer.subarray(frame.length);
+
+            if (frame.opcode === 0x8) {
+                closeClient(clientId);
+                return;
+            }
+            if (frame.opcode === 0x9) {
+                socket.write(encodeFrame(frame.payload, 0xA));
+                continue;
+            }
+            if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+                // A message split into many small frames counts as a whole
+                fragments.push(frame.payload);
+                fragmentsLength += frame.payload.length;
+                if (fragmentsLength > SERVER_CONFIG.maxMessageSize) {
+                    console.warn(`⚠️ ${clientId} exceeded message size limit`);
+                    closeClient(clientId, 1009);
+                    return;
+                }
+                if (frame.fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    fragmentsLength = 0;
+                    handleClientMessage(clientId, text);
+                }
+            }
+        }
+
+        if (buffer.length > SERVER_CONFIG.maxMessageSize) {
+            console.warn(`⚠️ ${clientId} exceeded message size limit`);
+            closeClient(clientId, 1009);
+        }
+    });
+
+    socket.on('close', () => closeClient(clientId));
+    socket.on('error', () => closeClient(clientId));
+}
+
+/**
+ * Read one complete frame from the buffer, or null if more data is needed
+ */
+function readFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < offset + 2) return null;
+        payloadLength = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (payloadLength === 127) {
+        if (buffer.length < offset + 8) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(offset));
+        offset += 8;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + payloadLength) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+
+    return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Encode an unmasked server frame
+ */
+function encodeFrame(payload, opcode = 0x1) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+    let header;
+
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Send a JSON message to one client
+ */
+function sendMessage(clientId, message) {
+    const client = serverState.clients.get(clientId);
+    if (!client || client.socket.destroyed) return;
+    client.socket.write(encodeFrame(JSON.stringify(message)));
+}
+
+/**
+ * Send a JSON message to every client in a space except the sender
+ */
+function broadcast(spaceId, message, exceptClientId = null) {
+    serverState.clients.forEach((client, clientId) => {
+        if (client.spaceId === spaceId && clientId !== exceptClientId) {
+            sendMessage(clientId, message);
+        }
+    });
+}
+
+/**
+ * Disconnect a client and tell the others. `code` is sent in the close frame
+ * (1009: message too big).
+ */
+function closeClient(clientId, code = null) {
+    const client = serverState.clients.get(clientId);
+    if (!client) return;
+
+    serverState.clients.delete(clientId);
+    if (!client.socket.destroyed) {
+        const payload = Buffer.alloc(code ? 2 : 0);
+        if (code) payload.writeUInt16BE(code, 0);
+        client.socket.end(encodeFrame(payload, 0x8));
+    }
+
+    console.log(`🔌 ${clientId} disconnected (${serverState.clients.size} online)`);
+    broadcastPresence(client.spaceId);
+}
+
+// ============================================================================
+// SYNC MESSAGES
+// ============================================================================
+
+/**
+ * Handle a JSON message from a client
+ */
+function handleClientMessage(clientId, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        console.warn(`⚠️ Ignoring invalid JSON from ${clientId}`);
+        return;
+    }
+
+    const client = serverState.clients.get(clientId);
+    if (!client) return;
+    const space = getSpace(client.spaceId);
+
+    switch (message.type) {
+        case 'hello': {
+            client.userId = String(message.userId || 'anonymous');
+
+            sendMessage(clientId, { type: 'welcome', clientId, ...createSnapshot(space) });
+            broadcastPresence(space.id);
+            break;
+        }
+
+        case 'user': {
+            client.userId = String(message.userId || 'anonymous');
+            broadcastPresence(space.id);
+            break;
+        }
+
+        case 'circle:add': {
+            const circle = message.circle;
+            if (!isValidCircle(circle) || space.circles.has(circle.id) || !isNewerCircle(space, circle)) return;
+
+            storeCircle(space, circle, clientId);
+            console.log(`⭕ ${circle.userId} added ${circle.id}`);
+            break;
+        }
+
+        case 'circle:update': {
+            const circle = message.circle;
+            if (!isValidCircle(circle) || !space.circles.has(circle.id) || !isNewerCircle(space, circle)) return;
+
+            storeCircle(space, circle, clientId, 'circle:update');
+            console.log(`✏️ ${circle.userId} edited ${circle.id}`);
+            break;
+        }
+
+        case 'circle:delete': {
+            if (typeof message.id !== 'string') return;
+
+            if (removeCircle(space, message.id, clientId)) {
+                console.log(`🗑️ ${message.id} deleted by client ${clientId}`);
+            }
+            break;
+        }
+
+        case 'bond:add': {
+            const bond = message.bond;
+            if (!isValidBond(bond) || space.bonds.has(bond.id)) return;
+
+            storeBond(space, bond, clientId);
+            console.log(`⭐ Bond ${bond.id} between ${bond.users.join(' & ')}`);
+            break;
+        }
+
+        case 'bond:delete': {
+            if (typeof message.id !== 'string') return;
+
+            if (removeBond(space, message.id, clientId)) {
+                console.log(`🗑️ Bond ${message.id} deleted by client ${clientId}`);
+            }
+            break;
+        }
+
+        case 'profile:update': {
+            const profile = message.profile;
+            if (!isValidProfile(profile)) return;
+
+            if (storeProfile(space, profile, clientId) === profile) {
+                console.log(`🎨 ${profile.userId} updated their profile`);
+            }
+            break;
+        }
+
+        default:
+            console.warn(`⚠️ Unknown message type from ${clientId}:`, message.type);
+    }
+}
+
+/**
+ * Minimal shape check before a circle is stored and relayed
+ */
+function isValidCircle(circle) {
+    return circle &&
+        typeof circle.id === 'string' &&
+        typeof circle.userId === 'string' &&
+        Number.isFinite(circle.x) &&
+        Number.isFinite(circle.z) &&
+        Number.isFinite(circle.radius) &&
+        circle.radius > 0 &&
+        circle.radius <= SERVER_CONFIG.maxRadius &&
+        (circle.intention === undefined ||
+            (typeof circle.intention === 'string' && circle.intention.length <= SERVER_CONFIG.maxIntentionLength)) &&
+        (circle.symbol === undefined || (typeof circle.symbol === 'string' && SERVER_CONFIG.symbolPattern.test(circle.symbol))) &&
+        (circle.quality === undefined || (Number.isFinite(circle.quality) && circle.quality >= 0 && circle.quality <= 1));
+}
+
+/**
+ * Minimal shape check for a bond record
+ */
+function isValidBond(bond) {
+    return bond &&
+        typeof bond.id === 'string' &&
+        (bond.type === undefined || SERVER_CONFIG.bondTypes.includes(bond.type)) &&
+        Array.isArray(bond.users) && bond.users.length === 2 &&
+        Array.isArray(bond.circles) && bond.circles.length === 2 &&
+        bond.circles.every(id => typeof id === 'string') &&
+        Array.isArray(bond.points) &&
+        bond.points.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.z));
+}
+
+/**
+ * Minimal shape check for a profile record (the browser checks the fields)
+ */
+function isValidProfile(profile) {
+    return profile &&
+        typeof profile.userId === 'string' && profile.userId !== '' &&
+        typeof profile.displayName === 'string' &&
+        typeof profile.color === 'string' &&
+        !Number.isNaN(Date.parse(profile.updatedAt));
+}
+
+function isSamePublicKey(a, b) {
+    return Boolean(a && b) && a.x === b.x && a.y === b.y && a.crv === b.crv;
+}
+
+function isValidTombstone(tombstone) {
+    return tombstone &&
+        typeof tombstone.id === 'string' &&
+        (tombstone.kind === 'circle' || tombstone.kind === 'bond') &&
+        !Number.isNaN(Date.parse(tombstone.deletedAt));
+}
+
+/**
+ * Tell everyone in a space who is online there
+ */
+function broadcastPresence(spaceId) {
+    const users = Array.from(serverState.clients.values())
+        .filter(client => client.spaceId === spaceId)
+        .map(client => client.userId)
+        .filter(Boolean);
+    broadcast(spaceId, { type: 'presence', users });
+}
+
+// ============================================================================
+// STARTUP
+// ============================================================================
+
+getSpace(SERVER_CONFIG.defaultSpace);
+
+const server = http.createServer(handleRequest);
+server.on('upgrade', handleUpgrade);
+
+server.listen(SERVER_CONFIG.port, SERVER_CONFIG.host, () => {
+    console.log(`🌐 Circle server running at http://localhost:${SERVER_CONFIG.port}/`);
+    console.log(`📡 REST API at http://localhost:${SERVER_CONFIG.port}${SERVER_CONFIG.apiPath}`);
+    console.log(`🔗 WebSocket channel at ws://localhost:${SERVER_CONFIG.port}${SERVER_CONFIG.syncPath}`);
+});